@@ -9,6 +9,8 @@ import "./openzeppelin/utils/Counters.sol";
  * @dev Manages the lifecycle of agricultural products in a supply chain.
  * This contract allows for product registration, status updates, ownership transfers,
  * and maintains a record of all products and pending transfers.
+ * Supply chain actions are restricted to accounts holding the matching role,
+ * which are granted by an admin; the deployer is the first admin.
  */
 contract ProductManagement is ReentrancyGuard {
     using Counters for Counters.Counter;
@@ -27,6 +29,24 @@ contract ProductManagement is ReentrancyGuard {
         Delivered
     }
 
+    /**
+     * @dev Enum representing the possible results of a quality check.
+     */
+    enum QualityResult {
+        Pending,
+        Passed,
+        Failed
+    }
+
+    /**
+     * @dev Enum representing the severity of a product recall.
+     */
+    enum RecallSeverity {
+        Low,
+        Medium,
+        High
+    }
+
     /**
      * @dev Struct representing a product in the supply chain.
      */
@@ -42,35 +62,150 @@ contract ProductManagement is ReentrancyGuard {
     }
 
     /**
-     * @dev Struct representing a pending transfer of ownership.
+     * @dev Enum representing the possible states of an escrowed payment.
+     */
+    enum EscrowState {
+        None,
+        Held,
+        Released,
+        Refunded
+    }
+
+    /**
+     * @dev Enum representing the possible states of a transfer of ownership.
+     */
+    enum TransferState {
+        None,
+        Pending,
+        Accepted,
+        Cancelled
+    }
+
+    /**
+     * @dev Struct representing a transfer of ownership.
      */
     struct PendingTransfer {
+        bytes32 productId; // Product being transferred
         address from; // Address initiating the transfer
         address to; // Address receiving the transfer
         uint256 quantity; // Quantity being transferred
+        TransferState state; // Current state of the transfer
+    }
+
+    /**
+     * @dev Struct representing a payment held by the contract until the buyer confirms delivery.
+     */
+    struct Escrow {
+        bytes32 productId; // Product received by the buyer
+        address buyer; // Address that accepted the transfer and deposited the payment
+        address seller; // Address that initiated the transfer and receives the payment
+        uint256 amount; // Deposited amount (in wei)
+        uint256 quantity; // Quantity covered by the payment
+        uint256 deadline; // Time after which the buyer can claim a refund (Unix timestamp)
+        EscrowState state; // Current state of the escrow
+    }
+
+    /**
+     * @dev Struct representing a quality check recorded for a product.
+     */
+    struct QualityCheck {
+        address checker; // Address that performed the check
+        QualityResult result; // Outcome of the check
+        bytes32 parametersHash; // Hash of the check parameters and notes stored off-chain
+        uint256 timestamp; // Time the check was recorded (Unix timestamp)
+    }
+
+    /**
+     * @dev Struct representing the Merkle root of a batch of sensor readings of a product.
+     * The readings stay off-chain; each one can be proven part of the batch with its Merkle proof.
+     */
+    struct SensorAnchor {
+        bytes32 merkleRoot; // Root of the Merkle tree of the reading hashes
+        uint64 windowStart; // Time of the first reading of the batch (Unix timestamp)
+        uint64 windowEnd; // Time of the last reading of the batch (Unix timestamp)
+        uint32 readingCount; // Number of readings in the batch
+        uint256 timestamp; // Time the batch was anchored (Unix timestamp)
     }
 
     // Mapping from product ID (bytes32) to Product struct
     mapping(bytes32 => Product) public products;
 
-    // Mapping to keep track of pending transfers (product ID to PendingTransfer struct)
+    // Mapping from transfer ID to the transfer, which stays recorded once accepted or cancelled
     mapping(bytes32 => PendingTransfer) public pendingTransfers;
 
+    // Mapping from product ID to the quantity reserved by its pending transfers
+    mapping(bytes32 => uint256) public reservedQuantity;
+
     // New mapping from unique identifier to Ethereum address
     mapping(string => address) public identifierToAddress;
 
     // New mapping from Ethereum address to unique identifier
     mapping(address => string) public addressToIdentifier;
 
+    // Mapping from product ID to the quality checks recorded for it
+    mapping(bytes32 => QualityCheck[]) private qualityChecks;
+
+    // Mapping from product ID to the batches of sensor readings anchored for it
+    mapping(bytes32 => SensorAnchor[]) public sensorAnchors;
+
+    // Mapping from the transfer ID to the payment deposited when accepting it
+    mapping(bytes32 => Escrow) public escrows;
+
+    // Mapping from product ID to the transfer whose payment is still held in escrow for it
+    mapping(bytes32 => bytes32) public heldEscrows;
+
+    // Lineage of the products: the products a product was split off or merged from, and the reverse
+    mapping(bytes32 => bytes32[]) private parentProducts;
+    mapping(bytes32 => bytes32[]) private childProducts;
+
+    // Products recalled, directly or as a child of a recalled product; they cannot be transferred or merged
+    mapping(bytes32 => bool) public recalled;
+
+    // Time a buyer has to confirm delivery before being able to claim a refund
+    uint256 public escrowTimeout = 14 days;
+
+    // Number of generations of descendants recalled along with a product, which bounds the gas of a recall
+    uint256 public constant MAX_RECALL_DEPTH = 16;
+
     // Counter for generating unique product IDs
     Counters.Counter private _productIdCounter;
 
+    // Counter for generating unique transfer IDs
+    Counters.Counter private _transferIdCounter;
+
+    // Roles of the supply chain actors
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant FARMER_ROLE = keccak256("FARMER_ROLE");
+    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
+    bytes32 public constant RETAILER_ROLE = keccak256("RETAILER_ROLE");
+    bytes32 public constant CONSUMER_ROLE = keccak256("CONSUMER_ROLE");
+    bytes32 public constant INSPECTOR_ROLE = keccak256("INSPECTOR_ROLE");
+
+    // Mapping from role to the addresses holding it
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
+    // Lifecycle transition table: current status => next status => role allowed to perform it.
+    // Must stay identical to farmily-backend/utils/productLifecycle.js
+    mapping(Status => mapping(Status => mapping(bytes32 => bool))) private transitionRoles;
+
     // Events
     event ProductCreated(
         bytes32 indexed productId,
         string batchNumber,
         address indexed owner
     );
+    event ProductsMerged(
+        bytes32 indexed lotId,
+        address indexed owner,
+        bytes32[] sourceIds,
+        uint256 quantity
+    );
+    event ProductRecalled(
+        bytes32 indexed productId,
+        address indexed issuer,
+        RecallSeverity severity,
+        string reason
+    );
     event StatusUpdated(
         bytes32 indexed productId,
         Status oldStatus,
@@ -82,26 +217,203 @@ contract ProductManagement is ReentrancyGuard {
         address indexed newOwner,
         uint256 quantity
     );
-    event PaymentTriggered(
+    event EscrowDeposited(
+        bytes32 indexed escrowId,
         bytes32 indexed productId,
-        address indexed payer,
-        address indexed receiver,
+        address indexed buyer,
+        address seller,
+        uint256 amount,
+        uint256 deadline
+    );
+    event EscrowReleased(
+        bytes32 indexed escrowId,
+        address indexed seller,
+        uint256 amount
+    );
+    event EscrowRefunded(
+        bytes32 indexed escrowId,
+        address indexed buyer,
         uint256 amount
     );
     event TransferInitiated(
+        bytes32 indexed transferId,
         bytes32 indexed productId,
         address indexed from,
-        address indexed to,
+        address to,
         uint256 quantity
     );
     event TransferAccepted(
+        bytes32 indexed transferId,
         bytes32 indexed productId,
         address indexed from,
-        address indexed to,
-        uint256 quantity
+        address to,
+        uint256 quantity,
+        bytes32 receivedProductId
     );
-    event TransferCancelled(bytes32 indexed productId);
+    event TransferCancelled(bytes32 indexed transferId, bytes32 indexed productId);
     event ProductInfoUpdated(bytes32 indexed productId, string details);
+    event QualityCheckRecorded(
+        bytes32 indexed productId,
+        uint256 indexed checkIndex,
+        address indexed checker,
+        QualityResult result,
+        bytes32 parametersHash
+    );
+    event SensorDataAnchored(
+        bytes32 indexed productId,
+        uint256 indexed anchorIndex,
+        bytes32 merkleRoot,
+        uint64 windowStart,
+        uint64 windowEnd,
+        uint32 readingCount
+    );
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    /**
+     * @dev Restricts a function to accounts holding the given role.
+     */
+    modifier onlyRole(bytes32 _role) {
+        require(roles[_role][msg.sender], "Caller does not have the required role");
+        _;
+    }
+
+    /**
+     * @dev Restricts a function to accounts holding at least one of the given roles.
+     */
+    modifier onlyRoles(bytes32 _role1, bytes32 _role2, bytes32 _role3) {
+        require(
+            roles[_role1][msg.sender] ||
+                roles[_role2][msg.sender] ||
+                roles[_role3][msg.sender],
+            "Caller does not have the required role"
+        );
+        _;
+    }
+
+    /**
+     * @dev Grants the admin role to the deployer and declares the lifecycle transitions.
+     */
+    constructor() {
+        _grantRole(ADMIN_ROLE, msg.sender);
+
+        _allowTransition(Status.Registered, Status.Planted, FARMER_ROLE);
+        _allowTransition(Status.Planted, Status.Growing, FARMER_ROLE);
+        _allowTransition(Status.Growing, Status.Harvested, FARMER_ROLE);
+        _allowTransition(Status.Harvested, Status.Processed, FARMER_ROLE);
+        _allowTransition(Status.Harvested, Status.Processed, DISTRIBUTOR_ROLE);
+        _allowTransition(Status.Processed, Status.Packaged, FARMER_ROLE);
+        _allowTransition(Status.Processed, Status.Packaged, DISTRIBUTOR_ROLE);
+        _allowTransition(Status.Packaged, Status.InTransit, FARMER_ROLE);
+        _allowTransition(Status.Packaged, Status.InTransit, DISTRIBUTOR_ROLE);
+        _allowTransition(Status.InTransit, Status.Delivered, DISTRIBUTOR_ROLE);
+        _allowTransition(Status.InTransit, Status.Delivered, RETAILER_ROLE);
+    }
+
+    /**
+     * @dev Allows holders of a role to move products from one status to another.
+     */
+    function _allowTransition(Status _from, Status _to, bytes32 _role) internal {
+        transitionRoles[_from][_to][_role] = true;
+    }
+
+    /**
+     * @dev Checks whether a status transition is part of the lifecycle.
+     * @param _from The current status
+     * @param _to The requested status
+     * @return bool indicating if any role may perform the transition
+     */
+    function isValidTransition(Status _from, Status _to) public view returns (bool) {
+        return
+            transitionRoles[_from][_to][FARMER_ROLE] ||
+            transitionRoles[_from][_to][DISTRIBUTOR_ROLE] ||
+            transitionRoles[_from][_to][RETAILER_ROLE];
+    }
+
+    /**
+     * @dev Checks whether an account's roles allow a status transition.
+     * @param _from The current status
+     * @param _to The requested status
+     * @param _account The account performing the transition
+     * @return bool indicating if the account may perform the transition
+     */
+    function canTransition(
+        Status _from,
+        Status _to,
+        address _account
+    ) public view returns (bool) {
+        return
+            (transitionRoles[_from][_to][FARMER_ROLE] && roles[FARMER_ROLE][_account]) ||
+            (transitionRoles[_from][_to][DISTRIBUTOR_ROLE] && roles[DISTRIBUTOR_ROLE][_account]) ||
+            (transitionRoles[_from][_to][RETAILER_ROLE] && roles[RETAILER_ROLE][_account]);
+    }
+
+    /**
+     * @dev Checks whether an account holds a role.
+     * @param _role The role to check
+     * @param _account The account to check
+     * @return bool indicating if the account holds the role
+     */
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    /**
+     * @dev Grants a role to an account.
+     * @param _role The role to grant
+     * @param _account The account receiving the role
+     */
+    function grantRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        require(_account != address(0), "Invalid account");
+        _grantRole(_role, _account);
+    }
+
+    /**
+     * @dev Revokes a role from an account.
+     * @param _role The role to revoke
+     * @param _account The account losing the role
+     */
+    function revokeRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        require(
+            !(_role == ADMIN_ROLE && _account == msg.sender),
+            "Admins cannot revoke their own admin role"
+        );
+        if (roles[_role][_account]) {
+            roles[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Grants a role without access checks.
+     */
+    function _grantRole(bytes32 _role, address _account) internal {
+        if (!roles[_role][_account]) {
+            roles[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Checks whether an account holds any supply chain role.
+     */
+    function _hasAnyRole(address _account) internal view returns (bool) {
+        return
+            roles[ADMIN_ROLE][_account] ||
+            roles[FARMER_ROLE][_account] ||
+            roles[DISTRIBUTOR_ROLE][_account] ||
+            roles[RETAILER_ROLE][_account] ||
+            roles[CONSUMER_ROLE][_account] ||
+            roles[INSPECTOR_ROLE][_account];
+    }
 
     /**
      * @dev Creates a new product in the system.
@@ -119,7 +431,7 @@ contract ProductManagement is ReentrancyGuard {
         uint256 _productionDate,
         uint256 _quantity,
         uint256 _price
-    ) public {
+    ) public onlyRole(FARMER_ROLE) {
         require(bytes(_batchNumber).length > 0, "Batch number cannot be empty");
         require(bytes(_productType).length > 0, "Product type cannot be empty");
         require(bytes(_origin).length > 0, "Origin cannot be empty");
@@ -155,6 +467,7 @@ contract ProductManagement is ReentrancyGuard {
      * @param _identifier Unique identifier for the user
      */
     function registerUser(string memory _identifier) public {
+        require(_hasAnyRole(msg.sender), "Caller does not have a role");
         require(
             identifierToAddress[_identifier] == address(0),
             "Identifier already registered"
@@ -171,11 +484,14 @@ contract ProductManagement is ReentrancyGuard {
     }
 
     /**
-     * @dev Updates the status of a product.
+     * @dev Updates the status of a product, following the lifecycle transition table.
      * @param _productId ID of the product
      * @param _newStatus New status to be set
      */
-    function updateProductStatus(bytes32 _productId, Status _newStatus) public {
+    function updateProductStatus(
+        bytes32 _productId,
+        Status _newStatus
+    ) public onlyRoles(FARMER_ROLE, DISTRIBUTOR_ROLE, RETAILER_ROLE) {
         require(
             products[_productId].currentOwner != address(0),
             "Product does not exist"
@@ -187,6 +503,14 @@ contract ProductManagement is ReentrancyGuard {
 
         Product storage product = products[_productId];
         Status oldStatus = product.status;
+        require(
+            isValidTransition(oldStatus, _newStatus),
+            "Invalid status transition"
+        );
+        require(
+            canTransition(oldStatus, _newStatus, msg.sender),
+            "Caller's role cannot perform this status transition"
+        );
         product.status = _newStatus;
 
         emit StatusUpdated(_productId, oldStatus, _newStatus);
@@ -197,60 +521,82 @@ contract ProductManagement is ReentrancyGuard {
 
    /**
      * @dev Initiates a transfer of ownership for a product using unique identifiers.
+     * The quantity is reserved until the transfer is accepted or cancelled, so a batch
+     * can be split across several recipients at once.
      * @param _productId ID of the product
      * @param _toIdentifier Unique identifier of the recipient
      * @param _quantity Quantity to be transferred
+     * @return transferId ID of the new transfer, zero when the transfer could not be initiated
      */
     function initiateTransfer(
         bytes32 _productId,
         string memory _toIdentifier,
         uint256 _quantity
-    ) public nonReentrant {
+    )
+        public
+        nonReentrant
+        onlyRoles(FARMER_ROLE, DISTRIBUTOR_ROLE, RETAILER_ROLE)
+        returns (bytes32 transferId)
+    {
         // Check if the product exists
         if (!productExists(_productId)) {
             emit TransferError(_productId, "Product does not exist");
-            return;
+            return bytes32(0);
         }
 
         // Check if the sender is the current owner
         if (products[_productId].currentOwner != msg.sender) {
             emit TransferError(_productId, "Only the current owner can initiate transfer");
-            return;
+            return bytes32(0);
         }
 
-        // Check if the quantity is valid
-        if (_quantity == 0 || _quantity > products[_productId].quantity) {
+        // Check if the quantity is valid and not reserved by other pending transfers
+        if (
+            _quantity == 0 ||
+            _quantity > products[_productId].quantity - reservedQuantity[_productId]
+        ) {
             emit TransferError(_productId, "Invalid transfer quantity");
-            return;
+            return bytes32(0);
         }
 
         // Check if the recipient is registered
         address toAddress = identifierToAddress[_toIdentifier];
         if (toAddress == address(0)) {
             emit TransferError(_productId, "Recipient not registered");
-            return;
+            return bytes32(0);
         }
 
         // Check if the sender is trying to transfer to themselves
         if (toAddress == msg.sender) {
             emit TransferError(_productId, "Cannot transfer to yourself");
-            return;
+            return bytes32(0);
         }
 
-        // Check if there's already a pending transfer for this product
-        if (pendingTransfers[_productId].quantity != 0) {
-            emit TransferError(_productId, "A transfer is already pending for this product");
-            return;
+        // Check if the payment for this product is still held in escrow
+        if (heldEscrows[_productId] != bytes32(0)) {
+            emit TransferError(_productId, "Payment for this product is still held in escrow");
+            return bytes32(0);
+        }
+
+        // Check if the product has been recalled
+        if (recalled[_productId]) {
+            emit TransferError(_productId, "Product has been recalled");
+            return bytes32(0);
         }
 
-        // If all checks pass, create the pending transfer
-        pendingTransfers[_productId] = PendingTransfer({
+        // If all checks pass, create the pending transfer and reserve its quantity
+        _transferIdCounter.increment();
+        transferId = keccak256(abi.encodePacked(_productId, _transferIdCounter.current()));
+        pendingTransfers[transferId] = PendingTransfer({
+            productId: _productId,
             from: msg.sender,
             to: toAddress,
-            quantity: _quantity
+            quantity: _quantity,
+            state: TransferState.Pending
         });
+        reservedQuantity[_productId] += _quantity;
 
-        emit TransferInitiated(_productId, msg.sender, toAddress, _quantity);
+        emit TransferInitiated(transferId, _productId, msg.sender, toAddress, _quantity);
     }
 
     /**
@@ -273,7 +619,7 @@ contract ProductManagement is ReentrancyGuard {
  * @return currentOwner The current owner of the product
  * @return status The current status of the product
  * @return price The price of the product
- * @return hasPendingTransfer Whether the product has a pending transfer
+ * @return hasPendingTransfer Whether the product has at least one pending transfer
  */
 function getProductState(bytes32 _productId) public view returns (
     string memory batchNumber,
@@ -296,38 +642,54 @@ function getProductState(bytes32 _productId) public view returns (
     currentOwner = product.currentOwner;
     status = product.status;
     price = product.price;
-    hasPendingTransfer = pendingTransfers[_productId].quantity != 0;
+    hasPendingTransfer = reservedQuantity[_productId] != 0;
 }
     /**
-     * @dev Accepts a pending transfer of ownership.
-     * @param _productId ID of the product
-     */
-    /**
- * @dev Accepts a pending transfer of ownership.
+ * @dev Accepts a pending transfer of ownership. The buyer must send price * quantity,
+ * which is held in escrow until the buyer confirms delivery.
  * @param _transferId The unique identifier of the pending transfer
  */
-function acceptTransfer(bytes32 _transferId) public nonReentrant {
+function acceptTransfer(bytes32 _transferId)
+    public
+    payable
+    nonReentrant
+    onlyRoles(DISTRIBUTOR_ROLE, RETAILER_ROLE, CONSUMER_ROLE)
+{
     // Retrieve the pending transfer
     PendingTransfer storage transfer = pendingTransfers[_transferId];
     
-    // Check if the transfer exists and has a non-zero quantity
-    require(transfer.quantity > 0, "No pending transfer for this transfer ID");
+    // Check if the transfer exists and is still pending
+    require(transfer.state == TransferState.Pending, "No pending transfer for this transfer ID");
     
     // Ensure only the intended recipient can accept the transfer
     require(transfer.to == msg.sender, "Only the intended recipient can accept the transfer");
     
     // Retrieve the product associated with this transfer
-    Product storage product = products[_transferId];
+    bytes32 productId = transfer.productId;
+    Product storage product = products[productId];
     
     // Ensure the product exists
     require(product.currentOwner != address(0), "Product does not exist");
     
     // Verify the transfer initiator is still the current owner
     require(product.currentOwner == transfer.from, "Transfer initiator is no longer the owner");
+
+    // Products recalled after the transfer was initiated cannot change hands
+    require(!recalled[productId], "Product has been recalled");
     
     // Check if the transfer quantity is valid
     require(transfer.quantity <= product.quantity, "Transfer quantity exceeds available product quantity");
 
+    // Check the payment covers the transferred quantity
+    require(msg.value == product.price * transfer.quantity, "Incorrect payment amount");
+
+    // The transfer no longer reserves any quantity
+    transfer.state = TransferState.Accepted;
+    reservedQuantity[productId] -= transfer.quantity;
+
+    // Product ID the buyer receives
+    bytes32 receivedProductId = productId;
+
     // If the entire product quantity is being transferred
     if (transfer.quantity == product.quantity) {
         // Update the product's current owner
@@ -335,6 +697,7 @@ function acceptTransfer(bytes32 _transferId) public nonReentrant {
     } else {
         // Create a new product entry for the partial transfer
         bytes32 newProductId = keccak256(abi.encodePacked(_transferId, block.timestamp, msg.sender));
+        receivedProductId = newProductId;
         products[newProductId] = Product({
             batchNumber: product.batchNumber,
             productType: product.productType,
@@ -348,19 +711,31 @@ function acceptTransfer(bytes32 _transferId) public nonReentrant {
         
         // Reduce the quantity of the original product
         product.quantity -= transfer.quantity;
+        _linkLineage(productId, newProductId);
         
         // Emit event for new product creation
         emit ProductCreated(newProductId, product.batchNumber, msg.sender);
     }
 
     // Emit event for successful transfer
-    emit TransferAccepted(_transferId, transfer.from, msg.sender, transfer.quantity);
-    
-    // Emit event for ownership transfer
-    emit OwnershipTransferred(_transferId, transfer.from, msg.sender, transfer.quantity);
+    emit TransferAccepted(_transferId, productId, transfer.from, msg.sender, transfer.quantity, receivedProductId);
+
+    // Hold the payment until the buyer confirms delivery, in an escrow identified by the transfer
+    uint256 deadline = block.timestamp + escrowTimeout;
+    escrows[_transferId] = Escrow({
+        productId: receivedProductId,
+        buyer: msg.sender,
+        seller: transfer.from,
+        amount: msg.value,
+        quantity: transfer.quantity,
+        deadline: deadline,
+        state: EscrowState.Held
+    });
+    heldEscrows[receivedProductId] = _transferId;
+    emit EscrowDeposited(_transferId, receivedProductId, msg.sender, transfer.from, msg.value, deadline);
 
-    // Clear the pending transfer
-    delete pendingTransfers[_transferId];
+    // Emit event for ownership transfer
+    emit OwnershipTransferred(receivedProductId, transfer.from, msg.sender, transfer.quantity);
 }
 
     /**
@@ -386,11 +761,11 @@ function acceptTransfer(bytes32 _transferId) public nonReentrant {
     }
 
     /**
-     * @dev Cancels a pending transfer of ownership.
-     * @param _productId ID of the product
+     * @dev Cancels a pending transfer of ownership, releasing its reserved quantity.
+     * @param _transferId ID of the transfer
      */
-    function cancelTransfer(bytes32 _productId) public {
-        PendingTransfer memory transfer = pendingTransfers[_productId];
+    function cancelTransfer(bytes32 _transferId) public {
+        PendingTransfer storage transfer = pendingTransfers[_transferId];
         string memory senderIdentifier = addressToIdentifier[msg.sender];
         string memory initiatorIdentifier = addressToIdentifier[transfer.from];
 
@@ -399,10 +774,148 @@ function acceptTransfer(bytes32 _transferId) public nonReentrant {
                 keccak256(abi.encodePacked(initiatorIdentifier)),
             "Only the transfer initiator can cancel the transfer"
         );
-        require(transfer.quantity > 0, "No pending transfer for this product");
+        require(transfer.state == TransferState.Pending, "No pending transfer for this transfer ID");
 
-        delete pendingTransfers[_productId];
-        emit TransferCancelled(_productId);
+        transfer.state = TransferState.Cancelled;
+        reservedQuantity[transfer.productId] -= transfer.quantity;
+        emit TransferCancelled(_transferId, transfer.productId);
+    }
+
+    /**
+     * @dev Gets the quantity of a product that is not reserved by pending transfers.
+     * @param _productId ID of the product
+     * @return The quantity available for new transfers
+     */
+    function getAvailableQuantity(bytes32 _productId) public view returns (uint256) {
+        return products[_productId].quantity - reservedQuantity[_productId];
+    }
+
+    /**
+     * @dev Merges the whole quantity of several products of the caller into a new
+     * processed lot, e.g. a distributor packaging apples from several farms together.
+     * @param _sourceIds IDs of the products to merge
+     * @param _batchNumber Batch number of the lot
+     * @param _productType Type of the lot
+     * @param _price Price per unit of the lot (in wei)
+     * @return lotId ID of the new lot
+     */
+    function mergeProducts(
+        bytes32[] memory _sourceIds,
+        string memory _batchNumber,
+        string memory _productType,
+        uint256 _price
+    ) public onlyRoles(FARMER_ROLE, DISTRIBUTOR_ROLE, RETAILER_ROLE) returns (bytes32 lotId) {
+        require(_sourceIds.length > 1, "At least two products are required");
+        require(bytes(_batchNumber).length > 0, "Batch number cannot be empty");
+        require(bytes(_productType).length > 0, "Product type cannot be empty");
+        require(_price > 0, "Price must be greater than zero");
+
+        _productIdCounter.increment();
+        lotId = bytes32(_productIdCounter.current());
+
+        uint256 quantity;
+        uint256 productionDate;
+        for (uint256 i = 0; i < _sourceIds.length; i++) {
+            bytes32 sourceId = _sourceIds[i];
+            Product storage source = products[sourceId];
+            require(source.currentOwner == msg.sender, "Only the current owner can merge a product");
+            require(source.quantity > 0, "Product has no quantity left");
+            require(reservedQuantity[sourceId] == 0, "Cancel the pending transfers of this product first");
+            require(heldEscrows[sourceId] == bytes32(0), "Payment for this product is still held in escrow");
+            require(!recalled[sourceId], "Product has been recalled");
+
+            quantity += source.quantity;
+            // The lot is as recent as its most recent source
+            if (source.productionDate > productionDate) {
+                productionDate = source.productionDate;
+            }
+            source.quantity = 0;
+            _linkLineage(sourceId, lotId);
+        }
+
+        products[lotId] = Product(
+            _batchNumber,
+            _productType,
+            "Merged lot",
+            productionDate,
+            quantity,
+            msg.sender,
+            Status.Processed,
+            _price
+        );
+
+        emit ProductCreated(lotId, _batchNumber, msg.sender);
+        emit ProductsMerged(lotId, msg.sender, _sourceIds, quantity);
+    }
+
+    /**
+     * @dev Records that a product was split off or merged from another one.
+     */
+    function _linkLineage(bytes32 _parentId, bytes32 _childId) internal {
+        parentProducts[_childId].push(_parentId);
+        childProducts[_parentId].push(_childId);
+    }
+
+    /**
+     * @dev Gets the products a product was split off or merged from.
+     * @param _productId ID of the product
+     * @return The IDs of the parent products, empty for a product created by a farmer
+     */
+    function getParentProducts(bytes32 _productId) public view returns (bytes32[] memory) {
+        return parentProducts[_productId];
+    }
+
+    /**
+     * @dev Gets the products split off or merged from a product.
+     * @param _productId ID of the product
+     * @return The IDs of the child products
+     */
+    function getChildProducts(bytes32 _productId) public view returns (bytes32[] memory) {
+        return childProducts[_productId];
+    }
+
+    /**
+     * @dev Recalls a product and every product split off or merged from it, which
+     * can then no longer be transferred or merged. Admins can recall any product,
+     * farmers and distributors the products they own. Descendants more than
+     * MAX_RECALL_DEPTH generations below the product are not reached; an admin
+     * recalls them directly.
+     * @param _productId ID of the product
+     * @param _severity Severity of the recall
+     * @param _reason Reason of the recall
+     */
+    function recallProduct(
+        bytes32 _productId,
+        RecallSeverity _severity,
+        string memory _reason
+    ) public onlyRoles(ADMIN_ROLE, FARMER_ROLE, DISTRIBUTOR_ROLE) {
+        require(productExists(_productId), "Product does not exist");
+        require(
+            roles[ADMIN_ROLE][msg.sender] || products[_productId].currentOwner == msg.sender,
+            "Only an admin or the current owner can recall a product"
+        );
+        require(!recalled[_productId], "Product has already been recalled");
+        require(bytes(_reason).length > 0, "Reason cannot be empty");
+
+        _recall(_productId, 0);
+        emit ProductRecalled(_productId, msg.sender, _severity, _reason);
+    }
+
+    /**
+     * @dev Marks a product and its descendants down to MAX_RECALL_DEPTH generations as recalled.
+     * @param _depth Generations between the recalled product and this one
+     */
+    function _recall(bytes32 _productId, uint256 _depth) internal {
+        recalled[_productId] = true;
+        if (_depth == MAX_RECALL_DEPTH) {
+            return;
+        }
+        bytes32[] storage children = childProducts[_productId];
+        for (uint256 i = 0; i < children.length; i++) {
+            if (!recalled[children[i]]) {
+                _recall(children[i], _depth + 1);
+            }
+        }
     }
 
     /**
@@ -442,6 +955,138 @@ function acceptTransfer(bytes32 _transferId) public nonReentrant {
         emit ProductInfoUpdated(_productId, _details);
     }
 
+    /**
+     * @dev Records a quality check for a product.
+     * @param _productId ID of the product
+     * @param _result Outcome of the check
+     * @param _parametersHash Hash of the check parameters and notes stored off-chain
+     * @return checkIndex Index of the check in the product's quality check list
+     */
+    function recordQualityCheck(
+        bytes32 _productId,
+        QualityResult _result,
+        bytes32 _parametersHash
+    ) public returns (uint256 checkIndex) {
+        require(productExists(_productId), "Product does not exist");
+        require(
+            products[_productId].currentOwner == msg.sender ||
+                roles[INSPECTOR_ROLE][msg.sender],
+            "Only the current owner or an inspector can record a quality check"
+        );
+        require(_parametersHash != bytes32(0), "Parameters hash cannot be empty");
+
+        checkIndex = qualityChecks[_productId].length;
+        qualityChecks[_productId].push(
+            QualityCheck({
+                checker: msg.sender,
+                result: _result,
+                parametersHash: _parametersHash,
+                timestamp: block.timestamp
+            })
+        );
+
+        emit QualityCheckRecorded(
+            _productId,
+            checkIndex,
+            msg.sender,
+            _result,
+            _parametersHash
+        );
+    }
+
+    /**
+     * @dev Gets the number of quality checks recorded for a product.
+     * @param _productId ID of the product
+     * @return The number of quality checks
+     */
+    function getQualityCheckCount(
+        bytes32 _productId
+    ) public view returns (uint256) {
+        return qualityChecks[_productId].length;
+    }
+
+    /**
+     * @dev Retrieves a single quality check of a product.
+     * @param _productId ID of the product
+     * @param _index Index of the quality check
+     * @return checker Address that performed the check
+     * @return result Outcome of the check
+     * @return parametersHash Hash of the off-chain check parameters
+     * @return timestamp Time the check was recorded
+     */
+    function getQualityCheck(
+        bytes32 _productId,
+        uint256 _index
+    )
+        public
+        view
+        returns (
+            address checker,
+            QualityResult result,
+            bytes32 parametersHash,
+            uint256 timestamp
+        )
+    {
+        require(
+            _index < qualityChecks[_productId].length,
+            "Quality check does not exist"
+        );
+        QualityCheck storage check = qualityChecks[_productId][_index];
+        return (check.checker, check.result, check.parametersHash, check.timestamp);
+    }
+
+    /**
+     * @dev Lists every quality check recorded for a product.
+     * @param _productId ID of the product
+     * @return The quality checks, oldest first
+     */
+    function getQualityChecks(
+        bytes32 _productId
+    ) public view returns (QualityCheck[] memory) {
+        return qualityChecks[_productId];
+    }
+
+    /**
+     * @dev Anchors the Merkle root of a batch of sensor readings of a product.
+     * The platform submits the batches, so only admins can anchor.
+     * @param _productId ID of the product
+     * @param _merkleRoot Root of the Merkle tree of the reading hashes
+     * @param _windowStart Time of the first reading of the batch
+     * @param _windowEnd Time of the last reading of the batch
+     * @param _readingCount Number of readings in the batch
+     * @return anchorIndex Index of the batch in the product's sensor anchor list
+     */
+    function anchorSensorData(
+        bytes32 _productId,
+        bytes32 _merkleRoot,
+        uint64 _windowStart,
+        uint64 _windowEnd,
+        uint32 _readingCount
+    ) public onlyRole(ADMIN_ROLE) returns (uint256 anchorIndex) {
+        require(productExists(_productId), "Product does not exist");
+        require(_merkleRoot != bytes32(0), "Merkle root cannot be empty");
+
+        anchorIndex = sensorAnchors[_productId].length;
+        sensorAnchors[_productId].push(
+            SensorAnchor({
+                merkleRoot: _merkleRoot,
+                windowStart: _windowStart,
+                windowEnd: _windowEnd,
+                readingCount: _readingCount,
+                timestamp: block.timestamp
+            })
+        );
+
+        emit SensorDataAnchored(
+            _productId,
+            anchorIndex,
+            _merkleRoot,
+            _windowStart,
+            _windowEnd,
+            _readingCount
+        );
+    }
+
     /**
      * @dev Retrieves product details.
      * @param _productId ID of the product
@@ -519,27 +1164,80 @@ function acceptTransfer(bytes32 _transferId) public nonReentrant {
     }
 
     /**
-     * @dev Triggers payment for a delivered product.
-     * @param _productId ID of the product
+     * @dev Sets how long buyers have to confirm delivery before they can claim a refund.
+     * Only applies to escrows created afterwards.
+     * @param _timeout The timeout in seconds
      */
-    function triggerPayment(bytes32 _productId) public payable nonReentrant {
-        require(
-            products[_productId].currentOwner != address(0),
-            "Product does not exist"
-        );
-        Product storage product = products[_productId];
+    function setEscrowTimeout(uint256 _timeout) public onlyRole(ADMIN_ROLE) {
+        require(_timeout > 0, "Timeout must be greater than zero");
+        escrowTimeout = _timeout;
+    }
+
+    /**
+     * @dev Confirms delivery of a received product and releases the escrowed payment to the seller.
+     * @param _escrowId ID of the transfer paid through the escrow
+     */
+    function confirmDelivery(bytes32 _escrowId) public nonReentrant {
+        Escrow storage escrow = escrows[_escrowId];
+        require(escrow.state == EscrowState.Held, "No payment held in this escrow");
+        require(escrow.buyer == msg.sender, "Only the buyer can confirm delivery");
+
+        escrow.state = EscrowState.Released;
+        delete heldEscrows[escrow.productId];
+        (bool sent, ) = payable(escrow.seller).call{value: escrow.amount}("");
+        require(sent, "Payment to the seller failed");
+
+        emit EscrowReleased(_escrowId, escrow.seller, escrow.amount);
+    }
+
+    /**
+     * @dev Cancels a sale before delivery is confirmed, refunding the buyer.
+     * @param _escrowId ID of the transfer paid through the escrow
+     */
+    function cancelEscrow(bytes32 _escrowId) public nonReentrant {
+        Escrow storage escrow = escrows[_escrowId];
+        require(escrow.state == EscrowState.Held, "No payment held in this escrow");
+        require(escrow.seller == msg.sender, "Only the seller can cancel the sale");
+
+        _refundEscrow(_escrowId, escrow);
+    }
+
+    /**
+     * @dev Refunds the buyer once the escrow deadline has passed without delivery being confirmed.
+     * @param _escrowId ID of the transfer paid through the escrow
+     */
+    function claimEscrowRefund(bytes32 _escrowId) public nonReentrant {
+        Escrow storage escrow = escrows[_escrowId];
+        require(escrow.state == EscrowState.Held, "No payment held in this escrow");
+        require(escrow.buyer == msg.sender, "Only the buyer can claim a refund");
+        require(block.timestamp > escrow.deadline, "Escrow deadline has not passed");
+
+        _refundEscrow(_escrowId, escrow);
+    }
+
+    /**
+     * @dev Refunds the buyer and returns the received product to the seller.
+     */
+    function _refundEscrow(bytes32 _escrowId, Escrow storage escrow) internal {
+        bytes32 productId = escrow.productId;
         require(
-            product.status == Status.Delivered,
-            "Product must be delivered to trigger payment"
+            products[productId].currentOwner == escrow.buyer,
+            "Buyer no longer owns the product"
         );
         require(
-            msg.value == product.price * product.quantity,
-            "Incorrect payment amount"
+            reservedQuantity[productId] == 0,
+            "Cancel the pending transfers of this product first"
         );
 
-        address payable owner = payable(product.currentOwner);
-        owner.transfer(msg.value);
-        emit PaymentTriggered(_productId, msg.sender, owner, msg.value);
+        escrow.state = EscrowState.Refunded;
+        delete heldEscrows[productId];
+        products[productId].currentOwner = escrow.seller;
+        emit OwnershipTransferred(productId, escrow.buyer, escrow.seller, escrow.quantity);
+
+        (bool sent, ) = payable(escrow.buyer).call{value: escrow.amount}("");
+        require(sent, "Refund to the buyer failed");
+
+        emit EscrowRefunded(_escrowId, escrow.buyer, escrow.amount);
     }
 
     /**
@@ -43,6 +43,13 @@ module.exports = {
   compilers: {
     solc: {
       version: "0.8.0", // Match your contract's Solidity version
+      settings: {
+        // Keeps ProductManagement under the 24 KB contract size limit
+        optimizer: {
+          enabled: true,
+          runs: 200
+        }
+      }
     }
   },
 
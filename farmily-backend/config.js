@@ -12,4 +12,8 @@ module.exports = {
   // The secret key used to sign JSON Web Tokens (JWT)
   // This is used to authenticate users and protect routes
   JWT_SECRET: process.env.JWT_SECRET,
+
+  // The base URL of the public web app, without trailing slash
+  // Used in emailed links, wallet sign-in messages and product labels
+  PUBLIC_APP_URL: (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
 };
@@ -4,6 +4,7 @@ const Product = require('../models/Product');
 const Transfer = require('../models/Transfer');
 const Transaction = require('../models/Transaction');
 const Web3Service = require('../services/Web3Service'); // Backend service to interact with the blockchain
+const QualityCheckService = require('../services/QualityCheckService');
 
 /**
  * Get pending transfers for the distributor
@@ -119,12 +120,12 @@ exports.updateProductInfo = async (req, res) => {
 };
 
 /**
- * Perform a quality check on a product
+ * Perform a quality check on a product; the distributor anchors it on the blockchain from their wallet
  */
 exports.performQualityCheck = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes, parameters } = req.body;
 
     const product = await Product.findById(productId);
     if (!product) {
@@ -135,23 +136,17 @@ exports.performQualityCheck = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized to perform quality check on this product' });
     }
 
-    product.qualityCheckStatus = status;
-    product.qualityCheckNotes = notes;
-
-    await product.save();
-
-    // Record quality check on the blockchain
-    const blockchainResponse = await Web3Service.recordQualityCheckOnBlockchain(productId, status, notes);
+    const { qualityCheck, blockchainCheck } = await QualityCheckService.createQualityCheck(product, req.user._id, { status, notes, parameters });
 
     res.status(200).json({ 
       success: true, 
       message: 'Quality check performed successfully',
-      data: product,
-      blockchainResponse 
+      data: qualityCheck,
+      blockchainCheck
     });
   } catch (error) {
     console.error('Error performing quality check:', error);
-    res.status(500).json({ success: false, message: 'Error performing quality check', error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: 'Error performing quality check', error: error.message });
   }
 };
 
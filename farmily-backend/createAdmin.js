@@ -0,0 +1,74 @@
+// createAdmin.js
+//
+// Creates the accounts of the administration console, which cannot be registered
+// through the registration page.
+//
+//   node createAdmin.js <username> <email> <password> <firstName> <lastName>
+//                                         Create an admin account
+//   node createAdmin.js <username>        Make an existing user an admin
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+require('dotenv').config();
+
+const User = require('./models/user.js');
+
+const SALT_ROUNDS = 10;
+
+async function promoteUser(username) {
+  const user = await User.findOne({ username });
+  if (!user) {
+    throw new Error(`User ${username} not found`);
+  }
+  user.userType = 'admin';
+  user.accountStatus = 'active';
+  await user.save();
+  console.log(`${username} is now an admin`);
+}
+
+async function createAdmin(username, email, password, firstName, lastName) {
+  if (await User.exists({ $or: [{ username }, { email }] })) {
+    throw new Error('A user with this username or email already exists');
+  }
+  await User.create({
+    userType: 'admin',
+    firstName,
+    lastName,
+    username,
+    email,
+    password: await bcrypt.hash(password, SALT_ROUNDS),
+    uniqueIdentifier: `admin-${username}-${Date.now()}`,
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  console.log(`Admin ${username} created`);
+}
+
+async function main() {
+  const [username, email, password, firstName, lastName] = process.argv.slice(2);
+  if (!username || (email && !(password && firstName && lastName))) {
+    throw new Error('Usage: node createAdmin.js <username> [<email> <password> <firstName> <lastName>]');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+  console.log('Connected to MongoDB');
+  try {
+    if (email) {
+      await createAdmin(username, email, password, firstName, lastName);
+    } else {
+      await promoteUser(username);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error creating admin:', error.message || error);
+    process.exit(1);
+  });
@@ -0,0 +1,84 @@
+// grantBlockchainRoles.js
+//
+// Grants the on-chain roles of ProductManagement. Must run with the PRIVATE_KEY of an admin
+// (the account that deployed the contract).
+//
+//   node grantBlockchainRoles.js                   Grant every user with a linked Ethereum address the
+//                                                  role matching their user type, and grant the platform
+//                                                  account the roles it needs to sign dashboard transactions
+//   node grantBlockchainRoles.js <ROLE> <address>  Grant a single role, e.g. INSPECTOR_ROLE or ADMIN_ROLE
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('./models/user.js');
+const Web3Service = require('./services/Web3Service');
+
+// Roles used by the backend routes that sign transactions with the platform account
+const PLATFORM_ROLES = ['FARMER_ROLE', 'DISTRIBUTOR_ROLE', 'RETAILER_ROLE'];
+
+async function grantRole(roleName, address) {
+  if (await Web3Service.hasRoleOnBlockchain(roleName, address)) {
+    console.log(`${address} already has ${roleName}`);
+    return;
+  }
+  const result = await Web3Service.grantRoleOnBlockchain(roleName, address);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  console.log(`Granted ${roleName} to ${address} (tx ${result.txHash})`);
+}
+
+async function grantUserRoles() {
+  // Admins of the console get no role here: ADMIN_ROLE is only granted explicitly
+  const users = await User.find({ ethereumAddress: { $exists: true, $ne: null }, userType: { $ne: 'admin' } });
+  console.log(`Found ${users.length} users with an Ethereum address`);
+
+  let failed = 0;
+  for (const user of users) {
+    const result = await Web3Service.syncUserRoleOnBlockchain(user.userType, user.ethereumAddress);
+    if (result.success) {
+      console.log(`${user.username} (${user.ethereumAddress}) has ${result.role}`);
+    } else {
+      failed++;
+      console.error(`Failed to grant role to ${user.username}: ${result.error}`);
+    }
+  }
+
+  const platformAddress = Web3Service.getPlatformAddress();
+  for (const roleName of PLATFORM_ROLES) {
+    await grantRole(roleName, platformAddress);
+  }
+
+  console.log(`Done. ${users.length - failed} users synced, ${failed} failed.`);
+}
+
+async function main() {
+  const [roleName, address] = process.argv.slice(2);
+
+  if (roleName) {
+    if (!address) {
+      throw new Error('Usage: node grantBlockchainRoles.js <ROLE> <address>');
+    }
+    await grantRole(roleName, address);
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+  console.log('Connected to MongoDB');
+  try {
+    await grantUserRoles();
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error granting blockchain roles:', error.message || error);
+    process.exit(1);
+  });
@@ -0,0 +1,9 @@
+// Hardhat is used by the tests for its in-process network; the contract is
+// compiled from ethereum/contracts by test/support/contract.js
+module.exports = {
+  solidity: '0.8.26',
+  paths: {
+    sources: '../ethereum/contracts',
+    tests: './test'
+  }
+};
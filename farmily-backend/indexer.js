@@ -0,0 +1,51 @@
+// indexer.js
+// Entry point for the blockchain event indexer that keeps MongoDB in sync with ProductManagement
+
+const mongoose = require('mongoose');
+const Web3 = require('web3');
+require('dotenv').config();
+
+const connectDB = require('./utils/db');
+const contractABI = require('./config/contractABI.json');
+const BlockchainIndexer = require('./services/BlockchainIndexer');
+const logger = require('./utils/logger');
+
+// Use a WebSocket provider when the RPC URL is a ws:// or wss:// URL
+const rpcUrl = process.env.INDEXER_RPC_URL || 'http://localhost:8545';
+const provider = /^wss?:\/\//.test(rpcUrl)
+  ? new Web3.providers.WebsocketProvider(rpcUrl, { reconnect: { auto: true } })
+  : new Web3.providers.HttpProvider(rpcUrl);
+const web3 = new Web3(provider);
+const contract = new web3.eth.Contract(contractABI, process.env.CONTRACT_ADDRESS);
+
+const indexer = new BlockchainIndexer({
+  web3,
+  contract,
+  startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0'),
+  confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '0'),
+  batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '1000'),
+  pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '5000'),
+  reorgDepth: parseInt(process.env.INDEXER_REORG_DEPTH || '50')
+});
+
+// Stop polling and close connections on shutdown
+const shutdown = async () => {
+  indexer.stop();
+  if (provider.disconnect) {
+    provider.disconnect();
+  }
+  await mongoose.connection.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+connectDB()
+  .then(() => {
+    logger.info(`Indexing contract ${process.env.CONTRACT_ADDRESS} via ${rpcUrl}`);
+    return indexer.start();
+  })
+  .catch(error => {
+    logger.error(`Blockchain indexer failed to start: ${error.message}`);
+    process.exit(1);
+  });
@@ -1,10 +1,11 @@
 // auth.js
 
 const jwt = require('jsonwebtoken');
+const SessionService = require('../services/SessionService');
 require('dotenv').config();
 
 // Middleware to authenticate the JWT token
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization'); // Get Authorization header
     if (!authHeader) {
@@ -17,14 +18,23 @@ const auth = (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET); // Verify token
-    req.user = { id: decoded.userId, userType: decoded.userType }; // Set user info in req object
+
+    // Reject the tokens of sessions that were logged out or revoked
+    if (!await SessionService.isSessionActive(decoded.sid)) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    req.user = { id: decoded.userId, userType: decoded.userType, sessionId: decoded.sid }; // Set user info in req object
     next(); // Continue to the next middleware or route handler
   } catch (error) {
     console.error('Authentication error:', error);
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ message: 'Token expired' }); // Handle token expiration
     }
-    res.status(401).json({ message: 'Token is not valid' }); // Handle invalid token
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ message: 'Token is not valid' }); // Handle invalid token
+    }
+    res.status(500).json({ message: 'Authentication failed' });
   }
 };
 
@@ -0,0 +1,71 @@
+// organization.js
+
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const OrganizationService = require('../services/OrganizationService');
+
+// Middleware loading the organization the authenticated user is a staff member of into
+// req.organization ({ id, name, role, ethereumAddress }), or null when they work on their own.
+// Use after auth.
+const loadOrganization = async (req, res, next) => {
+  try {
+    const membership = await OrganizationService.getMembership(req.user.id);
+    req.organization = membership ? {
+      id: membership.organization._id,
+      name: membership.organization.name,
+      role: membership.role,
+      ethereumAddress: membership.organization.ethereumAddress
+    } : null;
+    next();
+  } catch (error) {
+    console.error('Organization loading error:', error);
+    res.status(500).json({ message: 'Failed to load your organization' });
+  }
+};
+
+// Middleware factory allowing an action only to staff members with at least the given role.
+// Users outside an organization act for themselves and are let through. Use after loadOrganization.
+const requireOrganizationRole = (minRole) => (req, res, next) => {
+  if (req.organization && !OrganizationService.hasRoleAtLeast(req.organization.role, minRole)) {
+    return res.status(403).json({ message: `Access denied. Your role in ${req.organization.name} does not allow this action.` });
+  }
+  next();
+};
+
+// Query conditions matching the products held by the user or their organization
+const ownedBy = (req) => req.organization
+  ? { $or: [{ currentOwner: req.user.id }, { organization: req.organization.id }] }
+  : { currentOwner: req.user.id };
+
+// Query conditions matching the transfers sent by the user or their organization
+const sentBy = (req) => req.organization
+  ? { $or: [{ fromUser: req.user.id }, { fromOrganization: req.organization.id }] }
+  : { fromUser: req.user.id };
+
+// Query conditions matching the transfers sent to the user or their organization
+const receivedBy = (req) => req.organization
+  ? { $or: [{ toUser: req.user.id }, { toOrganization: req.organization.id }] }
+  : { toUser: req.user.id };
+
+// Find a product the user may follow: they or their organization hold it, produced it,
+// or sent or received it. Admins see every product. Use after loadOrganization.
+async function findVisibleProduct(req, productId) {
+  const product = await Product.findById(productId);
+  if (!product || req.user.userType === 'admin') {
+    return product;
+  }
+  if (await Product.exists({ _id: product._id, $or: [ownedBy(req), { originalOwner: req.user.id }] })) {
+    return product;
+  }
+  const handled = await Transfer.exists({ product: product._id, $or: [sentBy(req), receivedBy(req)] });
+  return handled ? product : null;
+}
+
+module.exports = {
+  loadOrganization,
+  requireOrganizationRole,
+  ownedBy,
+  sentBy,
+  receivedBy,
+  findVisibleProduct
+};
@@ -0,0 +1,21 @@
+// requireTwoFactor.js
+
+const TwoFactorService = require('../services/TwoFactorService');
+
+// Middleware requiring step-up verification for sensitive actions: users with two-factor
+// authentication send a code from their authenticator app in the X-Two-Factor-Code header,
+// unless they entered one in this session in the last minutes. Use after auth.
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    await TwoFactorService.verifyStepUp(req.user, req.header('X-Two-Factor-Code'));
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, twoFactorRequired: Boolean(error.twoFactorRequired) });
+    }
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({ message: 'Two-factor verification failed' });
+  }
+};
+
+module.exports = requireTwoFactor;
@@ -0,0 +1,62 @@
+// migrations/restoreSplitBatchNumbers.js
+//
+// Products split off a batch by a partial transfer used to get the batch number
+// "<batch>-<first 8 hex digits of their blockchain ID>", while the contract keeps
+// the batch number of the batch. This drops the unique index on batchNumber and
+// gives the splits the batch number recorded on the blockchain back.
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+async function migrateProducts() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const productsCollection = db.collection('products');
+
+    const indexes = await productsCollection.indexes();
+    const uniqueIndex = indexes.find(index => index.unique && index.key.batchNumber === 1 && Object.keys(index.key).length === 1);
+    if (uniqueIndex) {
+      await productsCollection.dropIndex(uniqueIndex.name);
+      console.log(`Dropped index ${uniqueIndex.name}`);
+    }
+
+    // Oldest first, so that a split of a split finds the batch number of its parent restored
+    const splits = await productsCollection
+      .find({ 'parents.0': { $exists: true }, 'parents.1': { $exists: false }, blockchainId: { $type: 'string' } })
+      .sort({ createdAt: 1 })
+      .toArray();
+    console.log(`Found ${splits.length} products with a single parent`);
+
+    const batchNumbers = new Map();
+    for (const product of splits) {
+      const parent = await productsCollection.findOne({ _id: product.parents[0] }, { projection: { batchNumber: 1 } });
+      if (!parent) {
+        continue;
+      }
+      const parentBatchNumber = batchNumbers.get(parent._id.toString()) || parent.batchNumber;
+      if (!product.batchNumber.endsWith(`-${product.blockchainId.slice(2, 10)}`)) {
+        continue;
+      }
+
+      await productsCollection.updateOne({ _id: product._id }, { $set: { batchNumber: parentBatchNumber } });
+      batchNumbers.set(product._id.toString(), parentBatchNumber);
+      console.log(`Updated product ${product._id}: ${product.batchNumber} -> ${parentBatchNumber}`);
+    }
+
+    console.log('Migration completed successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateProducts();
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * What an account token can be used for
+ */
+const TOKEN_PURPOSES = ['email_verification', 'password_reset'];
+
+/**
+ * AccountToken schema definition
+ *
+ * Represents a token sent to a user by email, to verify their email address or
+ * to reset their password. Only the hash of the token is stored. A token can be
+ * used once, and expired tokens are deleted by MongoDB.
+ */
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'User the token was sent to'
+  },
+  purpose: {
+    type: String,
+    enum: TOKEN_PURPOSES,
+    required: true,
+    comment: 'What the token can be used for'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'SHA-256 hash of the token'
+  },
+  email: {
+    type: String,
+    required: true,
+    comment: 'Email address the token was sent to'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    comment: 'Date the token can no longer be used'
+  },
+  usedAt: {
+    type: Date,
+    comment: 'Date the token was used'
+  }
+}, {
+  timestamps: true
+});
+
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+accountTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+
+/**
+ * Method to check whether the token can still be used
+ * @returns {Boolean}
+ */
+accountTokenSchema.methods.isUsable = function() {
+  return !this.usedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
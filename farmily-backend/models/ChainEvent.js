@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * ChainEvent schema definition
+ *
+ * Records every contract event applied by the blockchain indexer. The
+ * (transactionHash, logIndex) pair identifies an event uniquely, which lets the
+ * indexer skip events it has already applied when it replays blocks.
+ */
+const chainEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+    comment: 'Name of the contract event (e.g., "TransferAccepted")'
+  },
+  transactionHash: {
+    type: String,
+    required: true,
+    lowercase: true,
+    comment: 'Hash of the transaction that emitted the event'
+  },
+  logIndex: {
+    type: Number,
+    required: true,
+    comment: 'Position of the log within its block'
+  },
+  blockNumber: {
+    type: Number,
+    required: true,
+    comment: 'Number of the block containing the event'
+  },
+  blockHash: {
+    type: String,
+    required: true,
+    comment: 'Hash of the block containing the event'
+  },
+  productId: {
+    type: String,
+    comment: 'Blockchain ID of the product the event refers to'
+  },
+  returnValues: {
+    type: mongoose.Schema.Types.Mixed,
+    comment: 'Decoded event arguments'
+  },
+  removed: {
+    type: Boolean,
+    default: false,
+    comment: 'Whether the event was orphaned by a chain reorganisation'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for idempotent upserts and reorg rollbacks
+chainEventSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ blockNumber: 1, removed: 1 });
+
+/**
+ * Static method to check whether an event has already been applied
+ * @param {Object} event - The web3 event object
+ * @returns {Promise<Boolean>} - Whether a non-removed record exists for the event
+ */
+chainEventSchema.statics.isApplied = async function(event) {
+  const existing = await this.findOne({
+    transactionHash: event.transactionHash.toLowerCase(),
+    logIndex: event.logIndex
+  });
+  return Boolean(existing && !existing.removed && existing.blockHash === event.blockHash);
+};
+
+/**
+ * Static method to record an applied event
+ * @param {Object} event - The web3 event object
+ * @returns {Promise} - Promise resolving to the stored record
+ */
+chainEventSchema.statics.recordApplied = function(event) {
+  return this.findOneAndUpdate(
+    { transactionHash: event.transactionHash.toLowerCase(), logIndex: event.logIndex },
+    {
+      event: event.event,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      productId: event.returnValues.productId,
+      returnValues: event.returnValues,
+      removed: false
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Static method to mark every event above a block number as removed
+ * @param {Number} blockNumber - Last block number that is still canonical
+ * @returns {Promise<Array>} - Promise resolving to the orphaned event records
+ */
+chainEventSchema.statics.markRemovedAfter = async function(blockNumber) {
+  const orphaned = await this.find({ blockNumber: { $gt: blockNumber }, removed: false });
+  if (orphaned.length > 0) {
+    await this.updateMany({ _id: { $in: orphaned.map(e => e._id) } }, { removed: true });
+  }
+  return orphaned;
+};
+
+module.exports = mongoose.model('ChainEvent', chainEventSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cold chain excursion schema definition
+ *
+ * A period during which the readings of a product were outside the range of its
+ * storage condition for one parameter. The excursion starts with the first
+ * reading out of range and ends with the next reading back in range; it has no
+ * end date while it is still going on.
+ */
+const coldChainExcursionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    comment: 'Product whose readings were out of range'
+  },
+  parameter: {
+    type: String,
+    enum: ['temperature', 'humidity'],
+    required: true,
+    comment: 'Parameter that was out of range'
+  },
+  direction: {
+    type: String,
+    enum: ['above', 'below'],
+    required: true,
+    comment: 'Whether the readings were above the maximum or below the minimum'
+  },
+  limit: {
+    type: Number,
+    required: true,
+    comment: 'The maximum or minimum that was crossed'
+  },
+  storageConditions: {
+    type: String,
+    required: true,
+    comment: 'Storage condition of the product when the excursion started'
+  },
+  device: {
+    type: String,
+    comment: 'Sensor that sent the first reading out of range'
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    comment: 'Shipment whose sensor sent the first reading out of range, if any'
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+    comment: 'Time of the first reading out of range'
+  },
+  lastReadingAt: {
+    type: Date,
+    required: true,
+    comment: 'Time of the last reading taken into account'
+  },
+  endedAt: {
+    type: Date,
+    comment: 'Time of the first reading back in range, unset while the excursion goes on'
+  },
+  peakValue: {
+    type: Number,
+    required: true,
+    comment: 'Value furthest from the limit during the excursion'
+  },
+  readingCount: {
+    type: Number,
+    default: 1,
+    comment: 'Number of readings out of range'
+  }
+}, {
+  timestamps: true
+});
+
+coldChainExcursionSchema.index({ product: 1, parameter: 1, endedAt: 1 });
+coldChainExcursionSchema.index({ product: 1, startedAt: -1 });
+coldChainExcursionSchema.index({ shipment: 1, startedAt: -1 });
+
+/**
+ * Method to get how long the excursion lasted, or has lasted so far
+ * @returns {Number} - The duration in seconds
+ */
+coldChainExcursionSchema.methods.getDurationSeconds = function() {
+  return Math.round(((this.endedAt || this.lastReadingAt) - this.startedAt) / 1000);
+};
+
+module.exports = mongoose.model('ColdChainExcursion', coldChainExcursionSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * What a dispute can be about
+ */
+const DISPUTE_REASONS = ['not_delivered', 'quantity_mismatch', 'quality_issue', 'damaged', 'payment', 'other'];
+
+/**
+ * Dispute schema definition
+ *
+ * Represents a disagreement between the seller and the buyer of a transfer,
+ * opened by either of them and reviewed by an admin, who resolves or rejects
+ * it. A transfer has at most one open dispute at a time.
+ */
+const disputeSchema = new mongoose.Schema({
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transfer',
+    required: true,
+    comment: 'Disputed transfer'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    comment: 'Transferred product'
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Party of the transfer who opened the dispute'
+  },
+  against: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'The other party of the transfer'
+  },
+  reason: {
+    type: String,
+    enum: DISPUTE_REASONS,
+    required: true,
+    comment: 'What the dispute is about'
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Account of the problem by the party who opened the dispute'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'rejected'],
+    default: 'open',
+    comment: 'Open until an admin resolves the dispute or rejects it'
+  },
+  resolution: {
+    type: String,
+    trim: true,
+    comment: 'Decision of the admin'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'Admin who closed the dispute'
+  },
+  resolvedAt: {
+    type: Date,
+    comment: 'Date the dispute was closed'
+  }
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ openedBy: 1 });
+disputeSchema.index({ against: 1 });
+// At most one open dispute per transfer
+disputeSchema.index({ transfer: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
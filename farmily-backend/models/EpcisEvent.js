@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * EpcisEvent schema definition
+ *
+ * Records every EPCIS event imported from a partner system, keyed by its event
+ * ID, so capturing the same document twice does not create the same product,
+ * quality check or transaction twice.
+ */
+const epcisEventSchema = new mongoose.Schema({
+  eventID: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'EPCIS event ID, or a hash of the event when the partner system gave none'
+  },
+  eventType: {
+    type: String,
+    required: true,
+    comment: 'EPCIS event type (e.g., "ObjectEvent", "TransactionEvent")'
+  },
+  bizStep: {
+    type: String,
+    comment: 'Business step of the event (e.g., "commissioning", "shipping")'
+  },
+  eventTime: {
+    type: Date,
+    comment: 'Time the event took place'
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'User who captured the event'
+  },
+  recordType: {
+    type: String,
+    enum: ['Product', 'QualityCheck', 'Transaction', 'Lineage'],
+    required: true,
+    comment: 'Kind of record the event was imported as'
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    comment: 'ID of the created record (for lineage events, the child product)'
+  },
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    comment: 'The event as captured'
+  }
+}, {
+  timestamps: true
+});
+
+epcisEventSchema.index({ importedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EpcisEvent', epcisEventSchema);
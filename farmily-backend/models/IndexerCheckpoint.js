@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * IndexerCheckpoint schema definition
+ *
+ * Persists the block cursor of a blockchain indexer so it can resume from the
+ * last processed block after a restart, together with the hashes of recently
+ * processed blocks, which are used to detect chain reorganisations.
+ */
+const indexerCheckpointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'Name of the indexer owning this checkpoint'
+  },
+  contractAddress: {
+    type: String,
+    lowercase: true,
+    comment: 'Address of the contract being indexed'
+  },
+  lastProcessedBlock: {
+    type: Number,
+    required: true,
+    default: -1,
+    comment: 'Number of the last block whose events have been applied'
+  },
+  recentBlocks: [{
+    _id: false,
+    number: {
+      type: Number,
+      required: true,
+      comment: 'Block number'
+    },
+    hash: {
+      type: String,
+      required: true,
+      comment: 'Block hash seen when the block was processed'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+/**
+ * Method to remember the hash of a processed block, keeping only the most recent ones
+ * @param {Number} number - Block number
+ * @param {String} hash - Block hash
+ * @param {Number} maxBlocks - How many recent blocks to keep
+ */
+indexerCheckpointSchema.methods.rememberBlock = function(number, hash, maxBlocks) {
+  const existing = this.recentBlocks.find(block => block.number === number);
+  if (existing) {
+    existing.hash = hash;
+  } else {
+    this.recentBlocks.push({ number, hash });
+  }
+  this.recentBlocks.sort((a, b) => a.number - b.number);
+  if (this.recentBlocks.length > maxBlocks) {
+    this.recentBlocks.splice(0, this.recentBlocks.length - maxBlocks);
+  }
+};
+
+/**
+ * Method to forget every remembered block above the given block number
+ * @param {Number} blockNumber - Last block number to keep
+ */
+indexerCheckpointSchema.methods.forgetBlocksAfter = function(blockNumber) {
+  this.recentBlocks = this.recentBlocks.filter(block => block.number <= blockNumber);
+};
+
+module.exports = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
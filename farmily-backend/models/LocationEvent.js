@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Location event schema definition
+ *
+ * A position of a product as it moves along the supply chain, sent by a GPS
+ * tracker travelling with it, recorded when its shipment is checked in at a hub,
+ * or entered by the member holding it. The events of a product, in time order,
+ * make its geolocation trail.
+ */
+const locationEventSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    comment: 'Product that was at this location'
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90,
+    comment: 'Latitude in decimal degrees'
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180,
+    comment: 'Longitude in decimal degrees'
+  },
+  placeName: {
+    type: String,
+    trim: true,
+    comment: 'Name of the place, e.g. a hub, a port or a city'
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+    comment: 'Time the product was at this location'
+  },
+  source: {
+    type: String,
+    enum: ['device', 'shipment', 'manual'],
+    required: true,
+    comment: 'How the location was recorded: by a tracker, at a shipment check-in, or by hand'
+  },
+  device: {
+    type: String,
+    trim: true,
+    comment: 'Identifier of the tracker, for the locations it sent'
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    comment: 'Shipment checked in at this location'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'User who recorded the location, for the locations not sent by a tracker'
+  }
+}, {
+  timestamps: true
+});
+
+locationEventSchema.index({ product: 1, recordedAt: 1 });
+// A tracker resending a location it already sent does not add it twice
+locationEventSchema.index(
+  { product: 1, device: 1, recordedAt: 1 },
+  { unique: true, partialFilterExpression: { device: { $exists: true } } }
+);
+
+module.exports = mongoose.model('LocationEvent', locationEventSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Why a login attempt failed
+ */
+const FAILURE_REASONS = ['unknown_user', 'invalid_password', 'invalid_two_factor_code', 'account_locked', 'ip_locked'];
+
+// Login history is kept for this many days
+const LOGIN_HISTORY_TTL_DAYS = parseInt(process.env.LOGIN_HISTORY_TTL_DAYS) || 90;
+
+/**
+ * LoginAttempt schema definition
+ *
+ * Represents one login attempt, successful or not, forming the login history
+ * shown to users. Attempts on unknown usernames have no user and only count
+ * towards the lockout of the IP address.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'User whose account was tried, if the username exists'
+  },
+  username: {
+    type: String,
+    required: true,
+    comment: 'Username entered, or of the user logging in with a wallet'
+  },
+  method: {
+    type: String,
+    enum: ['password', 'wallet'],
+    default: 'password',
+    comment: 'How the user authenticated'
+  },
+  success: {
+    type: Boolean,
+    required: true,
+    comment: 'Whether the login succeeded'
+  },
+  failureReason: {
+    type: String,
+    enum: FAILURE_REASONS,
+    comment: 'Why the login failed'
+  },
+  ipAddress: {
+    type: String,
+    comment: 'IP address the attempt came from'
+  },
+  userAgent: {
+    type: String,
+    comment: 'User agent of the device'
+  },
+  deviceHash: {
+    type: String,
+    comment: 'Hash identifying the device, from its user agent'
+  },
+  newDevice: {
+    type: Boolean,
+    default: false,
+    comment: 'Whether this successful login was the first from the device'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: LOGIN_HISTORY_TTL_DAYS * 24 * 60 * 60,
+    comment: 'Date of the attempt'
+  }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, deviceHash: 1, success: 1 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
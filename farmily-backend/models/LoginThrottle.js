@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * LoginThrottle schema definition
+ *
+ * Counts the recent failed logins of an account or of an IP address, and when
+ * it is locked out after too many of them. The key is "account:<userId>" or
+ * "ip:<address>". The count is forgotten a while after the last failure.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'What is throttled: "account:<userId>" or "ip:<address>"'
+  },
+  failedCount: {
+    type: Number,
+    default: 0,
+    comment: 'Failed logins since the last successful one'
+  },
+  lastFailedAt: {
+    type: Date,
+    comment: 'Date of the last failed login'
+  },
+  lockedUntil: {
+    type: Date,
+    comment: 'Date until which logins are refused'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    comment: 'Date the failures are forgotten'
+  }
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Method to check whether logins are refused
+ * @returns {Boolean}
+ */
+loginThrottleSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil) && this.lockedUntil > new Date();
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * Roles of the staff members of an organization, from the most to the least powerful:
+ * owners manage everything, managers also manage the staff, operators handle
+ * products and transfers, and viewers can only look
+ */
+const ORGANIZATION_ROLES = ['owner', 'manager', 'operator', 'viewer'];
+
+/**
+ * Organization schema definition
+ *
+ * Represents a company of the supply chain (a farm, a distributor or a retailer)
+ * whose staff members share its products and its Ethereum address. Products held
+ * by a staff member belong to their organization, and a user is a staff member
+ * of at most one organization.
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Name of the company'
+  },
+  userType: {
+    type: String,
+    enum: ['farmer', 'distributor', 'retailer'],
+    required: true,
+    comment: 'Role of the organization in the supply chain, shared by its staff members'
+  },
+  ethereumAddress: {
+    type: String,
+    unique: true,
+    sparse: true,
+    comment: 'Ethereum address of the organization, linked with a signed proof by an owner'
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      comment: 'Staff member'
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      required: true,
+      comment: 'Role of the staff member'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      comment: 'Staff member who invited them, unset for the creator'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+      comment: 'Date the staff member joined'
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'User who created the organization'
+  }
+}, {
+  timestamps: true
+});
+
+// A user is a staff member of at most one organization
+organizationSchema.index({ 'members.user': 1 }, { unique: true });
+
+/**
+ * Method to get the membership of a user
+ * @param {ObjectId|String} userId - The user ID
+ * @returns {Object|undefined} The member entry
+ */
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user.equals(userId));
+};
+
+/**
+ * Method to check whether a user has a role or a more powerful one
+ * @param {ObjectId|String} userId - The user ID
+ * @param {String} minRole - The least powerful role accepted
+ * @returns {Boolean}
+ */
+organizationSchema.methods.hasRole = function(userId, minRole) {
+  const member = this.getMember(userId);
+  return Boolean(member) && ORGANIZATION_ROLES.indexOf(member.role) <= ORGANIZATION_ROLES.indexOf(minRole);
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * OrganizationActivity schema definition
+ *
+ * Represents an action taken by a staff member on behalf of their organization,
+ * such as registering a product or initiating a transfer, so the organization
+ * knows which staff member did what.
+ */
+const organizationActivitySchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    comment: 'Organization the action was taken for'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Staff member who took the action'
+  },
+  role: {
+    type: String,
+    comment: 'Role of the staff member when they took the action'
+  },
+  action: {
+    type: String,
+    required: true,
+    comment: 'What was done (e.g., "product.register", "transfer.initiate")'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    comment: 'Product concerned, if any'
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transfer',
+    comment: 'Transfer concerned, if any'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    comment: 'Details of the action'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+organizationActivitySchema.index({ organization: 1, createdAt: -1 });
+organizationActivitySchema.index({ product: 1 });
+
+module.exports = mongoose.model('OrganizationActivity', organizationActivitySchema);
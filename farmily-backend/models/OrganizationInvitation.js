@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * OrganizationInvitation schema definition
+ *
+ * Represents the invitation of a staff member to an organization, emailed as a
+ * link carrying a token. Only the hash of the token is stored; the invitation
+ * is accepted by the user registered with the invited email address, once, and
+ * expired invitations are deleted by MongoDB.
+ */
+const organizationInvitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    comment: 'Organization the staff member is invited to'
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    comment: 'Email address the invitation was sent to'
+  },
+  role: {
+    type: String,
+    enum: ['manager', 'operator', 'viewer'],
+    required: true,
+    comment: 'Role given to the staff member'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'SHA-256 hash of the token'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Staff member who sent the invitation'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    comment: 'Date the invitation can no longer be accepted'
+  },
+  acceptedAt: {
+    type: Date,
+    comment: 'Date the invitation was accepted'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'User who accepted the invitation'
+  }
+}, {
+  timestamps: true
+});
+
+organizationInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+organizationInvitationSchema.index({ organization: 1, acceptedAt: 1 });
+
+module.exports = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Partner document schema definition
+ *
+ * Supporting document uploaded with a partner profile, such as a company
+ * registration extract or a copy of a license. The content is kept apart from
+ * the profile so that profiles can be listed without loading the files.
+ */
+const partnerDocumentSchema = new mongoose.Schema({
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PartnerProfile',
+    required: true,
+    index: true,
+    comment: 'Profile the document supports'
+  },
+  kind: {
+    type: String,
+    enum: ['registration', 'license', 'identity', 'other'],
+    required: true,
+    comment: 'What the document proves'
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Name of the uploaded file'
+  },
+  mimeType: {
+    type: String,
+    enum: ['application/pdf', 'image/png', 'image/jpeg'],
+    required: true,
+    comment: 'Media type of the file'
+  },
+  size: {
+    type: Number,
+    required: true,
+    comment: 'Size of the file in bytes'
+  },
+  sha256: {
+    type: String,
+    required: true,
+    comment: 'SHA-256 hash of the content, to tell the reviewed file apart from a replaced one'
+  },
+  content: {
+    type: Buffer,
+    required: true,
+    select: false,
+    comment: 'Content of the file'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'User who uploaded the document'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+module.exports = mongoose.model('PartnerDocument', partnerDocumentSchema);
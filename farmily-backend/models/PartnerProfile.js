@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Partner profile schema definition
+ *
+ * Business profile of a distributor or a retailer, checked by an admin before
+ * they are shown as a verified partner. A profile goes from 'draft' to
+ * 'submitted' when the partner asks for the review, then to 'verified' or
+ * 'rejected'. Editing a submitted or verified profile puts it back in draft,
+ * as the admin checked the previous data.
+ */
+const partnerProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+    comment: 'Distributor or retailer the profile belongs to'
+  },
+  legalName: {
+    type: String,
+    trim: true,
+    comment: 'Registered name of the business'
+  },
+  registrationNumber: {
+    type: String,
+    trim: true,
+    comment: 'Company registration number (e.g., SIREN, Companies House or EIN)'
+  },
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true }
+  },
+  licenses: [{
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'Kind of license (e.g., food business, cold chain transport)'
+    },
+    number: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'License number'
+    },
+    issuedBy: {
+      type: String,
+      trim: true,
+      comment: 'Authority that issued the license'
+    },
+    expiresAt: {
+      type: Date,
+      comment: 'Expiry date, unset for licenses that do not expire'
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'verified', 'rejected'],
+    default: 'draft',
+    comment: 'Step of the verification workflow'
+  },
+  submittedAt: {
+    type: Date,
+    comment: 'Date the profile was last submitted for review'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'Admin who verified or rejected the profile'
+  },
+  reviewedAt: {
+    type: Date,
+    comment: 'Date of the last review'
+  },
+  reviewNotes: {
+    type: String,
+    comment: 'Notes of the admin, e.g., why the profile was rejected'
+  }
+}, {
+  timestamps: true
+});
+
+partnerProfileSchema.index({ status: 1, submittedAt: 1 });
+
+/**
+ * Method to check whether the profile makes its owner a verified partner: it
+ * was verified by an admin and none of its licenses has expired since
+ * @param {Date} [at=new Date()] - The date to check
+ * @returns {Boolean}
+ */
+partnerProfileSchema.methods.isVerifiedPartner = function(at = new Date()) {
+  return this.status === 'verified' && this.licenses.every(license => !license.expiresAt || license.expiresAt > at);
+};
+
+module.exports = mongoose.model('PartnerProfile', partnerProfileSchema);
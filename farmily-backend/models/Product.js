@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const qrCode = require('../utils/qrCode');
+const gs1 = require('../utils/gs1');
+const Organization = require('./Organization');
 
 /**
  * Product schema definition
@@ -28,9 +31,18 @@ const productSchema = new mongoose.Schema({
   batchNumber: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
-    comment: 'Unique identifier for the batch'
+    comment: 'Identifier of the batch, shared with the products split off it by partial transfers'
+  },
+  gtin: {
+    type: String,
+    trim: true,
+    set: v => (v && gs1.isValidGtin(v) ? gs1.toGtin14(v) : v),
+    validate: {
+      validator: v => !v || gs1.isValidGtin(v),
+      message: 'Invalid GTIN'
+    },
+    comment: 'GS1 Global Trade Item Number of the product, as 14 digits, used in its GS1 Digital Link label'
   },
   certifications: { 
     type: [String], 
@@ -59,6 +71,11 @@ const productSchema = new mongoose.Schema({
     required: true,
     comment: 'Current owner of the product (reference to User model)'
   },
+  organization: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    comment: 'Organization of the current owner, which owns the product; kept in sync with currentOwner'
+  },
   originalOwner: {
     type: Schema.Types.ObjectId,
     ref: 'User',
@@ -167,6 +184,23 @@ const productSchema = new mongoose.Schema({
     ref: 'QualityCheck',
     comment: 'Array of references to QualityCheck documents'
   }],
+
+  // Lineage of the product, mirroring the parent and child products recorded by the smart contract
+  parents: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    comment: 'Products this product was split off (partial transfer) or merged from (processed lot)'
+  }],
+  children: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    comment: 'Products split off or merged from this product'
+  }],
+  recall: {
+    type: Schema.Types.ObjectId,
+    ref: 'Recall',
+    comment: 'Recall covering the product, which blocks any further transfer (reference to Recall model)'
+  },
   
   // New ownershipHistory field to store the previous owners and timestamps
   ownershipHistory: [{
@@ -190,6 +224,8 @@ const productSchema = new mongoose.Schema({
 
 // Indexes for querying efficiency
 productSchema.index({ batchNumber: 1, currentOwner: 1, status: 1 });
+productSchema.index({ gtin: 1 }, { sparse: true });
+productSchema.index({ organization: 1 }, { sparse: true });
 
 /**
  * Pre-save hook to ensure price is always stored with 18 decimal places
@@ -205,6 +241,17 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Pre-save hook giving the product to the organization of its owner: products
+ * held by a staff member belong to their organization
+ */
+productSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('currentOwner')) {
+    const organization = await Organization.findOne({ 'members.user': this.currentOwner }).select('_id');
+    this.organization = organization ? organization._id : undefined;
+  }
+});
+
 /**
  * Virtual for formatted price display (if you need to show fewer decimals)
  */
@@ -278,29 +325,48 @@ productSchema.methods.updateBlockchainInfo = function(blockchainId, txHash) {
   return this.save();
 };
 
+/**
+ * Method to get the GS1 Digital Link identifiers of the product
+ * @returns {Object|null} { gtin, lot }, or null if the product has no GTIN
+ */
+productSchema.methods.getDigitalLink = function() {
+  return this.gtin ? { gtin: this.gtin, lot: this.batchNumber } : null;
+};
+
 /**
  * Method to generate QR code data
- * This method creates a JSON string containing essential product information
+ * This method creates the label URL of the product, signed with the platform key
+ * once the product is registered on the blockchain (see utils/qrCode.js)
  */
 productSchema.methods.generateQRCodeData = function() {
-  const qrData = {
-    productId: this._id,
-    type: this.type,
-    batchNumber: this.batchNumber,
-    origin: this.origin,
-    productionDate: this.productionDate,
-    status: this.status,
-    originalOwner: this.originalOwner,
-    currentOwner: this.currentOwner,
-    distributor: this.distributor,
-    retailer: this.retailer
-  };
-  this.qrCodeData = JSON.stringify(qrData);
+  const signature = this.blockchainId ? qrCode.signWithPlatformKey(this._id.toString(), this.blockchainId) : null;
+  this.qrCodeData = qrCode.encodeQRPayload(this._id, this.blockchainId, signature, this.getDigitalLink());
+};
+
+/**
+ * Method to store QR code data signed with the key of the farmer who registered the product
+ * @param {String} signature - Signature of the label message (see qrCode.getSigningMessage)
+ */
+productSchema.methods.setSignedQRCodeData = function(signature) {
+  this.qrCodeData = qrCode.encodeQRPayload(this._id, this.blockchainId, signature, this.getDigitalLink());
+};
+
+/**
+ * Method to check whether the QR code data is a label for the current blockchain ID and GTIN
+ * @returns {Boolean}
+ */
+productSchema.methods.hasCurrentQRCodeData = function() {
+  const payload = qrCode.parseQRPayload(this.qrCodeData);
+  const digitalLink = this.getDigitalLink();
+  return Boolean(payload) && !payload.legacy && Boolean(payload.productId) &&
+    (payload.blockchainId || '') === (this.blockchainId || '').toLowerCase() &&
+    payload.gtin === (digitalLink ? digitalLink.gtin : null) &&
+    payload.lot === (digitalLink ? digitalLink.lot : null);
 };
 
-// Ensure QR code data is generated before saving
+// Ensure QR code data is generated before saving, and regenerated once the product gets its blockchain ID or GTIN
 productSchema.pre('save', function(next) {
-  if (this.isModified('status') || !this.qrCodeData) {
+  if (!this.hasCurrentQRCodeData()) {
     this.generateQRCodeData();
   }
   next();
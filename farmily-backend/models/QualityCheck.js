@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const Web3 = require('web3');
+
+/**
+ * Quality check results in the order of the QualityResult enum in the smart contract
+ */
+const BLOCKCHAIN_RESULTS = ['Pending', 'Passed', 'Failed'];
 
 /**
  * QualityCheck schema definition
@@ -47,6 +53,27 @@ const qualityCheckSchema = new mongoose.Schema({
   blockchainTxHash: { 
     type: String,
     comment: 'Blockchain transaction hash for this quality check'
+  },
+  parametersHash: {
+    type: String,
+    lowercase: true,
+    comment: 'keccak256 hash of the check data anchored on the blockchain'
+  },
+  checkerAddress: {
+    type: String,
+    lowercase: true,
+    comment: 'Ethereum address that anchored the check on the blockchain, recorded as its checker'
+  },
+  blockchainCheckIndex: {
+    type: Number,
+    min: 0,
+    comment: 'Index of the check in the product quality check list on the blockchain'
+  },
+  blockchainStatus: {
+    type: String,
+    enum: ['Pending', 'Recorded', 'Failed'],
+    default: 'Pending',
+    comment: 'Status of the quality check record on the blockchain'
   }
 }, { 
   timestamps: true 
@@ -54,12 +81,75 @@ const qualityCheckSchema = new mongoose.Schema({
 
 // Index for efficient querying
 qualityCheckSchema.index({ productId: 1, checkerId: 1, checkDate: -1 });
+qualityCheckSchema.index({ parametersHash: 1 });
 
 // Static method to find the latest quality check for a product
 qualityCheckSchema.statics.findLatestForProduct = function(productId) {
   return this.findOne({ productId: productId }).sort({ checkDate: -1 });
 };
 
+/**
+ * Method to compute the hash anchored on the blockchain for this check.
+ * The hash covers the product, result, notes, parameters and check date so any
+ * later edit of the stored document no longer matches the on-chain record.
+ * @returns {String} - The keccak256 hash as a 0x-prefixed hex string
+ */
+qualityCheckSchema.methods.computeParametersHash = function() {
+  const parameters = this.parameters || {};
+  const data = {
+    productId: this.productId.toString(),
+    status: this.status,
+    notes: this.notes || '',
+    temperature: parameters.temperature === undefined ? null : parameters.temperature,
+    humidity: parameters.humidity === undefined ? null : parameters.humidity,
+    checkDate: this.checkDate.toISOString()
+  };
+  return Web3.utils.keccak256(JSON.stringify(data));
+};
+
+/**
+ * Method to get the QualityResult enum value used by the smart contract
+ * @returns {Number} - The enum value
+ */
+qualityCheckSchema.methods.getBlockchainResult = function() {
+  return BLOCKCHAIN_RESULTS.indexOf(this.status);
+};
+
+/**
+ * Method to store the blockchain record of this check
+ * @param {String} txHash - Transaction hash of the recordQualityCheck call
+ * @param {Number} checkIndex - Index of the check on the blockchain
+ * @returns {Promise} - Promise resolving to the updated quality check
+ */
+qualityCheckSchema.methods.updateBlockchainInfo = function(txHash, checkIndex) {
+  this.blockchainTxHash = txHash;
+  this.blockchainCheckIndex = checkIndex;
+  this.blockchainStatus = 'Recorded';
+  return this.save();
+};
+
+/**
+ * Method to check whether an on-chain quality check record matches this check
+ * @param {Object} record - The record returned by the contract's getQualityChecks
+ * @returns {Boolean} - Whether the result and parameters hash both match
+ */
+qualityCheckSchema.methods.matchesBlockchainRecord = function(record) {
+  if (!record) {
+    return false;
+  }
+  return parseInt(record.result) === this.getBlockchainResult() &&
+    record.parametersHash.toLowerCase() === this.computeParametersHash().toLowerCase();
+};
+
+/**
+ * Static method to convert a QualityResult enum value to a status string
+ * @param {Number} result - The enum value
+ * @returns {String} - The status ('Pending', 'Passed' or 'Failed')
+ */
+qualityCheckSchema.statics.statusFromBlockchainResult = function(result) {
+  return BLOCKCHAIN_RESULTS[parseInt(result)];
+};
+
 // Method to update the product with the quality check result
 qualityCheckSchema.methods.updateProduct = async function() {
   const Product = mongoose.model('Product');
@@ -67,7 +157,9 @@ qualityCheckSchema.methods.updateProduct = async function() {
   if (product) {
     product.qualityCheckStatus = this.status;
     product.qualityCheckNotes = this.notes;
-    product.qualityChecks.push(this._id);
+    if (!product.qualityChecks.some(id => id.equals(this._id))) {
+      product.qualityChecks.push(this._id);
+    }
     await product.save();
   }
 };
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * Recall severities in the order of the RecallSeverity enum in the smart contract
+ */
+const RECALL_SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Recall schema definition
+ *
+ * Represents the recall of a batch. The recall covers the batch and every batch
+ * split off or merged from it further down the supply chain; the affected
+ * products cannot be transferred anymore.
+ */
+const recallSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    comment: 'Recalled batch'
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Batch number of the recalled batch'
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Reason of the recall (e.g., "Listeria contamination")'
+  },
+  severity: {
+    type: String,
+    enum: RECALL_SEVERITIES,
+    required: true,
+    comment: 'Severity of the recall'
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'User who opened the recall, unset for recalls issued on the blockchain by an admin'
+  },
+  affectedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    comment: 'The recalled batch and every batch split off or merged from it'
+  }],
+  blockchainTxHash: {
+    type: String,
+    comment: 'Blockchain transaction hash of the recall'
+  },
+  blockchainStatus: {
+    type: String,
+    enum: ['Pending', 'Recorded', 'Failed'],
+    default: 'Pending',
+    comment: 'Status of the recall record on the blockchain'
+  }
+}, {
+  timestamps: true
+});
+
+recallSchema.index({ product: 1 });
+recallSchema.index({ affectedProducts: 1 });
+recallSchema.index({ blockchainTxHash: 1 });
+
+/**
+ * Method to get the RecallSeverity enum value used by the smart contract
+ * @returns {Number} - The enum value
+ */
+recallSchema.methods.getBlockchainSeverity = function() {
+  return RECALL_SEVERITIES.indexOf(this.severity);
+};
+
+/**
+ * Static method to convert a RecallSeverity enum value to a severity string
+ * @param {Number} severity - The enum value
+ * @returns {String} - The severity ('low', 'medium' or 'high')
+ */
+recallSchema.statics.severityFromBlockchain = function(severity) {
+  return RECALL_SEVERITIES[parseInt(severity)];
+};
+
+/**
+ * Method to describe the recall to the holders of the affected products
+ * @returns {Object} - The recall warning
+ */
+recallSchema.methods.toWarning = function() {
+  return {
+    recallId: this._id,
+    batchNumber: this.batchNumber,
+    reason: this.reason,
+    severity: this.severity,
+    issuedAt: this.createdAt,
+    message: `Batch ${this.batchNumber} has been recalled (${this.severity} severity): ${this.reason}`
+  };
+};
+
+module.exports = mongoose.model('Recall', recallSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sensor anchor schema definition
+ *
+ * A batch of the sensor readings of a product taken during a time window, whose
+ * Merkle root is anchored on the blockchain. Readings received after their
+ * window was anchored are anchored in a further batch of the same window.
+ */
+const sensorAnchorSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    comment: 'Product the readings were taken for'
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+    comment: 'Start of the time window of the readings'
+  },
+  windowEnd: {
+    type: Date,
+    required: true,
+    comment: 'End of the time window of the readings, excluded'
+  },
+  readingCount: {
+    type: Number,
+    required: true,
+    min: 1,
+    comment: 'Number of readings in the batch, the leaves of the Merkle tree'
+  },
+  merkleRoot: {
+    type: String,
+    required: true,
+    lowercase: true,
+    comment: 'Root of the Merkle tree of the reading hashes'
+  },
+  blockchainTxHash: {
+    type: String,
+    comment: 'Blockchain transaction hash of the anchorSensorData call'
+  },
+  blockchainAnchorIndex: {
+    type: Number,
+    min: 0,
+    comment: 'Index of the batch in the product sensor anchor list on the blockchain'
+  },
+  blockchainStatus: {
+    type: String,
+    enum: ['Pending', 'Recorded', 'Failed'],
+    default: 'Pending',
+    comment: 'Status of the anchor on the blockchain'
+  },
+  blockchainError: {
+    type: String,
+    comment: 'Error of the last failed attempt to anchor the batch'
+  }
+}, {
+  timestamps: true
+});
+
+sensorAnchorSchema.index({ product: 1, windowStart: 1 });
+sensorAnchorSchema.index({ merkleRoot: 1 });
+sensorAnchorSchema.index({ blockchainStatus: 1 });
+
+/**
+ * Method to store the blockchain record of this batch
+ * @param {String} txHash - Transaction hash of the anchorSensorData call
+ * @param {Number} anchorIndex - Index of the batch on the blockchain
+ * @returns {Promise} - Promise resolving to the updated anchor
+ */
+sensorAnchorSchema.methods.updateBlockchainInfo = function(txHash, anchorIndex) {
+  this.blockchainTxHash = txHash;
+  this.blockchainAnchorIndex = anchorIndex;
+  this.blockchainStatus = 'Recorded';
+  this.blockchainError = undefined;
+  return this.save();
+};
+
+module.exports = mongoose.model('SensorAnchor', sensorAnchorSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reasons a session is revoked
+ */
+const REVOCATION_REASONS = ['logout', 'logout_all', 'token_reuse', 'account_suspended'];
+
+/**
+ * Session schema definition
+ *
+ * Represents a login of a user on one device. The session holds the hash of its
+ * current refresh token, which is replaced each time the token is used, and the
+ * hashes of the tokens it replaced: a replaced token being used again means it
+ * was stolen, and the session is revoked. Access tokens carry the session ID, so
+ * revoking the session also rejects them.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'User who logged in'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    comment: 'SHA-256 hash of the current refresh token secret'
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    comment: 'Hashes of the refresh token secrets already used, most recent last'
+  },
+  rotatedAt: {
+    type: Date,
+    comment: 'Date the refresh token was last replaced'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    comment: 'Date the session ends, whatever its use'
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+    comment: 'Date the session was last logged in or refreshed'
+  },
+  twoFactorVerifiedAt: {
+    type: Date,
+    comment: 'Date a two-factor code was last entered in the session, for step-up verification'
+  },
+  revokedAt: {
+    type: Date,
+    comment: 'Date the session was revoked'
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOCATION_REASONS,
+    comment: 'Why the session was revoked'
+  },
+  userAgent: {
+    type: String,
+    comment: 'User agent of the device'
+  },
+  ipAddress: {
+    type: String,
+    comment: 'IP address the session was opened from'
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are deleted by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+/**
+ * Method to check whether the session can still be used
+ * @returns {Boolean}
+ */
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Method to revoke the session. The caller saves it.
+ * @param {String} reason - One of REVOCATION_REASONS
+ */
+sessionSchema.methods.revoke = function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+
+/**
+ * Shipment schema definition
+ *
+ * A consignment of one or more products moved by a distributor along one or more
+ * legs, e.g. by truck to a port, by ship to another port, then by truck to the
+ * retailer. The products move to InTransit when the first leg departs and to
+ * Delivered when the proof of delivery is captured.
+ */
+
+/**
+ * Leg of the route: one carrier moving the shipment from one place to another
+ */
+const legSchema = new mongoose.Schema({
+  carrier: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Company or driver carrying the shipment on this leg'
+  },
+  mode: {
+    type: String,
+    enum: ['Truck', 'Train', 'Ship', 'Airplane', 'Intermodal'],
+    required: true,
+    comment: 'Mode of transportation, as the transportationMode of products'
+  },
+  origin: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Place the leg starts from'
+  },
+  destination: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Place the leg ends at'
+  },
+  trackingNumber: {
+    type: String,
+    trim: true,
+    comment: 'Reference of the leg with the carrier'
+  },
+  plannedDeparture: {
+    type: Date,
+    comment: 'Planned departure time'
+  },
+  plannedArrival: {
+    type: Date,
+    comment: 'Planned arrival time'
+  },
+  departedAt: {
+    type: Date,
+    comment: 'Actual departure time'
+  },
+  arrivedAt: {
+    type: Date,
+    comment: 'Actual arrival time'
+  }
+});
+
+/**
+ * Event recorded when the shipment is seen at a hub, e.g. a warehouse or a port
+ */
+const checkInSchema = new mongoose.Schema({
+  hub: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Hub the shipment was checked in at'
+  },
+  legIndex: {
+    type: Number,
+    min: 0,
+    comment: 'Leg the shipment was on'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    comment: 'Notes of the check-in, e.g. the state of the goods'
+  },
+  checkedInAt: {
+    type: Date,
+    required: true,
+    comment: 'Time of the check-in'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'User who recorded the check-in'
+  }
+});
+
+/**
+ * Image captured on delivery: the signature of the recipient or a photo of the goods
+ */
+const deliveryFileSchema = new mongoose.Schema({
+  mimeType: {
+    type: String,
+    enum: ['image/png', 'image/jpeg'],
+    required: true,
+    comment: 'Media type of the image'
+  },
+  size: {
+    type: Number,
+    required: true,
+    comment: 'Size of the image in bytes'
+  },
+  sha256: {
+    type: String,
+    required: true,
+    comment: 'SHA-256 hash of the content'
+  },
+  content: {
+    type: Buffer,
+    required: true,
+    select: false,
+    comment: 'Content of the image'
+  }
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+  shipmentNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'Reference of the shipment shown to the supply chain members'
+  },
+  distributor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Distributor who planned the shipment'
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    comment: 'Organization the distributor planned the shipment for'
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'Retailer the shipment is delivered to, if known'
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    comment: 'Products carried by the shipment'
+  }],
+  status: {
+    type: String,
+    enum: ['Planned', 'InTransit', 'Delivered', 'Cancelled'],
+    default: 'Planned',
+    comment: 'Status of the shipment, which drives the status of its products'
+  },
+  legs: {
+    type: [legSchema],
+    validate: [legs => legs.length > 0, 'A shipment needs at least one leg'],
+    comment: 'Legs of the route, in order'
+  },
+  checkIns: {
+    type: [checkInSchema],
+    comment: 'Check-ins at hubs, in order'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    comment: 'Notes of the distributor about the shipment'
+  },
+  proofOfDelivery: {
+    receivedBy: {
+      type: String,
+      trim: true,
+      comment: 'Name of the person who received the shipment'
+    },
+    deliveredAt: {
+      type: Date,
+      comment: 'Time of the delivery'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      comment: 'Notes of the delivery, e.g. damaged or missing goods'
+    },
+    signature: {
+      type: deliveryFileSchema,
+      comment: 'Signature of the recipient'
+    },
+    photo: {
+      type: deliveryFileSchema,
+      comment: 'Photo of the delivered goods'
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      comment: 'User who captured the proof of delivery'
+    }
+  },
+  cancelledAt: {
+    type: Date,
+    comment: 'Time the shipment was cancelled'
+  }
+}, {
+  timestamps: true
+});
+
+shipmentSchema.index({ distributor: 1, createdAt: -1 });
+shipmentSchema.index({ organization: 1, createdAt: -1 }, { sparse: true });
+shipmentSchema.index({ products: 1, status: 1 });
+
+/**
+ * Method to get the leg the shipment is on or about to start
+ * @returns {Number} - The index of the first leg that has not arrived, or of the last leg once all have arrived
+ */
+shipmentSchema.methods.getCurrentLegIndex = function() {
+  const index = this.legs.findIndex(leg => !leg.arrivedAt);
+  return index === -1 ? this.legs.length - 1 : index;
+};
+
+/**
+ * Method to get the planned arrival of the last leg
+ * @returns {Date|undefined}
+ */
+shipmentSchema.methods.getEstimatedDeliveryDate = function() {
+  return this.legs[this.legs.length - 1].plannedArrival;
+};
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Web3 = require('web3');
+
+/**
+ * Telemetry reading schema definition
+ *
+ * A time-stamped measurement of a sensor travelling or stored with a product.
+ * A sensor sends each reading once; a reading sent again (e.g. redelivered by
+ * the MQTT broker) is recognised by its product, device and time and ignored.
+ * A sensor travelling with a shipment sends its readings for the shipment, and
+ * they are recorded for each of its products.
+ * Readings are anchored on the blockchain in batches, as the leaves of a Merkle
+ * tree whose root is recorded by the contract (see SensorAnchorService).
+ */
+const telemetryReadingSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    comment: 'Product the sensor is monitoring'
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    comment: 'Shipment the sensor travelled with, when the reading was sent for a shipment and recorded for each of its products'
+  },
+  device: {
+    type: String,
+    required: true,
+    trim: true,
+    comment: 'Identifier of the sensor or data logger'
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+    comment: 'Time of the measurement, as reported by the sensor'
+  },
+  temperature: {
+    type: Number,
+    comment: 'Temperature in degrees Celsius'
+  },
+  humidity: {
+    type: Number,
+    min: 0,
+    max: 100,
+    comment: 'Relative humidity in percent'
+  },
+  source: {
+    type: String,
+    enum: ['http', 'mqtt'],
+    required: true,
+    comment: 'How the reading was received'
+  },
+  anchor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SensorAnchor',
+    comment: 'Batch the reading was anchored on the blockchain with, unset until then'
+  },
+  leafIndex: {
+    type: Number,
+    min: 0,
+    comment: 'Position of the reading in the Merkle tree of its batch'
+  },
+  leafHash: {
+    type: String,
+    lowercase: true,
+    comment: 'Hash of the reading when it was anchored, the leaf of the Merkle tree'
+  }
+}, {
+  timestamps: { createdAt: 'receivedAt', updatedAt: false }
+});
+
+telemetryReadingSchema.index({ product: 1, recordedAt: 1 });
+telemetryReadingSchema.index({ product: 1, device: 1, recordedAt: 1 }, { unique: true });
+telemetryReadingSchema.index({ anchor: 1, leafIndex: 1 });
+telemetryReadingSchema.index({ shipment: 1, recordedAt: 1 });
+
+/**
+ * Method to compute the hash of this reading, the leaf of the Merkle tree anchored
+ * on the blockchain. Any later edit of the stored reading no longer matches it.
+ * @returns {String} - The keccak256 hash as a 0x-prefixed hex string
+ */
+telemetryReadingSchema.methods.computeLeafHash = function() {
+  const data = {
+    productId: this.product.toString(),
+    device: this.device,
+    recordedAt: this.recordedAt.toISOString(),
+    temperature: typeof this.temperature === 'number' ? this.temperature : null,
+    humidity: typeof this.humidity === 'number' ? this.humidity : null
+  };
+  return Web3.utils.keccak256(JSON.stringify(data)).toLowerCase();
+};
+
+module.exports = mongoose.model('TelemetryReading', telemetryReadingSchema);
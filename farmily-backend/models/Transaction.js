@@ -16,6 +16,8 @@ const transactionSchema = new mongoose.Schema({
       'Transfer Accepted',
       'Transfer Cancelled',
       'Sold to Consumer',
+      'Received from Distributor',
+      'Received from Retailer',
       'RetailerToConsumer'
     ]
   },
@@ -28,6 +30,11 @@ const transactionSchema = new mongoose.Schema({
   },
   blockchainTxHash: { type: String },
   price: { type: Number, min: 0 },
+  paymentStatus: {
+    type: String,
+    enum: ['Unpaid', 'Held', 'Settled', 'Refunded'],
+    default: 'Unpaid'
+  },
   transferId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transfer' }
 }, { timestamps: true });
 
@@ -1,5 +1,6 @@
 // Transfer.js Schema
 const mongoose = require('mongoose');
+const Organization = require('./Organization');
 
 const transferSchema = new mongoose.Schema({
   product: {
@@ -27,6 +28,25 @@ const transferSchema = new mongoose.Schema({
     enum: ['distributor', 'retailer', 'consumer'],
     required: true
   },
+  fromOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    comment: 'Organization of the seller, whose staff members can manage the transfer'
+  },
+  toOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    comment: 'Organization of the buyer, whose staff members can accept the transfer'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'User who accepted the transfer: toUser or a staff member of their organization'
+  },
+  recipientVerified: {
+    type: Boolean,
+    comment: 'Whether toUser was a verified partner when the transfer was initiated, unset for consumers'
+  },
   quantity: {
     type: Number,
     required: true
@@ -36,10 +56,24 @@ const transferSchema = new mongoose.Schema({
     enum: ['pending', 'accepted', 'completed', 'cancelled'],
     default: 'pending'
   },
+  notifiedActions: {
+    type: [String],
+    comment: 'Transfer notifications already sent (e.g., "accepted"), so that a change recorded twice is notified once'
+  },
   blockchainTx: {
     type: String,
     required: true
   },
+  blockchainTransferId: {
+    type: String,
+    lowercase: true,
+    comment: 'ID of the pending transfer in the contract, emitted by TransferInitiated'
+  },
+  receivedProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    comment: 'Product received by the buyer: the transferred product, or the one split off it for a partial transfer'
+  },
   acceptedAt: {
     type: Date
   },
@@ -61,7 +95,47 @@ const transferSchema = new mongoose.Schema({
     type: String
   },
   price: {
-    type: Number
+    type: Number,
+    comment: 'Settled payment in ETH, set once the escrowed payment is released to the seller'
+  },
+  // Payment deposited by the buyer on acceptance and held by the contract until delivery is confirmed
+  escrow: {
+    escrowId: {
+      type: String,
+      lowercase: true,
+      comment: 'Blockchain ID of the transfer, which keys the escrow in the contract'
+    },
+    amount: {
+      type: Number,
+      comment: 'Deposited amount in ETH'
+    },
+    amountWei: {
+      type: String,
+      comment: 'Deposited amount in wei'
+    },
+    status: {
+      type: String,
+      enum: ['none', 'held', 'released', 'refunded'],
+      default: 'none'
+    },
+    deadline: {
+      type: Date,
+      comment: 'Time after which the buyer can claim a refund'
+    },
+    depositTxHash: {
+      type: String
+    },
+    depositBlockNumber: {
+      type: Number,
+      comment: 'Block in which the payment was deposited; settlements must be mined after it'
+    },
+    settlementTxHash: {
+      type: String,
+      comment: 'Hash of the transaction that released or refunded the payment'
+    },
+    settledAt: {
+      type: Date
+    }
   },
   // Fields for blockchain synchronization
   blockchainStatus: {
@@ -74,6 +148,25 @@ const transferSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+transferSchema.index({ blockchainTransferId: 1 }, { unique: true, sparse: true });
+transferSchema.index({ 'escrow.escrowId': 1 });
+transferSchema.index({ 'escrow.settlementTxHash': 1 }, { unique: true, sparse: true });
+transferSchema.index({ fromOrganization: 1 }, { sparse: true });
+transferSchema.index({ toOrganization: 1 }, { sparse: true });
+
+// Pre-save middleware recording the organizations of the seller and the buyer
+transferSchema.pre('save', async function() {
+  if (this.isNew) {
+    const organizations = await Organization.find({ 'members.user': { $in: [this.fromUser, this.toUser] } }).select('members.user');
+    const organizationOf = userId => {
+      const organization = organizations.find(org => org.members.some(member => member.user.equals(userId)));
+      return organization ? organization._id : undefined;
+    };
+    this.fromOrganization = organizationOf(this.fromUser);
+    this.toOrganization = organizationOf(this.toUser);
+  }
+});
+
 // Pre-save middleware to set acceptedAt and completedAt dates
 transferSchema.pre('save', function(next) {
   if (this.isModified('status')) {
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * What a wallet challenge proves ownership for
+ */
+const CHALLENGE_PURPOSES = ['link', 'login'];
+
+/**
+ * WalletChallenge schema definition
+ *
+ * Represents a Sign-In with Ethereum (EIP-4361) message issued to a wallet.
+ * Signing it proves the wallet belongs to the user, to link the address to
+ * their account or to log in with it. A challenge can be used once, and
+ * expired challenges are deleted by MongoDB.
+ */
+const walletChallengeSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true,
+    comment: 'Random nonce included in the message'
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    comment: 'Address expected to sign the message'
+  },
+  purpose: {
+    type: String,
+    enum: CHALLENGE_PURPOSES,
+    required: true,
+    comment: 'What the signature is used for'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    comment: 'User linking the address, for link challenges'
+  },
+  message: {
+    type: String,
+    required: true,
+    comment: 'Message to sign, exactly as issued'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    comment: 'Date the message can no longer be used'
+  },
+  usedAt: {
+    type: Date,
+    comment: 'Date the signed message was accepted'
+  }
+}, {
+  timestamps: true
+});
+
+walletChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WalletChallenge', walletChallengeSchema);
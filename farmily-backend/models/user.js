@@ -7,7 +7,7 @@ const userSchema = new mongoose.Schema({
   userType: {
     type: String,
     required: true,
-    enum: ['farmer', 'distributor', 'retailer', 'consumer']
+    enum: ['farmer', 'distributor', 'retailer', 'consumer', 'admin']
   },
   firstName: {
     type: String,
@@ -40,6 +40,56 @@ const userSchema = new mongoose.Schema({
     type: String,
     unique: true,
     sparse: true // This allows the field to be unique but not required
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Accounts awaiting approval or suspended by an admin cannot log in
+  accountStatus: {
+    type: String,
+    enum: ['pending', 'active', 'suspended'],
+    default: 'active'
+  },
+  accountStatusReason: {
+    type: String
+  },
+  accountStatusChangedAt: {
+    type: Date
+  },
+  accountStatusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Two-factor authentication: secrets are encrypted, recovery codes hashed
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
   }
 }, {
   timestamps: true
@@ -0,0 +1,396 @@
+/**
+ * Admin Routes
+ *
+ * This module defines the API routes of the administration console: finding
+ * users and approving or suspending their accounts, looking at the full
+ * history of any product, forcing a resync with the blockchain, and reviewing
+ * recalls and disputes, and verifying the business profiles of partners.
+ * Actions changing data need a fresh two-factor code
+ * from admins who enabled two-factor authentication.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Recall = require('../models/Recall');
+const Dispute = require('../models/Dispute');
+const PartnerProfile = require('../models/PartnerProfile');
+const User = require('../models/user.js');
+const auth = require('../middleware/auth');
+const requireTwoFactor = require('../middleware/requireTwoFactor');
+const { body, param, query, validationResult } = require('express-validator');
+const AdminService = require('../services/AdminService');
+const DisputeService = require('../services/DisputeService');
+const RecallService = require('../services/RecallService');
+const PartnerVerificationService = require('../services/PartnerVerificationService');
+
+// Values accepted by the User, Recall, Dispute and PartnerProfile schemas
+const USER_TYPES = User.schema.path('userType').enumValues;
+const ACCOUNT_STATUSES = User.schema.path('accountStatus').enumValues;
+const RECALL_STATUSES = Recall.schema.path('blockchainStatus').enumValues;
+const DISPUTE_STATUSES = Dispute.schema.path('status').enumValues;
+const PARTNER_STATUSES = PartnerProfile.schema.path('status').enumValues;
+
+/**
+ * Middleware to ensure the authenticated user is an admin
+ */
+const ensureAdmin = (req, res, next) => {
+  if (req.user.userType !== 'admin') {
+    return res.status(403).json({ message: 'Access denied. Admin only.' });
+  }
+  next();
+};
+
+// Apply authentication and admin check to all routes
+router.use(auth);
+router.use(ensureAdmin);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to list and search users
+ * @route GET /api/admin/users
+ */
+router.get('/users', [
+  query('search').optional().isString().trim(),
+  query('userType').optional().isIn(USER_TYPES).withMessage('Invalid user type'),
+  query('accountStatus').optional().isIn(ACCOUNT_STATUSES).withMessage('Invalid account status'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await AdminService.listUsers(req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Error listing users:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get a user with a summary of their activity
+ * @route GET /api/admin/users/:userId
+ */
+router.get('/users/:userId', [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await AdminService.getUser(req.params.userId);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to approve or reactivate an account
+ * @route POST /api/admin/users/:userId/approve
+ */
+router.post('/users/:userId/approve', requireTwoFactor, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('reason').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await AdminService.setAccountStatus(req.user, req.params.userId, 'active', req.body.reason);
+    res.json({ message: 'Account activated', user });
+  } catch (error) {
+    console.error('Error approving account:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to suspend an account. The user is signed out of every device.
+ * @route POST /api/admin/users/:userId/suspend
+ */
+router.post('/users/:userId/suspend', requireTwoFactor, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('reason').isString().trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await AdminService.setAccountStatus(req.user, req.params.userId, 'suspended', req.body.reason);
+    res.json({ message: 'Account suspended', user });
+  } catch (error) {
+    console.error('Error suspending account:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the full history of any product
+ * @route GET /api/admin/products/:productId/history
+ */
+router.get('/products/:productId/history', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const history = await AdminService.getProductHistory(req.params.productId);
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching product history:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to overwrite a product and its escrows with their state on the blockchain
+ * @route POST /api/admin/products/:productId/resync
+ */
+router.post('/products/:productId/resync', requireTwoFactor, [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await AdminService.resyncProduct(req.params.productId);
+    res.json({ message: 'Product resynced with the blockchain', product });
+  } catch (error) {
+    console.error('Error resyncing product:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to make the blockchain indexer process the blocks again from a block
+ * @route POST /api/admin/indexer/replay
+ */
+router.post('/indexer/replay', requireTwoFactor, [
+  body('fromBlock').isInt({ min: 0 }).withMessage('From block must be a block number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const checkpoint = await AdminService.replayIndexer(req.body.fromBlock);
+    res.json({ message: `The indexer will process the blocks again from block ${req.body.fromBlock}`, lastProcessedBlock: checkpoint.lastProcessedBlock });
+  } catch (error) {
+    console.error('Error replaying indexer:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to list every recall
+ * @route GET /api/admin/recalls
+ */
+router.get('/recalls', [
+  query('blockchainStatus').optional().isIn(RECALL_STATUSES).withMessage('Invalid blockchain status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recalls = await Recall.find(req.query.blockchainStatus ? { blockchainStatus: req.query.blockchainStatus } : {})
+      .select('-affectedProducts')
+      .populate('product', 'type batchNumber')
+      .populate('initiatedBy', 'username userType')
+      .sort({ createdAt: -1 });
+    res.json(recalls);
+  } catch (error) {
+    console.error('Error fetching recalls:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the report of any recall
+ * @route GET /api/admin/recalls/:recallId/report
+ */
+router.get('/recalls/:recallId/report', [
+  param('recallId').isMongoId().withMessage('Invalid recall ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recall = await Recall.findById(req.params.recallId);
+    if (!recall) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+    const report = await RecallService.buildRecallReport(recall);
+    res.json(report);
+  } catch (error) {
+    console.error('Error building recall report:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to list disputes for review
+ * @route GET /api/admin/disputes
+ */
+router.get('/disputes', [
+  query('status').optional().isIn(DISPUTE_STATUSES).withMessage('Invalid dispute status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const disputes = await DisputeService.listDisputes({ status: req.query.status });
+    res.json(disputes);
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to resolve or reject a dispute
+ * @route POST /api/admin/disputes/:disputeId/close
+ */
+router.post('/disputes/:disputeId/close', requireTwoFactor, [
+  param('disputeId').isMongoId().withMessage('Invalid dispute ID'),
+  body('status').isIn(['resolved', 'rejected']).withMessage('Status must be resolved or rejected'),
+  body('resolution').isString().trim().notEmpty().withMessage('Resolution is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await DisputeService.closeDispute(req.user, req.params.disputeId, req.body.status, req.body.resolution);
+    res.json({ message: `Dispute ${dispute.status}`, dispute });
+  } catch (error) {
+    console.error('Error closing dispute:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to list business profiles of partners, oldest submissions first
+ * @route GET /api/admin/partners
+ */
+router.get('/partners', [
+  query('status').optional().isIn(PARTNER_STATUSES).withMessage('Invalid partner profile status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profiles = await PartnerVerificationService.listProfiles({ status: req.query.status });
+    res.json(profiles);
+  } catch (error) {
+    console.error('Error fetching partner profiles:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get a business profile with its documents
+ * @route GET /api/admin/partners/:profileId
+ */
+router.get('/partners/:profileId', [
+  param('profileId').isMongoId().withMessage('Invalid profile ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await PartnerVerificationService.getProfileForReview(req.params.profileId);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching partner profile:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to download a document of a business profile
+ * @route GET /api/admin/partners/:profileId/documents/:documentId
+ */
+router.get('/partners/:profileId/documents/:documentId', [
+  param('profileId').isMongoId().withMessage('Invalid profile ID'),
+  param('documentId').isMongoId().withMessage('Invalid document ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await PartnerVerificationService.getDocument(req.params.profileId, req.params.documentId);
+    res.type(document.mimeType);
+    res.attachment(document.fileName);
+    res.send(document.content);
+  } catch (error) {
+    console.error('Error downloading partner document:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to verify or reject a submitted business profile
+ * @route POST /api/admin/partners/:profileId/review
+ */
+router.post('/partners/:profileId/review', requireTwoFactor, [
+  param('profileId').isMongoId().withMessage('Invalid profile ID'),
+  body('decision').isIn(['verified', 'rejected']).withMessage('Decision must be verified or rejected'),
+  body('notes').optional().isString().trim(),
+  body('notes').if(body('decision').equals('rejected')).notEmpty().withMessage('Notes are required to reject a profile')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await PartnerVerificationService.reviewProfile(req.user, req.params.profileId, req.body.decision, req.body.notes);
+    res.json({ message: `Partner profile ${profile.status}`, profile });
+  } catch (error) {
+    console.error('Error reviewing partner profile:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
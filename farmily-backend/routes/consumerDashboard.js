@@ -12,8 +12,18 @@ const Transfer = require('../models/Transfer');
 const User = require('../models/user.js');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const requireTwoFactor = require('../middleware/requireTwoFactor');
 const { body, param, query, validationResult } = require('express-validator');
 const Web3Service = require('../services/Web3Service');
+const WalletAuthService = require('../services/WalletAuthService');
+const EscrowService = require('../services/EscrowService');
+const TransferService = require('../services/TransferService');
+const NotificationService = require('../services/NotificationService');
+const LineageService = require('../services/LineageService');
+const RecallService = require('../services/RecallService');
+const SensorAnchorService = require('../services/SensorAnchorService');
+const QRCodeService = require('../services/QRCodeService');
+const ShipmentService = require('../services/ShipmentService');
 
 /**
  * Middleware to ensure the authenticated user is a consumer
@@ -154,65 +164,76 @@ router.post('/acceptTransfer/:transferId', [
       return res.status(404).json({ message: 'Transfer not found or already processed' });
     }
 
-    // Check transfer status on blockchain
-    const transferStatus = await Web3Service.checkTransferStatus(transfer.blockchainTx);
-    console.log(`Blockchain transfer status: ${transferStatus}`);
+    if (!transfer.blockchainTransferId) {
+      return res.status(409).json({ message: 'The transfer is not confirmed on the blockchain yet', status: 'unconfirmed' });
+    }
 
-    if (transferStatus === 'completed') {
-      transfer.status = 'completed';
-      await transfer.save();
-      
-      const product = await Product.findById(transfer.product);
-      if (product) {
-        product.currentOwner = req.user.id;
-        product.quantity = transfer.quantity;
-        await product.save();
-      }
-      
+    // Check if the transfer is still pending on the blockchain
+    const onChainTransfer = await Web3Service.getTransferFromBlockchain(transfer.blockchainTransferId);
+    console.log(`Blockchain transfer status: ${onChainTransfer.state}`);
+
+    if (onChainTransfer.state === 'accepted') {
+      // The blockchain indexer moves the product to its new owner
       return res.status(200).json({ 
-        message: 'Transfer is already completed on the blockchain. Database updated.',
+        message: 'Transfer is already completed on the blockchain.',
         status: 'completed',
         transfer: transfer
       });
     }
 
-    if (transferStatus === 'failed') {
-      transfer.status = 'failed';
+    if (onChainTransfer.state === 'cancelled') {
+      transfer.status = 'cancelled';
       await transfer.save();
+      await NotificationService.notifyTransfer('cancelled', transfer);
       return res.status(400).json({ 
-        message: 'Transfer failed on the blockchain.',
-        status: 'failed',
+        message: 'Transfer was cancelled on the blockchain.',
+        status: 'cancelled',
         transfer: transfer
       });
     }
 
-    // Proceed with accepting the transfer
-    const blockchainResult = await Web3Service.acceptTransferAsConsumer(transfer.blockchainTx, ethereumAddress);
+    if (onChainTransfer.state !== 'pending') {
+      return res.status(400).json({ 
+        message: `Unexpected transfer status on blockchain: ${onChainTransfer.state}`,
+        status: onChainTransfer.state
+      });
+    }
+
+    // The contract refuses transfers of products recalled after the transfer was initiated
+    const source = await Product.findById(transfer.product).select('recall');
+    if (source && source.recall) {
+      return res.status(409).json({ message: 'This product has been recalled and cannot be transferred', status: 'recalled' });
+    }
+
+    // Proceed with accepting the transfer on the blockchain
+    const blockchainResult = await Web3Service.acceptTransferAsConsumer(transfer.blockchainTransferId, ethereumAddress);
     if (!blockchainResult.success) {
       return res.status(500).json({ message: 'Blockchain transfer acceptance failed', error: blockchainResult.error });
     }
 
-    transfer.status = 'completed';
-    await transfer.save();
-
-    const product = await Product.findById(transfer.product);
-    if (product) {
-      product.currentOwner = req.user.id;
-      product.quantity = transfer.quantity;
-      await product.save();
+    // Move the transferred quantity to the new owner, splitting it off the batch for a partial transfer
+    const product = await TransferService.recordAcceptance(transfer, blockchainResult.receivedProductId, blockchainResult.txHash);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
     }
 
     const transaction = new Transaction({
-      product: product._id,
-      fromUser: transfer.fromUser,
-      toUser: req.user.id,
+      productId: product._id,
+      fromId: transfer.fromUser,
+      toId: req.user.id,
       quantity: transfer.quantity,
       transactionType: 'Received from Retailer',
       status: 'Completed',
-      blockchainTxHash: blockchainResult.txHash
+      blockchainTxHash: blockchainResult.txHash,
+      transferId: transfer._id
     });
     await transaction.save();
 
+    // The payment stays in escrow until the delivery is confirmed
+    if (blockchainResult.escrow) {
+      await EscrowService.recordDeposit(transfer, blockchainResult.escrow);
+    }
+
     res.json({ 
       message: 'Transfer accepted successfully', 
       transfer, 
@@ -380,7 +401,8 @@ router.get('/products/:productId/fullInfo', [
         username: entry.owner.username,
         userType: entry.owner.userType,
         timestamp: entry.timestamp
-      }))
+      })),
+      shipments: await ShipmentService.getProductShipments(product._id)
     };
 
     console.log('Full product info fetched:', product._id);
@@ -413,6 +435,13 @@ router.get('/verifyProduct/:productId', [
 
     const verificationResult = await Web3Service.verifyProductOnBlockchain(product.blockchainId);
 
+    // Warn the consumer when the product is covered by a recall
+    const recallWarnings = await RecallService.getRecallWarnings([product._id]);
+    verificationResult.recallWarnings = recallWarnings.get(product._id.toString()) || [];
+
+    // Check the sensor log of the product against the readings anchored on the blockchain
+    verificationResult.sensorLog = await SensorAnchorService.verifySensorLog(product);
+
     console.log('Product verification result:', verificationResult);
     res.json(verificationResult);
   } catch (error) {
@@ -469,16 +498,63 @@ router.get('/products/:productId/history', [
   }
 });
 
+/**
+ * Route to get the lineage of a product: every batch it was split off or merged
+ * from, back to the batches registered by the originating farms
+ * @route GET /api/consumer/products/:productId/lineage
+ */
+router.get('/products/:productId/lineage', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, currentOwner: req.user.id });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const lineage = await LineageService.getLineage(product._id);
+
+    console.log('Product lineage fetched:', product._id);
+    res.json(lineage);
+  } catch (error) {
+    console.error('Error fetching product lineage:', error);
+    handleError(error, res);
+  }
+});
+
 /**
  * Route to get product information from a QR code
  * @route POST /api/consumer/getProductFromQR
  */
-router.post('/getProductFromQR', async (req, res) => {
+router.post('/getProductFromQR', [
+  body('qrData').isString().notEmpty().withMessage('QR code data is required')
+], async (req, res) => {
   try {
-    const { qrData } = req.body;
-    const productData = JSON.parse(qrData);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const product = await Product.findById(productData.productId)
+    // Check the label signature before trusting the product ID it carries
+    const qrVerification = await QRCodeService.verifyQRCode(req.body.qrData);
+    if (!qrVerification) {
+      return res.status(400).json({ message: 'The QR code is not a product label' });
+    }
+    const authenticity = {
+      status: qrVerification.status,
+      reason: qrVerification.reason,
+      signedBy: qrVerification.signedBy
+    };
+    if (qrVerification.status === QRCodeService.QR_VERIFICATION_STATUS.COUNTERFEIT) {
+      return res.json({ authenticity, product: null });
+    }
+
+    const product = await Product.findById(qrVerification.productId)
       .populate('originalOwner', 'username location')
       .populate('previousOwner', 'username location userType')
       .populate('currentOwner', 'username location userType');
@@ -505,7 +581,7 @@ router.post('/getProductFromQR', async (req, res) => {
         username: product.originalOwner.username,
         location: product.originalOwner.location
       },
-      distributor: product.previousOwner.userType === 'distributor' ? {
+      distributor: product.previousOwner && product.previousOwner.userType === 'distributor' ? {
         username: product.previousOwner.username,
         location: product.previousOwner.location
       } : null,
@@ -514,7 +590,8 @@ router.post('/getProductFromQR', async (req, res) => {
         location: product.currentOwner.location
       } : null,
       blockchainStatus: blockchainData.product.status,
-      blockchainQuantity: blockchainData.product.quantity
+      blockchainQuantity: blockchainData.product.quantity,
+      authenticity
     };
 
     res.json(productInfo);
@@ -528,8 +605,10 @@ router.post('/getProductFromQR', async (req, res) => {
  * Route to update consumer's Ethereum address
  * @route PUT /api/consumer/updateEthereumAddress
  */
-router.put('/updateEthereumAddress', [
-  body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address')
+router.put('/updateEthereumAddress', requireTwoFactor, [
+  body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address'),
+  body('message').isString().notEmpty().withMessage('A message signed by the wallet is required'),
+  body('signature').isString().notEmpty().withMessage('The wallet signature is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -537,20 +616,20 @@ router.put('/updateEthereumAddress', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { ethereumAddress } = req.body;
+    const { ethereumAddress, message, signature } = req.body;
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { ethereumAddress },
-      { new: true }
-    );
+    // Only link the address once the wallet proved it belongs to the user
+    const { user, previousAddress } = await WalletAuthService.linkAddress(req.user.id, ethereumAddress, message, signature);
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    console.log('Ethereum address updated for user:', user._id);
+
+    // Grant the on-chain role matching the user type to the linked address
+    const blockchainRole = await Web3Service.syncUserRoleOnBlockchain(user.userType, ethereumAddress, previousAddress);
+    if (!blockchainRole.success) {
+      console.error('Error granting blockchain role:', blockchainRole.error);
     }
 
-    console.log('Ethereum address updated for user:', user._id);
-    res.json({ message: 'Ethereum address updated successfully', user });
+    res.json({ message: 'Ethereum address updated successfully', user, blockchainRole });
   } catch (error) {
     console.error('Error updating Ethereum address:', error);
     handleError(error, res);
@@ -563,20 +642,31 @@ router.put('/updateEthereumAddress', [
  */
 router.get('/purchaseHistory', async (req, res) => {
   try {
-    const purchases = await Transaction.find({ toUser: req.user.id, transactionType: 'Received from Retailer' })
-      .populate('product', 'type batchNumber price')
-      .populate('fromUser', 'username')
+    const purchases = await Transaction.find({ toId: req.user.id, transactionType: 'Received from Retailer' })
+      .populate('productId', 'type batchNumber price')
+      .populate('fromId', 'username')
       .sort({ createdAt: -1 });
 
-    const purchaseHistory = purchases.map(purchase => ({
-      date: purchase.createdAt,
-      productType: purchase.product.type,
-      batchNumber: purchase.product.batchNumber,
-      quantity: purchase.quantity,
-      price: purchase.product.price,
-      totalCost: purchase.quantity * purchase.product.price,
-      retailer: purchase.fromUser.username
-    }));
+    // Warn the consumer about purchased products covered by a recall
+    const recallWarnings = await RecallService.getRecallWarnings(
+      purchases.filter(purchase => purchase.productId).map(purchase => purchase.productId._id)
+    );
+
+    // The product or the retailer of an old purchase may have been deleted since
+    const purchaseHistory = purchases.map(purchase => {
+      const product = purchase.productId;
+      return {
+        date: purchase.createdAt,
+        productId: product ? product._id : null,
+        productType: product ? product.type : null,
+        batchNumber: product ? product.batchNumber : null,
+        quantity: purchase.quantity,
+        price: product ? product.price : null,
+        totalCost: product ? purchase.quantity * product.price : null,
+        retailer: purchase.fromId ? purchase.fromId.username : null,
+        recallWarnings: product ? recallWarnings.get(product._id.toString()) || [] : []
+      };
+    });
 
     console.log('Purchase history fetched for consumer:', req.user.id);
     res.json(purchaseHistory);
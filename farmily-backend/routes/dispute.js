@@ -0,0 +1,72 @@
+/**
+ * Dispute Routes
+ *
+ * This module defines the API routes for the seller or the buyer of a transfer
+ * to open a dispute about it, such as goods that never arrived or arrived
+ * damaged, and to follow their disputes. Admins review the disputes from the
+ * administration console.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Dispute = require('../models/Dispute');
+const auth = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const DisputeService = require('../services/DisputeService');
+
+// Dispute reasons accepted by the Dispute schema
+const DISPUTE_REASONS = Dispute.schema.path('reason').enumValues;
+
+// Apply authentication to all routes
+router.use(auth);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to open a dispute on a transfer
+ * @route POST /api/disputes
+ */
+router.post('/', [
+  body('transferId').isMongoId().withMessage('Invalid transfer ID'),
+  body('reason').isIn(DISPUTE_REASONS).withMessage(`Reason must be one of: ${DISPUTE_REASONS.join(', ')}`),
+  body('description').isString().trim().notEmpty().withMessage('Description is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await DisputeService.openDispute(req.user.id, req.body);
+    res.status(201).json({ message: 'Dispute opened. An administrator will review it.', dispute });
+  } catch (error) {
+    console.error('Error opening dispute:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to list the disputes the authenticated user takes part in
+ * @route GET /api/disputes
+ */
+router.get('/', async (req, res) => {
+  try {
+    const disputes = await DisputeService.getUserDisputes(req.user.id);
+    res.json(disputes);
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
@@ -11,9 +11,24 @@ const Product = require('../models/Product');
 const Transfer = require('../models/Transfer');
 const User = require('../models/user.js');
 const Transaction = require('../models/Transaction');
+const Shipment = require('../models/Shipment');
 const auth = require('../middleware/auth');
+const requireTwoFactor = require('../middleware/requireTwoFactor');
+const { loadOrganization, requireOrganizationRole, ownedBy, receivedBy } = require('../middleware/organization');
 const { body, param, query, validationResult } = require('express-validator');
 const Web3Service = require('../services/Web3Service');
+const WalletAuthService = require('../services/WalletAuthService');
+const OrganizationService = require('../services/OrganizationService');
+const PartnerVerificationService = require('../services/PartnerVerificationService');
+const TelemetryService = require('../services/TelemetryService');
+const EscrowService = require('../services/EscrowService');
+const TransferService = require('../services/TransferService');
+const NotificationService = require('../services/NotificationService');
+const QualityCheckService = require('../services/QualityCheckService');
+const LineageService = require('../services/LineageService');
+const QRCodeService = require('../services/QRCodeService');
+const ShipmentService = require('../services/ShipmentService');
+const { validateTransition } = require('../utils/productLifecycle');
 
 /**
  * Middleware to ensure the authenticated user is a distributor
@@ -25,9 +40,10 @@ const ensureDistributor = (req, res, next) => {
   next();
 };
 
-// Apply authentication and distributor check to all routes
+// Apply authentication and distributor check to all routes, and load the company the distributor works for
 router.use(auth);
 router.use(ensureDistributor);
+router.use(loadOrganization);
 
 /**
  * Handle errors and send appropriate response
@@ -41,13 +57,27 @@ const handleError = (error, res) => {
   res.status(statusCode).json({ message });
 };
 
+// Query conditions matching the shipments planned by the user or their organization
+const shipmentsOf = (req) => req.organization
+  ? { $or: [{ distributor: req.user.id }, { organization: req.organization.id }] }
+  : { distributor: req.user.id };
+
+// Modes of transportation of shipment legs
+const TRANSPORTATION_MODES = ['Truck', 'Train', 'Ship', 'Airplane', 'Intermodal'];
+
+// Validation of an image captured on delivery, sent as { mimeType, content } with the content base64 encoded
+const deliveryFileValidators = (field) => [
+  body(`${field}.mimeType`).if(body(field).exists()).isIn(['image/png', 'image/jpeg']).withMessage('Delivery images must be PNG or JPEG files'),
+  body(`${field}.content`).if(body(field).exists()).isBase64().withMessage('Content must be base64 encoded')
+];
+
 /**
  * Route to get all products for the distributor
  * @route GET /api/distributor/products
  */
 router.get('/products', async (req, res) => {
   try {
-    const products = await Product.find({ currentOwner: req.user.id });
+    const products = await Product.find(ownedBy(req));
     console.log('Products fetched for distributor:', products.length);
     res.json(products);
   } catch (error) {
@@ -79,11 +109,38 @@ router.get('/products/:productId', async (req, res) => {
   }
 });
 
+/**
+ * Route to get the signed QR code label of a product
+ * @route GET /api/distributor/products/:productId/qrCode
+ */
+router.get('/products/:productId/qrCode', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const qrCodeData = await QRCodeService.getProductLabel(product);
+    res.json({ qrCodeData });
+  } catch (error) {
+    console.error('Error getting product QR code:', error);
+    handleError(error, res);
+  }
+});
+
 /**
  * Route to accept a transfer from a farmer
  * @route POST /api/distributor/acceptTransfer/:transferId
  */
 router.post('/acceptTransfer/:transferId', [
+  requireOrganizationRole('operator'),
   param('transferId').isMongoId().withMessage('Invalid transfer ID'),
   body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address')
 ], async (req, res) => {
@@ -98,7 +155,7 @@ router.post('/acceptTransfer/:transferId', [
 
     console.log(`Accepting transfer: ${transferId} for address: ${ethereumAddress}`);
 
-    const transfer = await Transfer.findOne({ _id: transferId, toUser: req.user.id });
+    const transfer = await Transfer.findOne({ _id: transferId, ...receivedBy(req) });
     if (!transfer) {
       console.log('Transfer not found');
       return res.status(404).json({ message: 'Transfer not found', status: 'not_found' });
@@ -106,49 +163,49 @@ router.post('/acceptTransfer/:transferId', [
 
     console.log('Transfer found:', transfer);
 
+    if (!transfer.blockchainTransferId) {
+      return res.status(409).json({ message: 'The transfer is not confirmed on the blockchain yet', status: 'unconfirmed' });
+    }
+
     // Check if the transfer is still pending on the blockchain
-    const transferStatus = await Web3Service.checkTransferStatus(transfer.blockchainTx);
-    console.log(`Blockchain transfer status: ${transferStatus}`);
+    const onChainTransfer = await Web3Service.getTransferFromBlockchain(transfer.blockchainTransferId);
+    console.log(`Blockchain transfer status: ${onChainTransfer.state}`);
 
-    if (transferStatus === 'completed') {
-      // Update the transfer status in the database to match the blockchain
-      transfer.status = 'completed';
-      await transfer.save();
-      
-      // Update product ownership if it hasn't been updated yet
-      const product = await Product.findById(transfer.product);
-      if (product && product.currentOwner.toString() !== req.user.id.toString()) {
-        product.currentOwner = req.user.id;
-        product.quantity = transfer.quantity;
-        await product.save();
-      }
-      
+    if (onChainTransfer.state === 'accepted') {
+      // The blockchain indexer moves the product to its new owner
       return res.status(200).json({ 
-        message: 'Transfer is already completed on the blockchain. Database updated.',
+        message: 'Transfer is already completed on the blockchain.',
         status: 'completed',
         transfer: transfer
       });
     }
 
-    if (transferStatus === 'failed') {
-      transfer.status = 'failed';
+    if (onChainTransfer.state === 'cancelled') {
+      transfer.status = 'cancelled';
       await transfer.save();
+      await NotificationService.notifyTransfer('cancelled', transfer);
       return res.status(400).json({ 
-        message: 'Transfer failed on the blockchain.',
-        status: 'failed',
+        message: 'Transfer was cancelled on the blockchain.',
+        status: 'cancelled',
         transfer: transfer
       });
     }
 
-    if (transferStatus !== 'pending') {
+    if (onChainTransfer.state !== 'pending') {
       return res.status(400).json({ 
-        message: `Unexpected transfer status on blockchain: ${transferStatus}`,
-        status: transferStatus
+        message: `Unexpected transfer status on blockchain: ${onChainTransfer.state}`,
+        status: onChainTransfer.state
       });
     }
 
+    // The contract refuses transfers of products recalled after the transfer was initiated
+    const source = await Product.findById(transfer.product).select('recall');
+    if (source && source.recall) {
+      return res.status(409).json({ message: 'This product has been recalled and cannot be transferred', status: 'recalled' });
+    }
+
     // Proceed with accepting the transfer on the blockchain
-    const blockchainResult = await Web3Service.acceptTransferOnBlockchain(transfer.blockchainTx, ethereumAddress);
+    const blockchainResult = await Web3Service.acceptTransferOnBlockchain(transfer.blockchainTransferId, ethereumAddress);
     if (!blockchainResult.success) {
       console.error('Blockchain transfer acceptance failed:', blockchainResult.error);
       return res.status(500).json({ message: 'Blockchain transfer acceptance failed', error: blockchainResult.error });
@@ -156,35 +213,35 @@ router.post('/acceptTransfer/:transferId', [
 
     console.log('Blockchain transfer accepted:', blockchainResult);
 
-    // Update transfer status in the database
-    transfer.status = 'completed';
-    await transfer.save();
-
-    // Update product ownership
-    const product = await Product.findById(transfer.product);
+    // Move the transferred quantity to the new owner, splitting it off the batch for a partial transfer
+    transfer.acceptedBy = req.user.id;
+    const product = await TransferService.recordAcceptance(transfer, blockchainResult.receivedProductId, blockchainResult.txHash);
     if (!product) {
       console.error('Product not found:', transfer.product);
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    product.currentOwner = req.user.id;
-    product.quantity = transfer.quantity;
-    await product.save();
-
     console.log('Product updated:', product);
 
     // Create a new transaction record
     const transaction = new Transaction({
-      product: product._id,
-      fromUser: transfer.fromUser,
-      toUser: req.user.id,
+      productId: product._id,
+      fromId: transfer.fromUser,
+      toId: req.user.id,
       quantity: transfer.quantity,
       transactionType: 'Received from Farmer',
       status: 'Completed',
-      blockchainTxHash: blockchainResult.txHash
+      blockchainTxHash: blockchainResult.txHash,
+      transferId: transfer._id
     });
     await transaction.save();
 
+    // The payment stays in escrow until the delivery is confirmed
+    if (blockchainResult.escrow) {
+      await EscrowService.recordDeposit(transfer, blockchainResult.escrow);
+    }
+    await OrganizationService.recordActivity(req, 'transfer.accept', { product: product._id, transfer: transfer._id, details: { quantity: transfer.quantity } });
+
     console.log('Transaction created:', transaction);
 
     res.json({ 
@@ -282,6 +339,7 @@ router.get('/products/:productId/fullInfo', async (req, res) => {
  * @route PUT /api/distributor/updateProduct/:productId
  */
 router.put('/updateProduct/:productId', [
+  requireOrganizationRole('operator'),
   // Validation for the product ID in the request params
   param('productId').isMongoId().withMessage('Invalid product ID'),
   // Optional validation for other fields in the request body
@@ -300,8 +358,8 @@ router.put('/updateProduct/:productId', [
     // Extract the fields from the request body
     const { storageConditions, transportationDetails, estimatedDeliveryDate, transportationMode } = req.body;
 
-    // Find the product by ID, ensuring the current owner matches the logged-in user
-    const product = await Product.findOne({ _id: req.params.productId, currentOwner: req.user.id });
+    // Find the product by ID, ensuring the logged-in user or their company owns it
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
     
     if (!product) {
       return res.status(404).json({ message: 'Product not found or not owned by you' });
@@ -344,6 +402,7 @@ router.put('/updateProduct/:productId', [
 
     // Save the updated product in the database
     await product.save();
+    await OrganizationService.recordActivity(req, 'product.update', { product: product._id, details: updateData });
 
     // Log success and return the response with the updated product and blockchain transaction hash
     console.log('Product updated:', product._id);
@@ -360,6 +419,7 @@ router.put('/updateProduct/:productId', [
  * @route POST /api/distributor/syncProduct/:productId
  */
 router.post('/syncProduct/:productId', [
+  requireOrganizationRole('operator'),
   param('productId').isMongoId().withMessage('Invalid product ID')
 ], async (req, res) => {
   try {
@@ -368,7 +428,7 @@ router.post('/syncProduct/:productId', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const product = await Product.findOne({ _id: req.params.productId, currentOwner: req.user.id });
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
     if (!product) {
       return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
@@ -419,7 +479,7 @@ router.get('/searchRetailers', [
     }
     const retailers = await User.find(query).select('username firstName lastName');
     console.log('Retailers found:', retailers.length);
-    res.json(retailers);
+    res.json(await PartnerVerificationService.withVerification(retailers));
   } catch (error) {
     console.error('Error searching retailers:', error);
     res.status(500).json({ message: 'Failed to search retailers', error: error.message });
@@ -431,11 +491,12 @@ router.get('/searchRetailers', [
  * Route to initiate a transfer to a retailer
  * @route POST /api/distributor/initiateTransfer
  */
-router.post('/initiateTransfer', [
+router.post('/initiateTransfer', requireTwoFactor, requireOrganizationRole('operator'), [
   body('productId').isMongoId().withMessage('Invalid product ID'),
   body('retailerId').isMongoId().withMessage('Invalid retailer ID'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
-  body('blockchainTxHash').isString().notEmpty().withMessage('Blockchain transaction hash is required')
+  body('blockchainTxHash').isString().notEmpty().withMessage('Blockchain transaction hash is required'),
+  body('confirmUnverifiedPartner').optional().isBoolean().withMessage('confirmUnverifiedPartner must be a boolean').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -445,13 +506,14 @@ router.post('/initiateTransfer', [
 
     const { productId, retailerId, quantity, blockchainTxHash } = req.body;
 
-    const product = await Product.findOne({ _id: productId, currentOwner: req.user.id });
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) });
     if (!product) {
       return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
 
-    if (product.quantity < quantity) {
-      return res.status(400).json({ message: 'Insufficient quantity available' });
+    // Recalled products cannot change hands
+    if (product.recall) {
+      return res.status(409).json({ message: 'This product has been recalled and cannot be transferred' });
     }
 
     const retailer = await User.findOne({ _id: retailerId, userType: 'retailer' });
@@ -459,24 +521,55 @@ router.post('/initiateTransfer', [
       return res.status(404).json({ message: 'Retailer not found' });
     }
 
-    // Create new transfer record
-    const transfer = new Transfer({
+    // Retailers that are not verified partners need a confirmation, or cannot receive goods, depending on the policy
+    const partnerCheck = await PartnerVerificationService.checkTransferPolicy(retailer, req.body.confirmUnverifiedPartner === true);
+    if (!partnerCheck.allowed) {
+      return res.status(partnerCheck.confirmationRequired ? 409 : 403).json({
+        message: partnerCheck.message,
+        confirmationRequired: partnerCheck.confirmationRequired
+      });
+    }
+
+    // Read the ID the contract gave the transfer, so that several transfers of the batch can be pending at once
+    const initiated = await Web3Service.getTransferIdFromTransaction(blockchainTxHash);
+    if (initiated.pending) {
+      return res.status(409).json({ message: 'The transfer transaction is not mined yet' });
+    }
+    if (initiated.error) {
+      return res.status(400).json({ message: initiated.error });
+    }
+    const mismatch = TransferService.checkInitiatedTransfer(initiated, {
+      product,
+      quantity,
+      senders: await OrganizationService.getSenderAddresses(req)
+    });
+    if (mismatch) {
+      return res.status(400).json({ message: mismatch });
+    }
+
+    // The blockchain indexer may have recorded the transfer and reserved its quantity already
+    const recorded = await TransferService.findTransferByBlockchainId(initiated.transferId);
+    if (!recorded && product.quantity < quantity) {
+      return res.status(400).json({ message: 'Insufficient quantity available' });
+    }
+
+    // Create new transfer record and reserve its quantity, unless the blockchain indexer already did
+    const { transfer } = await TransferService.recordInitiation({
       product: productId,
       fromUser: req.user.id,
       toUser: retailerId,
       quantity,
       status: 'pending',
       blockchainTx: blockchainTxHash,
+      blockchainTransferId: initiated.transferId,
+      recipientVerified: partnerCheck.verifiedPartner,
       fromUserType: 'distributor',
       toUserType: 'retailer',
       transferDetails: `Transfer of ${quantity} units from distributor to retailer`,
       price: product.price * quantity // Assuming product has a price field
-    });
-    await transfer.save();
-
-    // Update product quantity
-    product.quantity -= quantity;
-    await product.save();
+    }, product);
+    await NotificationService.notifyTransferOnce('initiated', transfer, product);
+    await OrganizationService.recordActivity(req, 'transfer.initiate', { product: product._id, transfer: transfer._id, details: { to: retailer.username, quantity } });
 
     console.log('Transfer initiated:', transfer._id);
     res.json({ message: 'Transfer initiated successfully', transfer, blockchainTx: blockchainTxHash });
@@ -486,6 +579,65 @@ router.post('/initiateTransfer', [
   }
 });
 
+/**
+ * Route to record a lot merged from several products, e.g. apples from several farms
+ * packaged together. The distributor merges the products on the blockchain with
+ * mergeProducts and posts the transaction hash.
+ * @route POST /api/distributor/mergeProducts
+ */
+router.post('/mergeProducts', requireOrganizationRole('operator'), [
+  body('blockchainTxHash').isString().notEmpty().withMessage('Blockchain transaction hash is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { blockchainTxHash } = req.body;
+
+    const merged = await Web3Service.getMergeFromTransaction(blockchainTxHash);
+    if (merged.pending) {
+      return res.status(409).json({ message: 'The merge transaction is not mined yet' });
+    }
+    if (merged.error) {
+      return res.status(400).json({ message: merged.error });
+    }
+
+    // Staff members merge from their own address or from their company's
+    const distributor = await User.findById(req.user.id);
+    const addresses = [distributor.ethereumAddress, req.organization && req.organization.ethereumAddress]
+      .filter(Boolean)
+      .map(address => address.toLowerCase());
+    if (!addresses.includes(merged.owner.toLowerCase())) {
+      return res.status(403).json({ message: 'The products were not merged from your Ethereum address' });
+    }
+
+    const sources = await Product.find({ blockchainId: { $in: merged.sourceIds }, ...ownedBy(req) });
+    if (sources.length !== merged.sourceIds.length) {
+      return res.status(404).json({ message: 'Merged products not found or not owned by you' });
+    }
+
+    const lot = await LineageService.recordMerge(sources, {
+      blockchainId: merged.lotId,
+      batchNumber: merged.batchNumber,
+      type: merged.productType,
+      price: merged.price,
+      quantity: merged.quantity,
+      owner: req.user.id,
+      txHash: blockchainTxHash
+    });
+
+    await OrganizationService.recordActivity(req, 'product.merge', { product: lot._id, details: { sources: sources.map(source => source._id) } });
+
+    console.log('Products merged into lot:', lot._id);
+    res.json({ message: 'Products merged successfully', product: lot });
+  } catch (error) {
+    console.error('Error merging products:', error);
+    handleError(error, res);
+  }
+});
+
 /**
  * Route to get pending transfers for the distributor
  * @route GET /api/distributor/pendingTransfers
@@ -493,9 +645,9 @@ router.post('/initiateTransfer', [
 router.get('/pendingTransfers', async (req, res) => {
   try {
     const pendingTransfers = await Transfer.find({ 
-      toUser: req.user.id,
+      ...receivedBy(req),
       status: 'pending'
-    }).populate('product').populate('fromUser', 'username');
+    }).populate('product').populate('fromUser', 'username').populate('toUser', 'username');
     console.log('Pending transfers found:', pendingTransfers.length);
     res.json(pendingTransfers);
   } catch (error) {
@@ -512,7 +664,7 @@ router.get('/retailers', async (req, res) => {
   try {
     const retailers = await User.find({ userType: 'retailer' }).select('username firstName lastName');
     console.log('Retailers fetched:', retailers.length);
-    res.json(retailers);
+    res.json(await PartnerVerificationService.withVerification(retailers));
   } catch (error) {
     console.error('Error fetching retailers:', error);
     handleError(error, res);
@@ -566,13 +718,14 @@ router.get('/productWithFarmerInfo/:productId', [
       throw new Error(blockchainData.error || 'Failed to get product data from blockchain');
     }
 
-    // Merge database and blockchain data
+    // Merge database and blockchain data, with the shipments the product travelled with
     const productWithFarmerInfo = {
       ...product.toObject(),
       farmer: product.originalOwner,
       currentOwner: product.currentOwner,
       blockchainStatus: blockchainData.product.status,
-      blockchainQuantity: blockchainData.product.quantity
+      blockchainQuantity: blockchainData.product.quantity,
+      shipments: await ShipmentService.getProductShipments(product._id)
     };
 
     console.log('Product with farmer info fetched:', product._id);
@@ -599,7 +752,7 @@ router.get('/productTraceability/:productId', [
 
     console.log(`Fetching traceability for product: ${req.params.productId}`);
 
-    const product = await Product.findOne({ _id: req.params.productId, currentOwner: req.user.id })
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) })
       .populate('originalOwner', 'username location')
       .populate('currentOwner', 'username location');
 
@@ -650,7 +803,8 @@ router.get('/productTraceability/:productId', [
         to: tx.toUser.username,
         quantity: tx.quantity,
         type: tx.transactionType
-      }))
+      })),
+      coldChain: await TelemetryService.getColdChainSummary(product)
     };
 
     console.log(`Traceability info fetched successfully for product: ${product._id}`);
@@ -665,6 +819,7 @@ router.get('/productTraceability/:productId', [
  * @route PUT /api/distributor/updateProductStatus/:productId
  */
 router.put('/updateProductStatus/:productId', [
+  requireOrganizationRole('operator'),
   param('productId').isMongoId().withMessage('Invalid product ID'),
   body('status').isString().notEmpty().withMessage('Status is required')
 ], async (req, res) => {
@@ -677,11 +832,17 @@ router.put('/updateProductStatus/:productId', [
     const { productId } = req.params;
     const { status } = req.body;
 
-    const product = await Product.findOne({ _id: productId, currentOwner: req.user.id });
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) });
     if (!product) {
       return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
 
+    // Only transitions declared in the product lifecycle are allowed
+    const transitionError = validateTransition(product.status, status, req.user.userType);
+    if (transitionError) {
+      return res.status(409).json(transitionError);
+    }
+
     // Update product status on the blockchain
     const blockchainResult = await Web3Service.updateProductStatusOnBlockchain(product.blockchainId, status);
     if (!blockchainResult.success) {
@@ -689,9 +850,12 @@ router.put('/updateProductStatus/:productId', [
     }
 
     // Update product status in the database
+    const previousStatus = product.status;
     product.status = status;
     product.blockchainTx = blockchainResult.txHash;
     await product.save();
+    await NotificationService.notifyStatusChange(product, previousStatus);
+    await OrganizationService.recordActivity(req, 'product.status', { product: product._id, details: { status } });
 
     console.log('Product status updated:', product._id, status);
     res.json({ message: 'Product status updated successfully', product, txHash: blockchainResult.txHash });
@@ -701,12 +865,447 @@ router.put('/updateProductStatus/:productId', [
   }
 });
 
+/**
+ * Route to record a quality check for a product
+ *
+ * The check is stored in the database; the response holds the arguments of the
+ * contract's recordQualityCheck, which the checker sends from their wallet to anchor
+ * a hash of its data on the blockchain, so later edits of the stored check can be detected.
+ *
+ * @route POST /api/distributor/products/:productId/qualityChecks
+ */
+router.post('/products/:productId/qualityChecks', [
+  requireOrganizationRole('operator'),
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  body('status').isIn(['Passed', 'Failed', 'Pending']).withMessage('Status must be Passed, Failed or Pending'),
+  body('notes').optional().isString(),
+  body('parameters.temperature').optional().isFloat().toFloat(),
+  body('parameters.humidity').optional().isFloat({ min: 0, max: 100 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, notes, parameters } = req.body;
+
+    // Only the owner of a product checks it, as the contract only accepts checks from the owner
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const { qualityCheck, blockchainCheck } = await QualityCheckService.createQualityCheck(product, req.user.id, { status, notes, parameters });
+    await OrganizationService.recordActivity(req, 'product.qualityCheck', { product: product._id, details: { status } });
+
+    console.log('Quality check recorded:', qualityCheck._id, status);
+    res.status(201).json({ message: 'Quality check saved, anchor it on the blockchain from your wallet', qualityCheck, blockchainCheck });
+  } catch (error) {
+    console.error('Error recording quality check:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to record the transaction that anchored a quality check on the blockchain,
+ * sent from the checker's wallet, which the contract records as the checker
+ *
+ * @route POST /api/distributor/products/:productId/qualityChecks/:checkId/anchor
+ */
+router.post('/products/:productId/qualityChecks/:checkId/anchor', [
+  requireOrganizationRole('operator'),
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  param('checkId').isMongoId().withMessage('Invalid quality check ID'),
+  body('txHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid transaction hash')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const qualityCheck = await QualityCheckService.anchorQualityCheck(
+      product,
+      req.params.checkId,
+      req.body.txHash.toLowerCase(),
+      await OrganizationService.getSenderAddresses(req)
+    );
+
+    console.log('Quality check anchored:', qualityCheck._id, qualityCheck.blockchainTxHash);
+    res.json({ message: 'Quality check anchored on the blockchain', qualityCheck });
+  } catch (error) {
+    console.error('Error anchoring quality check:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to list the quality checks of a product
+ *
+ * Each check is compared with its on-chain record; `verified` is false when the check
+ * was never anchored or its stored data no longer matches the anchored hash.
+ *
+ * @route GET /api/distributor/products/:productId/qualityChecks
+ */
+router.get('/products/:productId/qualityChecks', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    res.json(await QualityCheckService.listQualityChecks(product));
+  } catch (error) {
+    console.error('Error fetching quality checks:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the shipments of the distributor
+ * @route GET /api/distributor/shipments
+ */
+router.get('/shipments', [
+  query('status').optional().isIn(['Planned', 'InTransit', 'Delivered', 'Cancelled']).withMessage('Invalid shipment status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = shipmentsOf(req);
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    const shipments = await Shipment.find(filter)
+      .populate('products', 'type batchNumber status quantity')
+      .populate('recipient', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json(shipments.map(ShipmentService.describeShipment));
+  } catch (error) {
+    console.error('Error fetching shipments:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to plan a shipment of packaged products
+ * @route POST /api/distributor/shipments
+ */
+router.post('/shipments', requireOrganizationRole('operator'), [
+  body('productIds').isArray({ min: 1, max: 100 }).withMessage('Select between 1 and 100 products'),
+  body('productIds.*').isMongoId().withMessage('Invalid product ID'),
+  body('recipientId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid recipient ID'),
+  body('legs').isArray({ min: 1, max: 10 }).withMessage('A shipment needs between 1 and 10 legs'),
+  body('legs.*.carrier').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Each leg needs a carrier'),
+  body('legs.*.mode').isIn(TRANSPORTATION_MODES).withMessage(`Mode must be one of: ${TRANSPORTATION_MODES.join(', ')}`),
+  body('legs.*.origin').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Each leg needs an origin'),
+  body('legs.*.destination').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Each leg needs a destination'),
+  body('legs.*.trackingNumber').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  body('legs.*.plannedDeparture').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid planned departure').toDate(),
+  body('legs.*.plannedArrival').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid planned arrival').toDate(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productIds = [...new Set(req.body.productIds)];
+    const products = await Product.find({ _id: { $in: productIds }, ...ownedBy(req) });
+    if (products.length !== productIds.length) {
+      return res.status(404).json({ message: 'Some products were not found or are not owned by you' });
+    }
+
+    const shipment = await ShipmentService.createShipment({
+      distributorId: req.user.id,
+      organizationId: req.organization ? req.organization.id : undefined,
+      products,
+      recipientId: req.body.recipientId || undefined,
+      legs: req.body.legs,
+      notes: req.body.notes
+    });
+    await OrganizationService.recordActivity(req, 'shipment.create', { details: { shipmentNumber: shipment.shipmentNumber } });
+
+    console.log('Shipment planned:', shipment.shipmentNumber);
+    res.status(201).json({ message: 'Shipment planned successfully', shipment: ShipmentService.describeShipment(shipment) });
+  } catch (error) {
+    console.error('Error planning shipment:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get a shipment
+ * @route GET /api/distributor/shipments/:shipmentId
+ */
+router.get('/shipments/:shipmentId', [
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, ...shipmentsOf(req) })
+      .populate('products', 'type batchNumber status quantity')
+      .populate('recipient', 'username')
+      .populate('checkIns.recordedBy', 'username')
+      .populate('proofOfDelivery.recordedBy', 'username');
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    res.json({
+      ...ShipmentService.describeShipment(shipment),
+      productUpdates: await ShipmentService.getProductStatusUpdates(shipment),
+      coldChain: await TelemetryService.getShipmentColdChain(shipment)
+    });
+  } catch (error) {
+    console.error('Error fetching shipment:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to record the departure or the arrival of a leg of a shipment
+ * @route POST /api/distributor/shipments/:shipmentId/legs/:legIndex/depart
+ * @route POST /api/distributor/shipments/:shipmentId/legs/:legIndex/arrive
+ */
+router.post('/shipments/:shipmentId/legs/:legIndex/:event(depart|arrive)', requireOrganizationRole('operator'), [
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID'),
+  param('legIndex').isInt({ min: 0 }).withMessage('Invalid leg').toInt(),
+  body('at').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid time').toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, ...shipmentsOf(req) });
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    const { event, legIndex } = req.params;
+    const result = event === 'depart'
+      ? await ShipmentService.departLeg(shipment, legIndex, req.body.at || undefined)
+      : await ShipmentService.arriveLeg(shipment, legIndex, req.body.at || undefined);
+    await OrganizationService.recordActivity(req, `shipment.${event}`, {
+      details: { shipmentNumber: shipment.shipmentNumber, leg: legIndex + 1 }
+    });
+
+    console.log(`Shipment ${shipment.shipmentNumber} leg ${legIndex + 1}: ${event}`);
+    res.json({ shipment: ShipmentService.describeShipment(result.shipment), productUpdates: result.productUpdates });
+  } catch (error) {
+    console.error('Error updating shipment leg:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to record the transaction that moved a product of a shipment to its
+ * next status, sent from the wallet of the product's owner as the contract
+ * only accepts status updates from the owner
+ *
+ * @route POST /api/distributor/shipments/:shipmentId/products/:productId/status
+ */
+router.post('/shipments/:shipmentId/products/:productId/status', requireOrganizationRole('operator'), [
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID'),
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  body('txHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid transaction hash')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, ...shipmentsOf(req) });
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    const result = await ShipmentService.recordProductStatus(
+      shipment,
+      req.params.productId,
+      req.body.txHash.toLowerCase(),
+      await OrganizationService.getSenderAddresses(req)
+    );
+
+    res.json({ shipment: ShipmentService.describeShipment(result.shipment), productUpdates: result.productUpdates });
+  } catch (error) {
+    console.error('Error recording shipment product status:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to record that a shipment was seen at a hub
+ * @route POST /api/distributor/shipments/:shipmentId/checkIns
+ */
+router.post('/shipments/:shipmentId/checkIns', requireOrganizationRole('operator'), [
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID'),
+  body('hub').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Hub is required'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  body('checkedInAt').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid check-in time').toDate(),
+  body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  body('longitude').if(body('latitude').exists({ values: 'null' })).exists({ values: 'null' }).withMessage('Longitude is required with the latitude'),
+  body('latitude').if(body('longitude').exists({ values: 'null' })).exists({ values: 'null' }).withMessage('Latitude is required with the longitude')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, ...shipmentsOf(req) });
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    const result = await ShipmentService.addCheckIn(shipment, {
+      hub: req.body.hub,
+      notes: req.body.notes,
+      checkedInAt: req.body.checkedInAt || undefined,
+      latitude: req.body.latitude,
+      longitude: req.body.longitude,
+      userId: req.user.id
+    });
+
+    res.status(201).json({ shipment: ShipmentService.describeShipment(result.shipment), productUpdates: result.productUpdates });
+  } catch (error) {
+    console.error('Error recording shipment check-in:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to capture the proof of delivery of a shipment, which delivers its products
+ * @route POST /api/distributor/shipments/:shipmentId/deliver
+ */
+router.post('/shipments/:shipmentId/deliver', requireOrganizationRole('operator'), [
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID'),
+  body('receivedBy').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('The name of the recipient is required'),
+  body('deliveredAt').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid delivery time').toDate(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  ...deliveryFileValidators('signature'),
+  ...deliveryFileValidators('photo')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, ...shipmentsOf(req) });
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    const result = await ShipmentService.deliverShipment(shipment, {
+      receivedBy: req.body.receivedBy,
+      deliveredAt: req.body.deliveredAt || undefined,
+      notes: req.body.notes,
+      signature: req.body.signature,
+      photo: req.body.photo,
+      userId: req.user.id
+    });
+    await OrganizationService.recordActivity(req, 'shipment.deliver', { details: { shipmentNumber: shipment.shipmentNumber } });
+
+    console.log('Shipment delivered:', shipment.shipmentNumber);
+    res.json({ shipment: ShipmentService.describeShipment(result.shipment), productUpdates: result.productUpdates });
+  } catch (error) {
+    console.error('Error delivering shipment:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the signature or the photo captured on delivery
+ * @route GET /api/distributor/shipments/:shipmentId/proofOfDelivery/:kind
+ */
+router.get('/shipments/:shipmentId/proofOfDelivery/:kind(signature|photo)', [
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { kind } = req.params;
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, ...shipmentsOf(req) })
+      .select(`+proofOfDelivery.${kind}.content`);
+    const file = shipment && shipment.proofOfDelivery && shipment.proofOfDelivery[kind];
+    if (!file || !file.content) {
+      return res.status(404).json({ message: 'No image captured on delivery' });
+    }
+
+    res.set('Content-Type', file.mimeType);
+    res.set('Content-Disposition', `inline; filename="${shipment.shipmentNumber}-${kind}"`);
+    res.send(file.content);
+  } catch (error) {
+    console.error('Error fetching proof of delivery:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to cancel a shipment that has not departed
+ * @route POST /api/distributor/shipments/:shipmentId/cancel
+ */
+router.post('/shipments/:shipmentId/cancel', requireOrganizationRole('operator'), [
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, ...shipmentsOf(req) });
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    await ShipmentService.cancelShipment(shipment);
+    await OrganizationService.recordActivity(req, 'shipment.cancel', { details: { shipmentNumber: shipment.shipmentNumber } });
+
+    res.json({ message: 'Shipment cancelled', shipment: ShipmentService.describeShipment(shipment) });
+  } catch (error) {
+    console.error('Error cancelling shipment:', error);
+    handleError(error, res);
+  }
+});
+
 /**
  * Route to set Ethereum address for the distributor
  * @route POST /api/distributor/setEthereumAddress
  */
-router.post('/setEthereumAddress', [
-  body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address')
+router.post('/setEthereumAddress', requireTwoFactor, [
+  body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address'),
+  body('message').isString().notEmpty().withMessage('A message signed by the wallet is required'),
+  body('signature').isString().notEmpty().withMessage('The wallet signature is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -714,13 +1313,24 @@ router.post('/setEthereumAddress', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { ethereumAddress } = req.body;
+    const { ethereumAddress, message, signature } = req.body;
 
-    const user = await User.findByIdAndUpdate(req.user.id, { ethereumAddress }, { new: true });
+    // Only link the address once the wallet proved it belongs to the user
+    const { user, previousAddress } = await WalletAuthService.linkAddress(req.user.id, ethereumAddress, message, signature);
     console.log('Ethereum address updated for user:', user._id);
-    res.json({ message: 'Ethereum address updated successfully', user });
+
+    // Grant the on-chain role matching the user type to the linked address
+    const blockchainRole = await Web3Service.syncUserRoleOnBlockchain(user.userType, ethereumAddress, previousAddress);
+    if (!blockchainRole.success) {
+      console.error('Error granting blockchain role:', blockchainRole.error);
+    }
+
+    res.json({ message: 'Ethereum address updated successfully', user, blockchainRole });
   } catch (error) {
     console.error('Error updating Ethereum address:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error updating Ethereum address', error: error.message });
   }
 });
@@ -0,0 +1,108 @@
+/**
+ * EPCIS Routes
+ *
+ * This module defines the API routes to exchange supply chain events with
+ * retail partners as GS1 EPCIS 2.0 JSON-LD documents: the export of the events
+ * of a product, and the capture of the documents of partner systems into our
+ * own products, quality checks, transactions and lineage (see EpcisService).
+ */
+
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const auth = require('../middleware/auth');
+const { loadOrganization, ownedBy, sentBy, receivedBy } = require('../middleware/organization');
+const { body, param, validationResult } = require('express-validator');
+const EpcisService = require('../services/EpcisService');
+
+// Apply authentication to all routes, and load the organization the user works for
+router.use(auth);
+router.use(loadOrganization);
+
+// EPCIS documents are sent as JSON-LD
+router.use(express.json({ type: ['application/json', 'application/ld+json'], limit: '10mb' }));
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to export the events of a product as an EPCIS document. Open to the
+ * supply chain members who produced, hold or held the product, or are party to one of its transfers,
+ * themselves or through their organization.
+ * @route GET /api/epcis/products/:productId/events
+ */
+router.get('/products/:productId/events', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      $or: [
+        ownedBy(req),
+        { originalOwner: req.user.id },
+        { 'ownershipHistory.owner': req.user.id }
+      ]
+    }) || (await Transfer.exists({ product: req.params.productId, $or: [sentBy(req), receivedBy(req)] })
+      ? await Product.findById(req.params.productId)
+      : null);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not in your supply chain' });
+    }
+
+    const document = await EpcisService.buildProductDocument(product._id);
+
+    console.log(`EPCIS events exported for product ${product._id}: ${document.epcisBody.eventList.length} events`);
+    const filename = `epcis-${product.batchNumber.replace(/[^\w-]/g, '_')}.jsonld`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type('application/ld+json').send(JSON.stringify(document, null, 2));
+  } catch (error) {
+    console.error('Error exporting EPCIS events:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to capture an EPCIS document from a partner system. Each event is
+ * reported as created, duplicate (already captured), ignored or rejected.
+ * @route POST /api/epcis/capture
+ */
+router.post('/capture', [
+  body('type').equals('EPCISDocument').withMessage('The body must be an EPCISDocument'),
+  body('epcisBody.eventList').isArray({ min: 1, max: EpcisService.MAX_CAPTURE_EVENTS })
+    .withMessage(`The document must have between 1 and ${EpcisService.MAX_CAPTURE_EVENTS} events`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const results = await EpcisService.captureDocument(req.body, req.user);
+    const summary = results.reduce((counts, result) => {
+      counts[result.result] = (counts[result.result] || 0) + 1;
+      return counts;
+    }, { created: 0, duplicate: 0, ignored: 0, rejected: 0 });
+
+    res.json({ summary, results });
+  } catch (error) {
+    console.error('Error capturing EPCIS document:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+/**
+ * Escrow Routes
+ *
+ * This module defines the API routes for the payments held in escrow by the
+ * ProductManagement contract. Buyers deposit the price of the transferred
+ * quantity when they accept a transfer; the payment is released to the seller
+ * when the buyer confirms delivery, or refunded to the buyer when the seller
+ * cancels the sale or the buyer claims a refund after the escrow deadline.
+ *
+ * Settlements are sent from the user's wallet; these routes check the mined
+ * transaction and record the outcome. A settlement only counts for the escrow
+ * it was mined for: after its deposit, while the payment is held, and once.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Transfer = require('../models/Transfer');
+const auth = require('../middleware/auth');
+const { loadOrganization, sentBy, receivedBy } = require('../middleware/organization');
+const { body, param, query, validationResult } = require('express-validator');
+const Web3Service = require('../services/Web3Service');
+const EscrowService = require('../services/EscrowService');
+
+// Apply authentication to all routes, and load the organization the user works for
+router.use(auth);
+router.use(loadOrganization);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Load a transfer paid through an escrow in which the authenticated user or their organization takes part
+ * @param {Object} req - Express request, after loadOrganization
+ * @param {String} transferId - The transfer ID
+ * @returns {Promise<Transfer>}
+ */
+const findEscrowTransfer = async (req, transferId) => {
+  const transfer = await Transfer.findOne({
+    _id: transferId,
+    'escrow.status': { $ne: 'none' },
+    $or: [sentBy(req), receivedBy(req)]
+  });
+  if (!transfer) {
+    const error = new Error('No escrowed payment found for this transfer');
+    error.statusCode = 404;
+    throw error;
+  }
+  return transfer;
+};
+
+/**
+ * Check that a settlement transaction settles the payment held in the escrow of a transfer
+ * @param {Transfer} transfer - The transfer paid through the escrow
+ * @param {String} txHash - Hash of the settlement transaction
+ * @param {String} eventName - EscrowReleased or EscrowRefunded
+ * @returns {Promise<Boolean>} Whether the settlement can be recorded
+ */
+const verifySettlement = async (transfer, txHash, eventName) => {
+  const settlement = await Web3Service.verifyEscrowSettlement(txHash, transfer.escrow.escrowId, eventName);
+  if (!settlement) {
+    return false;
+  }
+  if (!(await EscrowService.canSettle(transfer, txHash, settlement.blockNumber))) {
+    const error = new Error('The transaction does not settle the payment held in this escrow');
+    error.statusCode = 409;
+    throw error;
+  }
+  return true;
+};
+
+/**
+ * Check whether the authenticated user or their organization is the buyer of a transfer
+ * @param {Object} req - Express request, after loadOrganization
+ * @param {Transfer} transfer - The transfer, its users populated or not
+ * @returns {Boolean}
+ */
+const isBuyer = (req, transfer) => {
+  const idOf = (ref) => ref && (ref._id || ref).toString();
+  return idOf(transfer.toUser) === req.user.id.toString() ||
+    Boolean(req.organization && idOf(transfer.toOrganization) === req.organization.id.toString());
+};
+
+/**
+ * Describe an escrowed payment from the point of view of a user
+ * @param {Transfer} transfer - The transfer paid through the escrow
+ * @param {Object} req - Express request, after loadOrganization
+ * @returns {Object}
+ */
+const toEscrowResponse = (transfer, req) => {
+  const role = isBuyer(req, transfer) ? 'buyer' : 'seller';
+  const held = transfer.escrow.status === 'held';
+  return {
+    ...transfer.toObject(),
+    role,
+    canConfirmDelivery: held && role === 'buyer',
+    canCancel: held && role === 'seller',
+    canClaimRefund: held && role === 'buyer' && transfer.escrow.deadline < new Date()
+  };
+};
+
+/**
+ * Route to list the escrowed payments of the authenticated user or their organization, as buyer or seller
+ * @route GET /api/escrow
+ */
+router.get('/', [
+  query('status').optional().isIn(['held', 'released', 'refunded']).withMessage('Invalid escrow status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {
+      'escrow.status': req.query.status || { $ne: 'none' },
+      $or: [sentBy(req), receivedBy(req)]
+    };
+    const transfers = await Transfer.find(filter)
+      .populate('product', 'type batchNumber')
+      .populate('fromUser', 'username')
+      .populate('toUser', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json(transfers.map(transfer => toEscrowResponse(transfer, req)));
+  } catch (error) {
+    console.error('Error fetching escrowed payments:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to record that the buyer confirmed delivery, releasing the payment to the seller
+ * @route POST /api/escrow/:transferId/confirmDelivery
+ */
+router.post('/:transferId/confirmDelivery', [
+  param('transferId').isMongoId().withMessage('Invalid transfer ID'),
+  body('txHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid transaction hash')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transfer = await findEscrowTransfer(req, req.params.transferId);
+    if (!isBuyer(req, transfer)) {
+      return res.status(403).json({ message: 'Only the buyer can confirm delivery' });
+    }
+
+    // The indexer may have recorded the settlement already
+    if (transfer.escrow.status !== 'released' || transfer.escrow.settlementTxHash !== req.body.txHash) {
+      if (!(await verifySettlement(transfer, req.body.txHash, 'EscrowReleased'))) {
+        return res.status(400).json({ message: 'The transaction did not release the escrowed payment' });
+      }
+      await EscrowService.recordRelease(transfer, req.body.txHash);
+    }
+    res.json({ message: 'Delivery confirmed, payment released to the seller', transfer });
+  } catch (error) {
+    console.error('Error confirming delivery:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to record the refund of an escrowed payment, after the seller cancelled
+ * the sale or the buyer claimed a refund once the deadline passed
+ * @route POST /api/escrow/:transferId/refund
+ */
+router.post('/:transferId/refund', [
+  param('transferId').isMongoId().withMessage('Invalid transfer ID'),
+  body('txHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid transaction hash')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transfer = await findEscrowTransfer(req, req.params.transferId);
+
+    // The indexer may have recorded the settlement already
+    if (transfer.escrow.status !== 'refunded' || transfer.escrow.settlementTxHash !== req.body.txHash) {
+      if (!(await verifySettlement(transfer, req.body.txHash, 'EscrowRefunded'))) {
+        return res.status(400).json({ message: 'The transaction did not refund the escrowed payment' });
+      }
+      await EscrowService.recordRefund(transfer, req.body.txHash);
+    }
+    res.json({ message: 'Payment refunded to the buyer', transfer });
+  } catch (error) {
+    console.error('Error recording refund:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
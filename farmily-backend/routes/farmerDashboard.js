@@ -12,8 +12,19 @@ const Transfer = require('../models/Transfer');
 const User = require('../models/user.js');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const requireTwoFactor = require('../middleware/requireTwoFactor');
+const { loadOrganization, requireOrganizationRole, ownedBy, sentBy, receivedBy } = require('../middleware/organization');
 const { body, param, validationResult } = require('express-validator');
 const Web3Service = require('../services/Web3Service');
+const WalletAuthService = require('../services/WalletAuthService');
+const OrganizationService = require('../services/OrganizationService');
+const PartnerVerificationService = require('../services/PartnerVerificationService');
+const NotificationService = require('../services/NotificationService');
+const TransferService = require('../services/TransferService');
+const QRCodeService = require('../services/QRCodeService');
+const qrCode = require('../utils/qrCode');
+const gs1 = require('../utils/gs1');
+const { validateTransition, getAllowedNextStatuses } = require('../utils/productLifecycle');
 
 /**
  * Middleware to ensure the authenticated user is a farmer
@@ -29,9 +40,10 @@ const ensureFarmer = (req, res, next) => {
 };
 
 
-// Apply authentication and farmer check to all routes
+// Apply authentication and farmer check to all routes, and load the farm the farmer works for
 router.use(auth);
 router.use(ensureFarmer);
+router.use(loadOrganization);
 
 /**
  * Handle errors and send appropriate response
@@ -51,7 +63,7 @@ const handleError = (error, res) => {
  */
 router.get('/products', async (req, res) => {
   try {
-    const products = await Product.find({ currentOwner: req.user.id });
+    const products = await Product.find(ownedBy(req));
     const formattedProducts = products.map(product => {
       if (!product.blockchainId) {
         console.warn(`Product with batchNumber: ${product.batchNumber} has undefined blockchainId`);
@@ -65,6 +77,7 @@ router.get('/products', async (req, res) => {
         price: product.price,
         productionDate: product.productionDate,
         status: product.status,
+        allowedNextStatuses: getAllowedNextStatuses(product.status, 'farmer'),
         displayName: `${product.type} - Batch: ${product.batchNumber} - Qty: ${product.quantity} - Price: ${product.price} ETH`
       };
     });
@@ -93,7 +106,7 @@ router.get('/products/:id', [
 
     const productId = req.params.id;
     // Populate the currentOwner field with the User document
-    const product = await Product.findOne({ _id: productId, currentOwner: req.user.id })
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) })
       .populate('currentOwner', 'ethereumAddress');
 
     if (!product) {
@@ -107,30 +120,102 @@ router.get('/products/:id', [
   }
 });
 
+/**
+ * Route to get the signed QR code label of a product
+ * @route GET /api/farmer/products/:productId/qrCode
+ */
+router.get('/products/:productId/qrCode', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const qrCodeData = await QRCodeService.getProductLabel(product);
+    res.json({
+      qrCodeData,
+      // Message to sign with the farmer's wallet to replace the platform signature
+      signingMessage: product.blockchainId ? qrCode.getSigningMessage(product._id.toString(), product.blockchainId) : null
+    });
+  } catch (error) {
+    console.error('Error getting product QR code:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to sign the QR code label of a product with the farmer's own Ethereum key
+ * @route POST /api/farmer/products/:productId/qrCode
+ */
+router.post('/products/:productId/qrCode', [
+  requireOrganizationRole('operator'),
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('Invalid signature')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req), originalOwner: req.user.id });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not registered by you' });
+    }
+    if (!product.blockchainId) {
+      return res.status(409).json({ message: 'The product is not registered on the blockchain' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.ethereumAddress) {
+      return res.status(400).json({ message: 'Link your Ethereum address before signing labels' });
+    }
+
+    const qrCodeData = await QRCodeService.setFarmerSignedLabel(product, req.body.signature, user.ethereumAddress);
+    await OrganizationService.recordActivity(req, 'product.signLabel', { product: product._id });
+    res.json({ message: 'Label signed successfully', qrCodeData });
+  } catch (error) {
+    console.error('Error signing product QR code:', error);
+    handleError(error, res);
+  }
+});
+
 /**
  * Route to update the user's Ethereum address
  * @route PUT /api/farmer/updateEthereumAddress
  */
-router.put('/updateEthereumAddress', auth, async (req, res) => {
+router.put('/updateEthereumAddress', auth, requireTwoFactor, async (req, res) => {
   try {
-    const { ethereumAddress } = req.body;
+    const { ethereumAddress, message, signature } = req.body;
     if (!ethereumAddress) {
       return res.status(400).json({ error: 'Ethereum address is required' });
     }
+    if (!message || !signature) {
+      return res.status(400).json({ error: 'A message signed by the wallet is required' });
+    }
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { ethereumAddress },
-      { new: true }
-    );
+    // Only link the address once the wallet proved it belongs to the user
+    const { user, previousAddress } = await WalletAuthService.linkAddress(req.user.id, ethereumAddress, message, signature);
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    // Grant the on-chain role matching the user type to the linked address
+    const blockchainRole = await Web3Service.syncUserRoleOnBlockchain(user.userType, ethereumAddress, previousAddress);
+    if (!blockchainRole.success) {
+      console.error('Error granting blockchain role:', blockchainRole.error);
     }
 
-    res.json({ message: 'Ethereum address updated successfully', user });
+    res.json({ message: 'Ethereum address updated successfully', user, blockchainRole });
   } catch (error) {
     console.error('Error updating Ethereum address:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to update Ethereum address' });
   }
 });
@@ -142,13 +227,15 @@ router.put('/updateEthereumAddress', auth, async (req, res) => {
  */
 router.post('/registerProduct', [
   auth,
+  requireOrganizationRole('operator'),
   body('type').notEmpty().withMessage('Product type is required'),
   body('origin').notEmpty().withMessage('Origin is required'),
   body('productionDate').isISO8601().toDate().withMessage('Invalid production date'),
   body('batchNumber').notEmpty().withMessage('Batch number is required'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
-  body('certifications').isArray().withMessage('Certifications must be an array')
+  body('certifications').isArray().withMessage('Certifications must be an array'),
+  body('gtin').optional({ checkFalsy: true }).trim().custom(gs1.isValidGtin).withMessage('GTIN must have 8, 12, 13 or 14 digits with a valid check digit')
 ], async (req, res) => {
   console.log('Received request body:', JSON.stringify(req.body, null, 2));
 
@@ -164,7 +251,7 @@ router.post('/registerProduct', [
     }
 
     // Proceed with product registration if validation passes
-    const { type, origin, productionDate, batchNumber, quantity, price, certifications } = req.body;
+    const { type, origin, productionDate, batchNumber, quantity, price, certifications, gtin } = req.body;
 
     // Check for existing product with same batch number
     let existingProduct = await Product.findOne({ batchNumber });
@@ -182,6 +269,7 @@ router.post('/registerProduct', [
       quantity,
       price,
       certifications,
+      gtin: gtin || undefined,
       currentOwner: req.user.id,
       originalOwner: req.user.id,
       blockchainStatus: 'Pending',
@@ -191,6 +279,7 @@ router.post('/registerProduct', [
     // Save the product to the database
     const savedProduct = await newProduct.save();
     console.log('New product saved successfully:', JSON.stringify(savedProduct, null, 2));
+    await OrganizationService.recordActivity(req, 'product.register', { product: savedProduct._id, details: { batchNumber, quantity } });
 
     // Send success response
     res.status(201).json({
@@ -211,7 +300,7 @@ router.post('/registerProduct', [
  * @route PUT /api/farmer/products/:productId/blockchain
  * @access Private (Farmer only)
  */
-router.put('/products/:productId/blockchain', auth, async (req, res) => {
+router.put('/products/:productId/blockchain', auth, requireOrganizationRole('operator'), async (req, res) => {
   try {
     const { productId } = req.params;
     const { blockchainId, txHash } = req.body;
@@ -254,6 +343,7 @@ router.put('/products/:productId/blockchain', auth, async (req, res) => {
  */
 router.put('/products/:id/status', [
   auth,
+  requireOrganizationRole('operator'),
   param('id').isMongoId().withMessage('Invalid product ID'),
   body('status').notEmpty().withMessage('Status is required'),
   body('blockchainTxHash').notEmpty().withMessage('Blockchain transaction hash is required')
@@ -272,18 +362,28 @@ router.put('/products/:id/status', [
     const productId = req.params.id;
     const { status, blockchainTxHash } = req.body;
  
-    // Find the product and ensure the current user owns it
-    const product = await Product.findOne({ _id: productId, currentOwner: req.user.id });
+    // Find the product and ensure the current user or their farm owns it
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) });
     if (!product) {
       console.log('Product not found or user does not own the product');
       return res.status(404).json({ error: 'Product not found or you do not own this product' });
     }
+
+    // Only transitions declared in the product lifecycle are allowed
+    const transitionError = validateTransition(product.status, status, req.user.userType);
+    if (transitionError) {
+      console.log('Rejected status transition:', transitionError.message);
+      return res.status(409).json(transitionError);
+    }
  
     // Update product status in the database
+    const previousStatus = product.status;
     product.status = status;
     product.blockchainTxHash = blockchainTxHash;
     
     await product.save();
+    await NotificationService.notifyStatusChange(product, previousStatus);
+    await OrganizationService.recordActivity(req, 'product.status', { product: product._id, details: { status } });
  
     console.log('Product status updated successfully');
     res.status(200).json({ 
@@ -309,10 +409,13 @@ router.put('/products/:id/status', [
  */
 router.post('/initiateTransfer', [
   auth,
+  requireTwoFactor,
+  requireOrganizationRole('operator'),
   body('productId').isMongoId().withMessage('Invalid product ID'),
   body('newOwnerUsername').notEmpty().withMessage('New owner username is required'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
-  body('blockchainTx').notEmpty().withMessage('Blockchain transaction hash is required')
+  body('blockchainTx').notEmpty().withMessage('Blockchain transaction hash is required'),
+  body('confirmUnverifiedPartner').optional().isBoolean().withMessage('confirmUnverifiedPartner must be a boolean').toBoolean()
 ], async (req, res) => {
   try {
     // Validate request body
@@ -330,17 +433,18 @@ router.post('/initiateTransfer', [
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
 
-    // Check if the initiator is the current owner
-    if (product.currentOwner.toString() !== req.user.id) {
+    // Check if the initiator or their farm is the current owner
+    const ownedByFarm = req.organization && product.organization && product.organization.equals(req.organization.id);
+    if (product.currentOwner.toString() !== req.user.id && !ownedByFarm) {
       return res.status(403).json({ 
         success: false, 
         error: 'You are not the current owner of this product.' 
       });
     }
 
-    // Check if the quantity to transfer is available
-    if (product.quantity < quantity) {
-      return res.status(400).json({ success: false, error: 'Insufficient quantity available for transfer' });
+    // Recalled products cannot change hands
+    if (product.recall) {
+      return res.status(409).json({ success: false, error: 'This product has been recalled and cannot be transferred' });
     }
 
     // Get the new owner
@@ -349,12 +453,41 @@ router.post('/initiateTransfer', [
       return res.status(404).json({ success: false, error: 'New owner not found' });
     }
 
-    // Update the product quantity in the database
-    product.quantity -= quantity;
-    await product.save();
+    // Distributors that are not verified partners need a confirmation, or cannot receive goods, depending on the policy
+    const partnerCheck = await PartnerVerificationService.checkTransferPolicy(newOwner, req.body.confirmUnverifiedPartner === true);
+    if (!partnerCheck.allowed) {
+      return res.status(partnerCheck.confirmationRequired ? 409 : 403).json({
+        success: false,
+        error: partnerCheck.message,
+        confirmationRequired: partnerCheck.confirmationRequired
+      });
+    }
+
+    // Read the ID the contract gave the transfer, so that several transfers of the batch can be pending at once
+    const initiated = await Web3Service.getTransferIdFromTransaction(blockchainTx);
+    if (initiated.pending) {
+      return res.status(409).json({ success: false, error: 'The transfer transaction is not mined yet' });
+    }
+    if (initiated.error) {
+      return res.status(400).json({ success: false, error: initiated.error });
+    }
+    const mismatch = TransferService.checkInitiatedTransfer(initiated, {
+      product,
+      quantity,
+      senders: await OrganizationService.getSenderAddresses(req)
+    });
+    if (mismatch) {
+      return res.status(400).json({ success: false, error: mismatch });
+    }
 
-    // Create a new transfer record
-    const transfer = new Transfer({
+    // Check if the quantity to transfer is available, unless the blockchain indexer already reserved it
+    const recorded = await TransferService.findTransferByBlockchainId(initiated.transferId);
+    if (!recorded && product.quantity < quantity) {
+      return res.status(400).json({ success: false, error: 'Insufficient quantity available for transfer' });
+    }
+
+    // Create a new transfer record and reserve its quantity, unless the blockchain indexer already did
+    const { transfer } = await TransferService.recordInitiation({
       product: product._id,
       fromUser: req.user.id,
       toUser: newOwner._id,
@@ -362,9 +495,12 @@ router.post('/initiateTransfer', [
       toUserType: 'distributor', // Assuming the recipient is always a distributor in this route
       quantity: quantity,
       status: 'pending',
-      blockchainTx: blockchainTx
-    });
-    await transfer.save();
+      blockchainTx: blockchainTx,
+      blockchainTransferId: initiated.transferId,
+      recipientVerified: partnerCheck.verifiedPartner
+    }, product);
+    await NotificationService.notifyTransferOnce('initiated', transfer, product);
+    await OrganizationService.recordActivity(req, 'transfer.initiate', { product: product._id, transfer: transfer._id, details: { to: newOwner.username, quantity } });
 
     res.json({ 
       success: true, 
@@ -389,6 +525,7 @@ router.post('/initiateTransfer', [
  */
 router.put('/syncProduct/:blockchainId', [
   auth,
+  requireOrganizationRole('operator'),
   param('blockchainId').notEmpty().withMessage('Blockchain ID is required')
 ], async (req, res) => {
   try {
@@ -400,7 +537,7 @@ router.put('/syncProduct/:blockchainId', [
     const { blockchainId } = req.params;
     const { blockchainData } = req.body;
 
-    const product = await Product.findOne({ blockchain_id: blockchainId, currentOwner: req.user.id });
+    const product = await Product.findOne({ blockchain_id: blockchainId, ...ownedBy(req) });
     if (!product) {
       return res.status(404).json({ error: 'Product not found or you do not own this product' });
     }
@@ -436,7 +573,15 @@ router.get('/getDistributorAddress/:username', [
     if (!distributor) {
       return res.status(404).json({ message: 'Distributor not found' });
     }
-    res.json({ ethereumAddress: distributor.ethereumAddress });
+    const partnerCheck = await PartnerVerificationService.checkTransferPolicy(distributor);
+    if (!partnerCheck.allowed && !partnerCheck.confirmationRequired) {
+      return res.status(403).json({ message: partnerCheck.message, verifiedPartner: false });
+    }
+    // Products sent to a distributor working for a company are owned by its address on the blockchain
+    res.json({
+      ethereumAddress: await OrganizationService.getChainAddress(distributor),
+      verifiedPartner: partnerCheck.verifiedPartner
+    });
   } catch (error) {
     handleError(error, res);
   }
@@ -449,7 +594,7 @@ router.get('/getDistributorAddress/:username', [
 router.get('/pendingTransfers', async (req, res) => {
   try {
     const pendingTransfers = await Transfer.find({ 
-      $or: [{ fromUser: req.user.id }, { toUser: req.user.id }],
+      $or: [sentBy(req), receivedBy(req)],
       status: 'pending'
     })
     .populate('product', 'type batchNumber')
@@ -469,18 +614,29 @@ router.get('/pendingTransfers', async (req, res) => {
  * Route to cancel a pending transfer
  * @route POST /api/farmer/cancelTransfer/:transferId
  */
-router.post('/cancelTransfer/:transferId', auth, async (req, res) => {
+router.post('/cancelTransfer/:transferId', auth, requireTwoFactor, requireOrganizationRole('operator'), async (req, res) => {
   try {
     const transferId = req.params.transferId;
-    const { initiatorAddress } = req.body;
+    const { txHash } = req.body;
 
-    const transfer = await Transfer.findOne({ _id: transferId, fromUser: req.user.id, status: 'pending' });
+    const transfer = await Transfer.findOne({ _id: transferId, ...sentBy(req), status: { $in: ['pending', 'cancelled'] } });
     if (!transfer) {
       return res.status(404).json({ success: false, error: 'Transfer not found or not cancelable' });
     }
 
-    // Here you would typically interact with your blockchain to cancel the transfer
-    // For this example, we'll just update the status in the database
+    // The blockchain indexer may have recorded the cancellation already
+    if (transfer.status === 'cancelled') {
+      return res.json({ success: true, message: 'Transfer cancelled successfully', transactionHash: txHash });
+    }
+
+    // The farmer cancels the transfer from their wallet, which releases the quantity it reserved in the contract
+    if (transfer.blockchainTransferId) {
+      const onChainTransfer = await Web3Service.getTransferFromBlockchain(transfer.blockchainTransferId);
+      if (onChainTransfer.state !== 'cancelled') {
+        return res.status(409).json({ success: false, error: `The transfer is ${onChainTransfer.state} on the blockchain` });
+      }
+    }
+
     transfer.status = 'cancelled';
     await transfer.save();
 
@@ -490,11 +646,13 @@ router.post('/cancelTransfer/:transferId', auth, async (req, res) => {
       product.quantity += transfer.quantity;
       await product.save();
     }
+    await NotificationService.notifyTransfer('cancelled', transfer, product);
+    await OrganizationService.recordActivity(req, 'transfer.cancel', { product: transfer.product, transfer: transfer._id });
 
     res.json({
       success: true,
       message: 'Transfer cancelled successfully',
-      transactionHash: 'mocked-transaction-hash' // Replace with actual blockchain transaction hash
+      transactionHash: txHash
     });
   } catch (error) {
     console.error('Error cancelling transfer:', error);
@@ -510,7 +668,7 @@ router.get('/distributors', async (req, res) => {
   try {
     const distributors = await User.find({ userType: 'distributor' }).select('username firstName lastName ethereumAddress');
     console.log('Distributors found:', distributors); // Add this line for debugging
-    res.json(distributors);
+    res.json(await PartnerVerificationService.withVerification(distributors));
   } catch (error) {
     console.error('Error fetching distributors:', error); // Add this line for debugging
     handleError(error, res);
@@ -538,7 +696,7 @@ router.get('/transactionHistory', async (req, res) => {
  */
 router.get('/productionInsights', async (req, res) => {
   try {
-    const products = await Product.find({ currentOwner: req.user.id });
+    const products = await Product.find(ownedBy(req));
     const insights = {
       totalProducts: products.length,
       totalQuantity: products.reduce((sum, product) => sum + product.quantity, 0),
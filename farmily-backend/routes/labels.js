@@ -0,0 +1,131 @@
+/**
+ * Label Routes
+ *
+ * This module defines the API routes to print product labels: the signed QR
+ * code of a product as a PNG or SVG image, and printable label sheets for one
+ * or several products, sized for common label printers. Only the current owner
+ * of a product, or a staff member of the organization holding it, can print its labels.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const { loadOrganization, ownedBy } = require('../middleware/organization');
+const { body, param, query, validationResult } = require('express-validator');
+const QRCodeService = require('../services/QRCodeService');
+const LabelService = require('../services/LabelService');
+
+// Upper bound on the labels of one sheet request
+const MAX_LABELS_PER_SHEET = 500;
+
+// Apply authentication to all routes, and load the organization the user works for
+router.use(auth);
+router.use(loadOrganization);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to list the supported label sizes
+ * @route GET /api/labels/sizes
+ */
+router.get('/sizes', (req, res) => {
+  const sizes = Object.entries(LabelService.LABEL_SIZES).map(([key, size]) => ({
+    key,
+    name: size.name,
+    width: size.width,
+    height: size.height,
+    labelsPerSheet: size.sheet ? size.sheet.columns * size.sheet.rows : 1
+  }));
+  res.json({ sizes, defaultSize: LabelService.DEFAULT_LABEL_SIZE });
+});
+
+/**
+ * Route to get the QR code of a product as an image
+ * @route GET /api/labels/products/:productId/qrCode
+ */
+router.get('/products/:productId/qrCode', [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  query('format').optional().isIn(LabelService.QR_IMAGE_FORMATS).withMessage(`Format must be one of: ${LabelService.QR_IMAGE_FORMATS.join(', ')}`),
+  query('width').optional().isInt({ min: 64, max: 2048 }).withMessage('Width must be between 64 and 2048 pixels').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const format = req.query.format || 'png';
+    const qrCodeData = await QRCodeService.getProductLabel(product);
+    const image = await LabelService.renderQRCode(qrCodeData, format, req.query.width || 512);
+
+    const filename = `label-${product.batchNumber.replace(/[^\w-]/g, '_')}.${format}`;
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+  } catch (error) {
+    console.error('Error rendering product QR code:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get a printable HTML sheet with the labels of products
+ * @route POST /api/labels/sheet
+ */
+router.post('/sheet', [
+  body('productIds').isArray({ min: 1, max: 100 }).withMessage('Between 1 and 100 product IDs are required'),
+  body('productIds.*').isMongoId().withMessage('Invalid product ID'),
+  body('size').optional().isIn(Object.keys(LabelService.LABEL_SIZES)).withMessage('Unknown label size'),
+  body('copies').optional().isInt({ min: 1, max: 100 }).withMessage('Copies must be between 1 and 100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productIds = [...new Set(req.body.productIds)];
+    const size = req.body.size || LabelService.DEFAULT_LABEL_SIZE;
+    const copies = req.body.copies || 1;
+    if (productIds.length * copies > MAX_LABELS_PER_SHEET) {
+      return res.status(400).json({ message: `At most ${MAX_LABELS_PER_SHEET} labels can be printed at once` });
+    }
+
+    const products = await Product.find({ _id: { $in: productIds }, ...ownedBy(req) });
+    if (products.length !== productIds.length) {
+      return res.status(404).json({ message: 'Some products were not found or are not owned by you' });
+    }
+
+    // Keep the order the products were selected in
+    products.sort((a, b) => productIds.indexOf(a._id.toString()) - productIds.indexOf(b._id.toString()));
+
+    const labels = [];
+    for (const product of products) {
+      labels.push({ product, qrCodeData: await QRCodeService.getProductLabel(product) });
+    }
+    const html = await LabelService.renderLabelSheet(labels, size, copies);
+
+    console.log(`Label sheet rendered: ${labels.length} products, ${copies} copies, size ${size}`);
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Error rendering label sheet:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
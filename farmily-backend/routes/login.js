@@ -2,11 +2,13 @@ const express = require('express');
 const cors = require('cors'); // Import the cors middleware
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const User = require('../models/user.js');
-
-// JWT secret key - in production, this should be set as an environment variable
-const JWT_SECRET = process.env.JWT_SECRET || 'b4a1a5726e2ba2fd4a8e38b2607ae022b6d108636fa2157b4443363b2c45b0e3709c5c86eb7ade391ef88c1d85578b97fc263108f5c618b374c1c4b2eb804a55';
+const auth = require('../middleware/auth');
+const SessionService = require('../services/SessionService');
+const LoginSecurityService = require('../services/LoginSecurityService');
+const TwoFactorService = require('../services/TwoFactorService');
+const WalletAuthService = require('../services/WalletAuthService');
+const { generateTwoFactorToken, verifyTwoFactorToken } = require('../utils/jwt');
 
 // Configure CORS to allow requests from your frontend's origin
 const corsOptions = {
@@ -17,6 +19,39 @@ const corsOptions = {
 // Use the cors middleware before your routes
 router.use(cors(corsOptions));
 
+// Why accounts that are not active cannot log in
+const ACCOUNT_STATUS_MESSAGES = {
+  pending: 'Your account is awaiting approval by an administrator.',
+  suspended: 'Your account has been suspended. Please contact an administrator.'
+};
+
+/**
+ * Refuse the login of an account awaiting approval or suspended
+ * @param {Object} res - Express response object
+ * @param {User} user - The user
+ */
+const sendAccountStatus = (res, user) => {
+  console.log(`Login refused, account ${user.accountStatus}: ${user.username}`);
+  res.status(403).json({
+    message: ACCOUNT_STATUS_MESSAGES[user.accountStatus],
+    accountStatus: user.accountStatus
+  });
+};
+
+/**
+ * Refuse a login during a lockout
+ * @param {Object} res - Express response object
+ * @param {Object} lockout - The lockout, from LoginSecurityService.getLockout
+ */
+const sendLockout = (res, lockout) => {
+  const minutes = Math.ceil(lockout.retryAfterSeconds / 60);
+  res.set('Retry-After', String(lockout.retryAfterSeconds));
+  res.status(429).json({
+    message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes > 1 ? 's' : ''}.`,
+    retryAfter: lockout.retryAfterSeconds
+  });
+};
+
 router.post('/', async (req, res) => {
   try {
     const { username, password } = req.body;
@@ -30,42 +65,58 @@ router.post('/', async (req, res) => {
 
     // Find user by username
     const user = await User.findOne({ username });
+
+    // Refuse logins during a lockout, without checking the password
+    const lockout = await LoginSecurityService.getLockout(username, req);
+    if (lockout) {
+      console.log(`Login locked out (${lockout.scope}): ${username}`);
+      await LoginSecurityService.recordFailedLogin({ username, user, reason: `${lockout.scope}_locked` }, req);
+      return sendLockout(res, lockout);
+    }
+
     if (!user) {
       console.log(`User not found: ${username}`);
+      await LoginSecurityService.recordFailedLogin({ username, reason: 'unknown_user' }, req);
       return res.status(401).json({ message: 'Invalid username or password.' });
     }
 
-    // Debug log: Print hashed password from database
-    console.log(`Stored hashed password: ${user.password}`);
-
     // Check password
     const isValid = await bcrypt.compare(password, user.password);
-    
-    // Debug log: Print result of password comparison
-    console.log(`Password comparison result: ${isValid}`);
 
     if (!isValid) {
       console.log(`Invalid password for user: ${username}`);
+      await LoginSecurityService.recordFailedLogin({ username, user, reason: 'invalid_password' }, req);
       return res.status(401).json({ message: 'Invalid username or password.' });
     }
 
-    // Generate JWT token
-    // Include userType in the token payload
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
-        username: user.username,
-        userType: user.userType // Add user type to token
-      },
-      JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    // Only tell whether the account is active to who knows the password
+    if (user.accountStatus !== 'active') {
+      return sendAccountStatus(res, user);
+    }
+
+    // With two-factor authentication, the login completes once the code is entered
+    if (user.twoFactorEnabled) {
+      console.log(`Two-factor code required for user: ${username}`);
+      return res.status(200).json({
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user),
+        message: 'Enter the code from your authenticator app.'
+      });
+    }
+
+    // Forget the failed attempts, and alert the user if the device is new
+    await LoginSecurityService.recordSuccessfulLogin(user, req);
+
+    // Open a session: a short-lived access token, with a refresh token to renew it
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req);
 
     console.log(`Login successful: ${username}`);
     
-    // Send response with token, user type, and success message
+    // Send response with tokens, user type, and success message
     res.status(200).json({ 
       token, 
+      refreshToken,
+      expiresIn,
       userType: user.userType, // Include user type in response
       message: 'Login successful!' 
     });
@@ -75,4 +126,184 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Route to complete a login with two-factor authentication, with the token of
+ * the password step and a code from the authenticator app or a recovery code
+ * @route POST /api/login/2fa
+ */
+router.post('/2fa', async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+    if (!twoFactorToken || !code) {
+      return res.status(400).json({ message: 'Please enter your two-factor code.' });
+    }
+
+    const pendingLogin = verifyTwoFactorToken(twoFactorToken);
+    const user = pendingLogin && await User.findById(pendingLogin.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Your login has expired, please log in again.' });
+    }
+
+    const { method } = pendingLogin;
+
+    // Wrong codes count towards the lockout like wrong passwords
+    const lockout = await LoginSecurityService.getLockout(user.username, req);
+    if (lockout) {
+      await LoginSecurityService.recordFailedLogin({ username: user.username, user, reason: `${lockout.scope}_locked`, method }, req);
+      return sendLockout(res, lockout);
+    }
+
+    if (!await TwoFactorService.verifyLoginCode(user, code)) {
+      console.log(`Invalid two-factor code for user: ${user.username}`);
+      await LoginSecurityService.recordFailedLogin({ username: user.username, user, reason: 'invalid_two_factor_code', method }, req);
+      return res.status(401).json({ message: 'Invalid two-factor code.' });
+    }
+
+    // The account may have been suspended since the password step
+    if (user.accountStatus !== 'active') {
+      return sendAccountStatus(res, user);
+    }
+
+    await LoginSecurityService.recordSuccessfulLogin(user, req, method);
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req, { twoFactorVerified: true });
+
+    console.log(`Login successful: ${user.username}`);
+    res.status(200).json({
+      token,
+      refreshToken,
+      expiresIn,
+      userType: user.userType,
+      message: 'Login successful!'
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Login failed.', error: error.message });
+  }
+});
+
+/**
+ * Route to get the message to sign to log in with a wallet, as an alternative
+ * to the password. A message is issued for any address, so that it does not
+ * reveal which are linked to an account.
+ * @route POST /api/login/wallet/challenge
+ */
+router.post('/wallet/challenge', async (req, res) => {
+  try {
+    const { ethereumAddress } = req.body;
+    if (!ethereumAddress) {
+      return res.status(400).json({ message: 'Ethereum address is required.' });
+    }
+
+    const challenge = await WalletAuthService.createChallenge(ethereumAddress, 'login');
+    res.status(200).json(challenge);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Wallet challenge error:', error);
+    res.status(500).json({ message: 'Failed to create the login message.', error: error.message });
+  }
+});
+
+/**
+ * Route to log in with the wallet linked to an account, by signing the login message
+ * @route POST /api/login/wallet
+ */
+router.post('/wallet', async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    if (!message || !signature) {
+      return res.status(400).json({ message: 'A signed login message is required.' });
+    }
+
+    let wallet;
+    try {
+      wallet = await WalletAuthService.verifyLogin(message, signature);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(401).json({ message: error.message });
+      }
+      throw error;
+    }
+
+    const { user, address } = wallet;
+    console.log(`Wallet login attempt: ${address}`);
+    if (!user) {
+      return res.status(401).json({ message: 'No account is linked to this wallet. Log in with your password and link it from your dashboard.' });
+    }
+
+    // A locked account stays locked whatever the way of logging in
+    const lockout = await LoginSecurityService.getLockout(user.username, req);
+    if (lockout) {
+      await LoginSecurityService.recordFailedLogin({ username: user.username, user, reason: `${lockout.scope}_locked`, method: 'wallet' }, req);
+      return sendLockout(res, lockout);
+    }
+
+    if (user.accountStatus !== 'active') {
+      return sendAccountStatus(res, user);
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user, 'wallet'),
+        message: 'Enter the code from your authenticator app.'
+      });
+    }
+
+    await LoginSecurityService.recordSuccessfulLogin(user, req, 'wallet');
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req);
+
+    console.log(`Wallet login successful: ${user.username}`);
+    res.status(200).json({
+      token,
+      refreshToken,
+      expiresIn,
+      userType: user.userType,
+      message: 'Login successful!'
+    });
+  } catch (error) {
+    console.error('Wallet login error:', error);
+    res.status(500).json({ message: 'Login failed.', error: error.message });
+  }
+});
+
+/**
+ * Route to exchange a refresh token for a new access token. The refresh token
+ * is rotated: the response carries the one to use next time.
+ * @route POST /api/login/refresh
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    const tokens = await SessionService.refreshSession(refreshToken);
+    res.status(200).json(tokens);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Token refresh failed.', error: error.message });
+  }
+});
+
+/**
+ * Route to get the login history of the logged-in user
+ * @route GET /api/login/history
+ */
+router.get('/history', auth, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const history = await LoginSecurityService.getLoginHistory(req.user.id, limit);
+    res.status(200).json(history);
+  } catch (error) {
+    console.error('Login history error:', error);
+    res.status(500).json({ message: 'Failed to fetch login history.', error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,75 @@
+/**
+ * Logout Routes
+ *
+ * This module defines the API routes to end login sessions: logging out of the
+ * current device, and signing out of all devices, e.g. after a token was stolen.
+ * Revoked sessions can no longer be refreshed, and their access tokens are
+ * rejected by the auth middleware.
+ */
+
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const auth = require('../middleware/auth');
+const SessionService = require('../services/SessionService');
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to log out of the current device. The session is identified by the
+ * refresh token, or else by the access token, which may have expired already.
+ * @route POST /api/logout
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const accessToken = (req.header('Authorization') || '').replace('Bearer ', '');
+    if (!refreshToken && !accessToken) {
+      return res.status(400).json({ message: 'A refresh token or access token is required' });
+    }
+
+    let revoked = false;
+    if (refreshToken) {
+      revoked = await SessionService.revokeByRefreshToken(refreshToken);
+    } else {
+      try {
+        const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+        revoked = await SessionService.revokeSession(decoded.sid, decoded.userId);
+      } catch (error) {
+        return res.status(401).json({ message: 'Token is not valid' });
+      }
+    }
+
+    console.log(`Logout: session ${revoked ? 'revoked' : 'already ended'}`);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to sign out of all devices
+ * @route POST /api/logout/all
+ */
+router.post('/all', auth, async (req, res) => {
+  try {
+    const revokedCount = await SessionService.revokeAllSessions(req.user.id);
+    res.json({ message: 'Signed out of all devices', revokedCount });
+  } catch (error) {
+    console.error('Error signing out of all devices:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+/**
+ * Organization Routes
+ *
+ * This module defines the API routes for farmers, distributors and retailers to
+ * run their company as an organization: creating it, inviting staff members by
+ * email under a role, changing their roles or removing them, linking the
+ * organization's Ethereum address, and reviewing who did what on its behalf.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const requireTwoFactor = require('../middleware/requireTwoFactor');
+const { loadOrganization } = require('../middleware/organization');
+const OrganizationService = require('../services/OrganizationService');
+
+// Roles staff members can be invited under; owners are made by changing a role
+const INVITABLE_ROLES = OrganizationService.ORGANIZATION_ROLES.filter(role => role !== 'owner');
+
+// Apply authentication to all routes
+router.use(auth);
+router.use(loadOrganization);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to create an organization, of which the authenticated user becomes the owner
+ * @route POST /api/organizations
+ */
+router.post('/', [
+  body('name').isString().trim().notEmpty().withMessage('Name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await OrganizationService.createOrganization(req.user.id, req.body.name);
+    res.status(201).json({ message: 'Organization created', organization });
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the organization of the authenticated user with its staff members
+ * @route GET /api/organizations/mine
+ */
+router.get('/mine', async (req, res) => {
+  try {
+    if (!req.organization) {
+      return res.json({ organization: null });
+    }
+
+    const { organization, invitations } = await OrganizationService.getOrganization(req.organization.id);
+    res.json({ organization, role: req.organization.role, userId: req.user.id, invitations });
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to invite a staff member by email
+ * @route POST /api/organizations/invitations
+ */
+router.post('/invitations', [
+  body('email').trim().isEmail().withMessage('Invalid email address'),
+  body('role').isIn(INVITABLE_ROLES).withMessage(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invitation = await OrganizationService.inviteMember(req.user.id, req.body.email, req.body.role);
+    res.status(201).json({
+      message: `Invitation sent to ${invitation.email}`,
+      invitation: { _id: invitation._id, email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt }
+    });
+  } catch (error) {
+    console.error('Error inviting staff member:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to accept an invitation with the token from the emailed link
+ * @route POST /api/organizations/invitations/accept
+ */
+router.post('/invitations/accept', [
+  body('token').isString().notEmpty().withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await OrganizationService.acceptInvitation(req.user.id, req.body.token);
+    res.json({ message: `You joined ${organization.name}`, organization });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to cancel a pending invitation
+ * @route DELETE /api/organizations/invitations/:invitationId
+ */
+router.delete('/invitations/:invitationId', [
+  param('invitationId').isMongoId().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await OrganizationService.cancelInvitation(req.user.id, req.params.invitationId);
+    res.json({ message: 'Invitation cancelled' });
+  } catch (error) {
+    console.error('Error cancelling invitation:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to change the role of a staff member
+ * @route PUT /api/organizations/members/:userId
+ */
+router.put('/members/:userId', requireTwoFactor, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(OrganizationService.ORGANIZATION_ROLES).withMessage(`Role must be one of: ${OrganizationService.ORGANIZATION_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await OrganizationService.changeMemberRole(req.user.id, req.params.userId, req.body.role);
+    await OrganizationService.recordActivity(req, 'member.role', { details: { member: req.params.userId, role: req.body.role } });
+    res.json({ message: 'Role changed', organization });
+  } catch (error) {
+    console.error('Error changing staff member role:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to remove a staff member, or to leave the organization when it is the
+ * authenticated user. The products they hold are handed over to an owner.
+ * @route DELETE /api/organizations/members/:userId
+ */
+router.delete('/members/:userId', requireTwoFactor, [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const leaving = req.params.userId === req.user.id;
+    const organization = await OrganizationService.removeMember(req.user.id, req.params.userId);
+    await OrganizationService.recordActivity(req, leaving ? 'member.leave' : 'member.remove', { details: { member: req.params.userId } });
+    res.json({ message: leaving ? `You left ${organization.name}` : 'Staff member removed' });
+  } catch (error) {
+    console.error('Error removing staff member:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to link the Ethereum address of the organization. The owner signs a
+ * challenge from POST /api/wallet/challenge with the wallet.
+ * @route PUT /api/organizations/ethereumAddress
+ */
+router.put('/ethereumAddress', requireTwoFactor, [
+  body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address'),
+  body('message').isString().notEmpty().withMessage('Signed message is required'),
+  body('signature').isString().notEmpty().withMessage('Signature is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ethereumAddress, message, signature } = req.body;
+    const { organization, blockchainRole } = await OrganizationService.linkAddress(req.user.id, ethereumAddress, message, signature);
+    await OrganizationService.recordActivity(req, 'organization.linkAddress', { details: { ethereumAddress } });
+    res.json({
+      message: 'Organization wallet linked',
+      ethereumAddress: organization.ethereumAddress,
+      blockchainRoleGranted: blockchainRole.success
+    });
+  } catch (error) {
+    console.error('Error linking organization wallet:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the recent actions taken on behalf of the organization
+ * @route GET /api/organizations/activity
+ */
+router.get('/activity', [
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.organization) {
+      return res.status(404).json({ message: 'You are not a staff member of an organization' });
+    }
+
+    const activity = await OrganizationService.getActivity(req.organization.id, req.query);
+    res.json(activity);
+  } catch (error) {
+    console.error('Error fetching organization activity:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+/**
+ * Partner Routes
+ *
+ * This module defines the API routes for distributors and retailers to fill in
+ * their business profile, upload supporting documents and submit the profile
+ * for verification by an admin, and the route senders use to check the policy
+ * for unverified partners before sending goods.
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user.js');
+const PartnerDocument = require('../models/PartnerDocument');
+const auth = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const PartnerVerificationService = require('../services/PartnerVerificationService');
+
+// Values accepted by the PartnerDocument schema
+const DOCUMENT_KINDS = PartnerDocument.schema.path('kind').enumValues;
+const DOCUMENT_TYPES = PartnerDocument.schema.path('mimeType').enumValues;
+
+/**
+ * Middleware to ensure the authenticated user is a distributor or a retailer
+ */
+const ensurePartner = (req, res, next) => {
+  if (!PartnerVerificationService.PARTNER_USER_TYPES.includes(req.user.userType)) {
+    return res.status(403).json({ message: 'Access denied. Distributors and retailers only.' });
+  }
+  next();
+};
+
+// Apply authentication to all routes
+router.use(auth);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to get the business profile of the authenticated user with its documents
+ * @route GET /api/partners/profile
+ */
+router.get('/profile', ensurePartner, async (req, res) => {
+  try {
+    const result = await PartnerVerificationService.getProfile(req.user.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching business profile:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to save the business profile. Changing a submitted or verified profile
+ * puts it back in draft until it is submitted again.
+ * @route PUT /api/partners/profile
+ */
+router.put('/profile', ensurePartner, [
+  body('legalName').optional().isString().trim(),
+  body('registrationNumber').optional().isString().trim(),
+  body('address').optional().isObject().withMessage('Address must be an object'),
+  body('address.*').optional().isString().trim(),
+  body('licenses').optional().isArray({ max: 20 }).withMessage('Licenses must be an array of at most 20 licenses'),
+  body('licenses.*.type').isString().trim().notEmpty().withMessage('License type is required'),
+  body('licenses.*.number').isString().trim().notEmpty().withMessage('License number is required'),
+  body('licenses.*.issuedBy').optional().isString().trim(),
+  body('licenses.*.expiresAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid license expiry date').toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await PartnerVerificationService.saveProfile(req.user.id, req.body);
+    res.json({ message: 'Business profile saved', profile });
+  } catch (error) {
+    console.error('Error saving business profile:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to upload a supporting document, sent as base64
+ * @route POST /api/partners/profile/documents
+ */
+router.post('/profile/documents', ensurePartner, [
+  body('kind').isIn(DOCUMENT_KINDS).withMessage(`Kind must be one of: ${DOCUMENT_KINDS.join(', ')}`),
+  body('fileName').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('File name is required'),
+  body('mimeType').isIn(DOCUMENT_TYPES).withMessage('Documents must be PDF, PNG or JPEG files'),
+  body('content').isBase64().withMessage('Content must be base64 encoded')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await PartnerVerificationService.addDocument(req.user.id, req.body);
+    res.status(201).json({ message: 'Document uploaded', document });
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to download a document of the business profile
+ * @route GET /api/partners/profile/documents/:documentId
+ */
+router.get('/profile/documents/:documentId', ensurePartner, [
+  param('documentId').isMongoId().withMessage('Invalid document ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await PartnerVerificationService.getOwnDocument(req.user.id, req.params.documentId);
+    res.type(document.mimeType);
+    res.attachment(document.fileName);
+    res.send(document.content);
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to delete a document of the business profile
+ * @route DELETE /api/partners/profile/documents/:documentId
+ */
+router.delete('/profile/documents/:documentId', ensurePartner, [
+  param('documentId').isMongoId().withMessage('Invalid document ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await PartnerVerificationService.removeDocument(req.user.id, req.params.documentId);
+    res.json({ message: 'Document deleted' });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to submit the business profile for verification
+ * @route POST /api/partners/profile/submit
+ */
+router.post('/profile/submit', ensurePartner, async (req, res) => {
+  try {
+    const profile = await PartnerVerificationService.submitProfile(req.user.id);
+    res.json({ message: 'Business profile submitted. An administrator will review it.', profile });
+  } catch (error) {
+    console.error('Error submitting business profile:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to check whether goods can be sent to a user, before the transfer is
+ * made on the blockchain
+ * @route GET /api/partners/transferCheck
+ */
+router.get('/transferCheck', [
+  query('username').optional().isString().trim(),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.query.username && !req.query.userId) {
+      return res.status(400).json({ message: 'Username or user ID is required' });
+    }
+
+    const recipient = await User.findOne(req.query.userId ? { _id: req.query.userId } : { username: req.query.username });
+    if (!recipient) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const check = await PartnerVerificationService.checkTransferPolicy(recipient);
+    res.json(check);
+  } catch (error) {
+    console.error('Error checking transfer policy:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
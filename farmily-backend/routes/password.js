@@ -0,0 +1,82 @@
+/**
+ * Password Routes
+ *
+ * This module defines the API routes to recover a forgotten password: asking
+ * for a reset link by email, and setting a new password with the link's token.
+ * Resetting the password signs the user out of all their devices.
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const AccountService = require('../services/AccountService');
+
+// Stricter rate limiting than the API-wide limiter, as these routes need no login
+const passwordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 requests per windowMs
+  message: 'Too many password reset attempts from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+router.use(passwordLimiter);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to request a password reset email. The response is the same whether or
+ * not the address is registered.
+ * @route POST /api/password/forgot
+ */
+router.post('/forgot', [
+  body('email').isEmail().withMessage('Please enter a valid email address.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await AccountService.requestPasswordReset(req.body.email.trim());
+    res.json({ message: 'If an account uses this address, a password reset link has been sent to it.' });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to set a new password with the token of a password reset email
+ * @route POST /api/password/reset
+ */
+router.post('/reset', [
+  body('token').isString().notEmpty().withMessage('Reset token is required.'),
+  body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters long.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await AccountService.resetPassword(req.body.token, req.body.password);
+    console.log(`Password reset: ${user.username}`);
+    res.json({ message: 'Your password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+/**
+ * Public Routes
+ *
+ * This module defines the read-only API routes that anyone can call without
+ * logging in, e.g. a shopper scanning the QR code on a product label in a store.
+ * They only return what is needed to trust the product: its journey through the
+ * supply chain, its certifications and quality checks, its on-chain verification,
+ * whether its sensor log matches the readings anchored on-chain, and any recall
+ * covering it. No personal data is returned: supply chain members are only
+ * shown by username and role, and consumers not at all.
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const Product = require('../models/Product');
+const QualityCheck = require('../models/QualityCheck');
+const { body, param, validationResult } = require('express-validator');
+const Web3Service = require('../services/Web3Service');
+const LineageService = require('../services/LineageService');
+const RecallService = require('../services/RecallService');
+const SensorAnchorService = require('../services/SensorAnchorService');
+const QRCodeService = require('../services/QRCodeService');
+
+// Stricter rate limiting than the API-wide limiter, as these routes need no login
+const publicLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 lookups per windowMs
+  message: 'Too many product lookups from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+router.use(publicLimiter);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Describe a supply chain member without any personal data
+ * @param {User} user - The populated user
+ * @returns {Object|null} { username, userType }, the username being left out for consumers
+ */
+const toPublicParty = (user) => {
+  if (!user) {
+    return null;
+  }
+  return {
+    username: user.userType === 'consumer' ? null : user.username,
+    userType: user.userType
+  };
+};
+
+/**
+ * Compare the product with its record on the blockchain
+ * @param {Product} product - The product
+ * @returns {Promise<Object>} { verified, onChain, mismatches, error }
+ */
+const verifyOnBlockchain = async (product) => {
+  if (!product.blockchainId) {
+    return { verified: false, onChain: null, mismatches: [], error: 'The product is not registered on the blockchain' };
+  }
+
+  const verificationResult = await Web3Service.verifyProductOnBlockchain(product.blockchainId);
+  if (!verificationResult.success) {
+    return { verified: false, onChain: null, mismatches: [], error: verificationResult.error };
+  }
+  if (!verificationResult.data.isAuthentic) {
+    return { verified: false, onChain: null, mismatches: [], error: 'The product could not be found on the blockchain' };
+  }
+
+  const onChain = verificationResult.data.details;
+  const mismatches = [];
+  if (onChain.batchNumber !== product.batchNumber) {
+    mismatches.push('batchNumber');
+  }
+  if (onChain.productType !== product.type) {
+    mismatches.push('type');
+  }
+  if (onChain.origin !== product.origin) {
+    mismatches.push('origin');
+  }
+
+  return {
+    verified: mismatches.length === 0,
+    onChain: {
+      batchNumber: onChain.batchNumber,
+      productType: onChain.productType,
+      origin: onChain.origin,
+      productionDate: onChain.productionDate,
+      status: onChain.status
+    },
+    mismatches,
+    error: null
+  };
+};
+
+/**
+ * Build the public information of a product
+ * @param {String} productId - The product ID
+ * @returns {Promise<Object|null>} The product information, or null if the product does not exist
+ */
+const buildPublicProductInfo = async (productId) => {
+  const product = await Product.findById(productId)
+    .populate('originalOwner', 'username userType')
+    .populate('currentOwner', 'username userType')
+    .populate('ownershipHistory.owner', 'username userType');
+
+  if (!product) {
+    return null;
+  }
+
+  const [verification, lineage, qualityChecks, recallWarnings, sensorLog] = await Promise.all([
+    verifyOnBlockchain(product),
+    LineageService.getLineage(product._id),
+    QualityCheck.find({ productId: product._id }).select('status notes checkDate blockchainStatus').sort({ checkDate: 1 }),
+    RecallService.getRecallWarnings([product._id]),
+    SensorAnchorService.verifySensorLog(product)
+  ]);
+
+  // The product passes from each previous owner to the next, ending with its current owner
+  const journey = product.ownershipHistory
+    .filter(entry => entry.owner)
+    .map(entry => ({ ...toPublicParty(entry.owner), timestamp: entry.timestamp }));
+  journey.push({ ...toPublicParty(product.currentOwner), timestamp: null, current: true });
+
+  return {
+    product: {
+      _id: product._id,
+      type: product.type,
+      batchNumber: product.batchNumber,
+      gtin: product.gtin,
+      origin: product.origin,
+      productionDate: product.productionDate,
+      status: product.status,
+      blockchainId: product.blockchainId,
+      storageConditions: product.storageConditions,
+      transportationMode: product.transportationMode,
+      certifications: product.certifications
+    },
+    farmer: toPublicParty(product.originalOwner),
+    journey,
+    origins: lineage.origins.map(origin => ({
+      batchNumber: origin.batchNumber,
+      type: origin.type,
+      origin: origin.origin,
+      productionDate: origin.productionDate,
+      certifications: origin.certifications,
+      farmer: toPublicParty(origin.originalOwner)
+    })),
+    qualityChecks: qualityChecks.map(check => ({
+      status: check.status,
+      notes: check.notes,
+      checkDate: check.checkDate,
+      recordedOnBlockchain: check.blockchainStatus === 'Recorded'
+    })),
+    verification,
+    sensorLog,
+    recallWarnings: recallWarnings.get(product._id.toString()) || []
+  };
+};
+
+/**
+ * Route to get the public information of a product
+ * @route GET /api/public/products/:productId
+ */
+router.get('/products/:productId', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productInfo = await buildPublicProductInfo(req.params.productId);
+    if (!productInfo) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    console.log('Public product info fetched:', req.params.productId);
+    res.json(productInfo);
+  } catch (error) {
+    console.error('Error fetching public product info:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the public information of a product from its QR code. Labels
+ * that fail the signature check are reported as counterfeit, without product information.
+ * @route POST /api/public/products/fromQR
+ */
+router.post('/products/fromQR', [
+  body('qrData').isString().notEmpty().withMessage('QR code data is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Check the label signature before trusting the product ID it carries
+    const qrVerification = await QRCodeService.verifyQRCode(req.body.qrData);
+    if (!qrVerification) {
+      return res.status(400).json({ message: 'The QR code is not a product label' });
+    }
+    const authenticity = {
+      status: qrVerification.status,
+      reason: qrVerification.reason,
+      signedBy: qrVerification.signedBy
+    };
+    if (qrVerification.status === QRCodeService.QR_VERIFICATION_STATUS.COUNTERFEIT) {
+      return res.json({ authenticity });
+    }
+
+    const productInfo = await buildPublicProductInfo(qrVerification.productId);
+    if (!productInfo) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    console.log('Public product info fetched from QR code:', qrVerification.productId);
+    res.json({ ...productInfo, authenticity });
+  } catch (error) {
+    console.error('Error fetching public product info from QR code:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+/**
+ * Recall Routes
+ *
+ * This module defines the API routes for product recalls. A farmer or
+ * distributor who produced or handled a batch, themselves or through their
+ * organization, or an admin, opens a recall on its batch number; the platform records the recall on the blockchain, and the recall
+ * then covers every batch split off or merged from the recalled one. Recalled
+ * products can no longer be transferred, and their holders are warned.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const Recall = require('../models/Recall');
+const Transfer = require('../models/Transfer');
+const auth = require('../middleware/auth');
+const { loadOrganization, ownedBy, sentBy, receivedBy } = require('../middleware/organization');
+const { body, param, validationResult } = require('express-validator');
+const Web3Service = require('../services/Web3Service');
+const RecallService = require('../services/RecallService');
+
+// Recall severities accepted by the Recall schema
+const RECALL_SEVERITIES = Recall.schema.path('severity').enumValues;
+
+// Apply authentication to all routes, and load the organization the user works for
+router.use(auth);
+router.use(loadOrganization);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Check whether the user or their organization produced, holds or held a product
+ * @param {Object} req - Express request, after loadOrganization
+ * @param {Product} product - The product
+ * @returns {Promise<Boolean>}
+ */
+const hasHandledProduct = async (req, product) => {
+  const userId = req.user.id;
+  if (product.currentOwner.equals(userId) ||
+      (product.originalOwner && product.originalOwner.equals(userId)) ||
+      product.ownershipHistory.some(entry => entry.owner && entry.owner.equals(userId))) {
+    return true;
+  }
+  if (req.organization && product.organization && product.organization.equals(req.organization.id)) {
+    return true;
+  }
+  return Boolean(await Transfer.exists({ product: product._id, $or: [sentBy(req), receivedBy(req)] }));
+};
+
+/**
+ * Route to open a recall on a batch
+ * @route POST /api/recalls
+ */
+router.post('/', [
+  body('batchNumber').isString().trim().notEmpty().withMessage('Batch number is required'),
+  body('reason').isString().trim().notEmpty().withMessage('Reason is required'),
+  body('severity').isIn(RECALL_SEVERITIES).withMessage(`Severity must be one of: ${RECALL_SEVERITIES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!['farmer', 'distributor', 'admin'].includes(req.user.userType)) {
+      return res.status(403).json({ message: 'Only farmers, distributors and admins can open a recall' });
+    }
+
+    const { batchNumber, reason, severity } = req.body;
+    const isAdmin = req.user.userType === 'admin';
+
+    // Several products can carry the batch number, e.g. a lot registered again or the
+    // batches split off it: every one the user handled is recalled, and every one for an admin
+    const products = [];
+    for (const product of await Product.find({ batchNumber })) {
+      if (isAdmin || await hasHandledProduct(req, product)) {
+        products.push(product);
+      }
+    }
+    if (products.length === 0) {
+      return res.status(404).json({ message: isAdmin ? 'Batch not found' : 'Batch not found or never handled by you' });
+    }
+    if (products.some(product => !product.blockchainId)) {
+      return res.status(409).json({ message: 'The batch is not registered on the blockchain' });
+    }
+
+    // The recall of a product covers the products split off or merged from it
+    const roots = (await RecallService.getBatchRoots(products)).filter(product => !product.recall);
+    if (roots.length === 0) {
+      return res.status(409).json({ message: 'The batch is already covered by a recall' });
+    }
+
+    const recalls = [];
+    for (const product of roots) {
+      const recall = new Recall({
+        product: product._id,
+        batchNumber,
+        reason,
+        severity,
+        initiatedBy: req.user.id
+      });
+      await recall.save();
+
+      const blockchainResult = await Web3Service.recallProductOnBlockchain(product.blockchainId, recall.getBlockchainSeverity(), reason);
+      if (!blockchainResult.success) {
+        recall.blockchainStatus = 'Failed';
+        await recall.save();
+        return res.status(502).json({ message: 'Failed to record the recall on the blockchain', error: blockchainResult.error, recalls });
+      }
+
+      recall.blockchainTxHash = blockchainResult.txHash;
+      recall.blockchainStatus = 'Recorded';
+      recalls.push(await RecallService.applyRecall(recall));
+    }
+
+    console.log('Recalls opened:', recalls.map(recall => recall._id));
+    res.status(201).json({ message: 'Recall opened successfully', recalls });
+  } catch (error) {
+    console.error('Error opening recall:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to list the recalls opened by the authenticated user or covering products
+ * they or their organization hold
+ * @route GET /api/recalls
+ */
+router.get('/', async (req, res) => {
+  try {
+    const heldProducts = await Product.find({ ...ownedBy(req), recall: { $exists: true } }).select('_id');
+
+    const recalls = await Recall.find({
+      $or: [
+        { initiatedBy: req.user.id },
+        { affectedProducts: { $in: heldProducts.map(product => product._id) }, blockchainStatus: 'Recorded' }
+      ]
+    })
+      .select('-affectedProducts')
+      .populate('product', 'type batchNumber')
+      .sort({ createdAt: -1 });
+
+    res.json(recalls);
+  } catch (error) {
+    console.error('Error fetching recalls:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the report of a recall, listing the holders of the affected
+ * products and the quantities they hold
+ * @route GET /api/recalls/:recallId/report
+ */
+router.get('/:recallId/report', [
+  param('recallId').isMongoId().withMessage('Invalid recall ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recall = await Recall.findById(req.params.recallId);
+    if (!recall) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+    if (!recall.initiatedBy || !recall.initiatedBy.equals(req.user.id)) {
+      return res.status(403).json({ message: 'Only the user who opened the recall can view its report' });
+    }
+
+    const report = await RecallService.buildRecallReport(recall);
+    res.json(report);
+  } catch (error) {
+    console.error('Error building recall report:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
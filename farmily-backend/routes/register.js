@@ -1,7 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/user.js');
+const AccountService = require('../services/AccountService');
+
+// User types anyone can register as; admins are created with createAdmin.js
+const REGISTRABLE_USER_TYPES = ['farmer', 'distributor', 'retailer', 'consumer'];
+
+// With REQUIRE_ACCOUNT_APPROVAL, the accounts of the supply chain actors wait for an admin's approval
+const requiresApproval = (userType) => process.env.REQUIRE_ACCOUNT_APPROVAL === 'true' && userType !== 'consumer';
+
+// Limit the verification emails an IP can have sent
+const verificationEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: 'Too many verification emails requested from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 // Hash password function
 const hashPassword = async (password) => {
@@ -27,6 +44,10 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Please fill in all fields.' });
     }
 
+    if (!REGISTRABLE_USER_TYPES.includes(userType)) {
+      return res.status(400).json({ message: 'Please choose a valid user type.' });
+    }
+
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
@@ -54,15 +75,73 @@ router.post('/', async (req, res) => {
       email,
       password: hashedPassword,
       uniqueIdentifier, // Add this field
+      accountStatus: requiresApproval(userType) ? 'pending' : 'active'
     });
 
     await user.save();
     console.log(`Registration successful: ${username} (${email})`);
-    res.status(201).json({ message: 'Registration successful!' });
+
+    // The account is created even if the email cannot be sent: it can be sent again
+    let verificationEmailSent = true;
+    try {
+      await AccountService.sendVerificationEmail(user);
+    } catch (error) {
+      verificationEmailSent = false;
+      console.error(`Error sending verification email to ${email}:`, error);
+    }
+
+    res.status(201).json({
+      message: 'Registration successful!',
+      verificationEmailSent,
+      approvalRequired: user.accountStatus === 'pending'
+    });
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Registration failed.', error: error.message });
   }
 });
 
+/**
+ * Route to verify an email address with the token of the verification email
+ * @route POST /api/register/verify-email
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required.' });
+    }
+
+    const user = await AccountService.verifyEmail(token);
+    console.log(`Email verified: ${user.username}`);
+    res.status(200).json({ message: 'Email address verified!' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Email verification failed.', error: error.message });
+  }
+});
+
+/**
+ * Route to send the verification email again. The response is the same whether
+ * or not the address is registered.
+ * @route POST /api/register/resend-verification
+ */
+router.post('/resend-verification', verificationEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Please enter your email address.' });
+    }
+
+    await AccountService.resendVerificationEmail(email.trim());
+    res.status(200).json({ message: 'If this address is registered and not yet verified, a verification email has been sent.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Could not send the verification email.', error: error.message });
+  }
+});
+
 module.exports = router;
@@ -12,8 +12,19 @@ const Transfer = require('../models/Transfer');
 const User = require('../models/user.js');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const requireTwoFactor = require('../middleware/requireTwoFactor');
+const { loadOrganization, requireOrganizationRole, ownedBy, receivedBy } = require('../middleware/organization');
 const { body, param, query, validationResult } = require('express-validator');
 const Web3Service = require('../services/Web3Service');
+const WalletAuthService = require('../services/WalletAuthService');
+const OrganizationService = require('../services/OrganizationService');
+const EscrowService = require('../services/EscrowService');
+const TransferService = require('../services/TransferService');
+const NotificationService = require('../services/NotificationService');
+const QualityCheckService = require('../services/QualityCheckService');
+const QRCodeService = require('../services/QRCodeService');
+const ShipmentService = require('../services/ShipmentService');
+const { validateTransition } = require('../utils/productLifecycle');
 const logger = require('../utils/logger');
 
 /**
@@ -29,6 +40,7 @@ const ensureRetailer = (req, res, next) => {
 // Apply authentication and retailer check to all routes
 router.use(auth);
 router.use(ensureRetailer);
+router.use(loadOrganization);
 
 /**
  * Handle errors and send appropriate response
@@ -48,7 +60,7 @@ const handleError = (error, res) => {
  */
 router.get('/products', async (req, res) => {
   try {
-    const products = await Product.find({ currentOwner: req.user.id });
+    const products = await Product.find(ownedBy(req));
     console.log('Products fetched for retailer:', products.length);
     res.json(products);
   } catch (error) {
@@ -87,11 +99,38 @@ router.get('/products/:productId', [
   }
 });
 
+/**
+ * Route to get the signed QR code label of a product
+ * @route GET /api/retailer/products/:productId/qrCode
+ */
+router.get('/products/:productId/qrCode', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const qrCodeData = await QRCodeService.getProductLabel(product);
+    res.json({ qrCodeData });
+  } catch (error) {
+    console.error('Error getting product QR code:', error);
+    handleError(error, res);
+  }
+});
+
 /**
  * Route to accept a transfer from a distributor
  * @route POST /api/retailer/acceptTransfer/:transferId
  */
 router.post('/acceptTransfer/:transferId', [
+  requireOrganizationRole('operator'),
   param('transferId').isMongoId().withMessage('Invalid transfer ID'),
   body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address')
 ], async (req, res) => {
@@ -106,70 +145,83 @@ router.post('/acceptTransfer/:transferId', [
 
     console.log(`Accepting transfer: ${transferId} for address: ${ethereumAddress}`);
 
-    const transfer = await Transfer.findOne({ _id: transferId, toUser: req.user.id });
+    const transfer = await Transfer.findOne({ _id: transferId, ...receivedBy(req) });
     if (!transfer) {
       return res.status(404).json({ message: 'Transfer not found', status: 'not_found' });
     }
 
-    // Check transfer status on blockchain
-    const transferStatus = await Web3Service.checkTransferStatus(transfer.blockchainTx);
-    console.log(`Blockchain transfer status: ${transferStatus}`);
+    if (!transfer.blockchainTransferId) {
+      return res.status(409).json({ message: 'The transfer is not confirmed on the blockchain yet', status: 'unconfirmed' });
+    }
 
-    if (transferStatus === 'completed') {
-      transfer.status = 'completed';
-      await transfer.save();
-      
-      const product = await Product.findById(transfer.product);
-      if (product && product.currentOwner.toString() !== req.user.id.toString()) {
-        product.currentOwner = req.user.id;
-        product.quantity = transfer.quantity;
-        await product.save();
-      }
-      
+    // Check if the transfer is still pending on the blockchain
+    const onChainTransfer = await Web3Service.getTransferFromBlockchain(transfer.blockchainTransferId);
+    console.log(`Blockchain transfer status: ${onChainTransfer.state}`);
+
+    if (onChainTransfer.state === 'accepted') {
+      // The blockchain indexer moves the product to its new owner
       return res.status(200).json({ 
-        message: 'Transfer is already completed on the blockchain. Database updated.',
+        message: 'Transfer is already completed on the blockchain.',
         status: 'completed',
         transfer: transfer
       });
     }
 
-    if (transferStatus === 'failed') {
-      transfer.status = 'failed';
+    if (onChainTransfer.state === 'cancelled') {
+      transfer.status = 'cancelled';
       await transfer.save();
+      await NotificationService.notifyTransfer('cancelled', transfer);
       return res.status(400).json({ 
-        message: 'Transfer failed on the blockchain.',
-        status: 'failed',
+        message: 'Transfer was cancelled on the blockchain.',
+        status: 'cancelled',
         transfer: transfer
       });
     }
 
-    // Proceed with accepting the transfer
-    const blockchainResult = await Web3Service.acceptTransferAsRetailer(transfer.blockchainTx, ethereumAddress);
+    if (onChainTransfer.state !== 'pending') {
+      return res.status(400).json({ 
+        message: `Unexpected transfer status on blockchain: ${onChainTransfer.state}`,
+        status: onChainTransfer.state
+      });
+    }
+
+    // The contract refuses transfers of products recalled after the transfer was initiated
+    const source = await Product.findById(transfer.product).select('recall');
+    if (source && source.recall) {
+      return res.status(409).json({ message: 'This product has been recalled and cannot be transferred', status: 'recalled' });
+    }
+
+    // Proceed with accepting the transfer on the blockchain
+    const blockchainResult = await Web3Service.acceptTransferAsRetailer(transfer.blockchainTransferId, ethereumAddress);
     if (!blockchainResult.success) {
       return res.status(500).json({ message: 'Blockchain transfer acceptance failed', error: blockchainResult.error });
     }
 
-    transfer.status = 'completed';
-    await transfer.save();
-
-    const product = await Product.findById(transfer.product);
-    if (product) {
-      product.currentOwner = req.user.id;
-      product.quantity = transfer.quantity;
-      await product.save();
+    // Move the transferred quantity to the new owner, splitting it off the batch for a partial transfer
+    transfer.acceptedBy = req.user.id;
+    const product = await TransferService.recordAcceptance(transfer, blockchainResult.receivedProductId, blockchainResult.txHash);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
     }
 
     const transaction = new Transaction({
-      product: product._id,
-      fromUser: transfer.fromUser,
-      toUser: req.user.id,
+      productId: product._id,
+      fromId: transfer.fromUser,
+      toId: req.user.id,
       quantity: transfer.quantity,
       transactionType: 'Received from Distributor',
       status: 'Completed',
-      blockchainTxHash: blockchainResult.txHash
+      blockchainTxHash: blockchainResult.txHash,
+      transferId: transfer._id
     });
     await transaction.save();
 
+    // The payment stays in escrow until the delivery is confirmed
+    if (blockchainResult.escrow) {
+      await EscrowService.recordDeposit(transfer, blockchainResult.escrow);
+    }
+    await OrganizationService.recordActivity(req, 'transfer.accept', { product: product._id, transfer: transfer._id, details: { quantity: transfer.quantity } });
+
     res.json({ 
       message: 'Transfer accepted successfully', 
       transfer, 
@@ -186,6 +238,7 @@ router.post('/acceptTransfer/:transferId', [
  * @route PUT /api/retailer/updateProduct/:productId
  */
 router.put('/updateProduct/:productId', [
+  requireOrganizationRole('operator'),
   param('productId').isMongoId().withMessage('Invalid product ID'),
   // Add other validations as needed
 ], async (req, res) => {
@@ -199,7 +252,7 @@ router.put('/updateProduct/:productId', [
     const updateData = req.body;
 
     // Find the product first
-    const product = await Product.findOne({ _id: productId, currentOwner: req.user.id });
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) });
     if (!product) {
       return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
@@ -212,6 +265,7 @@ router.put('/updateProduct/:productId', [
 
     // Save the updated product
     await product.save();
+    await OrganizationService.recordActivity(req, 'product.update', { product: product._id, details: updateData });
 
     console.log('Product updated in database:', product._id);
 
@@ -232,6 +286,7 @@ router.put('/updateProduct/:productId', [
    * @route POST /api/retailer/syncProduct/:productId
    */
   router.post('/syncProduct/:productId', [
+    requireOrganizationRole('operator'),
     param('productId').isMongoId().withMessage('Invalid product ID'),
     body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address')
   ], async (req, res) => {
@@ -244,7 +299,7 @@ router.put('/updateProduct/:productId', [
       const { productId } = req.params;
       const { ethereumAddress } = req.body;
   
-      const product = await Product.findOne({ _id: productId, currentOwner: req.user.id });
+      const product = await Product.findOne({ _id: productId, ...ownedBy(req) });
       if (!product) {
         return res.status(404).json({ message: 'Product not found or not owned by you' });
       }
@@ -276,7 +331,7 @@ router.put('/updateProduct/:productId', [
  * Route to initiate a transfer to a consumer
  * @route POST /api/retailer/initiateTransfer
  */
-router.post('/initiateTransfer', [
+router.post('/initiateTransfer', requireTwoFactor, requireOrganizationRole('operator'), [
   body('productId').isMongoId().withMessage('Invalid product ID'),
   body('consumerId').isMongoId().withMessage('Invalid consumer ID'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
@@ -292,7 +347,7 @@ router.post('/initiateTransfer', [
     logger.info(`Initiating transfer. Product ID: ${productId}, Consumer ID: ${consumerId}, Quantity: ${quantity}`);
 
     // Fetch the product to ensure it exists and belongs to the retailer
-    const product = await Product.findOne({ _id: productId, currentOwner: req.user.id });
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) });
     if (!product) {
       logger.warn(`Product not found or not owned by retailer. Product ID: ${productId}, Retailer ID: ${req.user.id}`);
       return res.status(404).json({ message: 'Product not found or not owned by you' });
@@ -304,6 +359,12 @@ router.post('/initiateTransfer', [
       return res.status(400).json({ message: 'Insufficient quantity available' });
     }
 
+    // Recalled products cannot change hands
+    if (product.recall) {
+      logger.warn(`Product ${productId} has been recalled and cannot be transferred`);
+      return res.status(409).json({ message: 'This product has been recalled and cannot be transferred' });
+    }
+
     // Fetch the consumer to ensure they exist
     const consumer = await User.findOne({ _id: consumerId, userType: 'consumer' });
     if (!consumer) {
@@ -345,11 +406,14 @@ router.post('/initiateTransfer', [
       toUserType: 'consumer',
       transferDetails: `Initiated transfer of ${quantity} units to consumer`,
       price: product.price * quantity,
-      blockchainTx: blockchainResult.txHash
+      blockchainTx: blockchainResult.txHash,
+      blockchainTransferId: blockchainResult.transferId
     });
 
     await transfer.save();
     logger.info('Transfer record created in database:', transfer);
+    await NotificationService.notifyTransfer('initiated', transfer, product);
+    await OrganizationService.recordActivity(req, 'transfer.initiate', { product: product._id, transfer: transfer._id, details: { to: consumer.username, quantity } });
 
     // Send the response
     res.json({
@@ -369,7 +433,7 @@ router.post('/initiateTransfer', [
  * Route to create a transfer record after blockchain confirmation
  * @route POST /api/retailer/createTransferRecord
  */
-router.post('/createTransferRecord', [
+router.post('/createTransferRecord', requireTwoFactor, requireOrganizationRole('operator'), [
   body('productId').isMongoId().withMessage('Invalid product ID'),
   body('consumerId').isMongoId().withMessage('Invalid consumer ID'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
@@ -385,8 +449,47 @@ router.post('/createTransferRecord', [
     const { productId, consumerId, quantity, blockchainTxHash } = req.body;
     logger.info(`Creating transfer record. Product ID: ${productId}, Consumer ID: ${consumerId}, Quantity: ${quantity}, Tx Hash: ${blockchainTxHash}`);
 
-    // Create a new transfer record
-    const transfer = new Transfer({
+    // Fetch the product to ensure it exists and belongs to the retailer
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) });
+    if (!product) {
+      logger.warn(`Product not found or not owned by retailer. Product ID: ${productId}, Retailer ID: ${req.user.id}`);
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    // Recalled products cannot change hands
+    if (product.recall) {
+      logger.warn(`Product ${productId} has been recalled and cannot be transferred`);
+      return res.status(409).json({ message: 'This product has been recalled and cannot be transferred' });
+    }
+
+    // Read the ID the contract gave the transfer, so that several transfers of the batch can be pending at once
+    const initiated = await Web3Service.getTransferIdFromTransaction(blockchainTxHash);
+    if (initiated.pending) {
+      return res.status(409).json({ message: 'The transfer transaction is not mined yet' });
+    }
+    if (initiated.error) {
+      logger.warn(`Transaction ${blockchainTxHash} did not initiate a transfer: ${initiated.error}`);
+      return res.status(400).json({ message: initiated.error });
+    }
+    const mismatch = TransferService.checkInitiatedTransfer(initiated, {
+      product,
+      quantity,
+      senders: await OrganizationService.getSenderAddresses(req)
+    });
+    if (mismatch) {
+      logger.warn(`Transaction ${blockchainTxHash} does not match the transfer record: ${mismatch}`);
+      return res.status(400).json({ message: mismatch });
+    }
+
+    // Check if there's enough quantity to transfer, unless the blockchain indexer already reserved it
+    const recorded = await TransferService.findTransferByBlockchainId(initiated.transferId);
+    if (!recorded && product.quantity < quantity) {
+      logger.warn(`Insufficient quantity. Available: ${product.quantity}, Requested: ${quantity}`);
+      return res.status(400).json({ message: 'Insufficient quantity available' });
+    }
+
+    // Create a new transfer record and reserve its quantity, unless the blockchain indexer already did
+    const { transfer } = await TransferService.recordInitiation({
       product: productId,
       fromUser: req.user.id,
       toUser: consumerId,
@@ -395,19 +498,13 @@ router.post('/createTransferRecord', [
       fromUserType: 'retailer',
       toUserType: 'consumer',
       transferDetails: `Initiated transfer of ${quantity} units to consumer`,
-      blockchainTx: blockchainTxHash
-    });
-
-    await transfer.save();
+      blockchainTx: blockchainTxHash,
+      blockchainTransferId: initiated.transferId
+    }, product);
     logger.info('Transfer record created in database:', transfer);
-
-    // Update product quantity
-    const product = await Product.findById(productId);
-    if (product) {
-      product.quantity -= quantity;
-      await product.save();
-      logger.info(`Product quantity updated. New quantity: ${product.quantity}`);
-    }
+    logger.info(`Product quantity updated. New quantity: ${product.quantity}`);
+    await NotificationService.notifyTransferOnce('initiated', transfer, product);
+    await OrganizationService.recordActivity(req, 'transfer.initiate', { product: productId, transfer: transfer._id, details: { quantity } });
 
     res.json({
       message: 'Transfer record created successfully',
@@ -472,7 +569,8 @@ router.get('/products/:productId/fullInfo', [
       currentOwner: product.currentOwner,
       blockchainStatus: blockchainData.product.status,
       blockchainQuantity: blockchainData.product.quantity,
-      ownershipHistory: product.ownershipHistory
+      ownershipHistory: product.ownershipHistory,
+      shipments: await ShipmentService.getProductShipments(product._id)
     };
 
     console.log('Product with full info fetched:', product._id);
@@ -489,9 +587,9 @@ router.get('/products/:productId/fullInfo', [
 router.get('/pendingTransfers', async (req, res) => {
   try {
     const pendingTransfers = await Transfer.find({ 
-      toUser: req.user.id,
+      ...receivedBy(req),
       status: 'pending'
-    }).populate('product').populate('fromUser', 'username');
+    }).populate('product').populate('fromUser', 'username').populate('toUser', 'username');
     console.log('Pending transfers found:', pendingTransfers.length);
     res.json(pendingTransfers);
   } catch (error) {
@@ -549,7 +647,7 @@ router.get('/productTraceability/:productId', [
     }
 
     const { productId } = req.params;
-    const product = await Product.findOne({ _id: productId, currentOwner: req.user.id })
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) })
       .populate('originalOwner', 'username location')
       .populate('currentOwner', 'username location');
 
@@ -610,6 +708,7 @@ router.get('/productTraceability/:productId', [
  * @route PUT /api/retailer/updateProductStatus/:productId
  */
 router.put('/updateProductStatus/:productId', [
+  requireOrganizationRole('operator'),
   param('productId').isMongoId().withMessage('Invalid product ID'),
   body('status').isString().notEmpty().withMessage('Status is required')
 ], async (req, res) => {
@@ -622,11 +721,17 @@ router.put('/updateProductStatus/:productId', [
     const { productId } = req.params;
     const { status } = req.body;
 
-    const product = await Product.findOne({ _id: productId, currentOwner: req.user.id });
+    const product = await Product.findOne({ _id: productId, ...ownedBy(req) });
     if (!product) {
       return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
 
+    // Only transitions declared in the product lifecycle are allowed
+    const transitionError = validateTransition(product.status, status, req.user.userType);
+    if (transitionError) {
+      return res.status(409).json(transitionError);
+    }
+
     // Update product status on the blockchain
     const blockchainResult = await Web3Service.updateProductStatusOnBlockchain(product.blockchainId, status);
     if (!blockchainResult.success) {
@@ -634,9 +739,12 @@ router.put('/updateProductStatus/:productId', [
     }
 
     // Update product status in the database
+    const previousStatus = product.status;
     product.status = status;
     product.blockchainTx = blockchainResult.txHash;
     await product.save();
+    await NotificationService.notifyStatusChange(product, previousStatus);
+    await OrganizationService.recordActivity(req, 'product.status', { product: product._id, details: { status } });
 
     console.log('Product status updated:', product._id, status);
     res.json({ message: 'Product status updated successfully', product, txHash: blockchainResult.txHash });
@@ -646,12 +754,123 @@ router.put('/updateProductStatus/:productId', [
   }
 });
 
+/**
+ * Route to record a quality check for a product
+ *
+ * The check is stored in the database; the response holds the arguments of the
+ * contract's recordQualityCheck, which the checker sends from their wallet to anchor
+ * a hash of its data on the blockchain, so later edits of the stored check can be detected.
+ *
+ * @route POST /api/retailer/products/:productId/qualityChecks
+ */
+router.post('/products/:productId/qualityChecks', [
+  requireOrganizationRole('operator'),
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  body('status').isIn(['Passed', 'Failed', 'Pending']).withMessage('Status must be Passed, Failed or Pending'),
+  body('notes').optional().isString(),
+  body('parameters.temperature').optional().isFloat().toFloat(),
+  body('parameters.humidity').optional().isFloat({ min: 0, max: 100 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, notes, parameters } = req.body;
+
+    // Only the owner of a product checks it, as the contract only accepts checks from the owner
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const { qualityCheck, blockchainCheck } = await QualityCheckService.createQualityCheck(product, req.user.id, { status, notes, parameters });
+    await OrganizationService.recordActivity(req, 'product.qualityCheck', { product: product._id, details: { status } });
+
+    console.log('Quality check recorded:', qualityCheck._id, status);
+    res.status(201).json({ message: 'Quality check saved, anchor it on the blockchain from your wallet', qualityCheck, blockchainCheck });
+  } catch (error) {
+    console.error('Error recording quality check:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to record the transaction that anchored a quality check on the blockchain,
+ * sent from the checker's wallet, which the contract records as the checker
+ *
+ * @route POST /api/retailer/products/:productId/qualityChecks/:checkId/anchor
+ */
+router.post('/products/:productId/qualityChecks/:checkId/anchor', [
+  requireOrganizationRole('operator'),
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  param('checkId').isMongoId().withMessage('Invalid quality check ID'),
+  body('txHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid transaction hash')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const qualityCheck = await QualityCheckService.anchorQualityCheck(
+      product,
+      req.params.checkId,
+      req.body.txHash.toLowerCase(),
+      await OrganizationService.getSenderAddresses(req)
+    );
+
+    console.log('Quality check anchored:', qualityCheck._id, qualityCheck.blockchainTxHash);
+    res.json({ message: 'Quality check anchored on the blockchain', qualityCheck });
+  } catch (error) {
+    console.error('Error anchoring quality check:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to list the quality checks of a product
+ *
+ * Each check is compared with its on-chain record; `verified` is false when the check
+ * was never anchored or its stored data no longer matches the anchored hash.
+ *
+ * @route GET /api/retailer/products/:productId/qualityChecks
+ */
+router.get('/products/:productId/qualityChecks', [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    res.json(await QualityCheckService.listQualityChecks(product));
+  } catch (error) {
+    console.error('Error fetching quality checks:', error);
+    handleError(error, res);
+  }
+});
+
 /**
  * Route to set Ethereum address for the retailer
  * @route POST /api/retailer/setEthereumAddress
  */
-router.post('/setEthereumAddress', [
-  body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address')
+router.post('/setEthereumAddress', requireTwoFactor, [
+  body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address'),
+  body('message').isString().notEmpty().withMessage('A message signed by the wallet is required'),
+  body('signature').isString().notEmpty().withMessage('The wallet signature is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -659,11 +878,19 @@ router.post('/setEthereumAddress', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { ethereumAddress } = req.body;
+    const { ethereumAddress, message, signature } = req.body;
 
-    const user = await User.findByIdAndUpdate(req.user.id, { ethereumAddress }, { new: true });
+    // Only link the address once the wallet proved it belongs to the user
+    const { user, previousAddress } = await WalletAuthService.linkAddress(req.user.id, ethereumAddress, message, signature);
     console.log('Ethereum address updated for user:', user._id);
-    res.json({ message: 'Ethereum address updated successfully', user });
+
+    // Grant the on-chain role matching the user type to the linked address
+    const blockchainRole = await Web3Service.syncUserRoleOnBlockchain(user.userType, ethereumAddress, previousAddress);
+    if (!blockchainRole.success) {
+      console.error('Error granting blockchain role:', blockchainRole.error);
+    }
+
+    res.json({ message: 'Ethereum address updated successfully', user, blockchainRole });
   } catch (error) {
     console.error('Error updating Ethereum address:', error);
     handleError(error, res);
@@ -676,7 +903,7 @@ router.post('/setEthereumAddress', [
  */
 router.get('/inventory', async (req, res) => {
   try {
-    const inventory = await Product.find({ currentOwner: req.user.id })
+    const inventory = await Product.find(ownedBy(req))
       .select('type batchNumber quantity price status');
     console.log('Inventory fetched for retailer:', inventory.length, 'items');
     res.json(inventory);
@@ -752,7 +979,8 @@ router.get('/salesReport', [
     }
 
     const { startDate, endDate } = req.query;
-    let dateFilter = { fromUser: req.user.id };
+    // Only sales whose escrowed payment has been released to the retailer count
+    let dateFilter = { fromId: req.user.id, paymentStatus: 'Settled' };
 
     if (startDate && endDate) {
       dateFilter.createdAt = {
@@ -762,22 +990,25 @@ router.get('/salesReport', [
     }
 
     const salesTransactions = await Transaction.find(dateFilter)
-      .populate('product', 'type price')
-      .populate('toUser', 'username');
+      .populate('productId', 'type')
+      .populate('toId', 'username');
 
     const report = salesTransactions.map(transaction => ({
       date: transaction.createdAt,
-      product: transaction.product.type,
+      product: transaction.productId ? transaction.productId.type : null,
       quantity: transaction.quantity,
-      price: transaction.product.price,
-      total: transaction.quantity * transaction.product.price,
-      consumer: transaction.toUser.username
+      price: transaction.price / transaction.quantity,
+      total: transaction.price,
+      consumer: transaction.toId ? transaction.toId.username : null
     }));
 
     const totalSales = report.reduce((sum, sale) => sum + sale.total, 0);
 
+    // Payments still held in escrow are reported separately
+    const pendingPayments = await Transaction.countDocuments({ ...dateFilter, paymentStatus: 'Held' });
+
     console.log('Sales report generated:', report.length, 'transactions');
-    res.json({ report, totalSales });
+    res.json({ report, totalSales, pendingPayments });
   } catch (error) {
     console.error('Error generating sales report:', error);
     handleError(error, res);
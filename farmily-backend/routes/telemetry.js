@@ -0,0 +1,284 @@
+/**
+ * Telemetry Routes
+ *
+ * This module defines the API routes for cold chain telemetry: the route
+ * sensors and data loggers post the readings of a product or of a shipment to,
+ * authenticated with the telemetry key set in TELEMETRY_API_KEY, and the routes
+ * for the supply chain members who handled a product to read its readings and
+ * excursions, and to get the Merkle proof that a reading is unchanged since it
+ * was anchored on the blockchain.
+ * GPS trackers post the locations of products the same way, and the members who
+ * handled a product can read its geolocation trail.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const { loadOrganization, requireOrganizationRole, ownedBy, findVisibleProduct } = require('../middleware/organization');
+const { body, param, query, validationResult } = require('express-validator');
+const TelemetryReading = require('../models/TelemetryReading');
+const TelemetryService = require('../services/TelemetryService');
+const SensorAnchorService = require('../services/SensorAnchorService');
+const LocationService = require('../services/LocationService');
+const coldChain = require('../utils/coldChain');
+
+/**
+ * Middleware to ensure the request comes from a sensor holding the telemetry key
+ */
+const requireTelemetryKey = (req, res, next) => {
+  const expected = process.env.TELEMETRY_API_KEY;
+  const provided = req.header('X-Telemetry-Key');
+  if (!expected) {
+    return res.status(503).json({ message: 'Telemetry ingestion is not configured' });
+  }
+  // Compare digests, which have the same length, in constant time
+  const digest = (value) => crypto.createHash('sha256').update(value || '').digest();
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(expected))) {
+    return res.status(401).json({ message: 'Invalid telemetry key' });
+  }
+  next();
+};
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route for sensors to post readings, for the product they monitor or for the
+ * shipment they travel with, whose readings are recorded for each of its products
+ * @route POST /api/telemetry/readings
+ */
+router.post('/readings', requireTelemetryKey, [
+  body('productId').optional().isMongoId().withMessage('Invalid product ID'),
+  body('shipmentId').optional().isMongoId().withMessage('Invalid shipment ID'),
+  body('shipmentId').if(body('productId').not().exists()).exists().withMessage('A product ID or a shipment ID is required'),
+  body('shipmentId').if(body('productId').exists()).not().exists().withMessage('Send a product ID or a shipment ID, not both'),
+  body('device').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Device is required'),
+  body('readings').isArray({ min: 1, max: TelemetryService.MAX_READINGS_PER_BATCH })
+    .withMessage(`Readings must be an array of 1 to ${TelemetryService.MAX_READINGS_PER_BATCH} readings`),
+  body('readings.*.recordedAt').isISO8601().withMessage('Invalid reading time'),
+  body('readings.*.temperature').optional().isFloat({ min: -100, max: 100 }).withMessage('Invalid temperature').toFloat(),
+  body('readings.*.humidity').optional().isFloat({ min: 0, max: 100 }).withMessage('Invalid humidity').toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await TelemetryService.recordReadings({
+      productId: req.body.productId,
+      shipmentId: req.body.shipmentId,
+      device: req.body.device,
+      readings: req.body.readings,
+      source: 'http'
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error recording telemetry readings:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the acceptable ranges of each storage condition
+ * @route GET /api/telemetry/thresholds
+ */
+router.get('/thresholds', auth, (req, res) => {
+  res.json(coldChain.THRESHOLDS);
+});
+
+/**
+ * Route to get the readings of a product
+ * @route GET /api/telemetry/products/:productId/readings
+ */
+router.get('/products/:productId/readings', auth, loadOrganization, [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  query('from').optional().isISO8601().withMessage('Invalid start time').toDate(),
+  query('to').optional().isISO8601().withMessage('Invalid end time').toDate(),
+  query('limit').optional().isInt({ min: 1, max: 5000 }).withMessage('Limit must be between 1 and 5000').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await findVisibleProduct(req, req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const readings = await TelemetryService.getReadings(product._id, req.query);
+    res.json(readings);
+  } catch (error) {
+    console.error('Error fetching telemetry readings:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the cold chain summary of a product with its excursions
+ * @route GET /api/telemetry/products/:productId/excursions
+ */
+router.get('/products/:productId/excursions', auth, loadOrganization, [
+  param('productId').isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await findVisibleProduct(req, req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const summary = await TelemetryService.getColdChainSummary(product);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching cold chain excursions:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get a reading with its Merkle proof, checked against the root anchored on the blockchain
+ * @route GET /api/telemetry/readings/:readingId/proof
+ */
+router.get('/readings/:readingId/proof', auth, loadOrganization, [
+  param('readingId').isMongoId().withMessage('Invalid reading ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reading = await TelemetryReading.findById(req.params.readingId).select('product');
+    if (!reading || !await findVisibleProduct(req, reading.product)) {
+      return res.status(404).json({ message: 'Reading not found' });
+    }
+
+    const proof = await SensorAnchorService.getReadingProof(reading._id);
+    res.json(proof);
+  } catch (error) {
+    console.error('Error fetching reading proof:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route for GPS trackers to post the locations of the product they travel with
+ * @route POST /api/telemetry/locations
+ */
+router.post('/locations', requireTelemetryKey, [
+  body('productId').isMongoId().withMessage('Invalid product ID'),
+  body('device').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Device is required'),
+  body('locations').isArray({ min: 1, max: LocationService.MAX_LOCATIONS_PER_BATCH })
+    .withMessage(`Locations must be an array of 1 to ${LocationService.MAX_LOCATIONS_PER_BATCH} locations`),
+  body('locations.*.latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  body('locations.*.longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  body('locations.*.placeName').optional().isString().trim().isLength({ max: 200 }),
+  body('locations.*.recordedAt').isISO8601().withMessage('Invalid location time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await LocationService.recordLocations({
+      productId: req.body.productId,
+      device: req.body.device,
+      locations: req.body.locations,
+      source: 'device'
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error recording locations:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route for the holder of a product to record where it is
+ * @route POST /api/telemetry/products/:productId/locations
+ */
+router.post('/products/:productId/locations', auth, loadOrganization, requireOrganizationRole('operator'), [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  body('placeName').optional().isString().trim().isLength({ max: 200 }),
+  body('recordedAt').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid location time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findOne({ _id: req.params.productId, ...ownedBy(req) });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+
+    const result = await LocationService.recordLocations({
+      productId: product._id,
+      locations: [{
+        latitude: req.body.latitude,
+        longitude: req.body.longitude,
+        placeName: req.body.placeName,
+        recordedAt: req.body.recordedAt || new Date()
+      }],
+      source: 'manual',
+      userId: req.user.id
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error recording location:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to get the geolocation trail of a product
+ * @route GET /api/telemetry/products/:productId/trail
+ */
+router.get('/products/:productId/trail', auth, loadOrganization, [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  query('from').optional().isISO8601().withMessage('Invalid start time').toDate(),
+  query('to').optional().isISO8601().withMessage('Invalid end time').toDate(),
+  query('limit').optional().isInt({ min: 1, max: 5000 }).withMessage('Limit must be between 1 and 5000').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await findVisibleProduct(req, req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const trail = await LocationService.getTrail(product._id, req.query);
+    res.json(trail);
+  } catch (error) {
+    console.error('Error fetching location trail:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * Two-Factor Authentication Routes
+ *
+ * This module defines the API routes for users to manage two-factor
+ * authentication: enrolling an authenticator app with a QR code, replacing the
+ * recovery codes and turning it off. Changes to an enabled setup need a fresh
+ * two-factor code, like the other sensitive actions.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const requireTwoFactor = require('../middleware/requireTwoFactor');
+const TwoFactorService = require('../services/TwoFactorService');
+
+// Apply authentication to all routes
+router.use(auth);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to get the two-factor status of the user
+ * @route GET /api/2fa/status
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user.id);
+    res.json(status);
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to start enrolling an authenticator app. Returns the secret and a QR
+ * code of it to scan.
+ * @route POST /api/2fa/setup
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const enrollment = await TwoFactorService.startEnrollment(req.user.id);
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to enable two-factor authentication with a first code from the
+ * authenticator app. Returns the recovery codes, which are not shown again.
+ * @route POST /api/2fa/enable
+ */
+router.post('/enable', [
+  body('code').isString().notEmpty().withMessage('Two-factor code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(req.user.id, req.user.sessionId, req.body.code);
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to replace the recovery codes
+ * @route POST /api/2fa/recovery-codes
+ */
+router.post('/recovery-codes', requireTwoFactor, async (req, res) => {
+  try {
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.id);
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    handleError(error, res);
+  }
+});
+
+/**
+ * Route to disable two-factor authentication
+ * @route POST /api/2fa/disable
+ */
+router.post('/disable', requireTwoFactor, async (req, res) => {
+  try {
+    await TwoFactorService.disable(req.user.id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
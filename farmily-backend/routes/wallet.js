@@ -0,0 +1,52 @@
+/**
+ * Wallet Routes
+ *
+ * This module defines the API route issuing the messages users sign with their
+ * wallet to prove they own an Ethereum address before linking it to their
+ * account (see services/WalletAuthService.js). The signed message is then sent
+ * to the dashboard route updating the address.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const WalletAuthService = require('../services/WalletAuthService');
+
+// Apply authentication to all routes
+router.use(auth);
+
+/**
+ * Handle errors and send appropriate response
+ * @param {Error} error - The error object
+ * @param {Object} res - Express response object
+ */
+const handleError = (error, res) => {
+  console.error('Error:', error);
+  const statusCode = error.statusCode || 500;
+  const message = error.message || 'An unexpected error occurred';
+  res.status(statusCode).json({ message });
+};
+
+/**
+ * Route to get the message to sign with a wallet before linking its address
+ * @route POST /api/wallet/challenge
+ */
+router.post('/challenge', [
+  body('ethereumAddress').isEthereumAddress().withMessage('Invalid Ethereum address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const challenge = await WalletAuthService.createChallenge(req.body.ethereumAddress, 'link', req.user.id);
+    res.json(challenge);
+  } catch (error) {
+    console.error('Error creating wallet challenge:', error);
+    handleError(error, res);
+  }
+});
+
+module.exports = router;
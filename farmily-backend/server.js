@@ -19,11 +19,28 @@ const connectDB = require('./utils/db');
 const Transfer = require('./models/Transfer'); 
 const registerRouter = require('./routes/register');
 const loginRouter = require('./routes/login');
+const logoutRouter = require('./routes/logout');
+const passwordRouter = require('./routes/password');
+const twoFactorRouter = require('./routes/twoFactor');
+const walletRouter = require('./routes/wallet');
+const adminRouter = require('./routes/admin');
+const organizationRouter = require('./routes/organization');
+const partnerRouter = require('./routes/partner');
+const telemetryRouter = require('./routes/telemetry');
 const farmerDashboardRouter = require('./routes/farmerDashboard');
 const distributorDashboardRouter = require('./routes/distributorDashboard');
 const retailerDashboardRouter = require('./routes/retailerDashboard');
 const consumerRouter = require('./routes/consumerDashboard');
 const blockchainRouter = require('./routes/blockchain');
+const escrowRouter = require('./routes/escrow');
+const recallRouter = require('./routes/recall');
+const disputeRouter = require('./routes/dispute');
+const publicRouter = require('./routes/public');
+const labelsRouter = require('./routes/labels');
+const epcisRouter = require('./routes/epcis');
+const SocketService = require('./services/SocketService');
+const TelemetryMqttListener = require('./services/TelemetryMqttListener');
+const SensorAnchorService = require('./services/SensorAnchorService');
 
 // Initialize the Express application
 const app = express();
@@ -48,7 +65,7 @@ app.use(helmet({
       ...helmet.contentSecurityPolicy.getDefaultDirectives(),
       "font-src": ["'self'", "https:", "data:"],
       "script-src": ["'self'", "'unsafe-inline'", "'unsafe-eval'", "https:"],
-      "connect-src": ["'self'", "http://localhost:3000"]
+      "connect-src": ["'self'", "http://localhost:3000", "ws://localhost:3000"]
     },
   },
 }));
@@ -57,7 +74,7 @@ app.use(helmet({
 const corsOptions = {
   origin: ['http://127.0.0.1:5500', 'http://localhost:5500', 'http://localhost:3000'],
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Two-Factor-Code'],
   credentials: true,
   optionsSuccessStatus: 204
 };
@@ -94,11 +111,25 @@ connectDB();
 // Set up routes
 app.use('/api/register', registerRouter);
 app.use('/api/login', loginRouter);
+app.use('/api/logout', logoutRouter);
+app.use('/api/password', passwordRouter);
+app.use('/api/2fa', twoFactorRouter);
+app.use('/api/wallet', walletRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/organizations', organizationRouter);
+app.use('/api/partners', partnerRouter);
+app.use('/api/telemetry', telemetryRouter);
 app.use('/api/farmer', farmerDashboardRouter);
 app.use('/api/distributor', distributorDashboardRouter);
 app.use('/api/retailer', retailerDashboardRouter);
 app.use('/api/consumer', consumerRouter);
 app.use('/api/blockchain', blockchainRouter);
+app.use('/api/escrow', escrowRouter);
+app.use('/api/recalls', recallRouter);
+app.use('/api/disputes', disputeRouter);
+app.use('/api/public', publicRouter);
+app.use('/api/labels', labelsRouter);
+app.use('/api/epcis', epcisRouter);
 
 // Basic route to check if the server is running
 const publicDirectoryPath = path.join(__dirname, '../public');
@@ -106,11 +137,19 @@ const publicDirectoryPath = path.join(__dirname, '../public');
 // Serve the index.html file from the public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Map tiles served from a local directory of z/x/y.png files (MAP_TILES_DIR), e.g. exported from an MBTiles file
+app.use('/tiles', express.static(process.env.MAP_TILES_DIR || path.join(__dirname, 'tiles'), { maxAge: '7d' }));
+
 // Optional: Default route to serve index.html for unmatched routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
+// GS1 Digital Link URIs of product labels (/01/<GTIN>/10/<lot>) open the product verification page
+app.get('/01/:gtin/10/:lot', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/verify-product.html'));
+});
+
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -124,14 +163,22 @@ app.use((err, req, res, next) => {
 // Set io instance on app for use in other parts of the application
 app.set('io', io);
 
-// Socket.IO connection handler
-io.on('connection', (socket) => {
-  console.log('A user connected');
+// Authenticate Socket.IO connections and put each socket in the room of its user
+SocketService.attach(io);
 
-  socket.on('disconnect', () => {
-    console.log('User disconnected');
+// Record the sensor readings published on the MQTT broker, when one is configured
+if (process.env.MQTT_URL) {
+  const telemetryListener = new TelemetryMqttListener({
+    url: process.env.MQTT_URL,
+    topic: process.env.MQTT_TELEMETRY_TOPIC,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD
   });
-});
+  telemetryListener.start();
+}
+
+// Anchor the Merkle roots of the sensor readings on the blockchain, one batch per product and time window
+SensorAnchorService.start();
 
 // Start the server
 const PORT = process.env.PORT || 3000;
@@ -0,0 +1,208 @@
+/**
+ * Account Service
+ *
+ * Handles the email verification and password reset flows. Both send the user
+ * a link carrying a random token; only the hash of the token is stored, and the
+ * token expires and can be used once. Sending a new token cancels the unused
+ * ones sent before for the same purpose.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../models/user.js');
+const AccountToken = require('../models/AccountToken');
+const MailService = require('./MailService');
+const SessionService = require('./SessionService');
+const { hashToken } = require('../utils/jwt');
+const logger = require('../utils/logger');
+const { PUBLIC_APP_URL } = require('../config');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const SALT_ROUNDS = 10;
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Escape text for an HTML email body
+ * @param {String} text - The text
+ * @returns {String}
+ */
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+/**
+ * Issue a token for a user, cancelling the unused ones with the same purpose
+ * @param {User} user - The user
+ * @param {String} purpose - 'email_verification' or 'password_reset'
+ * @param {Number} ttlMs - Lifetime of the token, in milliseconds
+ * @returns {Promise<String>} The token, to be sent to the user
+ */
+async function issueToken(user, purpose, ttlMs) {
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+}
+
+/**
+ * Use a token. Marking it used in the same query as finding it ensures it is used once.
+ * @param {String} token - The token received from the user
+ * @param {String} purpose - The purpose the token must have
+ * @returns {Promise<AccountToken>} The used token
+ * @throws {Error} With statusCode 400 when the token is unknown, expired or already used
+ */
+async function consumeToken(token, purpose) {
+  const accountToken = typeof token === 'string' && await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!accountToken) {
+    throw httpError('This link is invalid or has expired', 400);
+  }
+  return accountToken;
+}
+
+/**
+ * Email a user the link to verify their email address
+ * @param {User} user - The user
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = await issueToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  const link = `${PUBLIC_APP_URL}/verify-email.html?token=${token}`;
+
+  await MailService.sendMail({
+    to: user.email,
+    subject: 'Verify your Farmily email address',
+    text: `Hello ${user.firstName},\n\n` +
+      `Please verify your email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you did not register on Farmily, you can ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.firstName)},</p>` +
+      `<p>Please <a href="${link}">verify your email address</a>.</p>` +
+      `<p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you did not register on Farmily, you can ignore this email.</p>`
+  });
+  logger.info(`Verification email sent to user ${user._id}`);
+}
+
+/**
+ * Verify a user's email address with the token sent to it
+ * @param {String} token - The token from the verification link
+ * @returns {Promise<User>} The verified user
+ */
+async function verifyEmail(token) {
+  const accountToken = await consumeToken(token, 'email_verification');
+  const user = await User.findById(accountToken.user);
+
+  // The user changed their email address after the token was sent
+  if (!user || user.email !== accountToken.email) {
+    throw httpError('This link is invalid or has expired', 400);
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    logger.info(`Email verified for user ${user._id}`);
+  }
+  return user;
+}
+
+/**
+ * Send the verification email again. Nothing is sent for unknown or verified
+ * addresses, and the caller answers the same way, so as not to reveal which
+ * addresses are registered.
+ * @param {String} email - The email address
+ * @returns {Promise<void>}
+ */
+async function resendVerificationEmail(email) {
+  const user = await User.findOne({ email });
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user);
+  }
+}
+
+/**
+ * Email the link to reset the password of the account with an email address.
+ * Unknown addresses are ignored, so as not to reveal which are registered.
+ * @param {String} email - The email address
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const user = await User.findOne({ email });
+  if (!user) {
+    logger.info('Password reset requested for an unknown email address');
+    return;
+  }
+
+  const token = await issueToken(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const link = `${PUBLIC_APP_URL}/reset-password.html?token=${token}`;
+
+  await MailService.sendMail({
+    to: user.email,
+    subject: 'Reset your Farmily password',
+    text: `Hello ${user.firstName},\n\n` +
+      `A password reset was requested for your account (${user.username}). Choose a new password by opening this link:\n${link}\n\n` +
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. If you did not ask to reset your password, you can ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.firstName)},</p>` +
+      `<p>A password reset was requested for your account (${escapeHtml(user.username)}). <a href="${link}">Choose a new password</a>.</p>` +
+      `<p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. If you did not ask to reset your password, you can ignore this email.</p>`
+  });
+  logger.info(`Password reset email sent to user ${user._id}`);
+}
+
+/**
+ * Set a new password with the token of a password reset email. All the sessions
+ * of the user are revoked, signing out whoever knew the old password.
+ * @param {String} token - The token from the reset link
+ * @param {String} password - The new password
+ * @returns {Promise<User>} The user
+ */
+async function resetPassword(token, password) {
+  const accountToken = await consumeToken(token, 'password_reset');
+  const user = await User.findById(accountToken.user);
+  if (!user) {
+    throw httpError('This link is invalid or has expired', 400);
+  }
+
+  user.password = await bcrypt.hash(password, SALT_ROUNDS);
+  user.passwordChangedAt = new Date();
+  // Opening the emailed link proves the address belongs to the user
+  if (!user.emailVerified && user.email === accountToken.email) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await AccountToken.deleteMany({ user: user._id, purpose: 'password_reset', usedAt: null });
+  await SessionService.revokeAllSessions(user._id);
+  logger.info(`Password reset for user ${user._id}`);
+  return user;
+}
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerificationEmail,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,244 @@
+/**
+ * Admin Service
+ *
+ * Operations of the administration console: finding users, approving and
+ * suspending accounts, looking at the full history of any product and forcing
+ * the database back in line with the blockchain when it has drifted.
+ */
+
+const User = require('../models/user.js');
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const Transaction = require('../models/Transaction');
+const QualityCheck = require('../models/QualityCheck');
+const Recall = require('../models/Recall');
+const Dispute = require('../models/Dispute');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const BlockchainIndexer = require('./BlockchainIndexer');
+const LineageService = require('./LineageService');
+const MailService = require('./MailService');
+const SessionService = require('./SessionService');
+const Web3Service = require('./Web3Service');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+
+// User fields shown in the console
+const USER_FIELDS = 'userType firstName lastName username email ethereumAddress emailVerified twoFactorEnabled ' +
+  'accountStatus accountStatusReason accountStatusChangedAt createdAt';
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Escape text for use in a regular expression
+ * @param {String} text - The text
+ * @returns {String}
+ */
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * List users, most recent first
+ * @param {Object} filters
+ * @param {String} [filters.search] - Text searched in the username, name, email and Ethereum address
+ * @param {String} [filters.userType] - Only users of this type
+ * @param {String} [filters.accountStatus] - Only accounts with this status
+ * @param {Number} [filters.page=1] - Page number
+ * @param {Number} [filters.limit=20] - Users per page
+ * @returns {Promise<Object>} { users, total, page, pages }
+ */
+async function listUsers({ search, userType, accountStatus, page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (userType) {
+    query.userType = userType;
+  }
+  if (accountStatus) {
+    query.accountStatus = accountStatus;
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$or = ['username', 'firstName', 'lastName', 'email', 'ethereumAddress']
+      .map(field => ({ [field]: pattern }));
+  }
+
+  limit = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  page = Math.max(page, 1);
+  const [users, total] = await Promise.all([
+    User.find(query).select(USER_FIELDS).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    User.countDocuments(query)
+  ]);
+  return { users, total, page, pages: Math.ceil(total / limit) };
+}
+
+/**
+ * Get a user with their activity
+ * @param {String} userId - The user ID
+ * @returns {Promise<Object>} { user, productCount, transferCount, openDisputes }
+ */
+async function getUser(userId) {
+  const user = await User.findById(userId).select(USER_FIELDS).populate('accountStatusChangedBy', 'username');
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+
+  const [productCount, transferCount, openDisputes] = await Promise.all([
+    Product.countDocuments({ currentOwner: user._id }),
+    Transfer.countDocuments({ $or: [{ fromUser: user._id }, { toUser: user._id }] }),
+    Dispute.countDocuments({ status: 'open', $or: [{ openedBy: user._id }, { against: user._id }] })
+  ]);
+  return { user, productCount, transferCount, openDisputes };
+}
+
+/**
+ * Approve, reactivate or suspend an account. Suspending signs the user out of
+ * every device. The user is told by email.
+ * @param {Object} admin - req.user of the admin
+ * @param {String} userId - The user ID
+ * @param {String} accountStatus - 'active' or 'suspended'
+ * @param {String} [reason] - Why, shown to the user
+ * @returns {Promise<User>}
+ */
+async function setAccountStatus(admin, userId, accountStatus, reason) {
+  if (String(admin.id) === String(userId)) {
+    throw httpError('You cannot change the status of your own account', 400);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+  if (user.accountStatus === accountStatus) {
+    throw httpError(`This account is already ${accountStatus}`, 400);
+  }
+
+  const previousStatus = user.accountStatus;
+  user.accountStatus = accountStatus;
+  user.accountStatusReason = reason;
+  user.accountStatusChangedAt = new Date();
+  user.accountStatusChangedBy = admin.id;
+  await user.save();
+
+  if (accountStatus === 'suspended') {
+    await SessionService.revokeAllSessions(user._id, 'account_suspended');
+  }
+  logger.warn(`Account of user ${user._id} changed from ${previousStatus} to ${accountStatus} by admin ${admin.id}`);
+
+  const outcome = accountStatus === 'suspended'
+    ? 'has been suspended. You cannot log in until an administrator reactivates it'
+    : `has been ${previousStatus === 'pending' ? 'approved' : 'reactivated'}. You can now log in`;
+  try {
+    await MailService.sendMail({
+      to: user.email,
+      subject: `Your Farmily account has been ${accountStatus === 'suspended' ? 'suspended' : 'activated'}`,
+      text: `Hello ${user.firstName},\n\n` +
+        `Your account (${user.username}) ${outcome}.` +
+        (reason ? `\n\nReason: ${reason}` : '')
+    });
+  } catch (error) {
+    logger.error(`Failed to email user ${user._id} about their account status: ${error.message}`);
+  }
+
+  return User.findById(user._id).select(USER_FIELDS);
+}
+
+/**
+ * Get everything recorded about a product: its lineage, transfers, sales,
+ * quality checks, recalls, disputes and blockchain events
+ * @param {String} productId - The product ID
+ * @returns {Promise<Object>}
+ */
+async function getProductHistory(productId) {
+  const product = await Product.findById(productId)
+    .populate('currentOwner', 'username userType')
+    .populate('originalOwner', 'username userType');
+  if (!product) {
+    throw httpError('Product not found', 404);
+  }
+
+  const blockchainIds = product.blockchainId ? [product.blockchainId, product.blockchainId.toLowerCase()] : [];
+  const [lineage, transfers, transactions, qualityChecks, recalls, disputes, chainEvents] = await Promise.all([
+    LineageService.getLineage(product._id),
+    Transfer.find({ $or: [{ product: product._id }, { receivedProduct: product._id }] })
+      .sort({ createdAt: 1 })
+      .populate('fromUser', 'username userType')
+      .populate('toUser', 'username userType'),
+    Transaction.find({ productId: product._id }).sort({ createdAt: 1 }),
+    QualityCheck.find({ productId: product._id }).sort({ checkDate: 1 }),
+    Recall.find({ affectedProducts: product._id }).sort({ createdAt: 1 }),
+    Dispute.find({ product: product._id }).sort({ createdAt: 1 })
+      .populate('openedBy', 'username userType')
+      .populate('against', 'username userType'),
+    ChainEvent.find({ productId: { $in: blockchainIds } }).sort({ blockNumber: 1, logIndex: 1 })
+  ]);
+
+  return { product, lineage, transfers, transactions, qualityChecks, recalls, disputes, chainEvents };
+}
+
+/**
+ * Overwrite a product and the escrows of its transfers with the state stored
+ * in the contract, as the indexer does after a chain reorganisation
+ * @param {String} productId - The product ID
+ * @returns {Promise<Product>} The resynced product
+ */
+async function resyncProduct(productId) {
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw httpError('Product not found', 404);
+  }
+  if (!product.blockchainId) {
+    throw httpError('This product is not registered on the blockchain', 400);
+  }
+
+  const indexer = new BlockchainIndexer({ web3: Web3Service.web3, contract: Web3Service.contract });
+  await indexer.resyncProduct(product.blockchainId);
+
+  const escrowedTransfers = await Transfer.find({ product: product._id, 'escrow.escrowId': { $exists: true } });
+  for (const transfer of escrowedTransfers) {
+    await indexer.resyncEscrow(transfer.escrow.escrowId);
+  }
+
+  logger.warn(`Product ${product._id} resynced from the blockchain by an admin`);
+  return Product.findById(product._id);
+}
+
+/**
+ * Make the blockchain indexer process the blocks again from a block, to pick
+ * up events it missed. Events already applied are skipped.
+ * @param {Number} fromBlock - First block to process again
+ * @param {String} [name='ProductManagement'] - Name of the indexer's checkpoint
+ * @returns {Promise<IndexerCheckpoint>}
+ */
+async function replayIndexer(fromBlock, name = 'ProductManagement') {
+  const checkpoint = await IndexerCheckpoint.findOne({ name });
+  if (!checkpoint) {
+    throw httpError('The blockchain indexer has not run yet', 404);
+  }
+  if (fromBlock > checkpoint.lastProcessedBlock) {
+    throw httpError(`The indexer has only processed the blocks up to ${checkpoint.lastProcessedBlock}`, 400);
+  }
+
+  checkpoint.forgetBlocksAfter(fromBlock - 1);
+  checkpoint.lastProcessedBlock = fromBlock - 1;
+  await checkpoint.save();
+  logger.warn(`Indexer ${name} rewound to block ${fromBlock} by an admin`);
+  return checkpoint;
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  setAccountStatus,
+  getProductHistory,
+  resyncProduct,
+  replayIndexer
+};
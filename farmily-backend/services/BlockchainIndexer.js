@@ -0,0 +1,798 @@
+/**
+ * Blockchain Indexer
+ *
+ * Long-running service that follows the ProductManagement contract events and
+ * keeps the Product, Transfer, Transaction, QualityCheck, SensorAnchor and Recall
+ * collections, the escrowed payments of transfers and the lineage of products in sync with the chain.
+ *
+ * The indexer polls for events in block ranges (which works with both HTTP and
+ * WebSocket providers), applies each event idempotently, and persists its block
+ * cursor in an IndexerCheckpoint document so it replays from the last processed
+ * block after a restart. Chain reorganisations are detected by comparing stored
+ * block hashes with the canonical chain; orphaned events are marked as removed,
+ * the affected transfers, escrows and products are re-read from contract state,
+ * the records created by orphaned transactions are deleted and the cursor is
+ * rewound to the fork point so the canonical events are applied again. Replaying
+ * an event never applies a change twice: the handlers copy product quantities
+ * from the contract instead of adding to them.
+ */
+
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const Transaction = require('../models/Transaction');
+const QualityCheck = require('../models/QualityCheck');
+const SensorAnchor = require('../models/SensorAnchor');
+const Recall = require('../models/Recall');
+const User = require('../models/user.js');
+const Organization = require('../models/Organization');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const EscrowService = require('./EscrowService');
+const TransferService = require('./TransferService');
+const LineageService = require('./LineageService');
+const RecallService = require('./RecallService');
+const logger = require('../utils/logger');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Status names in the order of the Status enum in the smart contract
+const STATUSES = Product.schema.path('status').enumValues;
+
+// Product fields that may be changed through ProductInfoUpdated events
+const PRODUCT_INFO_FIELDS = ['storageConditions', 'transportationMode', 'transportationDetails', 'estimatedDeliveryDate'];
+
+// Events that change the escrowed payment of a transfer
+const ESCROW_EVENTS = ['EscrowDeposited', 'EscrowReleased', 'EscrowRefunded'];
+
+// Events that change the state of a pending transfer
+const TRANSFER_EVENTS = ['TransferInitiated', 'TransferAccepted', 'TransferCancelled'];
+
+// Transfer user types accepted by the Transfer schema
+const FROM_USER_TYPES = Transfer.schema.path('fromUserType').enumValues;
+const TO_USER_TYPES = Transfer.schema.path('toUserType').enumValues;
+
+class BlockchainIndexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.web3 - Web3 instance connected to the node
+   * @param {Object} options.contract - web3 contract instance of ProductManagement
+   * @param {String} [options.name] - Checkpoint name, allows several indexers to share a database
+   * @param {Number} [options.startBlock] - First block to index when no checkpoint exists
+   * @param {Number} [options.confirmations] - Blocks to wait before indexing a block
+   * @param {Number} [options.batchSize] - Maximum number of blocks fetched per request
+   * @param {Number} [options.pollInterval] - Delay between polls in milliseconds
+   * @param {Number} [options.reorgDepth] - Number of recent block hashes kept for reorg detection
+   */
+  constructor({ web3, contract, name = 'ProductManagement', startBlock = 0, confirmations = 0, batchSize = 1000, pollInterval = 5000, reorgDepth = 50 }) {
+    this.web3 = web3;
+    this.contract = contract;
+    this.name = name;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.reorgDepth = reorgDepth;
+    this.running = false;
+    this.timer = null;
+
+    this.handlers = {
+      ProductCreated: this.handleProductCreated.bind(this),
+      StatusUpdated: this.handleStatusUpdated.bind(this),
+      TransferInitiated: this.handleTransferInitiated.bind(this),
+      TransferAccepted: this.handleTransferAccepted.bind(this),
+      TransferCancelled: this.handleTransferCancelled.bind(this),
+      ProductInfoUpdated: this.handleProductInfoUpdated.bind(this),
+      QualityCheckRecorded: this.handleQualityCheckRecorded.bind(this),
+      SensorDataAnchored: this.handleSensorDataAnchored.bind(this),
+      EscrowDeposited: this.handleEscrowDeposited.bind(this),
+      EscrowReleased: this.handleEscrowReleased.bind(this),
+      EscrowRefunded: this.handleEscrowRefunded.bind(this),
+      ProductsMerged: this.handleProductsMerged.bind(this),
+      ProductRecalled: this.handleProductRecalled.bind(this)
+    };
+  }
+
+  /**
+   * Start polling for new blocks until stop() is called
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    logger.info(`Blockchain indexer "${this.name}" started`);
+
+    const loop = async () => {
+      try {
+        await this.pollOnce();
+      } catch (error) {
+        logger.error(`Blockchain indexer poll failed: ${error.message}`);
+      }
+      if (this.running) {
+        this.timer = setTimeout(loop, this.pollInterval);
+      }
+    };
+    await loop();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info(`Blockchain indexer "${this.name}" stopped`);
+  }
+
+  /**
+   * Load the checkpoint, creating it the first time the indexer runs
+   * @returns {Promise<IndexerCheckpoint>}
+   */
+  async getCheckpoint() {
+    let checkpoint = await IndexerCheckpoint.findOne({ name: this.name });
+    if (!checkpoint) {
+      checkpoint = await IndexerCheckpoint.create({
+        name: this.name,
+        contractAddress: this.contract.options.address,
+        lastProcessedBlock: this.startBlock - 1
+      });
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Process every confirmed block that has not been indexed yet.
+   * Safe to call repeatedly; returns the number of events applied.
+   * @returns {Promise<Number>}
+   */
+  async pollOnce() {
+    const checkpoint = await this.getCheckpoint();
+    await this.detectReorg(checkpoint);
+
+    const latestBlock = await this.web3.eth.getBlockNumber();
+    const targetBlock = latestBlock - this.confirmations;
+    let applied = 0;
+
+    while (checkpoint.lastProcessedBlock < targetBlock) {
+      const fromBlock = checkpoint.lastProcessedBlock + 1;
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, targetBlock);
+
+      const events = await this.contract.getPastEvents('allEvents', { fromBlock, toBlock });
+      events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+      for (const event of events) {
+        if (await this.applyEvent(event)) {
+          applied++;
+        }
+        checkpoint.rememberBlock(event.blockNumber, event.blockHash, this.reorgDepth);
+      }
+
+      const lastBlock = await this.web3.eth.getBlock(toBlock);
+      checkpoint.rememberBlock(toBlock, lastBlock.hash, this.reorgDepth);
+      checkpoint.lastProcessedBlock = toBlock;
+      await checkpoint.save();
+
+      logger.debug(`Indexed blocks ${fromBlock}-${toBlock} (${events.length} events)`);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Compare the remembered block hashes with the canonical chain and roll back
+   * to the most recent common block if they diverge.
+   * @param {IndexerCheckpoint} checkpoint
+   * @returns {Promise<Boolean>} - Whether a reorg was handled
+   */
+  async detectReorg(checkpoint) {
+    if (checkpoint.recentBlocks.length === 0) {
+      return false;
+    }
+
+    const tip = checkpoint.recentBlocks[checkpoint.recentBlocks.length - 1];
+    if (await this.isCanonical(tip)) {
+      return false;
+    }
+
+    let forkBlock = this.startBlock - 1;
+    for (let i = checkpoint.recentBlocks.length - 2; i >= 0; i--) {
+      if (await this.isCanonical(checkpoint.recentBlocks[i])) {
+        forkBlock = checkpoint.recentBlocks[i].number;
+        break;
+      }
+    }
+
+    logger.warn(`Chain reorganisation detected, rolling back from block ${checkpoint.lastProcessedBlock} to ${forkBlock}`);
+    await this.rollback(checkpoint, forkBlock);
+    return true;
+  }
+
+  /**
+   * Check whether a remembered block is still part of the canonical chain
+   * @param {Object} block - { number, hash }
+   * @returns {Promise<Boolean>}
+   */
+  async isCanonical(block) {
+    const current = await this.web3.eth.getBlock(block.number);
+    return Boolean(current && current.hash === block.hash);
+  }
+
+  /**
+   * Undo everything indexed after a block: mark the events as removed, restore
+   * the affected transfers, escrows and products from contract state and rewind the cursor.
+   * @param {IndexerCheckpoint} checkpoint
+   * @param {Number} forkBlock - Last block that is still canonical
+   */
+  async rollback(checkpoint, forkBlock) {
+    const orphaned = await ChainEvent.markRemovedAfter(forkBlock);
+
+    // Quality checks anchored by orphaned transactions are no longer on the chain
+    const orphanedCheckHashes = orphaned
+      .filter(event => event.event === 'QualityCheckRecorded')
+      .map(event => event.returnValues.parametersHash.toLowerCase());
+    if (orphanedCheckHashes.length > 0) {
+      await QualityCheck.updateMany(
+        { parametersHash: { $in: orphanedCheckHashes } },
+        { blockchainStatus: 'Pending', $unset: { blockchainTxHash: 1, blockchainCheckIndex: 1, checkerAddress: 1 } }
+      );
+    }
+
+    // Sensor readings anchored by orphaned transactions are anchored again by the SensorAnchorService
+    const orphanedRoots = orphaned
+      .filter(event => event.event === 'SensorDataAnchored')
+      .map(event => event.returnValues.merkleRoot.toLowerCase());
+    if (orphanedRoots.length > 0) {
+      await SensorAnchor.updateMany(
+        { merkleRoot: { $in: orphanedRoots } },
+        { blockchainStatus: 'Pending', $unset: { blockchainTxHash: 1, blockchainAnchorIndex: 1 } }
+      );
+    }
+
+    // Escrows created or settled by orphaned transactions go back to their state in the contract
+    const orphanedEscrowIds = [...new Set(orphaned
+      .filter(event => ESCROW_EVENTS.includes(event.event))
+      .map(event => event.returnValues.escrowId))];
+    for (const escrowId of orphanedEscrowIds) {
+      await this.resyncEscrow(escrowId);
+    }
+
+    // Transfers initiated, accepted or cancelled by orphaned transactions, after their escrows
+    // since resetting an escrow completes the transfer its refund cancelled
+    const orphanedTransferIds = [...new Set(orphaned
+      .filter(event => TRANSFER_EVENTS.includes(event.event))
+      .map(event => event.returnValues.transferId))];
+    for (const transferId of orphanedTransferIds) {
+      await this.resyncTransfer(transferId);
+    }
+
+    const productIds = [...new Set(orphaned.flatMap(event => {
+      if (event.event === 'ProductsMerged') {
+        // Orphaned merges give the quantity back to the merged products and orphan the lot
+        return [...event.returnValues.sourceIds, event.returnValues.lotId];
+      }
+      if (event.event === 'TransferAccepted') {
+        return [event.productId, event.returnValues.receivedProductId];
+      }
+      return [event.productId];
+    }).filter(Boolean))];
+    for (const productId of productIds) {
+      await this.resyncProduct(productId);
+    }
+
+    checkpoint.forgetBlocksAfter(forkBlock);
+    checkpoint.lastProcessedBlock = forkBlock;
+    await checkpoint.save();
+  }
+
+  /**
+   * Apply a single event if it has not been applied before
+   * @param {Object} event - The web3 event object
+   * @returns {Promise<Boolean>} - Whether the event was applied
+   */
+  async applyEvent(event) {
+    const handler = this.handlers[event.event];
+    if (!handler) {
+      return false;
+    }
+    if (await ChainEvent.isApplied(event)) {
+      return false;
+    }
+
+    await handler(event);
+    await ChainEvent.recordApplied(event);
+    return true;
+  }
+
+  /**
+   * Overwrite a product's status, quantity and owner with the state stored in the contract
+   * @param {String} blockchainId - Blockchain ID of the product
+   */
+  async resyncProduct(blockchainId) {
+    const product = await Product.findOne({ blockchainId });
+    if (!product) {
+      return;
+    }
+
+    const exists = await this.contract.methods.productExists(blockchainId).call();
+    if (!exists && product.parents.length > 0) {
+      // Splits and lots are only created by transactions, here an orphaned one
+      await Product.updateMany({ _id: { $in: product.parents } }, { $pull: { children: product._id } });
+      await product.deleteOne();
+      logger.warn(`Product ${product._id} was created by an orphaned transaction and has been deleted`);
+      return;
+    }
+    if (!exists) {
+      // The registration itself was orphaned; the product has to be registered again
+      product.blockchainId = undefined;
+      product.blockchainTxHash = undefined;
+      product.blockchainStatus = 'Pending';
+      await product.save();
+      logger.warn(`Product ${product._id} is no longer registered on the blockchain`);
+      return;
+    }
+
+    const onChain = await this.contract.methods.getProduct(blockchainId).call();
+    await this.syncAvailableQuantity(product);
+    product.status = STATUSES[parseInt(onChain[6])];
+    const owner = await this.findUserByAddress(onChain[5]);
+    // Products owned by an organization's address stay with the staff member holding them
+    const heldByStaff = product.organization &&
+      await Organization.exists({ _id: product.organization, ethereumAddress: new RegExp(`^${onChain[5]}$`, 'i') });
+    if (owner && !heldByStaff) {
+      product.currentOwner = owner._id;
+    }
+    await product.save();
+    logger.info(`Product ${product._id} resynced from blockchain state`);
+  }
+
+  /**
+   * Overwrite the state of a transfer with the state stored in the contract. A
+   * transfer the contract does not know, or knows with another product or
+   * quantity, was initiated by an orphaned transaction and is deleted; its
+   * TransferInitiated event records it again if the transaction is mined anew.
+   * @param {String} transferId - Blockchain ID of the transfer
+   */
+  async resyncTransfer(transferId) {
+    const transfer = await TransferService.findTransferByBlockchainId(transferId);
+    if (!transfer) {
+      return;
+    }
+
+    const onChain = await this.contract.methods.pendingTransfers(transferId).call();
+    const state = TransferService.TRANSFER_STATES[parseInt(onChain.state)];
+    if (state === 'accepted') {
+      return;
+    }
+
+    // The acceptance, if any, was orphaned along with its transactions; the received product is deleted by resyncProduct
+    await Transaction.deleteMany({ transferId: transfer._id });
+
+    const product = await Product.findById(transfer.product);
+    const initiated = state !== 'none' && product &&
+      (product.blockchainId || '').toLowerCase() === onChain.productId.toLowerCase() &&
+      parseInt(onChain.quantity) === transfer.quantity;
+    if (!initiated) {
+      await transfer.deleteOne();
+      logger.warn(`Transfer ${transfer._id} was initiated by an orphaned transaction and has been deleted`);
+      return;
+    }
+
+    transfer.status = state;
+    transfer.receivedProduct = undefined;
+    await transfer.save();
+    logger.info(`Transfer ${transferId} resynced from blockchain state`);
+  }
+
+  /**
+   * Overwrite the escrow state of a transfer with the state stored in the contract
+   * @param {String} escrowId - Blockchain ID of the transfer paid through the escrow
+   */
+  async resyncEscrow(escrowId) {
+    const transfer = await EscrowService.findTransferByEscrowId(escrowId);
+    if (!transfer) {
+      return;
+    }
+
+    const onChain = await this.contract.methods.escrows(escrowId).call();
+    await EscrowService.resetToState(transfer, EscrowService.ESCROW_STATES[parseInt(onChain.state)]);
+    logger.info(`Escrow ${escrowId} resynced from blockchain state`);
+  }
+
+  /**
+   * Copy the quantity of a product not reserved by pending transfers from the
+   * contract; like the API, the database does not count reserved quantities
+   * @param {Product} product - A product registered on the blockchain
+   */
+  async syncAvailableQuantity(product) {
+    product.quantity = parseInt(await this.contract.methods.getAvailableQuantity(product.blockchainId).call());
+  }
+
+  /**
+   * Find the user linked to an Ethereum address. The address of an organization
+   * stands for its first owner.
+   * @param {String} address - The Ethereum address
+   * @returns {Promise<User|null>}
+   */
+  async findUserByAddress(address) {
+    if (!address || address === ZERO_ADDRESS) {
+      return null;
+    }
+    const user = await User.findOne({ ethereumAddress: new RegExp(`^${address}$`, 'i') });
+    if (user) {
+      return user;
+    }
+
+    const organization = await Organization.findOne({ ethereumAddress: new RegExp(`^${address}$`, 'i') });
+    const owner = organization && organization.members.find(member => member.role === 'owner');
+    if (!owner) {
+      return null;
+    }
+    return User.findById(owner.user);
+  }
+
+  /**
+   * ProductCreated: link the Mongo product with the same batch number to its blockchain ID
+   */
+  async handleProductCreated(event) {
+    const { productId, batchNumber } = event.returnValues;
+
+    let product = await Product.findOne({ blockchainId: productId });
+    if (!product) {
+      product = await Product.findOne({ batchNumber, blockchainId: { $in: [null, undefined] } });
+    }
+    if (!product) {
+      logger.debug(`ProductCreated ${productId}: no unregistered product with batch ${batchNumber}`);
+      return;
+    }
+
+    product.blockchainId = productId;
+    product.blockchainTxHash = event.transactionHash;
+    product.blockchainStatus = 'Registered';
+    await product.save();
+  }
+
+  /**
+   * StatusUpdated: copy the new status to the product
+   */
+  async handleStatusUpdated(event) {
+    const { productId, newStatus } = event.returnValues;
+    const product = await Product.findOne({ blockchainId: productId });
+    if (!product) {
+      return;
+    }
+
+    const status = STATUSES[parseInt(newStatus)];
+    if (status && product.status !== status) {
+      product.status = status;
+      await product.save();
+    }
+  }
+
+  /**
+   * TransferInitiated: confirm the matching transfer, or create it when the
+   * transaction was sent without going through the API
+   */
+  async handleTransferInitiated(event) {
+    const { transferId, productId, from, to, quantity } = event.returnValues;
+
+    let transfer = await TransferService.findTransferByBlockchainId(transferId) ||
+      await Transfer.findOne({ blockchainTx: event.transactionHash });
+    if (!transfer) {
+      const [product, fromUser, toUser] = await Promise.all([
+        Product.findOne({ blockchainId: productId }),
+        this.findUserByAddress(from),
+        this.findUserByAddress(to)
+      ]);
+      if (!product || !fromUser || !toUser ||
+          !FROM_USER_TYPES.includes(fromUser.userType) || !TO_USER_TYPES.includes(toUser.userType)) {
+        logger.debug(`TransferInitiated ${event.transactionHash}: cannot be matched to known users and product`);
+        return;
+      }
+      // Saved before the quantity is reserved: if the route records the transfer meanwhile,
+      // the unique transfer ID fails the save and the event is applied again on the next poll
+      transfer = await new Transfer({
+        product: product._id,
+        fromUser: fromUser._id,
+        toUser: toUser._id,
+        fromUserType: fromUser.userType,
+        toUserType: toUser.userType,
+        quantity: parseInt(quantity),
+        status: 'pending',
+        blockchainTx: event.transactionHash,
+        blockchainTransferId: transferId,
+        blockchainStatus: 'confirmed',
+        blockchainConfirmationTime: new Date(),
+        transferDetails: `Transfer of ${quantity} units indexed from the blockchain`
+      }).save();
+
+      // The transfer reserves its quantity until it is accepted or cancelled
+      await this.syncAvailableQuantity(product);
+      await product.save();
+      return;
+    }
+
+    transfer.blockchainTransferId = transferId;
+    if (transfer.blockchainStatus !== 'confirmed') {
+      transfer.blockchainStatus = 'confirmed';
+      transfer.blockchainConfirmationTime = new Date();
+    }
+    if (transfer.isModified()) {
+      await transfer.save();
+    }
+  }
+
+  /**
+   * TransferAccepted: complete the transfer, move the transferred quantity to the
+   * new owner and record the transaction
+   */
+  async handleTransferAccepted(event) {
+    const { transferId, productId, from, to, quantity, receivedProductId } = event.returnValues;
+
+    let transfer = await TransferService.findTransferByBlockchainId(transferId);
+    if (!transfer) {
+      const [product, fromUser, toUser] = await Promise.all([
+        Product.findOne({ blockchainId: productId }),
+        this.findUserByAddress(from),
+        this.findUserByAddress(to)
+      ]);
+      if (!product || !fromUser || !toUser) {
+        logger.debug(`TransferAccepted ${event.transactionHash}: cannot be matched to known users and product`);
+        return;
+      }
+
+      transfer = await Transfer.findOne({
+        product: product._id,
+        fromUser: fromUser._id,
+        toUser: toUser._id,
+        quantity: parseInt(quantity),
+        blockchainTransferId: { $in: [null, undefined] },
+        status: { $in: ['pending', 'accepted', 'completed'] }
+      }).sort({ status: -1, createdAt: -1 });
+      if (!transfer) {
+        logger.debug(`TransferAccepted ${event.transactionHash}: no matching transfer`);
+        return;
+      }
+      transfer.blockchainTransferId = transferId;
+    }
+
+    const product = await TransferService.recordAcceptance(transfer, receivedProductId, event.transactionHash);
+    if (!product) {
+      return;
+    }
+
+    // The escrow deposited by the same transaction is keyed by the transfer
+    if (!transfer.escrow.escrowId) {
+      transfer.escrow.escrowId = transferId;
+    }
+    if (transfer.isModified()) {
+      await transfer.save();
+    }
+
+    await Transaction.findOneAndUpdate(
+      { blockchainTxHash: event.transactionHash, transactionType: 'Transfer Accepted' },
+      {
+        productId: product._id,
+        fromId: transfer.fromUser,
+        toId: transfer.toUser,
+        quantity: transfer.quantity,
+        status: 'Completed',
+        transferId: transfer._id
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+  }
+
+  /**
+   * TransferCancelled: cancel the pending transfer and give the reserved quantity back
+   */
+  async handleTransferCancelled(event) {
+    const { transferId } = event.returnValues;
+    const transfer = await TransferService.findTransferByBlockchainId(transferId);
+    if (!transfer || transfer.status !== 'pending') {
+      return;
+    }
+
+    transfer.status = 'cancelled';
+    await transfer.save();
+
+    const product = await Product.findById(transfer.product);
+    if (product && product.blockchainId) {
+      await this.syncAvailableQuantity(product);
+      await product.save();
+    }
+  }
+
+  /**
+   * ProductsMerged: record the lot merged from the products, or link the lot
+   * already created by ProductCreated to the merged products
+   */
+  async handleProductsMerged(event) {
+    const { lotId, owner, sourceIds, quantity } = event.returnValues;
+    const sources = await Product.find({ blockchainId: { $in: sourceIds } });
+    if (sources.length !== sourceIds.length) {
+      logger.warn(`ProductsMerged ${event.transactionHash}: ${sourceIds.length - sources.length} merged products not found`);
+      return;
+    }
+
+    const user = await this.findUserByAddress(owner);
+    if (!user) {
+      logger.warn(`ProductsMerged ${event.transactionHash}: no user with address ${owner}`);
+      return;
+    }
+
+    const lot = await this.contract.methods.products(lotId).call();
+    await LineageService.recordMerge(sources, {
+      blockchainId: lotId,
+      batchNumber: lot.batchNumber,
+      type: lot.productType,
+      price: parseFloat(this.web3.utils.fromWei(lot.price, 'ether')),
+      quantity: parseInt(quantity),
+      owner: user._id,
+      txHash: event.transactionHash
+    });
+  }
+
+  /**
+   * ProductRecalled: confirm the matching recall, or open it when the product was
+   * recalled without going through the API (e.g. by an admin)
+   */
+  async handleProductRecalled(event) {
+    const { productId, issuer, severity, reason } = event.returnValues;
+    const product = await Product.findOne({ blockchainId: productId });
+    if (!product) {
+      logger.debug(`ProductRecalled ${event.transactionHash}: no product with blockchain ID ${productId}`);
+      return;
+    }
+
+    let recall = await Recall.findOne({
+      $or: [{ blockchainTxHash: event.transactionHash }, { product: product._id, blockchainStatus: 'Pending' }]
+    });
+    if (!recall) {
+      const user = await this.findUserByAddress(issuer);
+      recall = new Recall({
+        product: product._id,
+        batchNumber: product.batchNumber,
+        reason,
+        severity: Recall.severityFromBlockchain(severity),
+        initiatedBy: user ? user._id : undefined
+      });
+    }
+
+    recall.blockchainTxHash = event.transactionHash;
+    recall.blockchainStatus = 'Recorded';
+    await RecallService.applyRecall(recall);
+  }
+
+  /**
+   * ProductInfoUpdated: copy the known fields of the JSON details to the product
+   */
+  async handleProductInfoUpdated(event) {
+    const { productId, details } = event.returnValues;
+    const product = await Product.findOne({ blockchainId: productId });
+    if (!product) {
+      return;
+    }
+
+    let info;
+    try {
+      info = JSON.parse(details);
+    } catch (error) {
+      logger.warn(`ProductInfoUpdated ${event.transactionHash}: details are not valid JSON`);
+      return;
+    }
+
+    PRODUCT_INFO_FIELDS.forEach(field => {
+      if (info[field] !== undefined) {
+        product[field] = info[field];
+      }
+    });
+
+    try {
+      await product.save();
+    } catch (error) {
+      logger.warn(`ProductInfoUpdated ${event.transactionHash}: ${error.message}`);
+    }
+  }
+
+  /**
+   * QualityCheckRecorded: mark the quality check with the same parameters hash as
+   * recorded by the address that sent it
+   */
+  async handleQualityCheckRecorded(event) {
+    const { checkIndex, checker, parametersHash } = event.returnValues;
+    const qualityCheck = await QualityCheck.findOne({ parametersHash: parametersHash.toLowerCase() });
+    if (!qualityCheck) {
+      logger.debug(`QualityCheckRecorded ${event.transactionHash}: no quality check with hash ${parametersHash}`);
+      return;
+    }
+
+    if (qualityCheck.blockchainStatus !== 'Recorded' || qualityCheck.blockchainTxHash !== event.transactionHash) {
+      qualityCheck.checkerAddress = checker;
+      await qualityCheck.updateBlockchainInfo(event.transactionHash, parseInt(checkIndex));
+      await qualityCheck.updateProduct();
+    }
+  }
+
+  /**
+   * SensorDataAnchored: mark the batch of sensor readings with the same Merkle root as recorded
+   */
+  async handleSensorDataAnchored(event) {
+    const { anchorIndex, merkleRoot } = event.returnValues;
+    const anchor = await SensorAnchor.findOne({ merkleRoot: merkleRoot.toLowerCase() });
+    if (!anchor) {
+      logger.debug(`SensorDataAnchored ${event.transactionHash}: no sensor anchor with root ${merkleRoot}`);
+      return;
+    }
+
+    if (anchor.blockchainStatus !== 'Recorded' || anchor.blockchainTxHash !== event.transactionHash) {
+      await anchor.updateBlockchainInfo(event.transactionHash, parseInt(anchorIndex));
+    }
+  }
+
+  /**
+   * EscrowDeposited: attach the deposited payment to the accepted transfer. The
+   * escrow is keyed by the transfer, which TransferAccepted, emitted earlier by
+   * the same transaction, has already linked to its blockchain ID.
+   */
+  async handleEscrowDeposited(event) {
+    const { escrowId, amount, deadline } = event.returnValues;
+
+    const transfer = await EscrowService.findTransferByEscrowId(escrowId);
+    if (!transfer) {
+      logger.debug(`EscrowDeposited ${event.transactionHash}: no transfer ${escrowId}`);
+      return;
+    }
+
+    await EscrowService.recordDeposit(transfer, {
+      escrowId,
+      amountWei: amount,
+      deadline: new Date(parseInt(deadline) * 1000),
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber
+    });
+  }
+
+  /**
+   * Find the transfer whose held escrow a settlement event settles
+   * @param {Object} event - EscrowReleased or EscrowRefunded
+   * @returns {Promise<Transfer|null>} The transfer, or null if already settled or not known
+   */
+  async findSettledTransfer(event) {
+    const { escrowId } = event.returnValues;
+    const transfer = await EscrowService.findTransferByEscrowId(escrowId);
+    if (!transfer) {
+      logger.debug(`${event.event} ${event.transactionHash}: no transfer paid through escrow ${escrowId}`);
+      return null;
+    }
+    if (!(await EscrowService.canSettle(transfer, event.transactionHash, event.blockNumber))) {
+      logger.debug(`${event.event} ${event.transactionHash}: escrow ${escrowId} already settled`);
+      return null;
+    }
+    return transfer;
+  }
+
+  /**
+   * EscrowReleased: mark the payment as settled with the seller
+   */
+  async handleEscrowReleased(event) {
+    const transfer = await this.findSettledTransfer(event);
+    if (transfer) {
+      await EscrowService.recordRelease(transfer, event.transactionHash);
+    }
+  }
+
+  /**
+   * EscrowRefunded: mark the payment as refunded and give the product back to the seller
+   */
+  async handleEscrowRefunded(event) {
+    const transfer = await this.findSettledTransfer(event);
+    if (transfer) {
+      await EscrowService.recordRefund(transfer, event.transactionHash);
+    }
+  }
+}
+
+module.exports = BlockchainIndexer;
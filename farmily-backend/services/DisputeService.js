@@ -0,0 +1,132 @@
+/**
+ * Dispute Service
+ *
+ * Disputes between the seller and the buyer of a transfer, for instance goods
+ * that never arrived or arrived damaged. Either party opens one; an admin
+ * reviews it and resolves or rejects it, and both parties are told by email.
+ */
+
+const Dispute = require('../models/Dispute');
+const Transfer = require('../models/Transfer');
+const User = require('../models/user.js');
+const MailService = require('./MailService');
+const logger = require('../utils/logger');
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Open a dispute on a transfer
+ * @param {String} userId - The party opening the dispute
+ * @param {Object} dispute
+ * @param {String} dispute.transferId - The transfer ID
+ * @param {String} dispute.reason - What the dispute is about
+ * @param {String} dispute.description - Account of the problem
+ * @returns {Promise<Dispute>}
+ */
+async function openDispute(userId, { transferId, reason, description }) {
+  const transfer = await Transfer.findOne({
+    _id: transferId,
+    $or: [{ fromUser: userId }, { toUser: userId }]
+  });
+  if (!transfer) {
+    throw httpError('Transfer not found', 404);
+  }
+
+  if (await Dispute.exists({ transfer: transfer._id, status: 'open' })) {
+    throw httpError('A dispute is already open for this transfer', 409);
+  }
+
+  const dispute = await Dispute.create({
+    transfer: transfer._id,
+    product: transfer.product,
+    openedBy: userId,
+    against: transfer.fromUser.equals(userId) ? transfer.toUser : transfer.fromUser,
+    reason,
+    description
+  });
+  logger.info(`Dispute ${dispute._id} opened on transfer ${transfer._id} by user ${userId}`);
+  return dispute;
+}
+
+/**
+ * List the disputes a user takes part in
+ * @param {String} userId - The user ID
+ * @returns {Promise<Dispute[]>}
+ */
+function getUserDisputes(userId) {
+  return Dispute.find({ $or: [{ openedBy: userId }, { against: userId }] })
+    .sort({ createdAt: -1 })
+    .populate('product', 'type batchNumber')
+    .populate('openedBy', 'username userType')
+    .populate('against', 'username userType');
+}
+
+/**
+ * List disputes for review, oldest open ones first
+ * @param {Object} [filters]
+ * @param {String} [filters.status] - Only disputes with this status
+ * @returns {Promise<Dispute[]>}
+ */
+function listDisputes({ status } = {}) {
+  return Dispute.find(status ? { status } : {})
+    .sort({ status: 1, createdAt: 1 })
+    .populate('transfer', 'quantity status escrow.status escrow.amount createdAt')
+    .populate('product', 'type batchNumber blockchainId')
+    .populate('openedBy', 'username userType email')
+    .populate('against', 'username userType email')
+    .populate('resolvedBy', 'username');
+}
+
+/**
+ * Close a dispute with the admin's decision
+ * @param {Object} admin - req.user of the admin
+ * @param {String} disputeId - The dispute ID
+ * @param {String} status - 'resolved' or 'rejected'
+ * @param {String} resolution - The decision, sent to both parties
+ * @returns {Promise<Dispute>}
+ */
+async function closeDispute(admin, disputeId, status, resolution) {
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: disputeId, status: 'open' },
+    { status, resolution, resolvedBy: admin.id, resolvedAt: new Date() },
+    { new: true }
+  );
+  if (!dispute) {
+    throw httpError('No open dispute found', 404);
+  }
+  logger.info(`Dispute ${dispute._id} ${status} by admin ${admin.id}`);
+
+  const parties = await User.find({ _id: { $in: [dispute.openedBy, dispute.against] } });
+  for (const party of parties) {
+    try {
+      await MailService.sendMail({
+        to: party.email,
+        subject: `Your Farmily dispute has been ${status}`,
+        text: `Hello ${party.firstName},\n\n` +
+          `The dispute about transfer ${dispute.transfer} has been ${status} by an administrator.\n\n` +
+          `Decision: ${resolution}`
+      });
+    } catch (error) {
+      logger.error(`Failed to email user ${party._id} about dispute ${dispute._id}: ${error.message}`);
+    }
+  }
+
+  return dispute;
+}
+
+module.exports = {
+  openDispute,
+  getUserDisputes,
+  listDisputes,
+  closeDispute
+};
@@ -0,0 +1,815 @@
+/**
+ * EPCIS Service
+ *
+ * Exchanges supply chain events with retail partners as GS1 EPCIS 2.0 JSON-LD
+ * documents. The export rebuilds the events of a product and of every product
+ * it was split off or merged from out of our own records:
+ *
+ *   - ObjectEvent (ADD, commissioning) for each batch registered by a farmer
+ *   - ObjectEvent (OBSERVE) for each status update indexed from the blockchain,
+ *     and for each quality check (inspecting)
+ *   - TransactionEvent for each transfer: ADD (shipping) when it is initiated,
+ *     DELETE (receiving or void_shipping) when it is accepted or cancelled, and
+ *     for the sales recorded without a transfer
+ *   - AggregationEvent for each split of a batch by a partial transfer, and
+ *     TransformationEvent for each lot merged from several products
+ *
+ * Products are identified by the GS1 Digital Link URI of their GTIN and batch
+ * (see utils/gs1.js), supply chain members by a private party URN.
+ *
+ * The import ingests the events of partner systems into the same models:
+ * commissioning events create products, inspections create quality checks,
+ * transaction events create transactions, and aggregation and transformation
+ * events link products. Other events are ignored. Imported events are recorded
+ * by event ID, so capturing the same document twice is harmless.
+ */
+
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const Transaction = require('../models/Transaction');
+const QualityCheck = require('../models/QualityCheck');
+const ChainEvent = require('../models/ChainEvent');
+const EpcisEvent = require('../models/EpcisEvent');
+const User = require('../models/user.js');
+const LineageService = require('./LineageService');
+const RecallService = require('./RecallService');
+const NotificationService = require('./NotificationService');
+const gs1 = require('../utils/gs1');
+const { STATUSES } = require('../utils/productLifecycle');
+const logger = require('../utils/logger');
+
+// JSON-LD context of the documents: the EPCIS 2.0 context, plus our namespace for the extension fields
+const EPCIS_CONTEXT = [
+  'https://ref.gs1.org/standards/epcis/2.0.0/epcis-context.jsonld',
+  { farmily: 'urn:farmily:epcis:' }
+];
+
+// Upper bound on the events of one captured document
+const MAX_CAPTURE_EVENTS = 1000;
+
+// Prefix of the IDs of the events exported by the platform
+const EVENT_URN_PREFIX = 'urn:farmily:event:';
+
+// Prefix of the business transaction IDs of transfers and transactions
+const BIZ_TRANSACTION_URN_PREFIX = 'urn:farmily:';
+
+// Business step of the product status updates; the other statuses map to 'other'
+const STATUS_BIZ_STEPS = {
+  Packaged: 'packing',
+  InTransit: 'shipping',
+  Delivered: 'receiving'
+};
+
+// Disposition of the quality check results
+const QUALITY_DISPOSITIONS = {
+  Passed: 'conformant',
+  Failed: 'non_conformant',
+  Pending: 'in_progress'
+};
+
+// Transactions recorded without a transfer, as { bizStep, disposition, action }
+const TRANSACTION_BIZ_STEPS = {
+  'Sold to Consumer': { bizStep: 'retail_selling', disposition: 'retail_sold', action: 'ADD' },
+  RetailerToConsumer: { bizStep: 'retail_selling', disposition: 'retail_sold', action: 'ADD' },
+  'Transferred to Distributor': { bizStep: 'shipping', disposition: 'in_transit', action: 'ADD' },
+  'Transferred to Retailer': { bizStep: 'shipping', disposition: 'in_transit', action: 'ADD' },
+  'Transfer Initiated': { bizStep: 'shipping', disposition: 'in_transit', action: 'ADD' },
+  'Received from Farmer': { bizStep: 'receiving', disposition: 'in_progress', action: 'DELETE' },
+  'Received from Distributor': { bizStep: 'receiving', disposition: 'in_progress', action: 'DELETE' },
+  'Received from Retailer': { bizStep: 'receiving', disposition: 'in_progress', action: 'DELETE' },
+  'Transfer Accepted': { bizStep: 'receiving', disposition: 'in_progress', action: 'DELETE' },
+  'Transfer Cancelled': { bizStep: 'void_shipping', disposition: 'active', action: 'DELETE' }
+};
+
+// Transaction type of imported receiving and shipping events, by the user type of the other party
+const RECEIVED_TRANSACTION_TYPES = {
+  farmer: 'Received from Farmer',
+  distributor: 'Received from Distributor',
+  retailer: 'Received from Retailer'
+};
+const SHIPPED_TRANSACTION_TYPES = {
+  distributor: 'Transferred to Distributor',
+  retailer: 'Transferred to Retailer',
+  consumer: 'Sold to Consumer'
+};
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+const toEventTime = date => new Date(date || Date.now()).toISOString();
+
+/**
+ * Build the fields shared by every exported event
+ * @param {String} type - The EPCIS event type
+ * @param {String} kind - What the event records, part of its ID
+ * @param {String} id - ID of the record the event is built from
+ * @param {Date} time - Time the event took place
+ * @returns {Object} The event fields
+ */
+const baseEvent = (type, kind, id, time) => ({
+  type,
+  eventID: `${EVENT_URN_PREFIX}${kind}:${id}`,
+  eventTime: toEventTime(time),
+  eventTimeZoneOffset: '+00:00'
+});
+
+/**
+ * Build a quantity element
+ * @param {Product} product - The product
+ * @param {Number} [quantity] - The quantity, left out when unknown
+ * @returns {Object} The quantity element
+ */
+const quantityElement = (product, quantity) => (quantity === undefined
+  ? { epcClass: gs1.getProductClassUri(product) }
+  : { epcClass: gs1.getProductClassUri(product), quantity });
+
+const sourceList = userId => [{ type: 'owning_party', source: gs1.getPartyUri(userId) }];
+const destinationList = userId => [{ type: 'owning_party', destination: gs1.getPartyUri(userId) }];
+
+/**
+ * Check whether a product is split off a batch by a partial transfer, rather than merged from products
+ * @param {Product} product - The product
+ * @param {Map<String, Product>} products - The products of the lineage, keyed by ID
+ * @returns {Boolean}
+ */
+const isSplit = (product, products) => {
+  if (product.parents.length !== 1) {
+    return false;
+  }
+  const parent = products.get(product.parents[0].toString());
+  return Boolean(parent) && product.batchNumber === parent.batchNumber;
+};
+
+/**
+ * Work out the quantity a farmer registered a batch with: what is left of it,
+ * plus what is reserved by pending transfers and what was split off by partial
+ * transfers. Unknown once part of the batch was merged into a lot.
+ * @param {Product} product - The batch
+ * @param {Transfer[]} transfers - The transfers of the batch
+ * @param {Boolean} merged - Whether part of the batch was merged into a lot
+ * @returns {Number|undefined} The registered quantity
+ */
+const getCommissionedQuantity = (product, transfers, merged) => {
+  if (merged) {
+    return undefined;
+  }
+  return transfers.reduce((quantity, transfer) => {
+    const pending = transfer.status === 'pending';
+    const splitOff = transfer.status === 'completed' && transfer.receivedProduct &&
+      !transfer.receivedProduct._id.equals(product._id);
+    return pending || splitOff ? quantity + transfer.quantity : quantity;
+  }, product.quantity);
+};
+
+/**
+ * Build the events of a transfer
+ * @param {Transfer} transfer - The transfer, with its received product populated
+ * @param {Product} product - The transferred product
+ * @returns {Object[]} The TransactionEvents
+ */
+function buildTransferEvents(transfer, product) {
+  const common = {
+    bizTransactionList: [{ type: 'po', bizTransaction: `${BIZ_TRANSACTION_URN_PREFIX}transfer:${transfer._id}` }],
+    sourceList: sourceList(transfer.fromUser),
+    destinationList: destinationList(transfer.toUser)
+  };
+
+  const events = [{
+    ...baseEvent('TransactionEvent', 'transfer', `${transfer._id}:initiated`, transfer.createdAt),
+    action: 'ADD',
+    bizStep: 'shipping',
+    disposition: 'in_transit',
+    ...common,
+    quantityList: [quantityElement(product, transfer.quantity)],
+    ...(transfer.price ? { 'farmily:price': transfer.price } : {})
+  }];
+
+  if (transfer.status === 'accepted' || transfer.status === 'completed') {
+    events.push({
+      ...baseEvent('TransactionEvent', 'transfer', `${transfer._id}:accepted`,
+        transfer.acceptedAt || transfer.completedAt || transfer.updatedAt),
+      action: 'DELETE',
+      bizStep: 'receiving',
+      disposition: 'in_progress',
+      ...common,
+      // A partial transfer is received as the product split off the batch
+      quantityList: [quantityElement(transfer.receivedProduct || product, transfer.quantity)]
+    });
+  } else if (transfer.status === 'cancelled') {
+    events.push({
+      ...baseEvent('TransactionEvent', 'transfer', `${transfer._id}:cancelled`, transfer.updatedAt),
+      action: 'DELETE',
+      bizStep: 'void_shipping',
+      disposition: 'active',
+      ...common,
+      quantityList: [quantityElement(product, transfer.quantity)]
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Build the EPCIS document of a product: its events and those of every product
+ * it was split off or merged from
+ * @param {ObjectId} productId - The product ID
+ * @returns {Promise<Object|null>} The EPCISDocument, or null if the product does not exist
+ */
+async function buildProductDocument(productId) {
+  const lineage = await LineageService.getLineage(productId);
+  if (lineage.nodes.length === 0) {
+    return null;
+  }
+
+  const nodeIds = lineage.nodes.map(node => node._id);
+  const products = new Map((await Product.find({ _id: { $in: nodeIds } }))
+    .map(product => [product._id.toString(), product]));
+  const blockchainIds = [...products.values()].map(product => product.blockchainId).filter(Boolean);
+
+  const [statusEvents, qualityChecks, transfers, transactions] = await Promise.all([
+    ChainEvent.find({
+      event: 'StatusUpdated',
+      removed: false,
+      productId: { $in: [...blockchainIds, ...blockchainIds.map(id => id.toLowerCase())] }
+    }).sort({ blockNumber: 1, logIndex: 1 }),
+    QualityCheck.find({ productId: { $in: nodeIds } }),
+    Transfer.find({ product: { $in: nodeIds } }).populate('receivedProduct', 'batchNumber gtin'),
+    // Sales and receipts recorded without a transfer; transfers give the others
+    Transaction.find({ productId, transferId: null, status: 'Completed' })
+  ]);
+
+  // Upstream of the product, only the transfers on its way here: not those of
+  // the other batches split off the same products
+  const relevantTransfers = transfers.filter(transfer => transfer.product.equals(productId) ||
+    (transfer.receivedProduct && products.has(transfer.receivedProduct._id.toString())));
+
+  const events = [];
+  const mergedProducts = new Set();
+
+  for (const product of products.values()) {
+    if (product.parents.length === 0) {
+      continue;
+    }
+    const parents = product.parents.map(id => products.get(id.toString())).filter(Boolean);
+    if (isSplit(product, products)) {
+      events.push({
+        ...baseEvent('AggregationEvent', 'split', product._id, product.createdAt),
+        parentID: gs1.getProductClassUri(parents[0]),
+        childQuantityList: [quantityElement(product, product.quantity)],
+        action: 'ADD',
+        bizStep: 'other',
+        'farmily:lineage': 'split'
+      });
+    } else {
+      parents.forEach(parent => mergedProducts.add(parent._id.toString()));
+      events.push({
+        ...baseEvent('TransformationEvent', 'merge', product._id, product.createdAt),
+        inputQuantityList: parents.map(parent => quantityElement(parent)),
+        outputQuantityList: [quantityElement(product, product.quantity)],
+        bizStep: 'creating_class_instance',
+        'farmily:lineage': 'merge'
+      });
+    }
+  }
+
+  for (const product of products.values()) {
+    if (product.parents.length > 0) {
+      continue;
+    }
+    const productTransfers = transfers.filter(transfer => transfer.product.equals(product._id));
+    events.push({
+      ...baseEvent('ObjectEvent', 'commissioning', product._id, product.createdAt),
+      action: 'ADD',
+      bizStep: 'commissioning',
+      disposition: 'active',
+      quantityList: [quantityElement(product,
+        getCommissionedQuantity(product, productTransfers, mergedProducts.has(product._id.toString())))],
+      destinationList: destinationList(product.originalOwner || product.currentOwner),
+      ilmd: {
+        'cbvmda:lotNumber': product.batchNumber,
+        'farmily:type': product.type,
+        'farmily:origin': product.origin,
+        'farmily:productionDate': toEventTime(product.productionDate),
+        'farmily:certifications': product.certifications,
+        ...(product.blockchainId ? { 'farmily:blockchainId': product.blockchainId } : {})
+      }
+    });
+  }
+
+  // Status updates, timed when the indexer applied them
+  const productsByBlockchainId = new Map([...products.values()]
+    .filter(product => product.blockchainId)
+    .map(product => [product.blockchainId.toLowerCase(), product]));
+  const withStatusEvents = new Set();
+  for (const chainEvent of statusEvents) {
+    const product = productsByBlockchainId.get(chainEvent.productId.toLowerCase());
+    const status = STATUSES[parseInt(chainEvent.returnValues.newStatus)];
+    if (!product || !status) {
+      continue;
+    }
+    withStatusEvents.add(product._id.toString());
+    events.push({
+      ...baseEvent('ObjectEvent', 'status', chainEvent._id, chainEvent.createdAt),
+      action: 'OBSERVE',
+      bizStep: STATUS_BIZ_STEPS[status] || 'other',
+      disposition: status === 'InTransit' ? 'in_transit' : 'active',
+      quantityList: [quantityElement(product)],
+      'farmily:status': status
+    });
+  }
+  // Products whose status updates were not indexed only report their current status
+  for (const product of products.values()) {
+    if (withStatusEvents.has(product._id.toString()) || product.status === 'Registered') {
+      continue;
+    }
+    events.push({
+      ...baseEvent('ObjectEvent', 'status', product._id, product.updatedAt),
+      action: 'OBSERVE',
+      bizStep: STATUS_BIZ_STEPS[product.status] || 'other',
+      disposition: product.status === 'InTransit' ? 'in_transit' : 'active',
+      quantityList: [quantityElement(product)],
+      'farmily:status': product.status
+    });
+  }
+
+  for (const check of qualityChecks) {
+    const product = products.get(check.productId.toString());
+    const parameters = check.parameters || {};
+    const sensorReport = [];
+    if (typeof parameters.temperature === 'number') {
+      sensorReport.push({ type: 'gs1:Temperature', value: parameters.temperature, uom: 'CEL' });
+    }
+    if (typeof parameters.humidity === 'number') {
+      sensorReport.push({ type: 'gs1:RelativeHumidity', value: parameters.humidity, uom: 'A93' });
+    }
+    events.push({
+      ...baseEvent('ObjectEvent', 'inspection', check._id, check.checkDate),
+      action: 'OBSERVE',
+      bizStep: 'inspecting',
+      disposition: QUALITY_DISPOSITIONS[check.status],
+      quantityList: [quantityElement(product)],
+      ...(sensorReport.length > 0
+        ? { sensorElementList: [{ sensorMetadata: { time: toEventTime(check.checkDate) }, sensorReport }] }
+        : {}),
+      'farmily:qualityStatus': check.status,
+      ...(check.notes ? { 'farmily:notes': check.notes } : {}),
+      'farmily:recordedOnBlockchain': check.blockchainStatus === 'Recorded'
+    });
+  }
+
+  for (const transfer of relevantTransfers) {
+    events.push(...buildTransferEvents(transfer, products.get(transfer.product.toString())));
+  }
+
+  for (const transaction of transactions) {
+    const step = TRANSACTION_BIZ_STEPS[transaction.transactionType];
+    events.push({
+      ...baseEvent('TransactionEvent', 'transaction', transaction._id, transaction.transactionDate),
+      action: step.action,
+      bizStep: step.bizStep,
+      disposition: step.disposition,
+      bizTransactionList: [{ type: 'po', bizTransaction: `${BIZ_TRANSACTION_URN_PREFIX}transaction:${transaction._id}` }],
+      sourceList: sourceList(transaction.fromId),
+      destinationList: destinationList(transaction.toId),
+      quantityList: [quantityElement(products.get(productId.toString()), transaction.quantity)],
+      ...(transaction.price ? { 'farmily:price': transaction.price } : {})
+    });
+  }
+
+  events.sort((a, b) => a.eventTime.localeCompare(b.eventTime));
+
+  return {
+    '@context': EPCIS_CONTEXT,
+    type: 'EPCISDocument',
+    schemaVersion: '2.0',
+    creationDate: toEventTime(),
+    epcisBody: { eventList: events }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Reject an event of a captured document
+ * @param {String} reason - Why the event is rejected
+ * @returns {Error} The error, with statusCode 400
+ */
+const rejection = (reason) => {
+  const error = new Error(reason);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Strip the URN or web URI prefix of a CBV value, e.g. urn:epcglobal:cbv:bizstep:shipping
+ * or https://ref.gs1.org/cbv/BizStep-shipping to shipping
+ * @param {String} value - The CBV value
+ * @param {String} urnPrefix - The CBV URN prefix
+ * @param {String} webPrefix - The CBV web URI prefix
+ * @returns {String|null} The bare value
+ */
+const normalizeCbv = (value, urnPrefix, webPrefix) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (value.startsWith(urnPrefix)) {
+    return value.slice(urnPrefix.length);
+  }
+  if (value.startsWith(webPrefix)) {
+    return value.slice(webPrefix.length);
+  }
+  return value;
+};
+
+const normalizeBizStep = value => normalizeCbv(value, 'urn:epcglobal:cbv:bizstep:', 'https://ref.gs1.org/cbv/BizStep-');
+const normalizeDisposition = value => normalizeCbv(value, 'urn:epcglobal:cbv:disp:', 'https://ref.gs1.org/cbv/Disp-');
+const normalizePartyType = value => normalizeCbv(value, 'urn:epcglobal:cbv:sdt:', 'https://ref.gs1.org/cbv/SDT-');
+
+/**
+ * Get the event ID of a captured event
+ * @param {Object} event - The event
+ * @returns {String} Its event ID, or a hash of the event when it has none
+ */
+const getEventId = (event) => {
+  if (typeof event.eventID === 'string' && event.eventID.trim()) {
+    return event.eventID.trim();
+  }
+  return `ni:///sha-256;${crypto.createHash('sha256').update(JSON.stringify(event)).digest('hex')}`;
+};
+
+/**
+ * Parse the time of a captured event
+ * @param {Object} event - The event
+ * @returns {Date} The event time
+ * @throws {Error} With statusCode 400 when the time is missing or invalid
+ */
+const getEventTime = (event) => {
+  const eventTime = new Date(event.eventTime);
+  if (!event.eventTime || isNaN(eventTime.getTime())) {
+    throw rejection('The event time is missing or invalid');
+  }
+  return eventTime;
+};
+
+/**
+ * Parse the quantity of a quantity element
+ * @param {Object} element - The quantity element
+ * @returns {Number} The quantity
+ * @throws {Error} With statusCode 400 when the quantity is not a positive integer
+ */
+const getQuantity = (element) => {
+  const quantity = Number(element.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw rejection('The quantity must be a positive integer');
+  }
+  return quantity;
+};
+
+/**
+ * Find the product an EPC class identifies
+ * @param {String} epcClass - A GS1 Digital Link URI with GTIN and lot, or a private lot URN
+ * @returns {Promise<Product>} The product
+ * @throws {Error} With statusCode 400 when the EPC class is not recognized or the product is unknown
+ */
+async function findProductByClass(epcClass) {
+  const parsed = gs1.parseProductClassUri(epcClass);
+  if (!parsed) {
+    throw rejection(`Unrecognized EPC class: ${epcClass}`);
+  }
+  const query = parsed.gtin ? { gtin: parsed.gtin, batchNumber: parsed.lot } : { batchNumber: parsed.lot };
+  const product = await Product.findOne(query);
+  if (!product) {
+    throw rejection(`Unknown product: ${epcClass}`);
+  }
+  return product;
+}
+
+/**
+ * Get the first quantity element of an event
+ * @param {Object[]} list - The quantity list
+ * @returns {Object} The quantity element
+ * @throws {Error} With statusCode 400 when the list is empty
+ */
+const getFirstQuantityElement = (list) => {
+  if (!Array.isArray(list) || list.length === 0 || !list[0] || !list[0].epcClass) {
+    throw rejection('Only events with a quantityList of product classes are supported');
+  }
+  return list[0];
+};
+
+/**
+ * Check whether a user produced, holds or held a product
+ * @param {Product} product - The product
+ * @param {String} userId - The user ID
+ * @returns {Boolean}
+ */
+const hasHeld = (product, userId) => product.currentOwner.equals(userId) ||
+  (product.originalOwner && product.originalOwner.equals(userId)) ||
+  product.ownershipHistory.some(entry => entry.owner && entry.owner.equals(userId));
+
+/**
+ * Find the party of a source or destination list
+ * @param {Object[]} list - The source or destination list
+ * @param {String} key - 'source' or 'destination'
+ * @returns {String|null} The user ID of the owning (or else possessing) party, or null if it is not a platform member
+ */
+const findParty = (list, key) => {
+  if (!Array.isArray(list)) {
+    return null;
+  }
+  const party = list.find(entry => entry && normalizePartyType(entry.type) === 'owning_party') ||
+    list.find(entry => entry && normalizePartyType(entry.type) === 'possessing_party');
+  return party ? gs1.parsePartyUri(party[key]) : null;
+};
+
+/**
+ * Import a commissioning event as a new product of the farmer
+ * @returns {Promise<Object>} { recordType, recordId }
+ */
+async function importCommissioning(event, user, eventTime) {
+  if (user.userType !== 'farmer') {
+    throw rejection('Only farmers can commission products');
+  }
+  const element = getFirstQuantityElement(event.quantityList);
+  const parsed = gs1.parseProductClassUri(element.epcClass);
+  if (!parsed) {
+    throw rejection(`Unrecognized EPC class: ${element.epcClass}`);
+  }
+  if (await Product.exists({ batchNumber: parsed.lot })) {
+    throw rejection(`A product with batch number ${parsed.lot} already exists`);
+  }
+
+  const ilmd = event.ilmd || {};
+  const type = ilmd['farmily:type'] || ilmd['cbvmda:descriptionShort'];
+  const origin = ilmd['farmily:origin'] || ilmd['cbvmda:countryOfOrigin'];
+  if (!type || !origin) {
+    throw rejection('The product type and origin (ilmd farmily:type and farmily:origin) are required');
+  }
+  const productionDate = new Date(ilmd['farmily:productionDate'] || ilmd['cbvmda:harvestStartDate'] || eventTime);
+  const certifications = Array.isArray(ilmd['farmily:certifications'])
+    ? ilmd['farmily:certifications'].filter(certification => typeof certification === 'string')
+    : [];
+
+  const product = new Product({
+    type,
+    origin,
+    productionDate: isNaN(productionDate.getTime()) ? eventTime : productionDate,
+    batchNumber: parsed.lot,
+    gtin: parsed.gtin || undefined,
+    quantity: getQuantity(element),
+    price: 0,
+    certifications,
+    currentOwner: user.id,
+    originalOwner: user.id,
+    blockchainStatus: 'Pending',
+    status: 'Registered'
+  });
+  await product.save();
+  return { recordType: 'Product', recordId: product._id };
+}
+
+/**
+ * Import an inspection event as a quality check of the current owner. Imported
+ * checks are not anchored on the blockchain.
+ * @returns {Promise<Object>} { recordType, recordId }
+ */
+async function importInspection(event, user, eventTime) {
+  const product = await findProductByClass(getFirstQuantityElement(event.quantityList).epcClass);
+  if (!product.currentOwner.equals(user.id)) {
+    throw rejection('Quality checks can only be recorded by the current owner of the product');
+  }
+
+  const disposition = normalizeDisposition(event.disposition);
+  const status = Object.keys(QUALITY_DISPOSITIONS).find(key => QUALITY_DISPOSITIONS[key] === disposition) || 'Pending';
+
+  const parameters = {};
+  for (const element of Array.isArray(event.sensorElementList) ? event.sensorElementList : []) {
+    for (const report of Array.isArray(element && element.sensorReport) ? element.sensorReport : []) {
+      const reportType = typeof report.type === 'string' ? report.type.replace(/^(gs1:|https:\/\/gs1\.org\/voc\/)/, '') : null;
+      if (typeof report.value !== 'number') {
+        continue;
+      }
+      if (reportType === 'Temperature') {
+        parameters.temperature = report.uom === 'FAH' ? (report.value - 32) * 5 / 9 : report.value;
+      } else if (reportType === 'RelativeHumidity') {
+        parameters.humidity = report.value;
+      }
+    }
+  }
+
+  const qualityCheck = new QualityCheck({
+    productId: product._id,
+    checkerId: user.id,
+    status,
+    notes: typeof event['farmily:notes'] === 'string' ? event['farmily:notes'] : undefined,
+    checkDate: eventTime,
+    parameters
+  });
+  qualityCheck.parametersHash = qualityCheck.computeParametersHash();
+  await qualityCheck.save();
+  await qualityCheck.updateProduct();
+  await NotificationService.notifyQualityCheck(product, qualityCheck);
+  return { recordType: 'QualityCheck', recordId: qualityCheck._id };
+}
+
+/**
+ * Import a transaction event as a transaction between two platform members,
+ * one of them the importer. Ownership only changes with transfers on the blockchain.
+ * @returns {Promise<Object|null>} { recordType, recordId }, or null for unsupported business steps
+ */
+async function importTransaction(event, user, eventTime, bizStep) {
+  if (!['shipping', 'receiving', 'retail_selling'].includes(bizStep)) {
+    return null;
+  }
+
+  const element = getFirstQuantityElement(event.quantityList);
+  const product = await findProductByClass(element.epcClass);
+  const fromId = findParty(event.sourceList, 'source');
+  const toId = findParty(event.destinationList, 'destination');
+  if (!fromId || !toId) {
+    throw rejection('The source and destination owning parties must be platform members (urn:farmily:party:<userId>)');
+  }
+  if (fromId !== user.id && toId !== user.id) {
+    throw rejection('You must be one of the parties of the transaction');
+  }
+  if (!hasHeld(product, user.id)) {
+    throw rejection('You never held this product');
+  }
+
+  const [fromUser, toUser] = await Promise.all([User.findById(fromId), User.findById(toId)]);
+  if (!fromUser || !toUser) {
+    throw rejection('Unknown party');
+  }
+
+  let transactionType;
+  if (bizStep === 'retail_selling') {
+    transactionType = 'Sold to Consumer';
+  } else if (bizStep === 'receiving') {
+    transactionType = RECEIVED_TRANSACTION_TYPES[fromUser.userType];
+  } else {
+    transactionType = SHIPPED_TRANSACTION_TYPES[toUser.userType];
+  }
+  if (!transactionType) {
+    throw rejection(`A ${bizStep} event from a ${fromUser.userType} to a ${toUser.userType} is not supported`);
+  }
+
+  const price = Number(event['farmily:price']);
+  const transaction = await Transaction.create({
+    productId: product._id,
+    fromId,
+    toId,
+    quantity: getQuantity(element),
+    transactionType,
+    transactionDate: eventTime,
+    status: 'Completed',
+    ...(price >= 0 ? { price } : {})
+  });
+  return { recordType: 'Transaction', recordId: transaction._id };
+}
+
+/**
+ * Import an aggregation event (split) or transformation event (merge) as
+ * lineage links. The importer must own the products split off or merged from,
+ * and have held the products they come from.
+ * @returns {Promise<Object|null>} { recordType, recordId }, or null for events that record no lineage
+ */
+async function importLineage(event, user) {
+  let parentClasses;
+  let childElements;
+  if (event.type === 'AggregationEvent') {
+    if (event.action !== 'ADD') {
+      return null;
+    }
+    parentClasses = [event.parentID];
+    childElements = event.childQuantityList;
+  } else {
+    parentClasses = (Array.isArray(event.inputQuantityList) ? event.inputQuantityList : [])
+      .map(element => element && element.epcClass);
+    childElements = event.outputQuantityList;
+  }
+  if (!Array.isArray(childElements) || childElements.length === 0 || parentClasses.length === 0) {
+    throw rejection('Only lineage events with quantity lists of product classes are supported');
+  }
+
+  const parents = [];
+  for (const epcClass of parentClasses) {
+    parents.push(await findProductByClass(epcClass));
+  }
+  const children = [];
+  for (const element of childElements) {
+    children.push(await findProductByClass(element && element.epcClass));
+  }
+
+  for (const child of children) {
+    if (!child.currentOwner.equals(user.id)) {
+      throw rejection(`You do not own product ${child.batchNumber}`);
+    }
+    // Linking a product to itself or to one of its descendants would create a cycle
+    const descendants = await LineageService.getDescendants(child._id);
+    if (parents.some(parent => descendants.some(descendant => descendant._id.equals(parent._id)))) {
+      throw rejection(`Product ${child.batchNumber} cannot come from itself`);
+    }
+  }
+  for (const parent of parents) {
+    if (!hasHeld(parent, user.id)) {
+      throw rejection(`You never held product ${parent.batchNumber}`);
+    }
+  }
+
+  for (const child of children) {
+    for (const parent of parents) {
+      LineageService.linkProducts(parent, child);
+      await RecallService.inheritRecall(parent, child);
+    }
+  }
+  await Promise.all([...parents, ...children].filter(product => product.isModified()).map(product => product.save()));
+  return { recordType: 'Lineage', recordId: children[0]._id };
+}
+
+/**
+ * Import one event of a captured document
+ * @param {Object} event - The event
+ * @param {Object} user - The importer, as { id, userType }
+ * @returns {Promise<Object>} { eventID, type, result, reason, recordType, recordId },
+ * result being 'created', 'duplicate', 'ignored' or 'rejected'
+ */
+async function captureEvent(event, user) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return { eventID: null, type: null, result: 'rejected', reason: 'The event is not an object' };
+  }
+
+  const eventID = getEventId(event);
+  const bizStep = normalizeBizStep(event.bizStep);
+  const summary = { eventID, type: event.type || null };
+
+  if (eventID.startsWith(EVENT_URN_PREFIX)) {
+    return { ...summary, result: 'ignored', reason: 'The event was exported by this platform' };
+  }
+  if (await EpcisEvent.exists({ eventID })) {
+    return { ...summary, result: 'duplicate' };
+  }
+
+  try {
+    const eventTime = getEventTime(event);
+
+    let record = null;
+    if (event.type === 'ObjectEvent' && event.action === 'ADD' && bizStep === 'commissioning') {
+      record = await importCommissioning(event, user, eventTime);
+    } else if (event.type === 'ObjectEvent' && bizStep === 'inspecting') {
+      record = await importInspection(event, user, eventTime);
+    } else if (event.type === 'TransactionEvent') {
+      record = await importTransaction(event, user, eventTime, bizStep);
+    } else if (event.type === 'AggregationEvent' || event.type === 'TransformationEvent') {
+      record = await importLineage(event, user);
+    }
+    if (!record) {
+      return { ...summary, result: 'ignored', reason: 'The event records nothing the platform tracks' };
+    }
+
+    await EpcisEvent.create({
+      eventID,
+      eventType: event.type,
+      bizStep,
+      eventTime,
+      importedBy: user.id,
+      recordType: record.recordType,
+      recordId: record.recordId,
+      event
+    });
+    return { ...summary, result: 'created', ...record };
+  } catch (error) {
+    if (error.statusCode === 400 || error.name === 'ValidationError') {
+      return { ...summary, result: 'rejected', reason: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Import the events of an EPCIS document, in order, so later events can refer
+ * to the products created by earlier ones
+ * @param {Object} document - The EPCISDocument
+ * @param {Object} user - The importer, as { id, userType }
+ * @returns {Promise<Object[]>} The result of each event (see captureEvent)
+ */
+async function captureDocument(document, user) {
+  const results = [];
+  for (const event of document.epcisBody.eventList) {
+    results.push(await captureEvent(event, user));
+  }
+
+  const created = results.filter(result => result.result === 'created').length;
+  logger.info(`EPCIS document captured by ${user.id}: ${created} of ${results.length} events imported`);
+  return results;
+}
+
+module.exports = {
+  EPCIS_CONTEXT,
+  MAX_CAPTURE_EVENTS,
+  buildProductDocument,
+  captureDocument
+};
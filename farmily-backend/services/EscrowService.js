@@ -0,0 +1,180 @@
+/**
+ * Escrow Service
+ *
+ * Keeps the escrow state of transfers, and the payment state of the transactions
+ * recorded for them, in line with the escrowed payments held by the
+ * ProductManagement contract. Used both by the routes, right after a user's
+ * transaction is mined, and by the blockchain indexer; every function is
+ * idempotent so applying the same event twice is harmless.
+ */
+
+const Web3 = require('web3');
+const Transfer = require('../models/Transfer');
+const Transaction = require('../models/Transaction');
+const Product = require('../models/Product');
+const NotificationService = require('./NotificationService');
+const logger = require('../utils/logger');
+
+// Escrow states in the order of the EscrowState enum in the smart contract
+const ESCROW_STATES = ['none', 'held', 'released', 'refunded'];
+
+/**
+ * Find the transfer paid through an escrow
+ * @param {String} escrowId - Blockchain ID of the transfer, which keys its escrow in the contract
+ * @returns {Promise<Transfer|null>}
+ */
+function findTransferByEscrowId(escrowId) {
+  return Transfer.findOne({ blockchainTransferId: escrowId.toLowerCase() });
+}
+
+/**
+ * Check that a settlement transaction can settle the escrow of a transfer: the
+ * payment is still held, the transaction was mined after the deposit, and it
+ * was not recorded as the settlement of any escrow yet
+ * @param {Transfer} transfer - The transfer paid through the escrow
+ * @param {String} txHash - Hash of the settlement transaction
+ * @param {Number} blockNumber - Block in which the settlement transaction was mined
+ * @returns {Promise<Boolean>}
+ */
+async function canSettle(transfer, txHash, blockNumber) {
+  if (transfer.escrow.status !== 'held' || !(blockNumber > transfer.escrow.depositBlockNumber)) {
+    return false;
+  }
+  return !(await Transfer.exists({ 'escrow.settlementTxHash': txHash }));
+}
+
+/**
+ * Record the payment deposited by the buyer when accepting a transfer
+ * @param {Transfer} transfer - The accepted transfer
+ * @param {Object} deposit
+ * @param {String} deposit.escrowId - Blockchain ID of the transfer, which keys its escrow in the contract
+ * @param {String} deposit.amountWei - Deposited amount in wei
+ * @param {Date} deposit.deadline - Time after which the buyer can claim a refund
+ * @param {String} deposit.txHash - Hash of the acceptTransfer transaction
+ * @param {Number} deposit.blockNumber - Block in which the acceptTransfer transaction was mined
+ * @returns {Promise<Transfer>}
+ */
+async function recordDeposit(transfer, { escrowId, amountWei, deadline, txHash, blockNumber }) {
+  if (['released', 'refunded'].includes(transfer.escrow.status)) {
+    return transfer;
+  }
+
+  transfer.escrow.escrowId = escrowId;
+  transfer.escrow.amountWei = amountWei.toString();
+  transfer.escrow.amount = parseFloat(Web3.utils.fromWei(amountWei.toString(), 'ether'));
+  transfer.escrow.deadline = deadline;
+  transfer.escrow.depositTxHash = txHash;
+  transfer.escrow.depositBlockNumber = blockNumber;
+  transfer.escrow.status = 'held';
+  await transfer.save();
+
+  await Transaction.updateMany(
+    { transferId: transfer._id, paymentStatus: { $in: ['Unpaid', 'Held'] } },
+    { paymentStatus: 'Held' }
+  );
+
+  logger.info(`Escrow ${escrowId} holds ${transfer.escrow.amount} ETH for transfer ${transfer._id}`);
+  return transfer;
+}
+
+/**
+ * Record the release of an escrowed payment to the seller
+ * @param {Transfer} transfer - The transfer paid through the escrow
+ * @param {String} txHash - Hash of the confirmDelivery transaction
+ * @returns {Promise<Transfer>}
+ */
+async function recordRelease(transfer, txHash) {
+  if (transfer.escrow.status === 'released') {
+    return transfer;
+  }
+
+  transfer.escrow.status = 'released';
+  transfer.escrow.settlementTxHash = txHash;
+  transfer.escrow.settledAt = new Date();
+  transfer.price = transfer.escrow.amount;
+  await transfer.save();
+
+  await Transaction.updateMany(
+    { transferId: transfer._id },
+    { paymentStatus: 'Settled', price: transfer.escrow.amount }
+  );
+
+  logger.info(`Escrow ${transfer.escrow.escrowId} released to the seller of transfer ${transfer._id}`);
+  return transfer;
+}
+
+/**
+ * Record the refund of an escrowed payment to the buyer. The contract gives the
+ * received product back to the seller, so the transfer is cancelled.
+ * @param {Transfer} transfer - The transfer paid through the escrow
+ * @param {String} txHash - Hash of the cancelEscrow or claimEscrowRefund transaction
+ * @returns {Promise<Transfer>}
+ */
+async function recordRefund(transfer, txHash) {
+  if (transfer.escrow.status === 'refunded') {
+    return transfer;
+  }
+
+  transfer.escrow.status = 'refunded';
+  transfer.escrow.settlementTxHash = txHash;
+  transfer.escrow.settledAt = new Date();
+  transfer.status = 'cancelled';
+  transfer.price = 0;
+  await transfer.save();
+
+  await Transaction.updateMany(
+    { transferId: transfer._id },
+    { paymentStatus: 'Refunded', status: 'Cancelled', price: 0 }
+  );
+
+  const product = await Product.findById(transfer.receivedProduct || transfer.product);
+  if (product && product.currentOwner.equals(transfer.toUser)) {
+    product.previousOwner = product.currentOwner;
+    product.currentOwner = transfer.fromUser;
+    product.ownershipHistory.push({ owner: product.previousOwner, timestamp: new Date() });
+    await product.save();
+  }
+  await NotificationService.notifyTransfer('cancelled', transfer, product);
+
+  logger.info(`Escrow ${transfer.escrow.escrowId} refunded to the buyer of transfer ${transfer._id}`);
+  return transfer;
+}
+
+/**
+ * Reset the escrow of a transfer to a state read from the contract, used after
+ * the events that settled or created it were orphaned by a chain reorganisation
+ * @param {Transfer} transfer - The transfer paid through the escrow
+ * @param {String} state - One of ESCROW_STATES
+ * @returns {Promise<Transfer>}
+ */
+async function resetToState(transfer, state) {
+  if (transfer.escrow.status === state) {
+    return transfer;
+  }
+
+  if (state === 'none' || state === 'held') {
+    transfer.escrow.settlementTxHash = undefined;
+    transfer.escrow.settledAt = undefined;
+    transfer.price = undefined;
+    if (transfer.status === 'cancelled') {
+      transfer.status = 'completed';
+    }
+  }
+  transfer.escrow.status = state;
+  await transfer.save();
+
+  const paymentStatus = { none: 'Unpaid', held: 'Held', released: 'Settled', refunded: 'Refunded' }[state];
+  const update = state === 'refunded' ? { paymentStatus } : { paymentStatus, status: 'Completed' };
+  await Transaction.updateMany({ transferId: transfer._id }, update);
+  return transfer;
+}
+
+module.exports = {
+  ESCROW_STATES,
+  findTransferByEscrowId,
+  canSettle,
+  recordDeposit,
+  recordRelease,
+  recordRefund,
+  resetToState
+};
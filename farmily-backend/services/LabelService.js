@@ -0,0 +1,162 @@
+/**
+ * Label Service
+ *
+ * Renders the signed QR code labels of products (see utils/qrCode.js) as PNG or
+ * SVG images, and lays them out on printable HTML label sheets showing the
+ * product type, batch number, origin and production date next to the QR code.
+ * Sheets are sized for common roll label printers (one label per page) and for
+ * A4 and Letter sheets of adhesive labels.
+ */
+
+const QRCode = require('qrcode');
+
+// Supported label sizes, in millimetres. Roll labels are printed one per page,
+// sheet labels in a grid of columns and rows starting at the sheet margins.
+const LABEL_SIZES = {
+  'roll-2x1': { name: '2" x 1" roll (Zebra, DYMO)', width: 50.8, height: 25.4 },
+  'roll-62x29': { name: '62 mm x 29 mm roll (Brother QL)', width: 62, height: 29 },
+  'roll-4x2': { name: '4" x 2" roll (Zebra)', width: 101.6, height: 50.8 },
+  'a4-21': {
+    name: 'A4 sheet, 21 labels of 63.5 mm x 38.1 mm (Avery L7160)',
+    width: 63.5,
+    height: 38.1,
+    sheet: { width: 210, height: 297, columns: 3, rows: 7, marginTop: 15.15, marginLeft: 7.25, columnGap: 2.5 }
+  },
+  'letter-30': {
+    name: 'Letter sheet, 30 labels of 2.625" x 1" (Avery 5160)',
+    width: 66.7,
+    height: 25.4,
+    sheet: { width: 215.9, height: 279.4, columns: 3, rows: 10, marginTop: 12.7, marginLeft: 4.8, columnGap: 3.2 }
+  }
+};
+
+const DEFAULT_LABEL_SIZE = 'roll-62x29';
+
+// Image formats a QR code can be rendered in
+const QR_IMAGE_FORMATS = ['png', 'svg'];
+
+// Error correction level of the QR codes: medium, so a label stays readable when slightly damaged
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 1 };
+
+/**
+ * Render a QR code as an image
+ * @param {String} text - The QR code content
+ * @param {String} format - 'png' or 'svg'
+ * @param {Number} [width] - Width of the image in pixels
+ * @returns {Promise<Buffer|String>} The PNG image, or the SVG document
+ */
+async function renderQRCode(text, format, width) {
+  if (format === 'svg') {
+    return QRCode.toString(text, { ...QR_OPTIONS, type: 'svg', width });
+  }
+  return QRCode.toBuffer(text, { ...QR_OPTIONS, type: 'png', width });
+}
+
+const escapeHtml = value => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = date => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Render one label
+ * @param {Object} label - { product, qrSvg }
+ * @returns {String} The label HTML
+ */
+function renderLabel({ product, qrSvg }) {
+  return `<div class="label">
+  <div class="qr">${qrSvg}</div>
+  <div class="text">
+    <div class="type">${escapeHtml(product.type)}</div>
+    <div>Batch: ${escapeHtml(product.batchNumber)}</div>
+    <div>Origin: ${escapeHtml(product.origin)}</div>
+    <div>Produced: ${escapeHtml(formatDate(product.productionDate))}</div>
+  </div>
+</div>`;
+}
+
+/**
+ * Render a printable HTML sheet of product labels
+ * @param {Object[]} labels - The labels to print, as { product, qrCodeData }
+ * @param {String} sizeKey - One of the LABEL_SIZES keys
+ * @param {Number} [copies=1] - Number of copies of each label
+ * @returns {Promise<String>} The HTML document, which opens the print dialog once loaded
+ */
+async function renderLabelSheet(labels, sizeKey, copies = 1) {
+  const size = LABEL_SIZES[sizeKey];
+  const qrSize = Math.min(size.height, size.width / 2) - 2;
+
+  const rendered = [];
+  for (const { product, qrCodeData } of labels) {
+    const qrSvg = await renderQRCode(qrCodeData, 'svg');
+    for (let copy = 0; copy < copies; copy++) {
+      rendered.push(renderLabel({ product, qrSvg }));
+    }
+  }
+
+  // Font size scales with the label height so the four text lines fit next to the QR code
+  const fontSize = Math.max(1.8, Math.min(4, size.height / 9)).toFixed(2);
+
+  let pageCss;
+  let body;
+  if (size.sheet) {
+    const { sheet } = size;
+    const perPage = sheet.columns * sheet.rows;
+    const pages = [];
+    for (let i = 0; i < rendered.length; i += perPage) {
+      pages.push(`<div class="page">${rendered.slice(i, i + perPage).join('\n')}</div>`);
+    }
+    pageCss = `@page { size: ${sheet.width}mm ${sheet.height}mm; margin: 0; }
+    .page {
+      width: ${sheet.width}mm; height: ${sheet.height}mm;
+      padding: ${sheet.marginTop}mm 0 0 ${sheet.marginLeft}mm;
+      box-sizing: border-box;
+      display: grid;
+      grid-template-columns: repeat(${sheet.columns}, ${size.width}mm);
+      grid-auto-rows: ${size.height}mm;
+      column-gap: ${sheet.columnGap}mm;
+      page-break-after: always;
+    }`;
+    body = pages.join('\n');
+  } else {
+    pageCss = `@page { size: ${size.width}mm ${size.height}mm; margin: 0; }
+    .label { page-break-after: always; }`;
+    body = rendered.join('\n');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Product Labels - ${escapeHtml(size.name)}</title>
+  <style>
+    ${pageCss}
+    body { margin: 0; font-family: Arial, sans-serif; }
+    .label {
+      width: ${size.width}mm; height: ${size.height}mm;
+      box-sizing: border-box; padding: 1mm;
+      display: flex; align-items: center; gap: 1mm; overflow: hidden;
+    }
+    .qr, .qr svg { width: ${qrSize}mm; height: ${qrSize}mm; flex: none; }
+    .text { font-size: ${fontSize}mm; line-height: 1.2; overflow: hidden; }
+    .text div { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .type { font-weight: bold; }
+  </style>
+</head>
+<body>
+${body}
+<script>window.onload = function() { window.print(); };</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  LABEL_SIZES,
+  DEFAULT_LABEL_SIZE,
+  QR_IMAGE_FORMATS,
+  renderQRCode,
+  renderLabelSheet
+};
@@ -0,0 +1,168 @@
+/**
+ * Lineage Service
+ *
+ * Keeps the parent/child links between products in line with the lineage
+ * recorded by the ProductManagement contract: a partial transfer splits a child
+ * product off a batch, and merging several products creates a processed lot
+ * whose parents are the merged products. The links are walked back to rebuild
+ * the supply chain graph of a product up to every farm it originates from.
+ */
+
+const Product = require('../models/Product');
+const logger = require('../utils/logger');
+
+// Upper bound on the products returned in a lineage graph
+const MAX_LINEAGE_NODES = 500;
+
+/**
+ * Link a product to the product it was split off or merged from. The caller saves both products.
+ * @param {Product} parent - The product split or merged
+ * @param {Product} child - The product split off or merged from it
+ */
+function linkProducts(parent, child) {
+  if (!child.parents.some(id => id.equals(parent._id))) {
+    child.parents.push(parent._id);
+  }
+  if (!parent.children.some(id => id.equals(child._id))) {
+    parent.children.push(child._id);
+  }
+}
+
+/**
+ * Record a lot merged from several products. The whole quantity of the merged
+ * products moves to the lot, which only keeps the certifications they all share.
+ * @param {Product[]} sources - The merged products
+ * @param {Object} lotData
+ * @param {String} lotData.blockchainId - Blockchain ID of the lot
+ * @param {String} lotData.batchNumber - Batch number of the lot
+ * @param {String} lotData.type - Product type of the lot
+ * @param {Number} lotData.price - Price per unit of the lot in ETH
+ * @param {Number} lotData.quantity - Merged quantity
+ * @param {ObjectId} lotData.owner - User who merged the products
+ * @param {String} lotData.txHash - Hash of the mergeProducts transaction
+ * @returns {Promise<Product>} The lot
+ */
+async function recordMerge(sources, { blockchainId, batchNumber, type, price, quantity, owner, txHash }) {
+  let lot = await Product.findOne({ blockchainId });
+  if (!lot) {
+    lot = new Product({
+      type,
+      origin: 'Merged lot',
+      productionDate: new Date(Math.max(...sources.map(source => source.productionDate.getTime()))),
+      batchNumber,
+      certifications: sources[0].certifications.filter(certification =>
+        sources.every(source => source.certifications.includes(certification))),
+      quantity,
+      price,
+      currentOwner: owner,
+      status: 'Processed',
+      blockchainId,
+      blockchainTxHash: txHash,
+      blockchainStatus: 'Registered'
+    });
+  }
+
+  for (const source of sources) {
+    linkProducts(source, lot);
+    source.quantity = 0;
+  }
+  await lot.save();
+  await Promise.all(sources.map(source => source.save()));
+
+  logger.info(`Lot ${lot._id} merged from products ${sources.map(source => source._id).join(', ')}`);
+  return lot;
+}
+
+/**
+ * Build the lineage graph of a product: the product and every product it was
+ * split off or merged from, back to the batches registered by farmers.
+ * @param {ObjectId} productId - The product ID
+ * @returns {Promise<Object>} { productId, nodes, edges, origins }, edges going from parent to child
+ */
+async function getLineage(productId) {
+  const nodes = new Map();
+  const edges = [];
+  let frontier = [productId];
+
+  while (frontier.length > 0 && nodes.size < MAX_LINEAGE_NODES) {
+    const products = await Product.find({ _id: { $in: frontier } })
+      .select('type batchNumber origin productionDate quantity status certifications blockchainId parents currentOwner originalOwner')
+      .populate('currentOwner', 'username userType')
+      .populate('originalOwner', 'username userType location');
+
+    frontier = [];
+    for (const product of products) {
+      if (nodes.has(product._id.toString())) {
+        continue;
+      }
+      nodes.set(product._id.toString(), product);
+      for (const parentId of product.parents) {
+        edges.push({ from: parentId.toString(), to: product._id.toString() });
+        if (!nodes.has(parentId.toString()) && !frontier.some(id => id.equals(parentId))) {
+          frontier.push(parentId);
+        }
+      }
+    }
+  }
+
+  if (frontier.length > 0) {
+    logger.warn(`Lineage of product ${productId} truncated at ${MAX_LINEAGE_NODES} products`);
+  }
+
+  const toNode = product => ({
+    _id: product._id,
+    type: product.type,
+    batchNumber: product.batchNumber,
+    origin: product.origin,
+    productionDate: product.productionDate,
+    quantity: product.quantity,
+    status: product.status,
+    certifications: product.certifications,
+    blockchainId: product.blockchainId,
+    currentOwner: product.currentOwner,
+    originalOwner: product.originalOwner
+  });
+
+  return {
+    productId,
+    nodes: [...nodes.values()].map(toNode),
+    edges,
+    // Batches registered by farmers, which have no parents
+    origins: [...nodes.values()].filter(product => product.parents.length === 0).map(toNode)
+  };
+}
+
+/**
+ * Find a product and every product split off or merged from it further down the supply chain
+ * @param {ObjectId} productId - The product ID
+ * @returns {Promise<Product[]>} The product first, then its descendants
+ */
+async function getDescendants(productId) {
+  const products = new Map();
+  let frontier = [productId];
+
+  while (frontier.length > 0) {
+    const found = await Product.find({ _id: { $in: frontier } });
+    frontier = [];
+    for (const product of found) {
+      if (products.has(product._id.toString())) {
+        continue;
+      }
+      products.set(product._id.toString(), product);
+      for (const childId of product.children) {
+        if (!products.has(childId.toString()) && !frontier.some(id => id.equals(childId))) {
+          frontier.push(childId);
+        }
+      }
+    }
+  }
+
+  return [...products.values()];
+}
+
+module.exports = {
+  linkProducts,
+  recordMerge,
+  getLineage,
+  getDescendants
+};
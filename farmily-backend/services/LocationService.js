@@ -0,0 +1,162 @@
+/**
+ * Location Service
+ *
+ * Records the location events of products as they move, sent by the GPS
+ * trackers travelling with them, captured at shipment check-ins or entered by
+ * hand, and builds the geolocation trail of a product for the tracking pages.
+ * The supply chain members who handled a product, and the sockets following it,
+ * are sent each new location over Socket.IO, so that open maps update live.
+ */
+
+const Product = require('../models/Product');
+const Organization = require('../models/Organization');
+const LocationEvent = require('../models/LocationEvent');
+const SocketService = require('./SocketService');
+
+const MAX_LOCATIONS_PER_BATCH = 500;
+const DEFAULT_TRAIL_LIMIT = 1000;
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Describe a location event for the API and the live updates
+ * @param {LocationEvent} event - The event
+ * @returns {Object}
+ */
+const describeLocation = (event) => ({
+  _id: event._id,
+  latitude: event.latitude,
+  longitude: event.longitude,
+  placeName: event.placeName,
+  recordedAt: event.recordedAt,
+  source: event.source,
+  device: event.device,
+  shipment: event.shipment
+});
+
+/**
+ * Check that a location has valid coordinates and time
+ * @param {Object} location - { latitude, longitude, recordedAt }
+ * @returns {Boolean}
+ */
+const isValidLocation = (location) => Boolean(location) &&
+  typeof location.latitude === 'number' && location.latitude >= -90 && location.latitude <= 90 &&
+  typeof location.longitude === 'number' && location.longitude >= -180 && location.longitude <= 180 &&
+  !isNaN(new Date(location.recordedAt));
+
+/**
+ * Send new locations of a product to the users who handled it: its owners,
+ * past and current, and the staff of the organization holding it, and to the
+ * sockets following the product
+ * @param {Product} product - The product
+ * @param {LocationEvent[]} events - The new events
+ */
+async function notifyLocations(product, events) {
+  const userIds = [product.currentOwner, product.originalOwner, ...product.ownershipHistory.map(entry => entry.owner)];
+  if (product.organization) {
+    const organization = await Organization.findById(product.organization).select('members.user');
+    if (organization) {
+      userIds.push(...organization.members.map(member => member.user));
+    }
+  }
+
+  SocketService.emit({ users: userIds, products: [product._id] }, 'product:location', {
+    product: { _id: product._id, type: product.type, batchNumber: product.batchNumber },
+    locations: events.map(describeLocation)
+  });
+}
+
+/**
+ * Record locations of a product
+ * @param {Object} batch
+ * @param {String} batch.productId - The product
+ * @param {Object[]} batch.locations - { latitude, longitude, placeName, recordedAt } locations
+ * @param {String} batch.source - 'device', 'shipment' or 'manual'
+ * @param {String} [batch.device] - Identifier of the tracker, for the 'device' source
+ * @param {String} [batch.shipmentId] - The shipment checked in, for the 'shipment' source
+ * @param {String} [batch.userId] - The user recording the locations
+ * @returns {Promise<Object>} { recorded, duplicates, locations } where locations are the recorded ones
+ */
+async function recordLocations({ productId, locations, source, device, shipmentId, userId }) {
+  if (!Array.isArray(locations) || locations.length === 0 || locations.length > MAX_LOCATIONS_PER_BATCH) {
+    throw httpError(`Send between 1 and ${MAX_LOCATIONS_PER_BATCH} locations at a time`, 400);
+  }
+  if (!locations.every(isValidLocation) || (source === 'device' && !device)) {
+    throw httpError('Each location needs a latitude, a longitude and a recordedAt time, and trackers an identifier', 400);
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw httpError('Product not found', 404);
+  }
+
+  const recorded = [];
+  let duplicates = 0;
+  for (const { latitude, longitude, placeName, recordedAt } of locations) {
+    try {
+      recorded.push(await LocationEvent.create({
+        product: product._id,
+        latitude,
+        longitude,
+        placeName,
+        recordedAt: new Date(recordedAt),
+        source,
+        device,
+        shipment: shipmentId,
+        recordedBy: userId
+      }));
+    } catch (error) {
+      if (error.code === 11000) {
+        duplicates += 1;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  if (recorded.length > 0) {
+    recorded.sort((a, b) => a.recordedAt - b.recordedAt);
+    await notifyLocations(product, recorded);
+  }
+  return { recorded: recorded.length, duplicates, locations: recorded.map(describeLocation) };
+}
+
+/**
+ * Get the geolocation trail of a product
+ * @param {String} productId - The product ID
+ * @param {Object} [filters]
+ * @param {Date} [filters.from] - Only locations from this time
+ * @param {Date} [filters.to] - Only locations until this time
+ * @param {Number} [filters.limit] - Maximum number of locations, the most recent ones
+ * @returns {Promise<Object[]>} The locations, the oldest first
+ */
+async function getTrail(productId, { from, to, limit = DEFAULT_TRAIL_LIMIT } = {}) {
+  const query = { product: productId };
+  if (from || to) {
+    query.recordedAt = {};
+    if (from) {
+      query.recordedAt.$gte = from;
+    }
+    if (to) {
+      query.recordedAt.$lte = to;
+    }
+  }
+  const events = await LocationEvent.find(query).sort({ recordedAt: -1 }).limit(limit);
+  return events.reverse().map(describeLocation);
+}
+
+module.exports = {
+  MAX_LOCATIONS_PER_BATCH,
+  recordLocations,
+  getTrail
+};
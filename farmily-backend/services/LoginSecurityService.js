@@ -0,0 +1,240 @@
+/**
+ * Login Security Service
+ *
+ * Protects logins against password guessing and keeps the login history.
+ * Failed logins are counted per username and per IP address; past a few
+ * failures, logins are refused for a lockout that doubles with each further
+ * failure. Unknown usernames are throttled like existing ones, so lockouts do
+ * not reveal which usernames exist. A successful login from a device the user
+ * never logged in from is reported to them by email.
+ */
+
+const crypto = require('crypto');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+const MailService = require('./MailService');
+const logger = require('../utils/logger');
+
+// Failed logins allowed before a lockout, per username and per IP address
+const MAX_FAILED_LOGINS_PER_ACCOUNT = parseInt(process.env.MAX_FAILED_LOGINS_PER_ACCOUNT) || 5;
+const MAX_FAILED_LOGINS_PER_IP = parseInt(process.env.MAX_FAILED_LOGINS_PER_IP) || 20;
+
+// Wrong two-factor codes allowed before step-up verification is locked out
+const MAX_FAILED_TWO_FACTOR_CODES = 5;
+
+// The first lockout lasts a minute, each further failure doubles it, up to the maximum
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = (parseInt(process.env.MAX_LOCKOUT_MINUTES) || 60) * 60 * 1000;
+
+// Failed logins are forgotten a day after the last one
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_HISTORY_ENTRIES = 100;
+
+/**
+ * Hash identifying a device, from its user agent
+ * @param {Object} req - Express request object
+ * @returns {String}
+ */
+const getDeviceHash = req => crypto.createHash('sha256').update(req.get('User-Agent') || '').digest('hex');
+
+const accountKey = username => `account:${username}`;
+const ipKey = ipAddress => `ip:${ipAddress}`;
+const twoFactorKey = userId => `two_factor:${userId}`;
+
+/**
+ * Get the lockout of an account or IP address, if any
+ * @param {String} key - The throttle key
+ * @returns {Promise<Date|null>} The date the lockout ends, or null
+ */
+async function getLockedUntil(key) {
+  const throttle = await LoginThrottle.findOne({ key });
+  return throttle && throttle.isLocked() ? throttle.lockedUntil : null;
+}
+
+/**
+ * Check whether logins to a username from the request's IP address are refused
+ * @param {String} username - The username entered
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} { scope: 'ip'|'account', retryAfterSeconds }, or null if not locked out
+ */
+async function getLockout(username, req) {
+  const checks = [['ip', ipKey(req.ip)], ['account', accountKey(username)]];
+  for (const [scope, key] of checks) {
+    const lockedUntil = await getLockedUntil(key);
+    if (lockedUntil) {
+      return { scope, retryAfterSeconds: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Count a failed login against a throttle, locking it out past the allowed failures
+ * @param {String} key - The throttle key
+ * @param {Number} maxFailures - Failed logins allowed before a lockout
+ * @returns {Promise<LoginThrottle>}
+ */
+async function countFailure(key, maxFailures) {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failedCount: 1 }, $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + FAILURE_MEMORY_MS) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const excessFailures = throttle.failedCount - maxFailures;
+  if (excessFailures >= 0) {
+    const lockoutMs = Math.min(BASE_LOCKOUT_MS * Math.pow(2, excessFailures), MAX_LOCKOUT_MS);
+    throttle.lockedUntil = new Date(now.getTime() + lockoutMs);
+    await throttle.save();
+    logger.warn(`Logins locked out for ${key} until ${throttle.lockedUntil.toISOString()} after ${throttle.failedCount} failures`);
+  }
+  return throttle;
+}
+
+/**
+ * Record a failed login. Logins refused because of a lockout are recorded but
+ * not counted, so the lockout does not grow while it lasts.
+ * @param {Object} attempt - The attempt
+ * @param {String} attempt.username - The username entered
+ * @param {User} [attempt.user] - The user, if the username exists
+ * @param {String} attempt.reason - One of the LoginAttempt failure reasons
+ * @param {String} [attempt.method='password'] - 'password' or 'wallet'
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function recordFailedLogin({ username, user, reason, method = 'password' }, req) {
+  await LoginAttempt.create({
+    user: user ? user._id : undefined,
+    username,
+    method,
+    success: false,
+    failureReason: reason,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceHash: getDeviceHash(req)
+  });
+
+  if (reason !== 'account_locked' && reason !== 'ip_locked') {
+    await countFailure(accountKey(username), MAX_FAILED_LOGINS_PER_ACCOUNT);
+    await countFailure(ipKey(req.ip), MAX_FAILED_LOGINS_PER_IP);
+  }
+}
+
+/**
+ * Email a user about a login from a new device
+ * @param {User} user - The user
+ * @param {LoginAttempt} attempt - The login
+ * @returns {Promise<void>}
+ */
+async function sendNewDeviceAlert(user, attempt) {
+  await MailService.sendMail({
+    to: user.email,
+    subject: 'New login to your Farmily account',
+    text: `Hello ${user.firstName},\n\n` +
+      `Your account (${user.username}) was logged in to from a new device:\n` +
+      `Date: ${attempt.createdAt.toUTCString()}\n` +
+      `IP address: ${attempt.ipAddress}\n` +
+      `Device: ${attempt.userAgent || 'unknown'}\n\n` +
+      'If this was you, you can ignore this email. Otherwise, reset your password and sign out of all devices from your dashboard.'
+  });
+}
+
+/**
+ * Record a successful login: the failed logins of the username are forgotten,
+ * and the user is alerted if the device is new to them. The failures of the IP
+ * address are kept, as one valid account must not allow guessing others.
+ * @param {User} user - The user
+ * @param {Object} req - Express request object
+ * @param {String} [method='password'] - 'password' or 'wallet'
+ * @returns {Promise<Object>} { newDevice }
+ */
+async function recordSuccessfulLogin(user, req, method = 'password') {
+  await LoginThrottle.deleteOne({ key: accountKey(user.username) });
+
+  const deviceHash = getDeviceHash(req);
+  const [hasLoggedInBefore, knownDevice] = await Promise.all([
+    LoginAttempt.exists({ user: user._id, success: true }),
+    LoginAttempt.exists({ user: user._id, success: true, deviceHash })
+  ]);
+  // The first login of a user is not reported: every device is new then
+  const newDevice = Boolean(hasLoggedInBefore) && !knownDevice;
+
+  const attempt = await LoginAttempt.create({
+    user: user._id,
+    username: user.username,
+    method,
+    success: true,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceHash,
+    newDevice
+  });
+
+  if (newDevice) {
+    logger.warn(`Login of user ${user._id} from a new device (${attempt.ipAddress})`);
+    // The login goes on even if the alert cannot be sent
+    try {
+      await sendNewDeviceAlert(user, attempt);
+    } catch (error) {
+      logger.error(`Error sending new device alert to user ${user._id}: ${error.message}`);
+    }
+  }
+  return { newDevice };
+}
+
+/**
+ * Get the lockout of a user's step-up verification, after too many wrong
+ * two-factor codes. It is separate from the login lockout, so that whoever
+ * holds a session cannot lock the user out of logging in.
+ * @param {String} userId - The user ID
+ * @returns {Promise<Number|null>} Seconds until the lockout ends, or null if not locked out
+ */
+async function getTwoFactorLockout(userId) {
+  const lockedUntil = await getLockedUntil(twoFactorKey(userId));
+  return lockedUntil ? Math.ceil((lockedUntil.getTime() - Date.now()) / 1000) : null;
+}
+
+/**
+ * Count a wrong two-factor code entered for step-up verification
+ * @param {String} userId - The user ID
+ * @returns {Promise<void>}
+ */
+async function recordFailedTwoFactorCode(userId) {
+  await countFailure(twoFactorKey(userId), MAX_FAILED_TWO_FACTOR_CODES);
+}
+
+/**
+ * Forget the wrong two-factor codes of a user once a right one is entered
+ * @param {String} userId - The user ID
+ * @returns {Promise<void>}
+ */
+async function clearTwoFactorFailures(userId) {
+  await LoginThrottle.deleteOne({ key: twoFactorKey(userId) });
+}
+
+/**
+ * Get the most recent login attempts on a user's account
+ * @param {String} userId - The user ID
+ * @param {Number} [limit=20] - Number of attempts to return, at most MAX_HISTORY_ENTRIES
+ * @returns {Promise<Array>} The attempts, most recent first
+ */
+async function getLoginHistory(userId, limit = 20) {
+  const attempts = await LoginAttempt.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(limit, 1), MAX_HISTORY_ENTRIES))
+    .select('method success failureReason ipAddress userAgent newDevice createdAt')
+    .lean();
+  return attempts;
+}
+
+module.exports = {
+  getLockout,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  getTwoFactorLockout,
+  recordFailedTwoFactorCode,
+  clearTwoFactorFailures,
+  getLoginHistory
+};
@@ -0,0 +1,107 @@
+/**
+ * Mail Service
+ *
+ * Sends the emails of the platform through a pluggable transport, chosen with
+ * the MAIL_TRANSPORT environment variable:
+ * - console (default): the email is written to the log, for development
+ * - file: the email is saved as a JSON file in MAIL_OUTBOX_DIR, for development and tests
+ * - smtp: the email is sent with nodemailer to SMTP_HOST, which must then be installed
+ * Other transports can be added with registerTransport.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Farmily <no-reply@farmily.local>';
+
+/**
+ * Transport factories, by name. A transport is an object with an async
+ * send(message) method, message being { from, to, subject, text, html }.
+ */
+const transportFactories = {
+  console: () => ({
+    send: async (message) => {
+      logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  }),
+
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'farmily-mail');
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, date: new Date() }, null, 2));
+        logger.info(`Email to ${message.to} saved to ${filePath}`);
+      }
+    };
+  },
+
+  smtp: () => {
+    // Loaded here so that nodemailer is only needed by deployments sending real emails
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+    return {
+      send: message => transporter.sendMail(message)
+    };
+  }
+};
+
+// Transport in use, created on the first email
+let transport = null;
+
+/**
+ * Add a transport, which can then be selected with MAIL_TRANSPORT
+ * @param {String} name - The transport name
+ * @param {Function} factory - Function returning the transport
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+/**
+ * Replace the transport in use, e.g. by an in-memory transport in tests
+ * @param {String|Object} nameOrTransport - A registered transport name, or a transport
+ */
+function setTransport(nameOrTransport) {
+  if (typeof nameOrTransport === 'string') {
+    const factory = transportFactories[nameOrTransport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${nameOrTransport}`);
+    }
+    transport = factory();
+  } else {
+    transport = nameOrTransport;
+  }
+}
+
+/**
+ * Send an email
+ * @param {Object} message - The email
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject
+ * @param {String} message.text - Plain text body
+ * @param {String} [message.html] - HTML body
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (!transport) {
+    setTransport(process.env.MAIL_TRANSPORT || 'console');
+  }
+  await transport.send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  sendMail
+};
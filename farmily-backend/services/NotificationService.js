@@ -0,0 +1,155 @@
+/**
+ * Notification Service
+ *
+ * Sends the changes of transfers and products over Socket.IO, so that the
+ * dashboards update live instead of polling: to the users involved, the staff
+ * of their organizations, and the sockets following the product. Notifications
+ * are best effort: a failure is logged and never fails the change itself. In
+ * processes without Socket.IO, e.g. the blockchain indexer, nothing is sent.
+ */
+
+const Organization = require('../models/Organization');
+const Transfer = require('../models/Transfer');
+const SocketService = require('./SocketService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the staff members of organizations
+ * @param {Array<String|ObjectId>} organizationIds - The organizations
+ * @returns {Promise<ObjectId[]>} The user IDs of the members
+ */
+async function membersOf(organizationIds) {
+  const ids = organizationIds.filter(Boolean);
+  if (ids.length === 0) {
+    return [];
+  }
+  const organizations = await Organization.find({ _id: { $in: ids } }).select('members.user');
+  return organizations.flatMap(organization => organization.members.map(member => member.user));
+}
+
+/**
+ * Describe a product for the notifications
+ * @param {Product} product - The product
+ * @returns {Object}
+ */
+const describeProduct = (product) => ({
+  _id: product._id,
+  type: product.type,
+  batchNumber: product.batchNumber,
+  status: product.status,
+  quantity: product.quantity
+});
+
+/**
+ * Send an event, logging instead of throwing when it fails
+ * @param {Function} buildRecipients - Async function resolving with { users, products }
+ * @param {String} event - The event name
+ * @param {Object} payload - The event data
+ */
+async function send(buildRecipients, event, payload) {
+  try {
+    SocketService.emit(await buildRecipients(), event, payload);
+  } catch (error) {
+    logger.warn(`Could not send ${event}: ${error.message}`);
+  }
+}
+
+/**
+ * Notify the sender and the recipient of a transfer that it was initiated,
+ * accepted or cancelled, as transfer:initiated, transfer:accepted or transfer:cancelled
+ * @param {String} action - 'initiated', 'accepted' or 'cancelled'
+ * @param {Transfer} transfer - The transfer
+ * @param {Product} [product] - The product transferred, or received for an accepted transfer
+ */
+async function notifyTransfer(action, transfer, product) {
+  await send(async () => ({
+    users: [
+      transfer.fromUser,
+      transfer.toUser,
+      ...await membersOf([transfer.fromOrganization, transfer.toOrganization])
+    ],
+    products: [transfer.product, transfer.receivedProduct]
+  }), `transfer:${action}`, {
+    transfer: {
+      _id: transfer._id,
+      product: transfer.product,
+      receivedProduct: transfer.receivedProduct,
+      fromUser: transfer.fromUser,
+      toUser: transfer.toUser,
+      quantity: transfer.quantity,
+      status: transfer.status
+    },
+    product: product ? describeProduct(product) : undefined
+  });
+}
+
+/**
+ * Notify a change of a transfer once, however many times it is recorded, e.g.
+ * by a route and by the blockchain indexer. Processes without Socket.IO leave
+ * the notification to the API server.
+ * @param {String} action - 'initiated', 'accepted' or 'cancelled'
+ * @param {Transfer} transfer - The transfer
+ * @param {Product} [product] - The product transferred, or received for an accepted transfer
+ */
+async function notifyTransferOnce(action, transfer, product) {
+  if (!SocketService.isAttached()) {
+    return;
+  }
+  const claimed = await Transfer.updateOne(
+    { _id: transfer._id, notifiedActions: { $ne: action } },
+    { $addToSet: { notifiedActions: action } }
+  );
+  if (claimed.modifiedCount === 1) {
+    await notifyTransfer(action, transfer, product);
+  }
+}
+
+/**
+ * Notify the owner of a product and its followers that its status changed, as product:status
+ * @param {Product} product - The product, with its new status
+ * @param {String} previousStatus - The status before the change
+ */
+async function notifyStatusChange(product, previousStatus) {
+  await send(async () => ({
+    users: [product.currentOwner, ...await membersOf([product.organization])],
+    products: [product._id]
+  }), 'product:status', {
+    product: describeProduct(product),
+    previousStatus
+  });
+}
+
+/**
+ * Notify the owners of a product, past and current, and its followers of a
+ * quality check result, as qualityCheck:recorded
+ * @param {Product} product - The product checked
+ * @param {QualityCheck} qualityCheck - The check
+ */
+async function notifyQualityCheck(product, qualityCheck) {
+  await send(async () => ({
+    users: [
+      product.currentOwner,
+      product.originalOwner,
+      ...product.ownershipHistory.map(entry => entry.owner),
+      ...await membersOf([product.organization])
+    ],
+    products: [product._id]
+  }), 'qualityCheck:recorded', {
+    product: describeProduct(product),
+    qualityCheck: {
+      _id: qualityCheck._id,
+      status: qualityCheck.status,
+      notes: qualityCheck.notes,
+      checkDate: qualityCheck.checkDate,
+      checkerId: qualityCheck.checkerId,
+      blockchainStatus: qualityCheck.blockchainStatus
+    }
+  });
+}
+
+module.exports = {
+  notifyTransfer,
+  notifyTransferOnce,
+  notifyStatusChange,
+  notifyQualityCheck
+};
@@ -0,0 +1,465 @@
+/**
+ * Organization Service
+ *
+ * Organizations let the staff of a company share its products, transfers and
+ * Ethereum address. Staff members are invited by email under a role: owners
+ * manage everything, managers also manage operators and viewers, operators
+ * handle products and transfers, and viewers can only look. Products held by a
+ * staff member belong to the organization, and the actions taken on its behalf
+ * are recorded with the staff member who took them.
+ */
+
+const crypto = require('crypto');
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const OrganizationActivity = require('../models/OrganizationActivity');
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const User = require('../models/user.js');
+const MailService = require('./MailService');
+const WalletAuthService = require('./WalletAuthService');
+const Web3Service = require('./Web3Service');
+const { hashToken } = require('../utils/jwt');
+const logger = require('../utils/logger');
+const { PUBLIC_APP_URL } = require('../config');
+
+// Roles from the most to the least powerful
+const ORGANIZATION_ROLES = Organization.schema.path('members').schema.path('role').enumValues;
+
+// Supply chain roles organizations can have
+const ORGANIZATION_USER_TYPES = Organization.schema.path('userType').enumValues;
+
+const INVITATION_TTL_DAYS = parseInt(process.env.ORGANIZATION_INVITATION_TTL_DAYS) || 7;
+
+const MAX_ACTIVITY_ENTRIES = 200;
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check whether a role is at least as powerful as another
+ * @param {String} role - The role
+ * @param {String} minRole - The least powerful role accepted
+ * @returns {Boolean}
+ */
+const hasRoleAtLeast = (role, minRole) => ORGANIZATION_ROLES.indexOf(role) <= ORGANIZATION_ROLES.indexOf(minRole);
+
+/**
+ * Check that a staff member may give or take away a role: owners manage every
+ * role, managers only operators and viewers
+ * @param {String} actorRole - Role of the staff member acting
+ * @param {String} role - The role given or taken away
+ */
+const ensureCanManageRole = (actorRole, role) => {
+  if (!hasRoleAtLeast(actorRole, 'manager') || (actorRole !== 'owner' && hasRoleAtLeast(role, 'manager'))) {
+    throw httpError('Your role does not allow managing this staff member', 403);
+  }
+};
+
+/**
+ * Find the organization a user is a staff member of
+ * @param {String} userId - The user ID
+ * @returns {Promise<Object|null>} { organization, role }
+ */
+async function getMembership(userId) {
+  const organization = await Organization.findOne({ 'members.user': userId });
+  if (!organization) {
+    return null;
+  }
+  return { organization, role: organization.getMember(userId).role };
+}
+
+/**
+ * Load the organization of a staff member, with a role at least as powerful as minRole
+ * @param {String} userId - The user ID
+ * @param {String} minRole - The least powerful role accepted
+ * @returns {Promise<Object>} { organization, role }
+ */
+async function requireMembership(userId, minRole) {
+  const membership = await getMembership(userId);
+  if (!membership) {
+    throw httpError('You are not a staff member of an organization', 404);
+  }
+  if (!hasRoleAtLeast(membership.role, minRole)) {
+    throw httpError('Your role does not allow this action', 403);
+  }
+  return membership;
+}
+
+/**
+ * Give the products held by a new staff member, and their pending transfers, to their organization
+ * @param {Organization} organization - The organization
+ * @param {ObjectId} userId - The staff member
+ */
+async function adoptHoldings(organization, userId) {
+  await Product.updateMany({ currentOwner: userId }, { organization: organization._id });
+  await Transfer.updateMany({ fromUser: userId, status: 'pending' }, { fromOrganization: organization._id });
+  await Transfer.updateMany({ toUser: userId, status: 'pending' }, { toOrganization: organization._id });
+}
+
+/**
+ * Create an organization, of which the user becomes the owner
+ * @param {String} userId - The user ID
+ * @param {String} name - Name of the organization
+ * @returns {Promise<Organization>}
+ */
+async function createOrganization(userId, name) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+  if (!ORGANIZATION_USER_TYPES.includes(user.userType)) {
+    throw httpError('Only farmers, distributors and retailers can create an organization', 403);
+  }
+  if (await getMembership(userId)) {
+    throw httpError('You are already a staff member of an organization', 409);
+  }
+
+  const organization = await Organization.create({
+    name,
+    userType: user.userType,
+    members: [{ user: user._id, role: 'owner' }],
+    createdBy: user._id
+  });
+  await adoptHoldings(organization, user._id);
+
+  logger.info(`Organization ${organization._id} created by user ${userId}`);
+  return organization;
+}
+
+/**
+ * Get an organization with its staff members and pending invitations
+ * @param {String} organizationId - The organization ID
+ * @returns {Promise<Object>} { organization, invitations }
+ */
+async function getOrganization(organizationId) {
+  const organization = await Organization.findById(organizationId)
+    .populate('members.user', 'username firstName lastName email');
+  if (!organization) {
+    throw httpError('Organization not found', 404);
+  }
+  const invitations = await OrganizationInvitation.find({
+    organization: organization._id,
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('email role expiresAt invitedBy createdAt')
+    .populate('invitedBy', 'username');
+  return { organization, invitations };
+}
+
+/**
+ * Invite a staff member by email. Sending a new invitation to an address
+ * cancels the one sent before.
+ * @param {String} userId - The staff member inviting
+ * @param {String} email - Email address of the person invited
+ * @param {String} role - Role given to them: 'manager', 'operator' or 'viewer'
+ * @returns {Promise<OrganizationInvitation>}
+ */
+async function inviteMember(userId, email, role) {
+  const { organization, role: actorRole } = await requireMembership(userId, 'manager');
+  ensureCanManageRole(actorRole, role);
+
+  email = email.toLowerCase();
+  const invitedUser = await User.findOne({ email });
+  if (invitedUser && organization.getMember(invitedUser._id)) {
+    throw httpError('This user is already a staff member of the organization', 409);
+  }
+
+  await OrganizationInvitation.deleteMany({ organization: organization._id, email, acceptedAt: null });
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invitation = await OrganizationInvitation.create({
+    organization: organization._id,
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: userId,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const link = `${PUBLIC_APP_URL}/organization.html?invitation=${token}`;
+  await MailService.sendMail({
+    to: email,
+    subject: `You are invited to join ${organization.name} on Farmily`,
+    text: 'Hello,\n\n' +
+      `You are invited to join ${organization.name} on Farmily as ${role}. ` +
+      `Log in to your Farmily ${organization.userType} account registered with this email address, or register one, then open this link:\n${link}\n\n` +
+      `The invitation expires in ${INVITATION_TTL_DAYS} days.`
+  });
+
+  logger.info(`User ${userId} invited ${email} to organization ${organization._id} as ${role}`);
+  return invitation;
+}
+
+/**
+ * Accept an invitation
+ * @param {String} userId - The user accepting
+ * @param {String} token - The token from the invitation link
+ * @returns {Promise<Organization>} The organization joined
+ */
+async function acceptInvitation(userId, token) {
+  const invitation = typeof token === 'string' && await OrganizationInvitation.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!invitation) {
+    throw httpError('This invitation is invalid or has expired', 400);
+  }
+
+  const [user, organization] = await Promise.all([
+    User.findById(userId),
+    Organization.findById(invitation.organization)
+  ]);
+  if (!user || !organization) {
+    throw httpError('This invitation is invalid or has expired', 400);
+  }
+  if (user.email.toLowerCase() !== invitation.email) {
+    throw httpError('This invitation was sent to another email address', 403);
+  }
+  if (user.userType !== organization.userType) {
+    throw httpError(`Only ${organization.userType} accounts can join this organization`, 403);
+  }
+  if (await getMembership(userId)) {
+    throw httpError('You are already a staff member of an organization', 409);
+  }
+
+  // Marking the invitation accepted only if it still is not ensures it is used once
+  const accepted = await OrganizationInvitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: null },
+    { acceptedAt: new Date(), acceptedBy: user._id }
+  );
+  if (!accepted) {
+    throw httpError('This invitation is invalid or has expired', 400);
+  }
+
+  organization.members.push({ user: user._id, role: invitation.role, addedBy: invitation.invitedBy });
+  await organization.save();
+  await adoptHoldings(organization, user._id);
+
+  logger.info(`User ${userId} joined organization ${organization._id} as ${invitation.role}`);
+  return organization;
+}
+
+/**
+ * Cancel a pending invitation
+ * @param {String} userId - The staff member cancelling
+ * @param {String} invitationId - The invitation ID
+ * @returns {Promise<void>}
+ */
+async function cancelInvitation(userId, invitationId) {
+  const { organization, role } = await requireMembership(userId, 'manager');
+  const invitation = await OrganizationInvitation.findOne({ _id: invitationId, organization: organization._id, acceptedAt: null });
+  if (!invitation) {
+    throw httpError('Invitation not found', 404);
+  }
+  ensureCanManageRole(role, invitation.role);
+  await invitation.deleteOne();
+}
+
+/**
+ * Change the role of a staff member. The organization keeps at least one owner.
+ * @param {String} userId - The staff member making the change
+ * @param {String} memberId - The staff member whose role changes
+ * @param {String} role - The new role
+ * @returns {Promise<Organization>}
+ */
+async function changeMemberRole(userId, memberId, role) {
+  const { organization, role: actorRole } = await requireMembership(userId, 'manager');
+  const member = organization.getMember(memberId);
+  if (!member) {
+    throw httpError('Staff member not found', 404);
+  }
+  ensureCanManageRole(actorRole, member.role);
+  ensureCanManageRole(actorRole, role);
+
+  if (member.role === 'owner' && role !== 'owner' && organization.members.filter(m => m.role === 'owner').length === 1) {
+    throw httpError('The organization must keep at least one owner', 400);
+  }
+
+  member.role = role;
+  await organization.save();
+  logger.info(`User ${userId} changed the role of user ${memberId} in organization ${organization._id} to ${role}`);
+  return organization;
+}
+
+/**
+ * Remove a staff member from their organization, or let them leave it. The
+ * products they hold and their pending transfers go to an owner, as they
+ * belong to the organization.
+ * @param {String} userId - The staff member removing, or leaving
+ * @param {String} memberId - The staff member removed
+ * @returns {Promise<Organization>}
+ */
+async function removeMember(userId, memberId) {
+  const leaving = String(userId) === String(memberId);
+  const { organization, role: actorRole } = await requireMembership(userId, leaving ? 'viewer' : 'manager');
+  const member = organization.getMember(memberId);
+  if (!member) {
+    throw httpError('Staff member not found', 404);
+  }
+  if (!leaving) {
+    ensureCanManageRole(actorRole, member.role);
+  }
+
+  const owners = organization.members.filter(m => m.role === 'owner' && !m.user.equals(memberId));
+  if (owners.length === 0) {
+    throw httpError('The organization must keep at least one owner', 400);
+  }
+
+  organization.members = organization.members.filter(m => !m.user.equals(memberId));
+  await organization.save();
+
+  const heir = owners[0].user;
+  const products = await Product.updateMany(
+    { organization: organization._id, currentOwner: memberId },
+    { currentOwner: heir }
+  );
+  await Transfer.updateMany(
+    { toOrganization: organization._id, toUser: memberId, status: 'pending' },
+    { toUser: heir }
+  );
+  await Transfer.updateMany(
+    { fromOrganization: organization._id, fromUser: memberId, status: 'pending' },
+    { fromUser: heir }
+  );
+
+  logger.info(`User ${memberId} ${leaving ? 'left' : `removed by user ${userId} from`} organization ${organization._id}; ` +
+    `${products.modifiedCount} products handed over to user ${heir}`);
+  return organization;
+}
+
+/**
+ * Link the Ethereum address of an organization, with the proof that the owner
+ * controls it, and grant it the blockchain role of the organization
+ * @param {String} userId - The owner linking the address
+ * @param {String} ethereumAddress - The address
+ * @param {String} message - The signed link challenge
+ * @param {String} signature - The signature
+ * @returns {Promise<Object>} { organization, blockchainRole }
+ */
+async function linkAddress(userId, ethereumAddress, message, signature) {
+  const { organization } = await requireMembership(userId, 'owner');
+  await WalletAuthService.verifyOwnership(userId, ethereumAddress, message, signature);
+
+  if (await WalletAuthService.findUserByAddress(ethereumAddress)) {
+    throw httpError('This wallet is already linked to an account', 409);
+  }
+  const linkedOrganization = await WalletAuthService.findOrganizationByAddress(ethereumAddress);
+  if (linkedOrganization && !linkedOrganization._id.equals(organization._id)) {
+    throw httpError('This wallet is already linked to another organization', 409);
+  }
+
+  const previousAddress = organization.ethereumAddress;
+  organization.ethereumAddress = ethereumAddress;
+  await organization.save();
+  logger.info(`Wallet ${ethereumAddress} linked to organization ${organization._id} by user ${userId}`);
+
+  const blockchainRole = await Web3Service.syncUserRoleOnBlockchain(organization.userType, ethereumAddress, previousAddress);
+  if (!blockchainRole.success) {
+    logger.error(`Failed to grant the blockchain role of organization ${organization._id}: ${blockchainRole.error}`);
+  }
+  return { organization, blockchainRole };
+}
+
+/**
+ * Get the address a user's products are owned by on the blockchain: the
+ * address of their organization, or else their own
+ * @param {User} user - The user
+ * @returns {Promise<String|undefined>}
+ */
+async function getChainAddress(user) {
+  const organization = await Organization.findOne({ 'members.user': user._id }).select('ethereumAddress');
+  return (organization && organization.ethereumAddress) || user.ethereumAddress;
+}
+
+/**
+ * Get the addresses a user sends transactions from: their own, and the address
+ * of the organization they act for
+ * @param {Object} req - Express request object, with req.user and req.organization
+ * @returns {Promise<String[]>} The addresses, in lowercase
+ */
+async function getSenderAddresses(req) {
+  const user = await User.findById(req.user.id).select('ethereumAddress');
+  return [user && user.ethereumAddress, req.organization && req.organization.ethereumAddress]
+    .filter(Boolean)
+    .map(address => address.toLowerCase());
+}
+
+/**
+ * Record an action taken by a staff member on behalf of their organization.
+ * Nothing is recorded for users outside an organization, and a failure to
+ * record does not fail the action.
+ * @param {Object} req - Express request object, with req.user and req.organization
+ * @param {String} action - What was done (e.g., "product.register")
+ * @param {Object} [refs]
+ * @param {ObjectId} [refs.product] - Product concerned
+ * @param {ObjectId} [refs.transfer] - Transfer concerned
+ * @param {Object} [refs.details] - Details of the action
+ * @returns {Promise<void>}
+ */
+async function recordActivity(req, action, { product, transfer, details } = {}) {
+  if (!req.organization) {
+    return;
+  }
+  try {
+    await OrganizationActivity.create({
+      organization: req.organization.id,
+      user: req.user.id,
+      role: req.organization.role,
+      action,
+      product,
+      transfer,
+      details
+    });
+  } catch (error) {
+    logger.error(`Failed to record the activity ${action} of user ${req.user.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the recent activity of an organization, most recent first
+ * @param {String} organizationId - The organization ID
+ * @param {Object} [filters]
+ * @param {String} [filters.user] - Only the actions of this staff member
+ * @param {Number} [filters.limit=50] - Maximum number of entries
+ * @returns {Promise<OrganizationActivity[]>}
+ */
+function getActivity(organizationId, { user, limit = 50 } = {}) {
+  const query = { organization: organizationId };
+  if (user) {
+    query.user = user;
+  }
+  return OrganizationActivity.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(limit, MAX_ACTIVITY_ENTRIES))
+    .populate('user', 'username firstName lastName')
+    .populate('product', 'type batchNumber');
+}
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  hasRoleAtLeast,
+  getMembership,
+  createOrganization,
+  getOrganization,
+  inviteMember,
+  acceptInvitation,
+  cancelInvitation,
+  changeMemberRole,
+  removeMember,
+  linkAddress,
+  getChainAddress,
+  getSenderAddresses,
+  recordActivity,
+  getActivity
+};
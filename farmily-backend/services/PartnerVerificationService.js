@@ -0,0 +1,362 @@
+/**
+ * Partner Verification Service
+ *
+ * Lightweight know-your-customer checks of the businesses goods are sent to.
+ * Distributors and retailers fill in a business profile (legal name,
+ * registration number, address and licenses), upload supporting documents and
+ * submit the profile; an admin verifies or rejects it. Verified partners are
+ * shown with a badge, and transfers to unverified partners follow the policy
+ * set by UNVERIFIED_PARTNER_TRANSFERS:
+ *   - 'confirm' (default): the sender must confirm sending to an unverified partner
+ *   - 'block': transfers to unverified partners are refused
+ *   - 'allow': no check
+ * Consumers are not businesses and are not checked.
+ */
+
+const crypto = require('crypto');
+const PartnerProfile = require('../models/PartnerProfile');
+const PartnerDocument = require('../models/PartnerDocument');
+const User = require('../models/user.js');
+const MailService = require('./MailService');
+const logger = require('../utils/logger');
+
+// User types that must be verified to receive goods without a confirmation
+const PARTNER_USER_TYPES = ['distributor', 'retailer'];
+
+const TRANSFER_POLICIES = ['confirm', 'block', 'allow'];
+const TRANSFER_POLICY = TRANSFER_POLICIES.includes(process.env.UNVERIFIED_PARTNER_TRANSFERS)
+  ? process.env.UNVERIFIED_PARTNER_TRANSFERS
+  : 'confirm';
+
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+const MAX_DOCUMENTS = 10;
+
+// First bytes of the accepted file types, so that the declared type cannot be made up
+const FILE_SIGNATURES = {
+  'application/pdf': Buffer.from('%PDF'),
+  'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  'image/jpeg': Buffer.from([0xff, 0xd8, 0xff])
+};
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find the profile of a distributor or a retailer
+ * @param {String} userId - The user ID
+ * @returns {Promise<PartnerProfile>}
+ */
+async function requireProfile(userId) {
+  const profile = await PartnerProfile.findOne({ user: userId });
+  if (!profile) {
+    throw httpError('Save your business profile first', 404);
+  }
+  return profile;
+}
+
+/**
+ * Put a profile back in draft after it changed, as the admin checked the previous data
+ * @param {PartnerProfile} profile - The profile
+ */
+const returnToDraft = (profile) => {
+  if (profile.status === 'submitted' || profile.status === 'verified') {
+    profile.status = 'draft';
+  }
+};
+
+/**
+ * Summarize the data of a profile an admin checks
+ * @param {PartnerProfile} profile - The profile
+ * @returns {String}
+ */
+const checkedData = (profile) => JSON.stringify([
+  profile.legalName,
+  profile.registrationNumber,
+  profile.address,
+  profile.licenses.map(({ type, number, issuedBy, expiresAt }) => ({ type, number, issuedBy, expiresAt }))
+]);
+
+/**
+ * Get the business profile of a distributor or a retailer with its documents
+ * @param {String} userId - The user ID
+ * @returns {Promise<Object>} { profile, documents, verifiedPartner } where profile is null if none was saved
+ */
+async function getProfile(userId) {
+  const profile = await PartnerProfile.findOne({ user: userId });
+  const documents = profile ? await PartnerDocument.find({ profile: profile._id }).sort({ createdAt: 1 }) : [];
+  return { profile, documents, verifiedPartner: Boolean(profile && profile.isVerifiedPartner()) };
+}
+
+/**
+ * Save the business profile of a distributor or a retailer
+ * @param {String} userId - The user ID
+ * @param {Object} fields - legalName, registrationNumber, address and licenses
+ * @returns {Promise<PartnerProfile>}
+ */
+async function saveProfile(userId, { legalName, registrationNumber, address, licenses }) {
+  const user = await User.findById(userId);
+  if (!user || !PARTNER_USER_TYPES.includes(user.userType)) {
+    throw httpError('Only distributors and retailers have a business profile', 403);
+  }
+
+  const profile = await PartnerProfile.findOne({ user: user._id }) || new PartnerProfile({ user: user._id });
+  const previousData = checkedData(profile);
+  profile.set({ legalName, registrationNumber, address, licenses });
+  if (checkedData(profile) !== previousData) {
+    returnToDraft(profile);
+  }
+  await profile.save();
+  return profile;
+}
+
+/**
+ * Upload a supporting document
+ * @param {String} userId - The user ID
+ * @param {Object} document
+ * @param {String} document.kind - What the document proves
+ * @param {String} document.fileName - Name of the file
+ * @param {String} document.mimeType - Media type: PDF, PNG or JPEG
+ * @param {String} document.content - Content of the file, base64 encoded
+ * @returns {Promise<PartnerDocument>} The document, without its content
+ */
+async function addDocument(userId, { kind, fileName, mimeType, content }) {
+  const profile = await requireProfile(userId);
+  if (await PartnerDocument.countDocuments({ profile: profile._id }) >= MAX_DOCUMENTS) {
+    throw httpError(`A profile can have at most ${MAX_DOCUMENTS} documents`, 400);
+  }
+
+  const data = Buffer.from(content, 'base64');
+  if (data.length === 0 || data.length > MAX_DOCUMENT_SIZE) {
+    throw httpError(`Documents must be at most ${MAX_DOCUMENT_SIZE / (1024 * 1024)} MB`, 400);
+  }
+  const signature = FILE_SIGNATURES[mimeType];
+  if (!signature || !data.subarray(0, signature.length).equals(signature)) {
+    throw httpError('Documents must be PDF, PNG or JPEG files', 400);
+  }
+
+  const document = await PartnerDocument.create({
+    profile: profile._id,
+    kind,
+    fileName,
+    mimeType,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    content: data,
+    uploadedBy: userId
+  });
+
+  returnToDraft(profile);
+  await profile.save();
+
+  const uploaded = document.toObject();
+  delete uploaded.content;
+  return uploaded;
+}
+
+/**
+ * Delete a supporting document
+ * @param {String} userId - The user ID
+ * @param {String} documentId - The document ID
+ * @returns {Promise<void>}
+ */
+async function removeDocument(userId, documentId) {
+  const profile = await requireProfile(userId);
+  const document = await PartnerDocument.findOneAndDelete({ _id: documentId, profile: profile._id });
+  if (!document) {
+    throw httpError('Document not found', 404);
+  }
+  returnToDraft(profile);
+  await profile.save();
+}
+
+/**
+ * Get a document with its content
+ * @param {String} profileId - The profile the document must support
+ * @param {String} documentId - The document ID
+ * @returns {Promise<PartnerDocument>}
+ */
+async function getDocument(profileId, documentId) {
+  const document = await PartnerDocument.findOne({ _id: documentId, profile: profileId }).select('+content');
+  if (!document) {
+    throw httpError('Document not found', 404);
+  }
+  return document;
+}
+
+/**
+ * Get a document of the user's own profile with its content
+ * @param {String} userId - The user ID
+ * @param {String} documentId - The document ID
+ * @returns {Promise<PartnerDocument>}
+ */
+async function getOwnDocument(userId, documentId) {
+  const profile = await requireProfile(userId);
+  return getDocument(profile._id, documentId);
+}
+
+/**
+ * Submit a profile for review
+ * @param {String} userId - The user ID
+ * @returns {Promise<PartnerProfile>}
+ */
+async function submitProfile(userId) {
+  const profile = await requireProfile(userId);
+  if (profile.status === 'submitted' || profile.status === 'verified') {
+    throw httpError(`Your business profile is already ${profile.status}`, 409);
+  }
+
+  const { street, city, postalCode, country } = profile.address || {};
+  if (!profile.legalName || !profile.registrationNumber || !street || !city || !postalCode || !country) {
+    throw httpError('Fill in the legal name, registration number and full address before submitting', 400);
+  }
+  if (!(await PartnerDocument.exists({ profile: profile._id }))) {
+    throw httpError('Upload at least one supporting document before submitting', 400);
+  }
+
+  profile.status = 'submitted';
+  profile.submittedAt = new Date();
+  await profile.save();
+  logger.info(`Partner profile ${profile._id} of user ${userId} submitted for review`);
+  return profile;
+}
+
+/**
+ * List profiles for review, oldest submissions first
+ * @param {Object} [filters]
+ * @param {String} [filters.status] - Only profiles with this status
+ * @returns {Promise<PartnerProfile[]>}
+ */
+function listProfiles({ status } = {}) {
+  return PartnerProfile.find(status ? { status } : {})
+    .populate('user', 'username firstName lastName email userType')
+    .populate('reviewedBy', 'username')
+    .sort({ submittedAt: 1, createdAt: 1 });
+}
+
+/**
+ * Get a profile with its documents for review
+ * @param {String} profileId - The profile ID
+ * @returns {Promise<Object>} { profile, documents, verifiedPartner }
+ */
+async function getProfileForReview(profileId) {
+  const profile = await PartnerProfile.findById(profileId)
+    .populate('user', 'username firstName lastName email userType')
+    .populate('reviewedBy', 'username');
+  if (!profile) {
+    throw httpError('Partner profile not found', 404);
+  }
+  const documents = await PartnerDocument.find({ profile: profile._id }).sort({ createdAt: 1 });
+  return { profile, documents, verifiedPartner: profile.isVerifiedPartner() };
+}
+
+/**
+ * Verify or reject a submitted profile, and tell its owner by email
+ * @param {Object} admin - The admin reviewing ({ id })
+ * @param {String} profileId - The profile ID
+ * @param {String} decision - 'verified' or 'rejected'
+ * @param {String} [notes] - Notes for the partner, required to reject
+ * @returns {Promise<PartnerProfile>}
+ */
+async function reviewProfile(admin, profileId, decision, notes) {
+  // Only a profile still submitted can be reviewed, so that an edit made meanwhile is not approved
+  const profile = await PartnerProfile.findOneAndUpdate(
+    { _id: profileId, status: 'submitted' },
+    { status: decision, reviewedBy: admin.id, reviewedAt: new Date(), reviewNotes: notes },
+    { new: true }
+  );
+  if (!profile) {
+    throw httpError('No submitted partner profile with this ID', 404);
+  }
+  logger.info(`Partner profile ${profile._id} ${decision} by admin ${admin.id}`);
+
+  const user = await User.findById(profile.user);
+  if (user) {
+    try {
+      await MailService.sendMail({
+        to: user.email,
+        subject: decision === 'verified' ? 'Your business is now a verified Farmily partner' : 'Your Farmily business profile was not verified',
+        text: `Hello ${user.firstName},\n\n` +
+          (decision === 'verified'
+            ? `${profile.legalName} is now shown as a verified partner on Farmily.`
+            : `${profile.legalName} could not be verified. Update your business profile and submit it again.`) +
+          (notes ? `\n\nNotes from the reviewer: ${notes}` : '')
+      });
+    } catch (error) {
+      logger.error(`Failed to email user ${user._id} about their partner profile: ${error.message}`);
+    }
+  }
+  return profile;
+}
+
+/**
+ * Add a verifiedPartner flag to users, for the badge shown next to them
+ * @param {User[]} users - The users
+ * @returns {Promise<Object[]>} The users as plain objects with verifiedPartner set
+ */
+async function withVerification(users) {
+  const profiles = await PartnerProfile.find({ user: { $in: users.map(user => user._id) } });
+  return users.map(user => {
+    const profile = profiles.find(p => p.user.equals(user._id));
+    return { ...user.toObject(), verifiedPartner: Boolean(profile && profile.isVerifiedPartner()) };
+  });
+}
+
+/**
+ * Check a transfer to a user against the policy for unverified partners
+ * @param {User} recipient - The user receiving the goods
+ * @param {Boolean} [confirmed=false] - Whether the sender confirmed sending to an unverified partner
+ * @returns {Promise<Object>} { allowed, verifiedPartner, confirmationRequired, policy, message }
+ */
+async function checkTransferPolicy(recipient, confirmed = false) {
+  if (!PARTNER_USER_TYPES.includes(recipient.userType)) {
+    return { allowed: true, verifiedPartner: null, confirmationRequired: false, policy: TRANSFER_POLICY };
+  }
+
+  const profile = await PartnerProfile.findOne({ user: recipient._id });
+  const verifiedPartner = Boolean(profile && profile.isVerifiedPartner());
+  if (verifiedPartner || TRANSFER_POLICY === 'allow') {
+    return { allowed: true, verifiedPartner, confirmationRequired: false, policy: TRANSFER_POLICY };
+  }
+
+  if (TRANSFER_POLICY === 'block') {
+    return {
+      allowed: false,
+      verifiedPartner,
+      confirmationRequired: false,
+      policy: TRANSFER_POLICY,
+      message: `${recipient.username} is not a verified partner. Goods can only be sent to verified partners.`
+    };
+  }
+  return {
+    allowed: confirmed,
+    verifiedPartner,
+    confirmationRequired: !confirmed,
+    policy: TRANSFER_POLICY,
+    message: `${recipient.username} is not a verified partner. Confirm that you want to send goods to them.`
+  };
+}
+
+module.exports = {
+  PARTNER_USER_TYPES,
+  getProfile,
+  saveProfile,
+  addDocument,
+  removeDocument,
+  getDocument,
+  getOwnDocument,
+  submitProfile,
+  listProfiles,
+  getProfileForReview,
+  reviewProfile,
+  withVerification,
+  checkTransferPolicy
+};
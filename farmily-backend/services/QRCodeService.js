@@ -0,0 +1,119 @@
+/**
+ * QR Code Service
+ *
+ * Checks scanned product labels. A label is verified when it is signed with the
+ * platform key or with the key of the farmer who registered the product, and its
+ * blockchain ID is the one the product is registered under. Labels with a forged
+ * signature or another blockchain ID are reported as counterfeit, unsigned labels
+ * (including the JSON labels printed before labels were signed) as unverified.
+ * GS1 Digital Link labels must also carry the GTIN and batch number of the
+ * product; plain GS1 Digital Link URIs are looked up by GTIN and batch number.
+ */
+
+const Product = require('../models/Product');
+const qrCode = require('../utils/qrCode');
+const logger = require('../utils/logger');
+
+// Results of a label check
+const QR_VERIFICATION_STATUS = {
+  VERIFIED: 'verified',
+  UNVERIFIED: 'unverified',
+  COUNTERFEIT: 'counterfeit'
+};
+
+/**
+ * Check a scanned product label
+ * @param {String} qrData - The scanned QR code content
+ * @returns {Promise<Object|null>} { status, reason, signedBy, productId, product }, or null if the content is not a product label
+ */
+async function verifyQRCode(qrData) {
+  const payload = qrCode.parseQRPayload(qrData);
+  if (!payload) {
+    return null;
+  }
+
+  const labelId = payload.productId || `GTIN ${payload.gtin} lot ${payload.lot}`;
+  const result = (status, reason, product = null, signedBy = null) => {
+    if (status !== QR_VERIFICATION_STATUS.VERIFIED) {
+      logger.warn(`Product label for ${labelId} is ${status}: ${reason}`);
+    }
+    return { status, reason, signedBy, productId: product ? product._id.toString() : payload.productId, product };
+  };
+
+  // The products split off a batch share its GTIN and lot: a bare GS1 link stands for the batch as registered
+  const product = payload.productId
+    ? await Product.findById(payload.productId).populate('originalOwner', 'ethereumAddress')
+    : await Product.findOne({ gtin: payload.gtin, batchNumber: payload.lot }).sort({ createdAt: 1 }).populate('originalOwner', 'ethereumAddress');
+  if (!product) {
+    return result(QR_VERIFICATION_STATUS.COUNTERFEIT, 'The label refers to a product that does not exist');
+  }
+  if (payload.gtin && (payload.gtin !== product.gtin || payload.lot !== product.batchNumber)) {
+    return result(QR_VERIFICATION_STATUS.COUNTERFEIT, 'The label GTIN or batch number does not match the product', product);
+  }
+  if (!payload.signature) {
+    return result(QR_VERIFICATION_STATUS.UNVERIFIED, 'The label is not signed', product);
+  }
+
+  const signer = qrCode.recoverSigner(payload);
+  const platformAddress = qrCode.getPlatformAddress();
+  const farmerAddress = product.originalOwner && product.originalOwner.ethereumAddress;
+
+  let signedBy = null;
+  if (signer && platformAddress && signer.toLowerCase() === platformAddress.toLowerCase()) {
+    signedBy = 'platform';
+  } else if (signer && farmerAddress && signer.toLowerCase() === farmerAddress.toLowerCase()) {
+    signedBy = 'farmer';
+  }
+  if (!signedBy) {
+    return result(QR_VERIFICATION_STATUS.COUNTERFEIT, 'The label signature is not valid', product);
+  }
+
+  if (!product.blockchainId || payload.blockchainId !== product.blockchainId.toLowerCase()) {
+    return result(QR_VERIFICATION_STATUS.COUNTERFEIT, 'The label does not match the product registered on the blockchain', product, signedBy);
+  }
+
+  return result(QR_VERIFICATION_STATUS.VERIFIED, `The label is signed by the ${signedBy}`, product, signedBy);
+}
+
+/**
+ * Get the label of a product, generating it if it is missing or outdated
+ * @param {Product} product - The product
+ * @returns {Promise<String>} The label URL
+ */
+async function getProductLabel(product) {
+  if (!product.hasCurrentQRCodeData()) {
+    product.generateQRCodeData();
+    await product.save();
+  }
+  return product.qrCodeData;
+}
+
+/**
+ * Store a label signed with the key of the farmer who registered the product
+ * @param {Product} product - The product, registered on the blockchain
+ * @param {String} signature - Signature of the label message
+ * @param {String} farmerAddress - Ethereum address of the farmer
+ * @returns {Promise<String>} The label URL
+ * @throws {Error} With statusCode 400 when the signature is not the farmer's
+ */
+async function setFarmerSignedLabel(product, signature, farmerAddress) {
+  const payload = { productId: product._id.toString(), blockchainId: product.blockchainId.toLowerCase(), signature };
+  const signer = qrCode.recoverSigner(payload);
+  if (!signer || signer.toLowerCase() !== farmerAddress.toLowerCase()) {
+    const error = new Error('The label signature does not match your Ethereum address');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  product.setSignedQRCodeData(signature);
+  await product.save();
+  logger.info(`Product ${product._id} label signed by farmer ${farmerAddress}`);
+  return product.qrCodeData;
+}
+
+module.exports = {
+  QR_VERIFICATION_STATUS,
+  verifyQRCode,
+  getProductLabel,
+  setFarmerSignedLabel
+};
@@ -0,0 +1,145 @@
+/**
+ * Quality Check Service
+ *
+ * Records the quality checks that distributors and retailers perform on the
+ * products they hold. Each check is stored in the database, then anchored on
+ * the blockchain with a hash of its data, so later edits of the stored check can
+ * be detected. The check is anchored from the checker's wallet: the contract
+ * records the sender as the checker and only accepts the owner of the product
+ * or an inspector, so callers must make sure the user may check the product.
+ */
+
+const QualityCheck = require('../models/QualityCheck');
+const Web3Service = require('./Web3Service');
+const NotificationService = require('./NotificationService');
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Store a quality check of a product, to be anchored from the checker's wallet
+ * @param {Product} product - The product checked
+ * @param {String} checkerId - ID of the user who performed the check
+ * @param {Object} check - { status, notes, parameters }
+ * @returns {Promise<Object>} { qualityCheck, blockchainCheck }, blockchainCheck holding the
+ * arguments of the contract's recordQualityCheck: { productId, result, parametersHash }
+ */
+async function createQualityCheck(product, checkerId, { status, notes, parameters }) {
+  if (!product.blockchainId) {
+    throw httpError('Product is not registered on the blockchain', 400);
+  }
+
+  const qualityCheck = new QualityCheck({
+    productId: product._id,
+    checkerId,
+    status,
+    notes,
+    parameters
+  });
+  qualityCheck.parametersHash = qualityCheck.computeParametersHash();
+  await qualityCheck.save();
+
+  return {
+    qualityCheck,
+    blockchainCheck: {
+      productId: product.blockchainId,
+      result: qualityCheck.getBlockchainResult(),
+      parametersHash: qualityCheck.parametersHash
+    }
+  };
+}
+
+/**
+ * Record the transaction that anchored a quality check on the blockchain, after
+ * checking that it anchored this check of this product from one of the user's addresses
+ * @param {Product} product - The product checked
+ * @param {String} checkId - ID of the stored check
+ * @param {String} txHash - Hash of the recordQualityCheck transaction, in lowercase
+ * @param {String[]} senders - The addresses the user sends transactions from, in lowercase
+ * @returns {Promise<QualityCheck>}
+ */
+async function anchorQualityCheck(product, checkId, txHash, senders) {
+  const qualityCheck = await QualityCheck.findOne({ _id: checkId, productId: product._id });
+  if (!qualityCheck) {
+    throw httpError('Quality check not found', 404);
+  }
+
+  // The indexer may have recorded the transaction already
+  if (qualityCheck.blockchainStatus !== 'Recorded' || qualityCheck.blockchainTxHash !== txHash) {
+    if (qualityCheck.blockchainStatus === 'Recorded') {
+      throw httpError('The quality check is already anchored on the blockchain', 409);
+    }
+
+    const recorded = await Web3Service.getQualityCheckFromTransaction(txHash);
+    if (recorded.pending) {
+      throw httpError('The quality check transaction is not mined yet', 409);
+    }
+    if (recorded.error) {
+      throw httpError(recorded.error, 400);
+    }
+    if (recorded.productId !== product.blockchainId.toLowerCase() ||
+        recorded.parametersHash !== qualityCheck.parametersHash ||
+        recorded.result !== qualityCheck.getBlockchainResult()) {
+      throw httpError('The transaction anchored another quality check', 400);
+    }
+    if (!senders.includes(recorded.checker)) {
+      throw httpError('The transaction was not sent from your Ethereum address', 400);
+    }
+
+    qualityCheck.checkerAddress = recorded.checker;
+    await qualityCheck.updateBlockchainInfo(txHash, recorded.checkIndex);
+  }
+
+  await qualityCheck.updateProduct();
+  await NotificationService.notifyQualityCheck(product, qualityCheck);
+  return qualityCheck;
+}
+
+/**
+ * List the quality checks of a product, each compared with its on-chain record;
+ * `verified` is false when the check was never anchored or its stored data no
+ * longer matches the anchored hash
+ * @param {Product} product - The product
+ * @returns {Promise<Object>} { qualityChecks, onChainCount }
+ */
+async function listQualityChecks(product) {
+  const qualityChecks = await QualityCheck.find({ productId: product._id })
+    .populate('checkerId', 'username userType')
+    .sort({ checkDate: -1 });
+
+  let onChainChecks = [];
+  if (product.blockchainId) {
+    const blockchainResult = await Web3Service.getQualityChecksFromBlockchain(product.blockchainId);
+    if (!blockchainResult.success) {
+      throw httpError(blockchainResult.error || 'Failed to fetch quality checks from the blockchain', 502);
+    }
+    onChainChecks = blockchainResult.qualityChecks;
+  }
+
+  return {
+    qualityChecks: qualityChecks.map(check => {
+      const record = check.blockchainCheckIndex !== undefined ? onChainChecks[check.blockchainCheckIndex] : undefined;
+      return {
+        ...check.toObject(),
+        verified: check.matchesBlockchainRecord(record),
+        blockchainRecord: record || null
+      };
+    }),
+    onChainCount: onChainChecks.length
+  };
+}
+
+module.exports = {
+  createQualityCheck,
+  anchorQualityCheck,
+  listQualityChecks
+};
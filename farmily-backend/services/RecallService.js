@@ -0,0 +1,156 @@
+/**
+ * Recall Service
+ *
+ * Applies product recalls to the database the same way the ProductManagement
+ * contract does: the recall covers the recalled batch and every batch split off
+ * or merged from it, none of which can be transferred anymore. Used both by the
+ * recall routes and by the blockchain indexer; applying the same recall twice is
+ * harmless.
+ */
+
+const Recall = require('../models/Recall');
+const Transfer = require('../models/Transfer');
+const LineageService = require('./LineageService');
+const logger = require('../utils/logger');
+
+/**
+ * Mark the recalled batch and its descendants as recalled
+ * @param {Recall} recall - The recall
+ * @returns {Promise<Recall>} The recall with its affected products
+ */
+async function applyRecall(recall) {
+  const products = await LineageService.getDescendants(recall.product);
+
+  for (const product of products) {
+    if (!recall.affectedProducts.some(id => id.equals(product._id))) {
+      recall.affectedProducts.push(product._id);
+    }
+    // A product already covered by an earlier recall stays blocked by it
+    if (!product.recall) {
+      product.recall = recall._id;
+      await product.save();
+    }
+  }
+  await recall.save();
+
+  logger.info(`Recall ${recall._id} of batch ${recall.batchNumber} covers ${products.length} products`);
+  return recall;
+}
+
+/**
+ * Extend the recalls of a product to a product split off or merged from it,
+ * e.g. when a transfer initiated before the recall is accepted
+ * @param {Product} parent - The recalled product
+ * @param {Product} child - The product split off or merged from it. The caller saves it.
+ */
+async function inheritRecall(parent, child) {
+  if (!parent.recall) {
+    return;
+  }
+  if (!child.recall) {
+    child.recall = parent.recall;
+  }
+  await Recall.updateMany({ affectedProducts: parent._id }, { $addToSet: { affectedProducts: child._id } });
+}
+
+/**
+ * Get the products of a batch that are not split off or merged from another
+ * product of the batch: recalling them recalls the whole batch
+ * @param {Product[]} products - The products with the batch number
+ * @returns {Promise<Product[]>}
+ */
+async function getBatchRoots(products) {
+  const descendantIds = new Set();
+  for (const product of products) {
+    for (const descendant of await LineageService.getDescendants(product._id)) {
+      if (!descendant._id.equals(product._id)) {
+        descendantIds.add(descendant._id.toString());
+      }
+    }
+  }
+  return products.filter(product => !descendantIds.has(product._id.toString()));
+}
+
+/**
+ * Get the recall warnings of products
+ * @param {ObjectId[]} productIds - The product IDs
+ * @returns {Promise<Map<String, Object[]>>} The warnings of each recalled product, keyed by product ID
+ */
+async function getRecallWarnings(productIds) {
+  const recalls = await Recall.find({ affectedProducts: { $in: productIds }, blockchainStatus: 'Recorded' })
+    .sort({ createdAt: 1 });
+
+  const warnings = new Map();
+  for (const productId of productIds) {
+    const productRecalls = recalls.filter(recall => recall.affectedProducts.some(id => id.equals(productId)));
+    if (productRecalls.length > 0) {
+      warnings.set(productId.toString(), productRecalls.map(recall => recall.toWarning()));
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Build the report of a recall: who holds the affected products and how much of them
+ * @param {Recall} recall - The recall
+ * @returns {Promise<Object>} { recall, owners, pendingTransfers, totalQuantity }
+ */
+async function buildRecallReport(recall) {
+  await recall.populate({
+    path: 'affectedProducts',
+    select: 'type batchNumber quantity status currentOwner blockchainId',
+    populate: { path: 'currentOwner', select: 'username userType email' }
+  });
+
+  const owners = new Map();
+  for (const product of recall.affectedProducts) {
+    const ownerId = product.currentOwner._id.toString();
+    if (!owners.has(ownerId)) {
+      owners.set(ownerId, { owner: product.currentOwner, products: [], totalQuantity: 0 });
+    }
+    const entry = owners.get(ownerId);
+    entry.products.push({
+      _id: product._id,
+      type: product.type,
+      batchNumber: product.batchNumber,
+      quantity: product.quantity,
+      status: product.status,
+      blockchainId: product.blockchainId
+    });
+    entry.totalQuantity += product.quantity;
+  }
+
+  // Quantities on their way to a new holder are not counted in the products anymore
+  const pendingTransfers = await Transfer.find({
+    product: { $in: recall.affectedProducts.map(product => product._id) },
+    status: 'pending'
+  })
+    .select('product fromUser toUser quantity createdAt')
+    .populate('fromUser', 'username userType')
+    .populate('toUser', 'username userType');
+
+  const ownerList = [...owners.values()];
+  return {
+    recall: {
+      _id: recall._id,
+      batchNumber: recall.batchNumber,
+      reason: recall.reason,
+      severity: recall.severity,
+      blockchainTxHash: recall.blockchainTxHash,
+      blockchainStatus: recall.blockchainStatus,
+      createdAt: recall.createdAt
+    },
+    owners: ownerList,
+    pendingTransfers,
+    totalQuantity: ownerList.reduce((total, entry) => total + entry.totalQuantity, 0) +
+      pendingTransfers.reduce((total, transfer) => total + transfer.quantity, 0)
+  };
+}
+
+module.exports = {
+  applyRecall,
+  inheritRecall,
+  getBatchRoots,
+  getRecallWarnings,
+  buildRecallReport
+};
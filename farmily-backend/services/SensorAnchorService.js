@@ -0,0 +1,326 @@
+/**
+ * Sensor Anchor Service
+ *
+ * Anchors the telemetry readings on the blockchain without writing each of them
+ * to the contract: the readings of a product are batched per time window (set
+ * in TELEMETRY_ANCHOR_WINDOW_MINUTES, one hour by default), and the Merkle root
+ * of the reading hashes of each batch is recorded with anchorSensorData. Any
+ * reading can then be proven unchanged with its Merkle proof against the root
+ * on the blockchain, and the whole sensor log of a product checked batch by batch.
+ */
+
+const Product = require('../models/Product');
+const TelemetryReading = require('../models/TelemetryReading');
+const SensorAnchor = require('../models/SensorAnchor');
+const Web3Service = require('./Web3Service');
+const merkle = require('../utils/merkle');
+const logger = require('../utils/logger');
+
+const DEFAULT_WINDOW_MINUTES = 60;
+
+// Readings can reach the platform a few minutes after they are taken: a window is
+// anchored once it has been over for this long
+const SETTLE_MS = 5 * 60 * 1000;
+
+// Time between two runs looking for windows to anchor
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+let timer = null;
+let anchoring = false;
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the length of the anchoring windows
+ * @returns {Number} - The length in milliseconds
+ */
+const getWindowMs = () => {
+  const minutes = parseInt(process.env.TELEMETRY_ANCHOR_WINDOW_MINUTES) || DEFAULT_WINDOW_MINUTES;
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Describe an anchored batch for the API
+ * @param {SensorAnchor} anchor - The batch
+ * @returns {Object}
+ */
+const describeAnchor = (anchor) => ({
+  _id: anchor._id,
+  windowStart: anchor.windowStart,
+  windowEnd: anchor.windowEnd,
+  readingCount: anchor.readingCount,
+  merkleRoot: anchor.merkleRoot,
+  blockchainStatus: anchor.blockchainStatus,
+  blockchainTxHash: anchor.blockchainTxHash,
+  blockchainAnchorIndex: anchor.blockchainAnchorIndex
+});
+
+/**
+ * Record the Merkle root of a batch on the blockchain
+ * @param {SensorAnchor} anchor - The batch
+ * @returns {Promise<Boolean>} - Whether the root was recorded
+ */
+async function submitAnchor(anchor) {
+  const product = await Product.findById(anchor.product).select('blockchainId');
+  const result = product
+    ? await Web3Service.anchorSensorDataOnBlockchain(
+      product.blockchainId, anchor.merkleRoot, anchor.windowStart, anchor.windowEnd, anchor.readingCount)
+    : { success: false, error: 'Product not found' };
+
+  if (!result.success) {
+    anchor.blockchainStatus = 'Failed';
+    anchor.blockchainError = result.error;
+    await anchor.save();
+    logger.warn(`Failed to anchor sensor readings ${anchor._id} of product ${anchor.product}: ${result.error}`);
+    return false;
+  }
+
+  await anchor.updateBlockchainInfo(result.txHash, result.anchorIndex);
+  return true;
+}
+
+/**
+ * Batch the readings of a product taken during a window that were not anchored yet
+ * @param {ObjectId} productId - The product ID
+ * @param {Date} windowStart - Start of the window
+ * @param {Date} windowEnd - End of the window, excluded
+ * @returns {Promise<SensorAnchor|null>} The batch, or null when there was nothing left to anchor
+ */
+async function createAnchor(productId, windowStart, windowEnd) {
+  const readings = await TelemetryReading.find({
+    product: productId,
+    anchor: null,
+    recordedAt: { $gte: windowStart, $lt: windowEnd }
+  }).sort({ recordedAt: 1, device: 1, _id: 1 });
+  if (readings.length === 0) {
+    return null;
+  }
+
+  const leaves = readings.map(reading => reading.computeLeafHash());
+  const anchor = await SensorAnchor.create({
+    product: productId,
+    windowStart,
+    windowEnd,
+    readingCount: readings.length,
+    merkleRoot: merkle.getRoot(leaves)
+  });
+
+  await TelemetryReading.bulkWrite(readings.map((reading, index) => ({
+    updateOne: {
+      filter: { _id: reading._id },
+      update: { $set: { anchor: anchor._id, leafIndex: index, leafHash: leaves[index] } }
+    }
+  })));
+  return anchor;
+}
+
+/**
+ * Anchor the readings of the windows that are over, and retry the batches that
+ * could not be anchored before
+ * @param {Date} [now] - The current time
+ * @returns {Promise<Object>} { anchored, failed } counts of batches
+ */
+async function anchorPendingReadings(now = new Date()) {
+  if (anchoring) {
+    return { anchored: 0, failed: 0 };
+  }
+  anchoring = true;
+
+  try {
+    let anchored = 0;
+    let failed = 0;
+    const count = (recorded) => (recorded ? anchored++ : failed++);
+
+    for (const anchor of await SensorAnchor.find({ blockchainStatus: { $in: ['Pending', 'Failed'] } })) {
+      count(await submitAnchor(anchor));
+    }
+
+    const windowMs = getWindowMs();
+    const cutoff = new Date(Math.floor((now.getTime() - SETTLE_MS) / windowMs) * windowMs);
+    const windows = await TelemetryReading.aggregate([
+      { $match: { anchor: null, recordedAt: { $lt: cutoff } } },
+      {
+        $group: {
+          _id: {
+            product: '$product',
+            windowStart: { $subtract: [{ $toLong: '$recordedAt' }, { $mod: [{ $toLong: '$recordedAt' }, windowMs] }] }
+          }
+        }
+      },
+      { $sort: { '_id.windowStart': 1 } }
+    ]);
+
+    // Only the products recorded on the blockchain can have readings anchored
+    const productIds = [...new Set(windows.map(window => window._id.product.toString()))];
+    const onChain = new Set((await Product.find({ _id: { $in: productIds }, blockchainId: { $exists: true, $ne: null } })
+      .select('_id')).map(product => product._id.toString()));
+
+    for (const { _id: window } of windows) {
+      if (!onChain.has(window.product.toString())) {
+        continue;
+      }
+      const windowStart = new Date(window.windowStart);
+      const anchor = await createAnchor(window.product, windowStart, new Date(windowStart.getTime() + windowMs));
+      if (anchor) {
+        count(await submitAnchor(anchor));
+      }
+    }
+
+    if (anchored > 0 || failed > 0) {
+      logger.info(`Sensor readings anchored: ${anchored} batch(es), ${failed} failed`);
+    }
+    return { anchored, failed };
+  } finally {
+    anchoring = false;
+  }
+}
+
+/**
+ * Get a reading with the Merkle proof that it belongs to its anchored batch,
+ * checked against the root recorded on the blockchain
+ * @param {String} readingId - The reading ID
+ * @returns {Promise<Object>} { reading, anchored, leafHash, leafIndex, proof, anchor, verification }
+ */
+async function getReadingProof(readingId) {
+  const reading = await TelemetryReading.findById(readingId);
+  if (!reading) {
+    throw httpError('Reading not found', 404);
+  }
+
+  const result = {
+    reading: {
+      _id: reading._id,
+      product: reading.product,
+      device: reading.device,
+      recordedAt: reading.recordedAt,
+      temperature: reading.temperature,
+      humidity: reading.humidity
+    },
+    anchored: false
+  };
+  const anchor = reading.anchor ? await SensorAnchor.findById(reading.anchor) : null;
+  if (!anchor) {
+    return result;
+  }
+
+  // The proof is made of the hashes of the other readings as they were anchored,
+  // and the leaf of this reading is hashed from what is stored now
+  const leaves = (await TelemetryReading.find({ anchor: anchor._id }).sort({ leafIndex: 1 }).select('leafHash'))
+    .map(anchoredReading => anchoredReading.leafHash);
+  const leafHash = reading.computeLeafHash();
+  const proof = merkle.getProof(leaves, reading.leafIndex);
+
+  const verification = { verified: false, onChainRoot: null, error: null };
+  if (anchor.blockchainStatus !== 'Recorded') {
+    verification.error = 'The batch of this reading is not anchored on the blockchain yet';
+  } else {
+    const product = await Product.findById(anchor.product).select('blockchainId');
+    const onChain = await Web3Service.getSensorAnchorFromBlockchain(product.blockchainId, anchor.blockchainAnchorIndex);
+    if (onChain.success) {
+      verification.onChainRoot = onChain.anchor.merkleRoot;
+      verification.verified = merkle.verifyProof(leafHash, proof, onChain.anchor.merkleRoot);
+    } else {
+      verification.error = 'Could not reach the blockchain';
+    }
+  }
+
+  return { ...result, anchored: true, leafHash, leafIndex: reading.leafIndex, proof, anchor: describeAnchor(anchor), verification };
+}
+
+/**
+ * Check the whole sensor log of a product: the readings of each anchored batch
+ * are hashed again and their Merkle root compared with the root on the blockchain
+ * @param {Product} product - The product
+ * @returns {Promise<Object>} { verified, anchoredBatches, pendingBatches, anchoredReadings,
+ *   unanchoredReadings, tamperedBatches, lastAnchoredAt, error }
+ */
+async function verifySensorLog(product) {
+  const [anchors, unanchoredReadings] = await Promise.all([
+    SensorAnchor.find({ product: product._id }).sort({ windowStart: 1, createdAt: 1 }),
+    TelemetryReading.countDocuments({ product: product._id, anchor: null })
+  ]);
+  const recorded = anchors.filter(anchor => anchor.blockchainStatus === 'Recorded');
+
+  const result = {
+    verified: false,
+    anchoredBatches: recorded.length,
+    pendingBatches: anchors.length - recorded.length,
+    anchoredReadings: recorded.reduce((total, anchor) => total + anchor.readingCount, 0),
+    unanchoredReadings,
+    tamperedBatches: [],
+    lastAnchoredAt: recorded.reduce((latest, anchor) => (!latest || anchor.updatedAt > latest ? anchor.updatedAt : latest), null),
+    error: null
+  };
+  if (recorded.length === 0) {
+    return result;
+  }
+
+  for (const anchor of recorded) {
+    const onChain = await Web3Service.getSensorAnchorFromBlockchain(product.blockchainId, anchor.blockchainAnchorIndex);
+    if (!onChain.success) {
+      result.error = 'Could not reach the blockchain';
+      return result;
+    }
+
+    // Readings edited or deleted since they were anchored no longer give the same root
+    const readings = await TelemetryReading.find({ anchor: anchor._id }).sort({ leafIndex: 1 });
+    const intact = readings.length === onChain.anchor.readingCount &&
+      merkle.getRoot(readings.map(reading => reading.computeLeafHash())) === onChain.anchor.merkleRoot;
+    if (!intact) {
+      result.tamperedBatches.push({ windowStart: anchor.windowStart, windowEnd: anchor.windowEnd });
+    }
+  }
+
+  result.verified = result.tamperedBatches.length === 0;
+  return result;
+}
+
+/**
+ * Start anchoring the readings of the windows that are over at regular intervals
+ */
+function start() {
+  if (timer) {
+    return;
+  }
+  const run = async () => {
+    try {
+      await anchorPendingReadings();
+    } catch (error) {
+      logger.error(`Sensor reading anchoring failed: ${error.message}`);
+    }
+    // stop() clears the timer while a run is going on
+    if (timer) {
+      timer = setTimeout(run, CHECK_INTERVAL_MS);
+    }
+  };
+  timer = setTimeout(run, 0);
+  logger.info(`Anchoring sensor readings on the blockchain every ${getWindowMs() / 60000} minutes of readings`);
+}
+
+/**
+ * Stop anchoring readings
+ */
+function stop() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  anchorPendingReadings,
+  getReadingProof,
+  verifySensorLog,
+  start,
+  stop
+};
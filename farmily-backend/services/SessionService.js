@@ -0,0 +1,213 @@
+/**
+ * Session Service
+ *
+ * Manages login sessions. A login opens a session and returns a short-lived
+ * access token (see utils/jwt.js) with a refresh token. The refresh token is
+ * "<sessionId>.<secret>", and only the hash of its secret is stored. Each use
+ * rotates it: the client gets a new refresh token and the old one stops working.
+ * An old refresh token being used again means it was stolen, so the session is
+ * revoked, and with it the access tokens of the thief and of the user.
+ */
+
+const Session = require('../models/Session');
+const User = require('../models/user.js');
+const { ACCESS_TOKEN_TTL_SECONDS, generateAccessToken, generateRefreshSecret, hashToken } = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+// Lifetime of a session, however often it is refreshed
+const SESSION_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Number of used refresh tokens remembered per session to detect their reuse
+const MAX_PREVIOUS_TOKENS = 50;
+
+// Two tabs of the same browser can refresh at once with the same refresh token: reuse of
+// the token replaced in the last seconds is refused without revoking the session
+const REUSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {String} refreshToken - The refresh token
+ * @returns {Object|null} { sessionId, secret }, or null if the token is malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  const match = /^([0-9a-fA-F]{24})\.([\w-]{20,})$/.exec(typeof refreshToken === 'string' ? refreshToken : '');
+  return match ? { sessionId: match[1], secret: match[2] } : null;
+};
+
+/**
+ * Build the tokens returned to the client
+ * @param {User} user - The user
+ * @param {Session} session - The session
+ * @param {String} secret - The refresh token secret
+ * @returns {Object} { token, refreshToken, expiresIn }
+ */
+const buildTokens = (user, session, secret) => ({
+  token: generateAccessToken(user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+/**
+ * Open a session for a user who just logged in
+ * @param {User} user - The user
+ * @param {Object} req - Express request object, for the device information
+ * @param {Object} [options]
+ * @param {Boolean} [options.twoFactorVerified=false] - Whether the login was confirmed with a two-factor code
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+async function createSession(user, req, { twoFactorVerified = false } = {}) {
+  const secret = generateRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    twoFactorVerifiedAt: twoFactorVerified ? new Date() : undefined,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+  return buildTokens(user, session, secret);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {String} refreshToken - The refresh token
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, userType }
+ * @throws {Error} With statusCode 401 when the token is invalid, expired, revoked or reused
+ */
+async function refreshSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw httpError('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) {
+    throw httpError('Session expired or revoked, please log in again', 401);
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  if (presentedHash !== session.tokenHash) {
+    const isPrevious = session.previousTokenHashes.includes(presentedHash);
+    const justRotated = session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS &&
+      session.previousTokenHashes[session.previousTokenHashes.length - 1] === presentedHash;
+    if (isPrevious && !justRotated) {
+      session.revoke('token_reuse');
+      await session.save();
+      logger.warn(`Refresh token reused for session ${session._id} of user ${session.user}: session revoked`);
+    }
+    throw httpError('Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    throw httpError('User not found', 401);
+  }
+  if (user.accountStatus !== 'active') {
+    throw httpError('Your account is not active, please contact an administrator', 401);
+  }
+
+  const secret = generateRefreshSecret();
+  session.previousTokenHashes = [...session.previousTokenHashes, session.tokenHash].slice(-MAX_PREVIOUS_TOKENS);
+  session.tokenHash = hashToken(secret);
+  session.rotatedAt = new Date();
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { ...buildTokens(user, session, secret), userType: user.userType };
+}
+
+/**
+ * Revoke a session unless it is already revoked
+ * @param {Session} session - The session
+ * @param {String} reason - Why the session is revoked
+ * @returns {Promise<Boolean>} Whether the session was revoked
+ */
+const revoke = async (session, reason) => {
+  if (session.revokedAt) {
+    return false;
+  }
+  session.revoke(reason);
+  await session.save();
+  return true;
+};
+
+/**
+ * Revoke the session a refresh token belongs to. Unknown tokens are ignored, so logging out twice is harmless.
+ * @param {String} refreshToken - The refresh token
+ * @returns {Promise<Boolean>} Whether a session was revoked
+ */
+async function revokeByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return false;
+  }
+  const session = await Session.findById(parsed.sessionId);
+  const hash = hashToken(parsed.secret);
+  if (!session || (session.tokenHash !== hash && !session.previousTokenHashes.includes(hash))) {
+    return false;
+  }
+  return revoke(session, 'logout');
+}
+
+/**
+ * Revoke a session by ID
+ * @param {String} sessionId - The session ID
+ * @param {String} userId - The user the session must belong to
+ * @returns {Promise<Boolean>} Whether a session was revoked
+ */
+async function revokeSession(sessionId, userId) {
+  if (!sessionId || !userId) {
+    return false;
+  }
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  return session ? revoke(session, 'logout') : false;
+}
+
+/**
+ * Revoke every session of a user, signing them out of all their devices
+ * @param {String} userId - The user ID
+ * @param {String} [reason='logout_all'] - Why the sessions are revoked
+ * @returns {Promise<Number>} The number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason = 'logout_all') {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  logger.info(`All sessions of user ${userId} revoked (${result.modifiedCount})`);
+  return result.modifiedCount;
+}
+
+/**
+ * Check whether the session of an access token is still active
+ * @param {String} sessionId - The session ID carried by the access token
+ * @returns {Promise<Boolean>}
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return Boolean(session) && session.isActive();
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
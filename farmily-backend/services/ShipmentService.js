@@ -0,0 +1,458 @@
+/**
+ * Shipment Service
+ *
+ * Plans and follows the shipments of distributors. A shipment groups products
+ * that travel together along one or more legs; its status drives the status of
+ * its products: they move to InTransit on the blockchain when the first leg
+ * departs, and to Delivered when the proof of delivery is captured, each update
+ * being sent from the wallet of the product's owner. The loose transportation
+ * fields of the products are kept up to date with the current leg.
+ */
+
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const User = require('../models/user.js');
+const Shipment = require('../models/Shipment');
+const Web3Service = require('./Web3Service');
+const LocationService = require('./LocationService');
+const NotificationService = require('./NotificationService');
+const { STATUSES, validateTransition } = require('../utils/productLifecycle');
+const logger = require('../utils/logger');
+
+// Shipment statuses in which the products cannot be put in another shipment
+const ACTIVE_STATUSES = ['Planned', 'InTransit'];
+
+// Status the products of a shipment move to with it, through the statuses before it
+const PRODUCT_STATUS_PATHS = {
+  InTransit: ['InTransit'],
+  Delivered: ['InTransit', 'Delivered']
+};
+
+const MAX_DELIVERY_FILE_SIZE = 2 * 1024 * 1024;
+
+// First bytes of the images accepted as proof of delivery
+const FILE_SIGNATURES = {
+  'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  'image/jpeg': Buffer.from([0xff, 0xd8, 0xff])
+};
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Generate the reference of a new shipment
+ * @returns {String} e.g. SHP-LX2K9A1B-3F9C
+ */
+const generateShipmentNumber = () =>
+  `SHP-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+
+/**
+ * Describe a shipment for the API, without the content of the delivery images
+ * @param {Shipment} shipment - The shipment, optionally with its products and users populated
+ * @returns {Object}
+ */
+const describeShipment = (shipment) => {
+  const described = shipment.toObject();
+  const proofOfDelivery = described.proofOfDelivery || {};
+  for (const kind of ['signature', 'photo']) {
+    if (proofOfDelivery[kind]) {
+      delete proofOfDelivery[kind].content;
+    }
+  }
+  described.currentLegIndex = shipment.getCurrentLegIndex();
+  described.estimatedDeliveryDate = shipment.getEstimatedDeliveryDate();
+  return described;
+};
+
+/**
+ * Describe a shipment for the tracking pages of the supply chain members down
+ * the line: the route and its progress, without the notes and the names taken on delivery
+ * @param {Shipment} shipment - The shipment, with its distributor and recipient populated
+ * @returns {Object}
+ */
+const describeTracking = (shipment) => ({
+  _id: shipment._id,
+  shipmentNumber: shipment.shipmentNumber,
+  status: shipment.status,
+  distributor: shipment.distributor ? shipment.distributor.username : null,
+  recipient: shipment.recipient ? shipment.recipient.username : null,
+  productCount: shipment.products.length,
+  legs: shipment.legs.map(({ carrier, mode, origin, destination, plannedDeparture, plannedArrival, departedAt, arrivedAt }) =>
+    ({ carrier, mode, origin, destination, plannedDeparture, plannedArrival, departedAt, arrivedAt })),
+  checkIns: shipment.checkIns.map(({ hub, legIndex, checkedInAt }) => ({ hub, legIndex, checkedInAt })),
+  currentLegIndex: shipment.getCurrentLegIndex(),
+  estimatedDeliveryDate: shipment.getEstimatedDeliveryDate(),
+  deliveredAt: shipment.proofOfDelivery ? shipment.proofOfDelivery.deliveredAt : undefined,
+  proofOfDelivery: Boolean(shipment.proofOfDelivery && shipment.proofOfDelivery.receivedBy)
+});
+
+/**
+ * Set the transportation fields of the products of a shipment from its current leg
+ * @param {Shipment} shipment - The shipment
+ * @returns {Promise<void>}
+ */
+async function updateTransportationDetails(shipment) {
+  const legIndex = shipment.getCurrentLegIndex();
+  const leg = shipment.legs[legIndex];
+  await Product.updateMany({ _id: { $in: shipment.products } }, {
+    $set: {
+      transportationMode: leg.mode,
+      transportationDetails: `Shipment ${shipment.shipmentNumber}, leg ${legIndex + 1}/${shipment.legs.length}: ` +
+        `${leg.carrier}, ${leg.origin} to ${leg.destination}`,
+      estimatedDeliveryDate: shipment.getEstimatedDeliveryDate()
+    }
+  });
+}
+
+/**
+ * Get the status updates the products of a shipment need to follow it. The
+ * contract only accepts status updates from the owner of a product, so each one
+ * comes with the updateProductStatus transaction to send from the owner's
+ * wallet, one status at a time; a product delivered with its shipment moves to
+ * InTransit first. Products already there have no next status.
+ * @param {Shipment} shipment - The shipment
+ * @returns {Promise<Object[]>} { product, status, nextStatus, transaction, error } for each
+ * product, error being set when the product cannot follow the shipment
+ */
+async function getProductStatusUpdates(shipment) {
+  const path = PRODUCT_STATUS_PATHS[shipment.status] || [];
+  const products = await Product.find({ _id: { $in: shipment.products } });
+  return products.map(product => {
+    const nextStatus = path.find(status => STATUSES.indexOf(product.status) < STATUSES.indexOf(status));
+    const update = { product: product._id, status: product.status, nextStatus: nextStatus || null, transaction: null, error: null };
+    if (!nextStatus) {
+      return update;
+    }
+
+    const transitionError = validateTransition(product.status, nextStatus, 'distributor');
+    if (transitionError) {
+      update.error = transitionError.message;
+    } else if (!product.blockchainId) {
+      update.error = 'The product is not registered on the blockchain';
+    } else {
+      update.transaction = Web3Service.getStatusUpdateTransaction(product.blockchainId, nextStatus);
+    }
+    return update;
+  });
+}
+
+/**
+ * Record the transaction that moved a product of a shipment to its next status,
+ * sent from the wallet of the product's owner
+ * @param {Shipment} shipment - The shipment
+ * @param {String} productId - The product ID
+ * @param {String} txHash - Hash of the updateProductStatus transaction, in lowercase
+ * @param {String[]} senders - The addresses the transaction may be sent from, in lowercase
+ * @returns {Promise<Object>} { shipment, productUpdates }
+ */
+async function recordProductStatus(shipment, productId, txHash, senders) {
+  const product = shipment.products.some(id => String(id) === String(productId))
+    ? await Product.findById(productId)
+    : null;
+  if (!product) {
+    throw httpError('Product not found in this shipment', 404);
+  }
+
+  // The indexer may have recorded the transaction already
+  if (product.blockchainTxHash !== txHash) {
+    const update = await Web3Service.getStatusUpdateFromTransaction(txHash);
+    if (update.pending) {
+      throw httpError('The status update transaction is not mined yet', 409);
+    }
+    if (update.error) {
+      throw httpError(update.error, 400);
+    }
+    if (!product.blockchainId || update.productId !== product.blockchainId.toLowerCase()) {
+      throw httpError('The transaction updated another product', 400);
+    }
+    const status = STATUSES[update.newStatus];
+    if (!(PRODUCT_STATUS_PATHS[shipment.status] || []).includes(status)) {
+      throw httpError(`The transaction moved the product to ${status}, which does not match a ${shipment.status} shipment`, 400);
+    }
+    if (!senders.includes(update.sender)) {
+      throw httpError('The transaction was not sent from your Ethereum address', 400);
+    }
+
+    const previousStatus = product.status;
+    if (STATUSES.indexOf(previousStatus) < STATUSES.indexOf(status)) {
+      product.status = status;
+    }
+    product.blockchainTxHash = txHash;
+    await product.save();
+    if (product.status !== previousStatus) {
+      await NotificationService.notifyStatusChange(product, previousStatus);
+    }
+  }
+
+  logger.info(`Product ${product._id} of shipment ${shipment.shipmentNumber} is ${product.status}`);
+  return { shipment, productUpdates: await getProductStatusUpdates(shipment) };
+}
+
+/**
+ * Parse an image captured on delivery
+ * @param {Object} [file] - { mimeType, content } with the content base64 encoded
+ * @returns {Object|undefined} The file to store
+ */
+function parseDeliveryFile(file) {
+  if (!file) {
+    return undefined;
+  }
+  const data = Buffer.from(file.content, 'base64');
+  if (data.length === 0 || data.length > MAX_DELIVERY_FILE_SIZE) {
+    throw httpError(`Delivery images must be at most ${MAX_DELIVERY_FILE_SIZE / (1024 * 1024)} MB`, 400);
+  }
+  const signature = FILE_SIGNATURES[file.mimeType];
+  if (!signature || !data.subarray(0, signature.length).equals(signature)) {
+    throw httpError('Delivery images must be PNG or JPEG files', 400);
+  }
+  return {
+    mimeType: file.mimeType,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    content: data
+  };
+}
+
+/**
+ * Plan a shipment of products the distributor holds
+ * @param {Object} shipment
+ * @param {String} shipment.distributorId - The distributor planning the shipment
+ * @param {String} [shipment.organizationId] - The organization the distributor works for
+ * @param {Product[]} shipment.products - The products, which must be Packaged
+ * @param {String} [shipment.recipientId] - The retailer the shipment is for
+ * @param {Object[]} shipment.legs - { carrier, mode, origin, destination, trackingNumber, plannedDeparture, plannedArrival }
+ * @param {String} [shipment.notes] - Notes about the shipment
+ * @returns {Promise<Shipment>}
+ */
+async function createShipment({ distributorId, organizationId, products, recipientId, legs, notes }) {
+  const notPackaged = products.filter(product => product.status !== 'Packaged');
+  if (notPackaged.length > 0) {
+    throw httpError(`Only packaged products can be shipped: ${notPackaged.map(product => product.batchNumber).join(', ')}`, 409);
+  }
+  if (products.some(product => product.recall)) {
+    throw httpError('Recalled products cannot be shipped', 409);
+  }
+  const productIds = products.map(product => product._id);
+  if (await Shipment.exists({ products: { $in: productIds }, status: { $in: ACTIVE_STATUSES } })) {
+    throw httpError('Some of the products are already in a planned or ongoing shipment', 409);
+  }
+
+  for (let i = 0; i < legs.length; i++) {
+    const { plannedDeparture, plannedArrival } = legs[i];
+    if (plannedDeparture && plannedArrival && plannedArrival < plannedDeparture) {
+      throw httpError(`Leg ${i + 1} cannot arrive before it departs`, 400);
+    }
+    const previousArrival = i > 0 && legs[i - 1].plannedArrival;
+    if (previousArrival && plannedDeparture && plannedDeparture < previousArrival) {
+      throw httpError(`Leg ${i + 1} cannot depart before leg ${i} arrives`, 400);
+    }
+  }
+
+  if (recipientId && !await User.exists({ _id: recipientId, userType: 'retailer' })) {
+    throw httpError('Recipient not found or not a retailer', 404);
+  }
+
+  const shipment = await Shipment.create({
+    shipmentNumber: generateShipmentNumber(),
+    distributor: distributorId,
+    organization: organizationId,
+    recipient: recipientId,
+    products: productIds,
+    legs: legs.map(({ carrier, mode, origin, destination, trackingNumber, plannedDeparture, plannedArrival }) =>
+      ({ carrier, mode, origin, destination, trackingNumber, plannedDeparture, plannedArrival })),
+    notes
+  });
+  await updateTransportationDetails(shipment);
+
+  logger.info(`Shipment ${shipment.shipmentNumber} planned with ${productIds.length} product(s) over ${legs.length} leg(s)`);
+  return shipment;
+}
+
+/**
+ * Record the departure of a leg. The shipment, and its products, are in transit from the first departure.
+ * @param {Shipment} shipment - The shipment
+ * @param {Number} legIndex - Index of the leg
+ * @param {Date} [departedAt] - Time of the departure, now by default
+ * @returns {Promise<Object>} { shipment, productUpdates }
+ */
+async function departLeg(shipment, legIndex, departedAt = new Date()) {
+  if (!ACTIVE_STATUSES.includes(shipment.status)) {
+    throw httpError(`A ${shipment.status.toLowerCase()} shipment cannot depart`, 409);
+  }
+  const leg = shipment.legs[legIndex];
+  if (!leg) {
+    throw httpError('Leg not found', 404);
+  }
+  if (leg.departedAt) {
+    throw httpError('This leg has already departed', 409);
+  }
+  const previous = shipment.legs[legIndex - 1];
+  if (previous && !previous.arrivedAt) {
+    throw httpError(`Leg ${legIndex} has not arrived yet`, 409);
+  }
+  if (previous && departedAt < previous.arrivedAt) {
+    throw httpError('A leg cannot depart before the previous leg arrived', 400);
+  }
+
+  leg.departedAt = departedAt;
+  shipment.status = 'InTransit';
+  await shipment.save();
+  await updateTransportationDetails(shipment);
+
+  return { shipment, productUpdates: await getProductStatusUpdates(shipment) };
+}
+
+/**
+ * Record the arrival of a leg
+ * @param {Shipment} shipment - The shipment
+ * @param {Number} legIndex - Index of the leg
+ * @param {Date} [arrivedAt] - Time of the arrival, now by default
+ * @returns {Promise<Object>} { shipment, productUpdates }
+ */
+async function arriveLeg(shipment, legIndex, arrivedAt = new Date()) {
+  const leg = shipment.legs[legIndex];
+  if (!leg) {
+    throw httpError('Leg not found', 404);
+  }
+  if (shipment.status !== 'InTransit' || !leg.departedAt) {
+    throw httpError('This leg has not departed', 409);
+  }
+  if (leg.arrivedAt) {
+    throw httpError('This leg has already arrived', 409);
+  }
+  if (arrivedAt < leg.departedAt) {
+    throw httpError('A leg cannot arrive before it departed', 400);
+  }
+
+  leg.arrivedAt = arrivedAt;
+  await shipment.save();
+
+  return { shipment, productUpdates: await getProductStatusUpdates(shipment) };
+}
+
+/**
+ * Record that the shipment was seen at a hub
+ * @param {Shipment} shipment - The shipment
+ * @param {Object} checkIn
+ * @param {String} checkIn.hub - The hub
+ * @param {String} [checkIn.notes] - Notes of the check-in
+ * @param {Date} [checkIn.checkedInAt] - Time of the check-in, now by default
+ * @param {Number} [checkIn.latitude] - Latitude of the hub, added to the location trail of the products
+ * @param {Number} [checkIn.longitude] - Longitude of the hub
+ * @param {String} checkIn.userId - The user recording the check-in
+ * @returns {Promise<Object>} { shipment, productUpdates }
+ */
+async function addCheckIn(shipment, { hub, notes, checkedInAt = new Date(), latitude, longitude, userId }) {
+  if (shipment.status !== 'InTransit') {
+    throw httpError('Only shipments in transit can be checked in at a hub', 409);
+  }
+
+  shipment.checkIns.push({ hub, legIndex: shipment.getCurrentLegIndex(), notes, checkedInAt, recordedBy: userId });
+  await shipment.save();
+
+  if (typeof latitude === 'number' && typeof longitude === 'number') {
+    for (const productId of shipment.products) {
+      await LocationService.recordLocations({
+        productId,
+        locations: [{ latitude, longitude, placeName: hub, recordedAt: checkedInAt }],
+        source: 'shipment',
+        shipmentId: shipment._id,
+        userId
+      });
+    }
+  }
+
+  return { shipment, productUpdates: await getProductStatusUpdates(shipment) };
+}
+
+/**
+ * Capture the proof of delivery, which delivers the shipment and its products.
+ * The last leg arrives with the delivery if its arrival was not recorded.
+ * @param {Shipment} shipment - The shipment
+ * @param {Object} delivery
+ * @param {String} delivery.receivedBy - Name of the person who received the shipment
+ * @param {Date} [delivery.deliveredAt] - Time of the delivery, now by default
+ * @param {String} [delivery.notes] - Notes of the delivery
+ * @param {Object} [delivery.signature] - { mimeType, content } signature of the recipient, base64 encoded
+ * @param {Object} [delivery.photo] - { mimeType, content } photo of the goods, base64 encoded
+ * @param {String} delivery.userId - The user capturing the proof of delivery
+ * @returns {Promise<Object>} { shipment, productUpdates }
+ */
+async function deliverShipment(shipment, { receivedBy, deliveredAt = new Date(), notes, signature, photo, userId }) {
+  const lastLeg = shipment.legs[shipment.legs.length - 1];
+  if (shipment.status !== 'InTransit' || !lastLeg.departedAt) {
+    throw httpError('Only shipments on their last leg can be delivered', 409);
+  }
+  if (deliveredAt < lastLeg.departedAt) {
+    throw httpError('A shipment cannot be delivered before its last leg departed', 400);
+  }
+
+  const signatureFile = parseDeliveryFile(signature);
+  const photoFile = parseDeliveryFile(photo);
+
+  if (!lastLeg.arrivedAt) {
+    lastLeg.arrivedAt = deliveredAt;
+  }
+  shipment.proofOfDelivery = {
+    receivedBy,
+    deliveredAt,
+    notes,
+    signature: signatureFile,
+    photo: photoFile,
+    recordedBy: userId
+  };
+  shipment.status = 'Delivered';
+  await shipment.save();
+
+  logger.info(`Shipment ${shipment.shipmentNumber} delivered to ${receivedBy}`);
+  return { shipment, productUpdates: await getProductStatusUpdates(shipment) };
+}
+
+/**
+ * Cancel a shipment that has not departed
+ * @param {Shipment} shipment - The shipment
+ * @returns {Promise<Shipment>}
+ */
+async function cancelShipment(shipment) {
+  if (shipment.status !== 'Planned') {
+    throw httpError('Only planned shipments can be cancelled', 409);
+  }
+  shipment.status = 'Cancelled';
+  shipment.cancelledAt = new Date();
+  return shipment.save();
+}
+
+/**
+ * Get the shipments a product travelled or travels with, for the tracking pages
+ * @param {String} productId - The product ID
+ * @returns {Promise<Object[]>} The shipments, the most recent first
+ */
+async function getProductShipments(productId) {
+  const shipments = await Shipment.find({ products: productId, status: { $ne: 'Cancelled' } })
+    .populate('distributor', 'username')
+    .populate('recipient', 'username')
+    .sort({ createdAt: -1 });
+  return shipments.map(describeTracking);
+}
+
+module.exports = {
+  describeShipment,
+  getProductStatusUpdates,
+  recordProductStatus,
+  createShipment,
+  departLeg,
+  arriveLeg,
+  addCheckIn,
+  deliverShipment,
+  cancelShipment,
+  getProductShipments
+};
@@ -0,0 +1,166 @@
+/**
+ * Socket Service
+ *
+ * Authenticates Socket.IO connections with the access token of the user, as the
+ * auth middleware does for API requests, and puts each socket in the room of its
+ * user so that services can send real-time alerts to given users. Clients pass
+ * the token in the handshake: io(url, { auth: { token } }).
+ *
+ * Sockets can also follow products, e.g. on the tracking pages, by joining the
+ * room of a product they may see:
+ *   socket.emit('product:subscribe', productId, ({ success, error }) => ...)
+ * and receive the events of the product until 'product:unsubscribe'.
+ */
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const SessionService = require('./SessionService');
+const logger = require('../utils/logger');
+
+let io = null;
+
+/**
+ * Name of the room of a user
+ * @param {String} userId - The user ID
+ * @returns {String}
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Name of the room of a product
+ * @param {String} productId - The product ID
+ * @returns {String}
+ */
+const productRoom = (productId) => `product:${productId}`;
+
+/**
+ * Socket.IO middleware rejecting connections without a valid access token
+ * @param {Object} socket - The connecting socket
+ * @param {Function} next - Callback, given an error to refuse the connection
+ */
+async function authenticate(socket, next) {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+      return next(new Error('No authentication token, access denied'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!await SessionService.isSessionActive(decoded.sid)) {
+      return next(new Error('Session has been revoked'));
+    }
+
+    socket.user = { id: decoded.userId, userType: decoded.userType, sessionId: decoded.sid };
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Token is not valid'));
+  }
+}
+
+/**
+ * Join the room of a product, if the user of the socket may see the product
+ * @param {Object} socket - The socket
+ * @param {String} productId - The product ID
+ * @returns {Promise<Object>} { success, error }
+ */
+async function subscribeToProduct(socket, productId) {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { success: false, error: 'Invalid product ID' };
+  }
+  // Required here: through Web3Service, the organization modules load the services sending notifications
+  const OrganizationService = require('./OrganizationService');
+  const { findVisibleProduct } = require('../middleware/organization');
+
+  // The membership is looked up again on each subscription, as the user may have joined or left an organization
+  const membership = await OrganizationService.getMembership(socket.user.id);
+  const req = { user: socket.user, organization: membership ? { id: membership.organization._id } : null };
+  if (!await findVisibleProduct(req, productId)) {
+    return { success: false, error: 'Product not found' };
+  }
+  socket.join(productRoom(productId));
+  return { success: true };
+}
+
+/**
+ * Set up authentication, user rooms and product rooms on the Socket.IO server
+ * @param {Object} server - The Socket.IO server
+ */
+function attach(server) {
+  io = server;
+  io.use(authenticate);
+  io.on('connection', (socket) => {
+    socket.join(userRoom(socket.user.id));
+    logger.info(`Socket connected for user ${socket.user.id}`);
+
+    socket.on('product:subscribe', async (productId, ack) => {
+      let result;
+      try {
+        result = await subscribeToProduct(socket, String(productId));
+      } catch (error) {
+        logger.error(`Product subscription failed for user ${socket.user.id}: ${error.message}`);
+        result = { success: false, error: 'Subscription failed' };
+      }
+      if (typeof ack === 'function') {
+        ack(result);
+      }
+    });
+
+    socket.on('product:unsubscribe', (productId) => {
+      socket.leave(productRoom(String(productId)));
+    });
+
+    socket.on('disconnect', () => {
+      logger.info(`Socket disconnected for user ${socket.user.id}`);
+    });
+  });
+}
+
+/**
+ * Send an event to all the connected sockets of some users and of the followers
+ * of some products, once to each socket
+ * @param {Object} recipients
+ * @param {Array<String|ObjectId>} [recipients.users] - The users
+ * @param {Array<String|ObjectId>} [recipients.products] - The products
+ * @param {String} event - The event name
+ * @param {Object} payload - The event data
+ * @returns {Boolean} - false when Socket.IO is not set up, e.g. in scripts
+ */
+function emit({ users = [], products = [] }, event, payload) {
+  if (!io) {
+    return false;
+  }
+  const rooms = [...new Set([
+    ...users.filter(Boolean).map(userId => userRoom(userId.toString())),
+    ...products.filter(Boolean).map(productId => productRoom(productId.toString()))
+  ])];
+  if (rooms.length > 0) {
+    io.to(rooms).emit(event, payload);
+  }
+  return true;
+}
+
+/**
+ * Check whether Socket.IO is set up in this process
+ * @returns {Boolean} - false e.g. in scripts and in the blockchain indexer
+ */
+function isAttached() {
+  return Boolean(io);
+}
+
+/**
+ * Send an event to all the connected sockets of some users
+ * @param {Array<String|ObjectId>} userIds - The users
+ * @param {String} event - The event name
+ * @param {Object} payload - The event data
+ * @returns {Boolean} - false when Socket.IO is not set up, e.g. in scripts
+ */
+function emitToUsers(userIds, event, payload) {
+  return emit({ users: userIds }, event, payload);
+}
+
+module.exports = {
+  attach,
+  isAttached,
+  emit,
+  emitToUsers
+};
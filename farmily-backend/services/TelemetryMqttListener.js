@@ -0,0 +1,99 @@
+/**
+ * Telemetry MQTT Listener
+ *
+ * Subscribes to the sensor readings published on an MQTT broker (e.g. a local
+ * Mosquitto) and records them with the TelemetryService. Sensors publish JSON
+ * messages on farmily/telemetry/<device>:
+ *   { "productId": "...", "recordedAt": "2024-05-01T10:00:00Z", "temperature": 3.5, "humidity": 80 }
+ * or several readings at once:
+ *   { "productId": "...", "readings": [{ "recordedAt": ..., "temperature": ... }, ...] }
+ * Sensors travelling with a shipment send a "shipmentId" instead of the
+ * "productId", and their readings are recorded for each product of the shipment.
+ * Messages are subscribed with QoS 1, so a reading may be delivered twice; the
+ * TelemetryService ignores the readings it already recorded.
+ */
+
+const mqtt = require('mqtt');
+const TelemetryService = require('./TelemetryService');
+const logger = require('../utils/logger');
+
+class TelemetryMqttListener {
+  /**
+   * @param {Object} options
+   * @param {String} options.url - URL of the broker, e.g. mqtt://localhost:1883
+   * @param {String} [options.topic] - Topic filter, whose last level is the device ID
+   * @param {String} [options.username] - Username on the broker
+   * @param {String} [options.password] - Password on the broker
+   */
+  constructor({ url, topic = 'farmily/telemetry/+', username, password }) {
+    this.url = url;
+    this.topic = topic;
+    this.username = username;
+    this.password = password;
+    this.client = null;
+  }
+
+  /**
+   * Connect to the broker and subscribe to the readings; the client reconnects by itself
+   */
+  start() {
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      reconnectPeriod: 5000
+    });
+
+    this.client.on('connect', () => {
+      this.client.subscribe(this.topic, { qos: 1 }, (error) => {
+        if (error) {
+          logger.error(`Failed to subscribe to ${this.topic}: ${error.message}`);
+        } else {
+          logger.info(`Listening for sensor readings on ${this.url} (${this.topic})`);
+        }
+      });
+    });
+    this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+    this.client.on('error', (error) => logger.error(`MQTT error: ${error.message}`));
+  }
+
+  /**
+   * Record the readings of a message. Invalid messages are logged and dropped,
+   * as the sensor cannot be told about the error.
+   * @param {String} topic - The topic the message was published on
+   * @param {Buffer} payload - The JSON message
+   * @returns {Promise<void>}
+   */
+  async handleMessage(topic, payload) {
+    try {
+      const message = JSON.parse(payload.toString());
+      const device = message.device || topic.split('/').pop();
+      const result = await TelemetryService.recordReadings({
+        productId: message.productId,
+        shipmentId: message.shipmentId,
+        device,
+        readings: Array.isArray(message.readings) ? message.readings : [message],
+        source: 'mqtt'
+      });
+      if (result.excursions.length > 0) {
+        logger.info(`Readings of ${device} changed ${result.excursions.length} cold chain excursion(s)`);
+      }
+    } catch (error) {
+      logger.warn(`Dropped sensor message on ${topic}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Disconnect from the broker
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => {
+      if (!this.client) {
+        return resolve();
+      }
+      this.client.end(false, {}, () => resolve());
+    });
+  }
+}
+
+module.exports = TelemetryMqttListener;
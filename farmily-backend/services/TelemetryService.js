@@ -0,0 +1,358 @@
+/**
+ * Telemetry Service
+ *
+ * Records the time-series readings of the sensors monitoring products, sent
+ * over HTTP or MQTT for a product or for a shipment, whose readings are
+ * recorded for each of its products, and watches the cold chain: readings are
+ * checked against the range of the product's storage condition (see
+ * utils/coldChain.js), a reading out of range starts an excursion that lasts
+ * until a reading is back in range, and the current owner of the product is
+ * alerted over Socket.IO when an excursion starts and ends.
+ */
+
+const Product = require('../models/Product');
+const Shipment = require('../models/Shipment');
+const Organization = require('../models/Organization');
+const TelemetryReading = require('../models/TelemetryReading');
+const ColdChainExcursion = require('../models/ColdChainExcursion');
+const SocketService = require('./SocketService');
+const coldChain = require('../utils/coldChain');
+const logger = require('../utils/logger');
+
+const MAX_READINGS_PER_BATCH = 500;
+const DEFAULT_READINGS_LIMIT = 1000;
+
+// Most recent excursions listed in the summary
+const SUMMARY_EXCURSIONS = 20;
+
+// Batches being recorded, by product: the batches of a product are recorded one
+// after the other so that two batches cannot start the same excursion
+const productQueues = new Map();
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Describe an excursion for the API and the alerts
+ * @param {ColdChainExcursion} excursion - The excursion
+ * @returns {Object}
+ */
+const describeExcursion = (excursion) => ({
+  _id: excursion._id,
+  product: excursion.product,
+  shipment: excursion.shipment,
+  parameter: excursion.parameter,
+  direction: excursion.direction,
+  limit: excursion.limit,
+  storageConditions: excursion.storageConditions,
+  device: excursion.device,
+  startedAt: excursion.startedAt,
+  endedAt: excursion.endedAt,
+  peakValue: excursion.peakValue,
+  readingCount: excursion.readingCount,
+  durationSeconds: excursion.getDurationSeconds(),
+  ongoing: !excursion.endedAt
+});
+
+/**
+ * Alert the current owner of a product, and the staff of its organization, that an excursion started or ended
+ * @param {Product} product - The product
+ * @param {ColdChainExcursion} excursion - The excursion
+ */
+async function alertOwner(product, excursion) {
+  const userIds = [product.currentOwner];
+  if (product.organization) {
+    const organization = await Organization.findById(product.organization).select('members.user');
+    if (organization) {
+      userIds.push(...organization.members.map(member => member.user));
+    }
+  }
+
+  SocketService.emitToUsers(userIds, 'coldChain:excursion', {
+    product: { _id: product._id, type: product.type, batchNumber: product.batchNumber },
+    excursion: describeExcursion(excursion)
+  });
+}
+
+/**
+ * Check a reading against the storage condition of its product, starting,
+ * extending or ending the excursions of each parameter
+ * @param {Product} product - The product
+ * @param {TelemetryReading} reading - The reading
+ * @returns {Promise<ColdChainExcursion[]>} The excursions that started or ended
+ */
+async function evaluateReading(product, reading) {
+  const thresholds = coldChain.getThresholds(product.storageConditions);
+  const changed = [];
+
+  for (const parameter of coldChain.PARAMETERS) {
+    const value = reading[parameter];
+    if (typeof value !== 'number' || !thresholds || !thresholds[parameter]) {
+      continue;
+    }
+
+    const breach = coldChain.checkValue(thresholds, parameter, value);
+    let excursion = await ColdChainExcursion.findOne({ product: product._id, parameter, endedAt: null });
+
+    // Readings older than the excursion's last one arrived late and do not change it
+    if (excursion && reading.recordedAt < excursion.lastReadingAt) {
+      continue;
+    }
+
+    if (excursion && (!breach || breach.direction !== excursion.direction)) {
+      excursion.endedAt = reading.recordedAt;
+      excursion.lastReadingAt = reading.recordedAt;
+      await excursion.save();
+      changed.push(excursion);
+      logger.info(`Cold chain excursion ${excursion._id} of product ${product._id} ended after ${excursion.getDurationSeconds()}s`);
+      excursion = null;
+    }
+
+    if (!breach) {
+      continue;
+    }
+
+    if (excursion) {
+      const furtherOut = breach.direction === 'above' ? value > excursion.peakValue : value < excursion.peakValue;
+      if (furtherOut) {
+        excursion.peakValue = value;
+      }
+      excursion.lastReadingAt = reading.recordedAt;
+      excursion.readingCount += 1;
+      await excursion.save();
+    } else {
+      excursion = await ColdChainExcursion.create({
+        product: product._id,
+        parameter,
+        direction: breach.direction,
+        limit: breach.limit,
+        storageConditions: product.storageConditions,
+        device: reading.device,
+        shipment: reading.shipment,
+        startedAt: reading.recordedAt,
+        lastReadingAt: reading.recordedAt,
+        peakValue: value
+      });
+      changed.push(excursion);
+      logger.warn(`Cold chain excursion of product ${product._id}: ${parameter} ${value} is ${breach.direction} ${breach.limit} for ${product.storageConditions}`);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Run a task once the batches of a product received before are recorded
+ * @param {String} productId - The product ID
+ * @param {Function} task - Async function recording the batch
+ * @returns {Promise<*>} The result of the task
+ */
+function queueForProduct(productId, task) {
+  const key = productId.toString();
+  const result = (productQueues.get(key) || Promise.resolve()).then(task);
+  const done = result.catch(() => {});
+  productQueues.set(key, done);
+  done.then(() => {
+    if (productQueues.get(key) === done) {
+      productQueues.delete(key);
+    }
+  });
+  return result;
+}
+
+/**
+ * Record a batch of readings from a sensor and check them for excursions. The
+ * readings of a shipment are recorded for each of its products.
+ * @param {Object} batch
+ * @param {String} [batch.productId] - The product the sensor monitors
+ * @param {String} [batch.shipmentId] - The shipment the sensor travels with, instead of a product
+ * @param {String} batch.device - Identifier of the sensor
+ * @param {Object[]} batch.readings - { recordedAt, temperature, humidity } readings
+ * @param {String} batch.source - 'http' or 'mqtt'
+ * @returns {Promise<Object>} { recorded, duplicates, excursions } where excursions are those that started or ended
+ */
+async function recordReadings({ productId, shipmentId, device, readings, source }) {
+  if (Boolean(productId) === Boolean(shipmentId)) {
+    throw httpError('Send the readings for a product or for a shipment', 400);
+  }
+  if (!Array.isArray(readings) || readings.length === 0 || readings.length > MAX_READINGS_PER_BATCH) {
+    throw httpError(`Send between 1 and ${MAX_READINGS_PER_BATCH} readings at a time`, 400);
+  }
+  const invalid = readings.some(reading => !reading || isNaN(new Date(reading.recordedAt)) ||
+    (typeof reading.temperature !== 'number' && typeof reading.humidity !== 'number'));
+  if (!device || invalid) {
+    throw httpError('Each reading needs a device, a recordedAt time and a temperature or a humidity', 400);
+  }
+
+  if (productId) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw httpError('Product not found', 404);
+    }
+    return queueForProduct(product._id, () => recordBatch(product, device, readings, source));
+  }
+
+  const shipment = await Shipment.findById(shipmentId);
+  if (!shipment) {
+    throw httpError('Shipment not found', 404);
+  }
+  const result = { recorded: 0, duplicates: 0, excursions: [] };
+  for (const product of await Product.find({ _id: { $in: shipment.products } })) {
+    const productResult = await queueForProduct(product._id, () => recordBatch(product, device, readings, source, shipment._id));
+    result.recorded += productResult.recorded;
+    result.duplicates += productResult.duplicates;
+    result.excursions.push(...productResult.excursions);
+  }
+  return result;
+}
+
+/**
+ * Record the readings of a batch and alert the owner of the excursions that started or ended
+ * @param {Product} product - The product
+ * @param {String} device - Identifier of the sensor
+ * @param {Object[]} readings - { recordedAt, temperature, humidity } readings
+ * @param {String} source - 'http' or 'mqtt'
+ * @param {String} [shipmentId] - The shipment the readings were sent for
+ * @returns {Promise<Object>} { recorded, duplicates, excursions }
+ */
+async function recordBatch(product, device, readings, source, shipmentId) {
+  // Check the readings in the order they were taken, as excursions depend on it
+  const sorted = readings
+    .map(reading => ({ ...reading, recordedAt: new Date(reading.recordedAt) }))
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+  let recorded = 0;
+  let duplicates = 0;
+  const changed = new Map();
+  for (const { recordedAt, temperature, humidity } of sorted) {
+    let reading;
+    try {
+      reading = await TelemetryReading.create({
+        product: product._id,
+        shipment: shipmentId,
+        device,
+        recordedAt,
+        temperature,
+        humidity,
+        source
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        duplicates += 1;
+        continue;
+      }
+      throw error;
+    }
+    recorded += 1;
+
+    for (const excursion of await evaluateReading(product, reading)) {
+      changed.set(excursion._id.toString(), excursion);
+    }
+  }
+
+  for (const excursion of changed.values()) {
+    await alertOwner(product, excursion);
+  }
+
+  return { recorded, duplicates, excursions: [...changed.values()].map(describeExcursion) };
+}
+
+/**
+ * Get the readings of a product
+ * @param {String} productId - The product ID
+ * @param {Object} [filters]
+ * @param {Date} [filters.from] - Only readings taken from this time
+ * @param {Date} [filters.to] - Only readings taken until this time
+ * @param {Number} [filters.limit] - Maximum number of readings, the oldest first
+ * @returns {Promise<TelemetryReading[]>}
+ */
+function getReadings(productId, { from, to, limit = DEFAULT_READINGS_LIMIT } = {}) {
+  const query = { product: productId };
+  if (from || to) {
+    query.recordedAt = {};
+    if (from) {
+      query.recordedAt.$gte = from;
+    }
+    if (to) {
+      query.recordedAt.$lte = to;
+    }
+  }
+  return TelemetryReading.find(query).sort({ recordedAt: 1 }).limit(limit);
+}
+
+/**
+ * Summarize the cold chain of a product for its traceability view
+ * @param {Product} product - The product
+ * @returns {Promise<Object>} { storageConditions, thresholds, readingCount, firstReadingAt, lastReadingAt,
+ *   excursionCount, ongoingExcursions, totalExcursionSeconds, excursions }
+ */
+async function getColdChainSummary(product) {
+  const [readingCount, firstReading, lastReading, excursions] = await Promise.all([
+    TelemetryReading.countDocuments({ product: product._id }),
+    TelemetryReading.findOne({ product: product._id }).sort({ recordedAt: 1 }).select('recordedAt'),
+    TelemetryReading.findOne({ product: product._id }).sort({ recordedAt: -1 }).select('recordedAt'),
+    ColdChainExcursion.find({ product: product._id }).sort({ startedAt: -1 })
+  ]);
+
+  return {
+    storageConditions: product.storageConditions || null,
+    thresholds: coldChain.getThresholds(product.storageConditions),
+    readingCount,
+    firstReadingAt: firstReading ? firstReading.recordedAt : null,
+    lastReadingAt: lastReading ? lastReading.recordedAt : null,
+    excursionCount: excursions.length,
+    ongoingExcursions: excursions.filter(excursion => !excursion.endedAt).length,
+    totalExcursionSeconds: excursions.reduce((total, excursion) => total + excursion.getDurationSeconds(), 0),
+    excursions: excursions.slice(0, SUMMARY_EXCURSIONS).map(describeExcursion)
+  };
+}
+
+/**
+ * Summarize the cold chain of a shipment for its view. Its readings are recorded
+ * for each of its products, so those of its first product stand for all of them;
+ * the excursions are those of each product.
+ * @param {Shipment} shipment - The shipment, with or without its products populated
+ * @returns {Promise<Object>} { readingCount, firstReadingAt, lastReading, excursionCount,
+ *   ongoingExcursions, excursions }
+ */
+async function getShipmentColdChain(shipment) {
+  const [first] = shipment.products;
+  const readingQuery = { shipment: shipment._id, product: first ? first._id || first : null };
+  const [readingCount, firstReading, lastReading, excursions] = await Promise.all([
+    TelemetryReading.countDocuments(readingQuery),
+    TelemetryReading.findOne(readingQuery).sort({ recordedAt: 1 }).select('recordedAt'),
+    TelemetryReading.findOne(readingQuery).sort({ recordedAt: -1 }),
+    ColdChainExcursion.find({ shipment: shipment._id }).sort({ startedAt: -1 })
+  ]);
+
+  return {
+    readingCount,
+    firstReadingAt: firstReading ? firstReading.recordedAt : null,
+    lastReading: lastReading ? {
+      device: lastReading.device,
+      recordedAt: lastReading.recordedAt,
+      temperature: lastReading.temperature,
+      humidity: lastReading.humidity
+    } : null,
+    excursionCount: excursions.length,
+    ongoingExcursions: excursions.filter(excursion => !excursion.endedAt).length,
+    excursions: excursions.slice(0, SUMMARY_EXCURSIONS).map(describeExcursion)
+  };
+}
+
+module.exports = {
+  MAX_READINGS_PER_BATCH,
+  recordReadings,
+  getReadings,
+  getColdChainSummary,
+  getShipmentColdChain
+};
@@ -0,0 +1,171 @@
+/**
+ * Transfer Service
+ *
+ * Applies accepted transfers to the products in the database the same way the
+ * ProductManagement contract does. Each transfer has its own on-chain transfer
+ * ID, so several transfers of one batch can be pending at once: accepting the
+ * whole remaining quantity moves the product to the buyer, while accepting part
+ * of it splits a new product off the batch. Used both by the routes and by the
+ * blockchain indexer; applying the same acceptance twice is harmless, and
+ * notifies it once.
+ */
+
+const Transfer = require('../models/Transfer');
+const Product = require('../models/Product');
+const LineageService = require('./LineageService');
+const RecallService = require('./RecallService');
+const NotificationService = require('./NotificationService');
+const logger = require('../utils/logger');
+
+// Transfer states in the order of the TransferState enum in the smart contract
+const TRANSFER_STATES = ['none', 'pending', 'accepted', 'cancelled'];
+
+/**
+ * Find a transfer by its on-chain transfer ID
+ * @param {String} blockchainTransferId - ID of the pending transfer in the contract
+ * @returns {Promise<Transfer|null>}
+ */
+function findTransferByBlockchainId(blockchainTransferId) {
+  return Transfer.findOne({ blockchainTransferId: blockchainTransferId.toLowerCase() });
+}
+
+/**
+ * Check that the transfer initiated by a transaction from the user's wallet is
+ * the transfer a request describes
+ * @param {Object} initiated - { productId, from, quantity } read by Web3Service.getTransferIdFromTransaction
+ * @param {Object} expected
+ * @param {Product} expected.product - The product to transfer
+ * @param {Number} expected.quantity - The quantity to transfer
+ * @param {String[]} expected.senders - The addresses the user sends transactions from, in lowercase
+ * @returns {String|null} Why the transaction does not match the request, or null if it does
+ */
+function checkInitiatedTransfer(initiated, { product, quantity, senders }) {
+  if (!product.blockchainId || initiated.productId !== product.blockchainId.toLowerCase()) {
+    return 'The transaction initiated a transfer of another product';
+  }
+  if (initiated.quantity !== parseInt(quantity)) {
+    return 'The transaction initiated a transfer of another quantity';
+  }
+  if (!senders.includes(initiated.from)) {
+    return 'The transaction was not sent from your Ethereum address';
+  }
+  return null;
+}
+
+/**
+ * Record a transfer initiated from the user's wallet and reserve its quantity,
+ * unless the blockchain indexer has already recorded it from the TransferInitiated
+ * event, the quantity being reserved then
+ * @param {Object} fields - Fields of the transfer, including blockchainTx and blockchainTransferId
+ * @param {Product} product - The product transferred
+ * @returns {Promise<Object>} { transfer, created }
+ */
+async function recordInitiation(fields, product) {
+  const existing = await Transfer.findOne({
+    $or: [{ blockchainTransferId: fields.blockchainTransferId }, { blockchainTx: fields.blockchainTx.toLowerCase() }]
+  });
+  if (existing) {
+    return { transfer: existing, created: false };
+  }
+
+  const transfer = new Transfer({ ...fields, blockchainTx: fields.blockchainTx.toLowerCase() });
+  try {
+    await transfer.save();
+  } catch (error) {
+    // The indexer recorded the transfer meanwhile
+    if (error.code === 11000) {
+      return { transfer: await findTransferByBlockchainId(fields.blockchainTransferId), created: false };
+    }
+    throw error;
+  }
+
+  product.quantity -= transfer.quantity;
+  await product.save();
+  return { transfer, created: true };
+}
+
+/**
+ * Record the acceptance of a transfer and move the transferred quantity to the buyer
+ * @param {Transfer} transfer - The accepted transfer
+ * @param {String} receivedProductId - Blockchain ID of the product received by the buyer
+ * @param {String} txHash - Hash of the acceptTransfer transaction
+ * @returns {Promise<Product|null>} The product now owned by the buyer
+ */
+async function recordAcceptance(transfer, receivedProductId, txHash) {
+  // Already recorded: the product may have changed hands again since
+  if (transfer.status === 'completed' && transfer.receivedProduct) {
+    const received = await Product.findById(transfer.receivedProduct);
+    if (received) {
+      await NotificationService.notifyTransferOnce('accepted', transfer, received);
+      return received;
+    }
+  }
+
+  const source = await Product.findById(transfer.product);
+  if (!source) {
+    logger.warn(`Transfer ${transfer._id}: product ${transfer.product} not found`);
+    return null;
+  }
+
+  let received;
+  if (!receivedProductId || (source.blockchainId || '').toLowerCase() === receivedProductId.toLowerCase()) {
+    // The whole remaining quantity was transferred: the product changes hands
+    received = source;
+    if (!received.currentOwner.equals(transfer.toUser)) {
+      received.previousOwner = received.currentOwner;
+      received.currentOwner = transfer.toUser;
+      received.quantity = transfer.quantity;
+      received.ownershipHistory.push({ owner: received.previousOwner, timestamp: new Date() });
+    }
+  } else {
+    // Part of the batch was transferred: the contract split it into a new product
+    received = await Product.findOne({ blockchainId: receivedProductId });
+    if (!received) {
+      received = new Product({
+        type: source.type,
+        origin: source.origin,
+        productionDate: source.productionDate,
+        batchNumber: source.batchNumber, // The contract keeps the batch number on the split
+        certifications: source.certifications,
+        quantity: transfer.quantity,
+        price: source.price,
+        currentOwner: transfer.toUser,
+        originalOwner: source.originalOwner,
+        previousOwner: transfer.fromUser,
+        status: source.status,
+        blockchainId: receivedProductId,
+        blockchainTxHash: txHash,
+        blockchainStatus: 'Registered',
+        ownershipHistory: [...source.ownershipHistory, { owner: transfer.fromUser, timestamp: new Date() }]
+      });
+    }
+    LineageService.linkProducts(source, received);
+    // A recall recorded while the acceptance was being mined covers the split as well
+    await RecallService.inheritRecall(source, received);
+    if (source.isModified('children')) {
+      await source.save();
+    }
+  }
+  if (!received.transferHistory.some(id => id.equals(transfer._id))) {
+    received.transferHistory.push(transfer._id);
+  }
+  await received.save();
+
+  if (transfer.status !== 'completed' || !transfer.receivedProduct) {
+    transfer.status = 'completed';
+    transfer.receivedProduct = received._id;
+    await transfer.save();
+  }
+
+  // Both the route and the indexer record the acceptance; whichever runs with Socket.IO notifies it
+  await NotificationService.notifyTransferOnce('accepted', transfer, received);
+  return received;
+}
+
+module.exports = {
+  TRANSFER_STATES,
+  findTransferByBlockchainId,
+  checkInitiatedTransfer,
+  recordInitiation,
+  recordAcceptance
+};
@@ -0,0 +1,302 @@
+/**
+ * Two-Factor Service
+ *
+ * Optional two-factor authentication with an authenticator app (TOTP, see
+ * utils/totp.js). Users enroll by scanning a QR code and confirming a first
+ * code, and receive single-use recovery codes for when they lose their phone.
+ * Once enabled, a code is asked at login and again before sensitive actions
+ * (step-up verification), which a code entered in the last minutes of the
+ * session satisfies. TOTP secrets are stored encrypted, recovery codes hashed.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/user.js');
+const Session = require('../models/Session');
+const LoginSecurityService = require('./LoginSecurityService');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+const ISSUER = 'Farmily';
+const RECOVERY_CODE_COUNT = 10;
+
+// A two-factor code entered in the session allows sensitive actions for this long
+const STEP_UP_WINDOW_MS = (parseInt(process.env.TWO_FACTOR_STEP_UP_MINUTES) || 5) * 60 * 1000;
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Key encrypting the TOTP secrets, from TWO_FACTOR_ENCRYPTION_KEY or else JWT_SECRET
+ * @returns {Buffer}
+ */
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+/**
+ * Encrypt a TOTP secret with AES-256-GCM
+ * @param {String} secret - The base32 secret
+ * @returns {String} "<iv>.<tag>.<ciphertext>", base64 encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a TOTP secret
+ * @param {String} encrypted - The output of encryptSecret
+ * @returns {String} The base32 secret
+ */
+const decryptSecret = (encrypted) => {
+  const [iv, tag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = code => crypto.createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Generate a set of recovery codes
+ * @returns {Array<String>} Codes like "3f9a1-c04be"
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+/**
+ * Load a user with their two-factor fields
+ * @param {String} userId - The user ID
+ * @returns {Promise<User>}
+ */
+async function loadUser(userId) {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+  return user;
+}
+
+/**
+ * Check a code from the authenticator app, or else a recovery code, which is
+ * then used up. The caller saves the user.
+ * @param {User} user - The user, with their two-factor fields
+ * @param {String} code - The code entered
+ * @returns {Boolean} Whether the code is valid
+ */
+function checkCode(user, code) {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+    return false;
+  }
+
+  const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code, { lastUsedStep: user.twoFactorLastUsedStep });
+  if (step !== null) {
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const codeHash = hashRecoveryCode(String(code));
+  const index = user.twoFactorRecoveryCodes.indexOf(codeHash);
+  if (index !== -1) {
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    logger.warn(`Recovery code used by user ${user._id}, ${user.twoFactorRecoveryCodes.length} left`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Get the two-factor status of a user
+ * @param {String} userId - The user ID
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+ */
+async function getStatus(userId) {
+  const user = await loadUser(userId);
+  return {
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+  };
+}
+
+/**
+ * Start enrolling a user: a new secret is generated, to be confirmed with a code
+ * @param {String} userId - The user ID
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ */
+async function startEnrollment(userId) {
+  const user = await loadUser(userId);
+  if (user.twoFactorEnabled) {
+    throw httpError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save();
+
+  const otpauthUrl = totp.buildOtpauthUrl(secret, user.username, ISSUER);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Finish enrolling a user with a first code from their authenticator app
+ * @param {String} userId - The user ID
+ * @param {String} sessionId - The session, which counts as verified
+ * @param {String} code - The code
+ * @returns {Promise<Array<String>>} The recovery codes, shown to the user only once
+ */
+async function confirmEnrollment(userId, sessionId, code) {
+  const user = await loadUser(userId);
+  if (user.twoFactorEnabled) {
+    throw httpError('Two-factor authentication is already enabled', 400);
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw httpError('Start the two-factor setup first', 400);
+  }
+
+  const secret = decryptSecret(user.twoFactorPendingSecret);
+  const step = totp.verifyCode(secret, code);
+  if (step === null) {
+    throw httpError('Invalid two-factor code', 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorSecret = encryptSecret(secret);
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactorLastUsedStep = step;
+  await user.save();
+
+  await Session.updateOne({ _id: sessionId, user: userId }, { twoFactorVerifiedAt: new Date() });
+  logger.info(`Two-factor authentication enabled for user ${userId}`);
+  return recoveryCodes;
+}
+
+/**
+ * Verify the code entered at login
+ * @param {User} user - The user
+ * @param {String} code - The code, or a recovery code
+ * @returns {Promise<Boolean>} Whether the code is valid
+ */
+async function verifyLoginCode(user, code) {
+  const userWithSecrets = await loadUser(user._id);
+  if (!checkCode(userWithSecrets, code)) {
+    return false;
+  }
+  await userWithSecrets.save();
+  return true;
+}
+
+/**
+ * Check that a sensitive action may go ahead. Users without two-factor
+ * authentication pass; others need a code entered in the session in the last
+ * minutes, or a valid code now, after which the session counts as verified.
+ * @param {Object} authUser - req.user: { id, sessionId }
+ * @param {String} [code] - The code sent with the request
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 403 and twoFactorRequired when a valid code is needed, 429 when locked out
+ */
+async function verifyStepUp(authUser, code) {
+  const user = await loadUser(authUser.id);
+  if (!user.twoFactorEnabled) {
+    return;
+  }
+
+  const session = await Session.findOne({ _id: authUser.sessionId, user: authUser.id });
+  if (session && session.twoFactorVerifiedAt && Date.now() - session.twoFactorVerifiedAt.getTime() < STEP_UP_WINDOW_MS) {
+    return;
+  }
+
+  const requireCode = (message) => {
+    const error = httpError(message, 403);
+    error.twoFactorRequired = true;
+    return error;
+  };
+  if (!code) {
+    throw requireCode('Two-factor verification is required for this action');
+  }
+
+  const retryAfterSeconds = await LoginSecurityService.getTwoFactorLockout(authUser.id);
+  if (retryAfterSeconds) {
+    throw httpError(`Too many wrong two-factor codes. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`, 429);
+  }
+
+  if (!checkCode(user, code)) {
+    await LoginSecurityService.recordFailedTwoFactorCode(authUser.id);
+    throw requireCode('Invalid two-factor code');
+  }
+  await user.save();
+  await LoginSecurityService.clearTwoFactorFailures(authUser.id);
+
+  if (session) {
+    session.twoFactorVerifiedAt = new Date();
+    await session.save();
+  }
+}
+
+/**
+ * Replace the recovery codes of a user
+ * @param {String} userId - The user ID
+ * @returns {Promise<Array<String>>} The new recovery codes
+ */
+async function regenerateRecoveryCodes(userId) {
+  const user = await loadUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw httpError('Two-factor authentication is not enabled', 400);
+  }
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+  logger.info(`Recovery codes regenerated for user ${userId}`);
+  return recoveryCodes;
+}
+
+/**
+ * Turn two-factor authentication off
+ * @param {String} userId - The user ID
+ * @returns {Promise<void>}
+ */
+async function disable(userId) {
+  const user = await loadUser(userId);
+  if (!user.twoFactorEnabled) {
+    throw httpError('Two-factor authentication is not enabled', 400);
+  }
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastUsedStep = undefined;
+  await user.save();
+  logger.warn(`Two-factor authentication disabled for user ${userId}`);
+}
+
+module.exports = {
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyLoginCode,
+  verifyStepUp,
+  regenerateRecoveryCodes,
+  disable
+};
@@ -0,0 +1,230 @@
+/**
+ * Wallet Auth Service
+ *
+ * Proves that a user controls an Ethereum wallet, Sign-In with Ethereum style
+ * (EIP-4361): the server issues a message with a single-use nonce, the wallet
+ * signs it (personal_sign), and the server recovers the signer from the
+ * signature. An address is only linked to an account or an organization with
+ * such a proof, and a wallet linked to an account can then be used to log in
+ * instead of a password.
+ */
+
+const crypto = require('crypto');
+const Web3 = require('web3');
+const User = require('../models/user.js');
+const Organization = require('../models/Organization');
+const WalletChallenge = require('../models/WalletChallenge');
+const logger = require('../utils/logger');
+const { PUBLIC_APP_URL } = require('../config');
+
+// Recovering signers needs no blockchain node
+const web3 = new Web3();
+
+const CHAIN_ID = parseInt(process.env.CHAIN_ID) || 1337;
+
+// Time the user has to sign a challenge
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const STATEMENTS = {
+  link: 'Link this wallet to your Farmily account.',
+  login: 'Log in to Farmily with this wallet.'
+};
+
+/**
+ * Build an error with an HTTP status code
+ * @param {String} message - The error message
+ * @param {Number} statusCode - The HTTP status code
+ * @returns {Error}
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Build the EIP-4361 message of a challenge
+ * @param {Object} fields
+ * @param {String} fields.address - Checksummed address
+ * @param {String} fields.statement - What signing means for the user
+ * @param {String} fields.nonce - The nonce
+ * @param {Date} fields.issuedAt - Date the message is issued
+ * @param {Date} fields.expiresAt - Date the message expires
+ * @returns {String}
+ */
+const buildMessage = ({ address, statement, nonce, issuedAt, expiresAt }) => [
+  `${new URL(PUBLIC_APP_URL).host} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  statement,
+  '',
+  `URI: ${PUBLIC_APP_URL}`,
+  'Version: 1',
+  `Chain ID: ${CHAIN_ID}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt.toISOString()}`,
+  `Expiration Time: ${expiresAt.toISOString()}`
+].join('\n');
+
+/**
+ * Issue a message for a wallet to sign
+ * @param {String} address - The wallet address
+ * @param {String} purpose - 'link' or 'login'
+ * @param {String} [userId] - The user linking the address, for 'link'
+ * @returns {Promise<Object>} { message, nonce, expiresAt }
+ */
+async function createChallenge(address, purpose, userId) {
+  if (!web3.utils.isAddress(address)) {
+    throw httpError('Invalid Ethereum address', 400);
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+  const message = buildMessage({
+    address: web3.utils.toChecksumAddress(address),
+    statement: STATEMENTS[purpose],
+    nonce,
+    issuedAt,
+    expiresAt
+  });
+
+  await WalletChallenge.create({ nonce, address, purpose, user: userId, message, expiresAt });
+  return { message, nonce, expiresAt };
+}
+
+/**
+ * Check a signed challenge and use it up. The message must be the one issued,
+ * unchanged, and signed by the wallet it was issued to.
+ * @param {String} message - The signed message
+ * @param {String} signature - The signature
+ * @param {String} purpose - The purpose the challenge must have
+ * @param {String} [userId] - The user the challenge must have been issued to
+ * @returns {Promise<String>} The address, lowercase
+ * @throws {Error} With statusCode 400 when the challenge or the signature is invalid
+ */
+async function verifyChallenge(message, signature, purpose, userId) {
+  const nonceMatch = /^Nonce: ([0-9a-f]{32})$/m.exec(typeof message === 'string' ? message : '');
+  if (!nonceMatch || typeof signature !== 'string') {
+    throw httpError('Invalid signed message', 400);
+  }
+
+  const challenge = await WalletChallenge.findOne({ nonce: nonceMatch[1], purpose });
+  if (!challenge || challenge.message !== message || (userId && String(challenge.user) !== String(userId))) {
+    throw httpError('Invalid signed message', 400);
+  }
+  if (challenge.usedAt || challenge.expiresAt <= new Date()) {
+    throw httpError('This message has expired, please sign a new one', 400);
+  }
+
+  let signer;
+  try {
+    signer = web3.eth.accounts.recover(message, signature);
+  } catch (error) {
+    throw httpError('Invalid signature', 400);
+  }
+  if (signer.toLowerCase() !== challenge.address) {
+    throw httpError('The message was not signed by this wallet', 400);
+  }
+
+  // Marking the challenge used only if it still is not ensures it is used once
+  const used = await WalletChallenge.findOneAndUpdate(
+    { _id: challenge._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!used) {
+    throw httpError('This message has expired, please sign a new one', 400);
+  }
+  return challenge.address;
+}
+
+/**
+ * Check the proof that a user controls a wallet they want to link
+ * @param {String} userId - The user ID
+ * @param {String} ethereumAddress - The address to link
+ * @param {String} message - The signed link challenge
+ * @param {String} signature - The signature
+ * @returns {Promise<String>} The address, lowercase
+ */
+async function verifyOwnership(userId, ethereumAddress, message, signature) {
+  const address = await verifyChallenge(message, signature, 'link', userId);
+  if (!ethereumAddress || address !== ethereumAddress.toLowerCase()) {
+    throw httpError('The signed message is for another address', 400);
+  }
+  return address;
+}
+
+/**
+ * Link a wallet to a user's account, with the proof that the user controls it
+ * @param {String} userId - The user ID
+ * @param {String} ethereumAddress - The address to link
+ * @param {String} message - The signed link challenge
+ * @param {String} signature - The signature
+ * @returns {Promise<Object>} { user, previousAddress }
+ */
+async function linkAddress(userId, ethereumAddress, message, signature) {
+  const address = await verifyOwnership(userId, ethereumAddress, message, signature);
+
+  const previousUser = await User.findById(userId);
+  if (!previousUser) {
+    throw httpError('User not found', 404);
+  }
+
+  const linkedUser = await findUserByAddress(ethereumAddress);
+  if (linkedUser && String(linkedUser._id) !== String(userId)) {
+    throw httpError('This wallet is already linked to another account', 409);
+  }
+  if (await findOrganizationByAddress(ethereumAddress)) {
+    throw httpError('This wallet is linked to an organization', 409);
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { ethereumAddress }, { new: true });
+  logger.info(`Wallet ${address} linked to user ${userId} with a signed proof`);
+  return { user, previousAddress: previousUser.ethereumAddress };
+}
+
+/**
+ * Find the user a wallet is linked to. Addresses were stored as entered, so
+ * the comparison ignores case.
+ * @param {String} address - The address
+ * @returns {Promise<User|null>}
+ */
+async function findUserByAddress(address) {
+  if (!web3.utils.isAddress(address)) {
+    return null;
+  }
+  return User.findOne({ ethereumAddress: { $regex: `^${address}$`, $options: 'i' } });
+}
+
+/**
+ * Find the organization a wallet is linked to
+ * @param {String} address - The address
+ * @returns {Promise<Organization|null>}
+ */
+async function findOrganizationByAddress(address) {
+  if (!web3.utils.isAddress(address)) {
+    return null;
+  }
+  return Organization.findOne({ ethereumAddress: { $regex: `^${address}$`, $options: 'i' } });
+}
+
+/**
+ * Authenticate a wallet login
+ * @param {String} message - The signed login challenge
+ * @param {String} signature - The signature
+ * @returns {Promise<Object>} { address, user } where user is null if no account is linked to the wallet
+ */
+async function verifyLogin(message, signature) {
+  const address = await verifyChallenge(message, signature, 'login');
+  const user = await findUserByAddress(address);
+  return { address, user };
+}
+
+module.exports = {
+  createChallenge,
+  verifyOwnership,
+  linkAddress,
+  findUserByAddress,
+  findOrganizationByAddress,
+  verifyLogin
+};
@@ -10,6 +10,7 @@ const Web3 = require('web3');
 const contractABI = require('../config/contractABI.json');
 require('dotenv').config();
 const logger = require('../utils/logger');
+const { TRANSFER_STATES } = require('./TransferService');
 
 // Initialize Web3 instance
 const web3 = new Web3(new Web3.providers.HttpProvider(`https://sepolia.infura.io/v3/${process.env.INFURA_PROJECT_ID}`));
@@ -36,6 +37,16 @@ const statusEnum = {
   delivered: 7,
 };
 
+/**
+ * Mapping from user types to the roles granted to their addresses in the smart contract
+ */
+const roleByUserType = {
+  farmer: 'FARMER_ROLE',
+  distributor: 'DISTRIBUTOR_ROLE',
+  retailer: 'RETAILER_ROLE',
+  consumer: 'CONSUMER_ROLE',
+};
+
 /**
  * Nonce manager to handle transaction nonce
  */
@@ -129,6 +140,27 @@ async function sendTransaction(txObject, value = 0) {
   }
 }
 
+/**
+ * Decode a contract event from the raw logs of a transaction receipt
+ * @param {Object} receipt - The transaction receipt
+ * @param {string} eventName - The name of the event in the contract ABI
+ * @returns {Object|null} The decoded event values, or null if the event was not emitted
+ */
+function decodeEventFromReceipt(receipt, eventName) {
+  // Receipts of contract method calls come with their events already decoded
+  if (receipt.events && receipt.events[eventName]) {
+    const event = receipt.events[eventName];
+    return (Array.isArray(event) ? event[0] : event).returnValues;
+  }
+  const eventAbi = contractABI.find(item => item.type === 'event' && item.name === eventName);
+  const signature = web3.eth.abi.encodeEventSignature(eventAbi);
+  const log = (receipt.logs || []).find(entry => entry.topics[0] === signature);
+  if (!log) {
+    return null;
+  }
+  return web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1));
+}
+
 /**
  * Register a product on the blockchain
  * @param {Object} product - The product details
@@ -179,14 +211,19 @@ async function registerProductOnBlockchain(product) {
 /**
  * Update product status on the blockchain
  * @param {string} productId - The blockchain ID of the product
- * @param {number} newStatus - The new status as a number
+ * @param {number|string} newStatus - The new status as a number or a status name (e.g. 'Harvested')
  * @returns {Promise<Object>} A promise that resolves with the transaction result
  */
 async function updateProductStatusOnBlockchain(productId, newStatus) {
   try {
     console.log(`Updating product status on blockchain. Product ID: ${productId}, New Status: ${newStatus}`);
 
-    const txObject = contract.methods.updateProductStatus(productId, newStatus);
+    const statusIndex = typeof newStatus === 'string' ? statusEnum[newStatus.toLowerCase()] : newStatus;
+    if (statusIndex === undefined) {
+      throw new Error(`Invalid product status: ${newStatus}`);
+    }
+
+    const txObject = contract.methods.updateProductStatus(productId, statusIndex);
     const receipt = await sendTransaction(txObject);
 
     console.log('Product status updated successfully. Transaction receipt:', receipt);
@@ -204,6 +241,45 @@ async function updateProductStatusOnBlockchain(productId, newStatus) {
   }
 }
 
+/**
+ * Build the updateProductStatus transaction the owner of a product sends from their wallet
+ * @param {string} productId - The blockchain ID of the product
+ * @param {string} newStatus - The new status name (e.g. 'InTransit')
+ * @returns {Object} { to, data } of the transaction
+ */
+function getStatusUpdateTransaction(productId, newStatus) {
+  return {
+    to: contract.options.address,
+    data: contract.methods.updateProductStatus(productId, statusEnum[newStatus.toLowerCase()]).encodeABI()
+  };
+}
+
+/**
+ * Get the status update made by an updateProductStatus transaction sent from the owner's wallet
+ * @param {string} txHash - Hash of the updateProductStatus transaction
+ * @returns {Promise<Object>} { productId, oldStatus, newStatus, sender }, the statuses as Status enum
+ * values and the ID and address in lowercase, { pending: true } if the transaction is not mined yet, or { error }
+ */
+async function getStatusUpdateFromTransaction(txHash) {
+  const receipt = await web3.eth.getTransactionReceipt(txHash);
+  if (!receipt) {
+    return { pending: true };
+  }
+  const updated = receipt.status && receipt.to && receipt.to.toLowerCase() === contract.options.address.toLowerCase()
+    ? decodeEventFromReceipt(receipt, 'StatusUpdated')
+    : null;
+  if (!updated) {
+    return { error: 'The transaction did not update a product status' };
+  }
+
+  return {
+    productId: updated.productId.toLowerCase(),
+    oldStatus: parseInt(updated.oldStatus),
+    newStatus: parseInt(updated.newStatus),
+    sender: receipt.from.toLowerCase()
+  };
+}
+
 // Add this utility function to check if a string is a valid hex
 function isValidHex(hex) {
   return typeof hex === 'string' && hex.match(/^0x[0-9A-Fa-f]*$/);
@@ -270,7 +346,11 @@ async function initiateTransferOnBlockchain(productId, newOwnerUsername, quantit
     });
 
     console.log('Transaction hash:', result.transactionHash);
-    return { success: true, txHash: result.transactionHash };
+    const initiated = getInitiatedTransferFromReceipt(result);
+    if (initiated.error) {
+      return { success: false, error: initiated.error };
+    }
+    return { success: true, txHash: result.transactionHash, transferId: initiated.transferId };
   } catch (error) {
     console.error('Blockchain transaction error:', error);
     // Improved error handling
@@ -345,6 +425,99 @@ async function cancelTransferOnBlockchain(txHash, initiatorAddress) {
   }
 }
 
+/**
+ * Get a transfer from the blockchain
+ * @param {string} transferId - The blockchain ID of the transfer
+ * @returns {Promise<Object>} { productId, from, to, quantity, state }, state being one of TRANSFER_STATES
+ */
+async function getTransferFromBlockchain(transferId) {
+  const transfer = await contract.methods.pendingTransfers(transferId).call();
+  return {
+    productId: transfer.productId,
+    from: transfer.from,
+    to: transfer.to,
+    quantity: parseInt(transfer.quantity),
+    state: TRANSFER_STATES[parseInt(transfer.state)]
+  };
+}
+
+/**
+ * Extract the transfer initiated by a transaction from its receipt. The contract
+ * does not revert a rejected transfer but emits TransferError with the reason.
+ * @param {Object} receipt - The transaction receipt
+ * @returns {Object} { transferId, productId, quantity }, or { error } if no transfer was initiated
+ */
+function getInitiatedTransferFromReceipt(receipt) {
+  const initiated = decodeEventFromReceipt(receipt, 'TransferInitiated');
+  if (initiated) {
+    return {
+      transferId: initiated.transferId.toLowerCase(),
+      productId: initiated.productId.toLowerCase(),
+      from: initiated.from.toLowerCase(),
+      quantity: parseInt(initiated.quantity)
+    };
+  }
+  const rejected = decodeEventFromReceipt(receipt, 'TransferError');
+  return { error: rejected ? rejected.reason : 'The transaction did not initiate a transfer' };
+}
+
+/**
+ * Get the on-chain ID of the transfer initiated by a transaction sent from the user's wallet
+ * @param {string} txHash - Hash of the initiateTransfer transaction
+ * @returns {Promise<Object>} { transferId, productId, from, quantity }, { pending: true } if the
+ * transaction is not mined yet, or { error } if no transfer was initiated
+ */
+async function getTransferIdFromTransaction(txHash) {
+  const receipt = await web3.eth.getTransactionReceipt(txHash);
+  if (!receipt) {
+    return { pending: true };
+  }
+  if (!receipt.status || !receipt.to || receipt.to.toLowerCase() !== contractAddress.toLowerCase()) {
+    return { error: 'The transaction did not initiate a transfer' };
+  }
+  return getInitiatedTransferFromReceipt(receipt);
+}
+
+/**
+ * Get the blockchain ID of the product received by the buyer from the receipt of an acceptTransfer transaction
+ * @param {Object} receipt - The transaction receipt
+ * @returns {string|null} The transferred product ID, or the ID of the product split off it for a partial transfer
+ */
+function getReceivedProductIdFromReceipt(receipt) {
+  const accepted = decodeEventFromReceipt(receipt, 'TransferAccepted');
+  return accepted ? accepted.receivedProductId.toLowerCase() : null;
+}
+
+/**
+ * Get the lot created by a mergeProducts transaction sent from the user's wallet
+ * @param {string} txHash - Hash of the mergeProducts transaction
+ * @returns {Promise<Object>} { lotId, owner, sourceIds, quantity, batchNumber, productType, price },
+ * the price being in ETH, { pending: true } if the transaction is not mined yet, or { error }
+ */
+async function getMergeFromTransaction(txHash) {
+  const receipt = await web3.eth.getTransactionReceipt(txHash);
+  if (!receipt) {
+    return { pending: true };
+  }
+  const merged = receipt.status && receipt.to && receipt.to.toLowerCase() === contractAddress.toLowerCase()
+    ? decodeEventFromReceipt(receipt, 'ProductsMerged')
+    : null;
+  if (!merged) {
+    return { error: 'The transaction did not merge any products' };
+  }
+
+  const lot = await contract.methods.products(merged.lotId).call();
+  return {
+    lotId: merged.lotId,
+    owner: merged.owner,
+    sourceIds: merged.sourceIds,
+    quantity: parseInt(merged.quantity),
+    batchNumber: lot.batchNumber,
+    productType: lot.productType,
+    price: parseFloat(web3.utils.fromWei(lot.price, 'ether'))
+  };
+}
+
 
 /**
  * Get the details of a product from the blockchain
@@ -454,6 +627,131 @@ async function isUserRegistered(userIdentifier) {
   }
 }
 
+/**
+ * Get the role identifier used by the smart contract
+ * @param {string} roleName - The role name (e.g. 'FARMER_ROLE')
+ * @returns {string} The keccak256 hash of the role name
+ */
+function getRoleId(roleName) {
+  return web3.utils.keccak256(roleName);
+}
+
+/**
+ * Get the address of the platform account that signs backend transactions
+ * @returns {string} The Ethereum address
+ */
+function getPlatformAddress() {
+  return account.address;
+}
+
+/**
+ * Check if an address holds a role on the blockchain
+ * @param {string} roleName - The role name (e.g. 'FARMER_ROLE')
+ * @param {string} address - The Ethereum address to check
+ * @returns {Promise<boolean>} - Whether the address holds the role
+ */
+async function hasRoleOnBlockchain(roleName, address) {
+  return contract.methods.hasRole(getRoleId(roleName), address).call();
+}
+
+/**
+ * Grant a role to an address on the blockchain.
+ * The platform account must hold the admin role.
+ * @param {string} roleName - The role name (e.g. 'FARMER_ROLE')
+ * @param {string} address - The Ethereum address receiving the role
+ * @returns {Promise<Object>} - Resolves with the transaction result
+ */
+async function grantRoleOnBlockchain(roleName, address) {
+  try {
+    logger.info(`Granting ${roleName} to ${address} on blockchain`);
+
+    const txObject = contract.methods.grantRole(getRoleId(roleName), address);
+    const receipt = await sendTransaction(txObject);
+
+    return {
+      success: true,
+      txHash: receipt.transactionHash,
+      message: `${roleName} granted successfully on the blockchain.`
+    };
+  } catch (error) {
+    logger.error(`Error granting ${roleName} to ${address} on blockchain:`, error);
+    return {
+      success: false,
+      error: error.message || 'An error occurred during the blockchain transaction'
+    };
+  }
+}
+
+/**
+ * Revoke a role from an address on the blockchain.
+ * The platform account must hold the admin role.
+ * @param {string} roleName - The role name (e.g. 'FARMER_ROLE')
+ * @param {string} address - The Ethereum address losing the role
+ * @returns {Promise<Object>} - Resolves with the transaction result
+ */
+async function revokeRoleOnBlockchain(roleName, address) {
+  try {
+    logger.info(`Revoking ${roleName} from ${address} on blockchain`);
+
+    const txObject = contract.methods.revokeRole(getRoleId(roleName), address);
+    const receipt = await sendTransaction(txObject);
+
+    return {
+      success: true,
+      txHash: receipt.transactionHash,
+      message: `${roleName} revoked successfully on the blockchain.`
+    };
+  } catch (error) {
+    logger.error(`Error revoking ${roleName} from ${address} on blockchain:`, error);
+    return {
+      success: false,
+      error: error.message || 'An error occurred during the blockchain transaction'
+    };
+  }
+}
+
+/**
+ * Make the on-chain role of a user match their user type and Ethereum address.
+ * Grants the role to the new address if it does not hold it yet and revokes it
+ * from the previous address when the user switched wallets.
+ * @param {string} userType - The user type (farmer, distributor, retailer, consumer)
+ * @param {string} address - The user's current Ethereum address
+ * @param {string} [previousAddress] - The address the user had linked before
+ * @returns {Promise<Object>} - Resolves with the role and the grant/revoke transaction hashes
+ */
+async function syncUserRoleOnBlockchain(userType, address, previousAddress) {
+  const roleName = roleByUserType[userType];
+  if (!roleName) {
+    return { success: false, error: `No blockchain role for user type ${userType}` };
+  }
+
+  try {
+    const result = { success: true, role: roleName };
+
+    if (!(await hasRoleOnBlockchain(roleName, address))) {
+      const grantResult = await grantRoleOnBlockchain(roleName, address);
+      if (!grantResult.success) {
+        return grantResult;
+      }
+      result.grantTxHash = grantResult.txHash;
+    }
+
+    if (previousAddress && previousAddress.toLowerCase() !== address.toLowerCase() &&
+        await hasRoleOnBlockchain(roleName, previousAddress)) {
+      const revokeResult = await revokeRoleOnBlockchain(roleName, previousAddress);
+      if (!revokeResult.success) {
+        return revokeResult;
+      }
+      result.revokeTxHash = revokeResult.txHash;
+    }
+
+    return result;
+  } catch (error) {
+    logger.error(`Error syncing ${roleName} for ${address} on blockchain:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Check if a product exists on the blockchain
  * @param {string} productId - The blockchain ID of the product
@@ -489,7 +787,7 @@ async function acceptTransferOnBlockchain(transferId, distributorAddress) {
 
     // Check if the transfer exists and is pending
     const transferExists = await contract.methods.pendingTransfers(formattedTransferId).call();
-    if (!transferExists || transferExists.quantity === '0') {
+    if (!transferExists || TRANSFER_STATES[transferExists.state] !== 'pending') {
       logger.warn(`No pending transfer found for ID: ${formattedTransferId}`);
       return {
         success: false,
@@ -545,11 +843,11 @@ async function checkTransferStatus(txHash) {
     if (receipt.status) {
       // You might want to emit an event in your smart contract for transfers and check for that event here
       const transferEvent = receipt.logs.find(log => 
-        log.topics[0] === web3.utils.sha3("TransferInitiated(bytes32,address,address,uint256)") ||
-        log.topics[0] === web3.utils.sha3("TransferAccepted(bytes32,address,address,uint256)")
+        log.topics[0] === web3.utils.sha3("TransferInitiated(bytes32,bytes32,address,address,uint256)") ||
+        log.topics[0] === web3.utils.sha3("TransferAccepted(bytes32,bytes32,address,address,uint256,bytes32)")
       );
       if (transferEvent) {
-        const eventName = web3.utils.sha3("TransferAccepted(bytes32,address,address,uint256)");
+        const eventName = web3.utils.sha3("TransferAccepted(bytes32,bytes32,address,address,uint256,bytes32)");
         return transferEvent.topics[0] === eventName ? 'completed' : 'pending_acceptance';
       }
       return 'completed'; // The transaction was successful, but no transfer event was found
@@ -572,7 +870,7 @@ async function acceptTransferOnBlockchain(transferId, distributorAddress) {
     logger.info(`Accepting transfer on blockchain. Transfer ID: ${transferId}, Distributor Address: ${distributorAddress}`);
 
     const transferExists = await contract.methods.pendingTransfers(transferId).call();
-    if (!transferExists || transferExists.quantity === '0') {
+    if (!transferExists || TRANSFER_STATES[transferExists.state] !== 'pending') {
       logger.warn(`No pending transfer found for ID: ${transferId}`);
       return {
         success: false,
@@ -640,7 +938,7 @@ async function acceptTransferOnBlockchain(transferId, distributorAddress) {
     logger.info(`Formatted Transfer ID: ${formattedTransferId}`);
 
     const transferExists = await contract.methods.pendingTransfers(formattedTransferId).call();
-    if (!transferExists || transferExists.quantity === '0') {
+    if (!transferExists || TRANSFER_STATES[transferExists.state] !== 'pending') {
       logger.warn(`No pending transfer found for ID: ${formattedTransferId}`);
       return {
         success: false,
@@ -650,11 +948,15 @@ async function acceptTransferOnBlockchain(transferId, distributorAddress) {
 
     logger.info('Transfer exists on blockchain:', transferExists);
 
-    const gasEstimate = await contract.methods.acceptTransfer(formattedTransferId).estimateGas({ from: distributorAddress });
+    // The payment for the transferred quantity is held in escrow until delivery is confirmed
+    const value = await getEscrowPaymentAmount(formattedTransferId);
+
+    const gasEstimate = await contract.methods.acceptTransfer(formattedTransferId).estimateGas({ from: distributorAddress, value });
     logger.info(`Estimated gas: ${gasEstimate}`);
 
     const result = await contract.methods.acceptTransfer(formattedTransferId).send({
       from: distributorAddress,
+      value,
       gas: Math.floor(gasEstimate * 1.2) // Add 20% buffer
     });
 
@@ -662,6 +964,8 @@ async function acceptTransferOnBlockchain(transferId, distributorAddress) {
     return {
       success: true,
       txHash: result.transactionHash,
+      escrow: getEscrowDepositFromReceipt(result),
+      receivedProductId: getReceivedProductIdFromReceipt(result),
       message: 'Transfer accepted successfully on the blockchain.'
     };
   } catch (error) {
@@ -754,6 +1058,233 @@ async function updateProductInfoOnBlockchain(productId, updatedInfo) {
   }
 }
 
+/**
+ * Get the quality check anchored by a recordQualityCheck transaction sent from the user's wallet
+ * @param {string} txHash - Hash of the recordQualityCheck transaction
+ * @returns {Promise<Object>} { productId, checkIndex, checker, result, parametersHash }, the IDs and
+ * addresses in lowercase, { pending: true } if the transaction is not mined yet, or { error }
+ */
+async function getQualityCheckFromTransaction(txHash) {
+  const receipt = await web3.eth.getTransactionReceipt(txHash);
+  if (!receipt) {
+    return { pending: true };
+  }
+  const recorded = receipt.status && receipt.to && receipt.to.toLowerCase() === contractAddress.toLowerCase()
+    ? decodeEventFromReceipt(receipt, 'QualityCheckRecorded')
+    : null;
+  if (!recorded) {
+    return { error: 'The transaction did not record a quality check' };
+  }
+
+  return {
+    productId: recorded.productId.toLowerCase(),
+    checkIndex: parseInt(recorded.checkIndex),
+    checker: recorded.checker.toLowerCase(),
+    result: parseInt(recorded.result),
+    parametersHash: recorded.parametersHash.toLowerCase()
+  };
+}
+
+/**
+ * Recall a product and every product split off or merged from it on the blockchain
+ * @param {string} productId - The blockchain ID of the product
+ * @param {number} severity - The RecallSeverity enum value (0 = Low, 1 = Medium, 2 = High)
+ * @param {string} reason - The reason of the recall
+ * @returns {Promise<Object>} A promise that resolves with the transaction result
+ */
+async function recallProductOnBlockchain(productId, severity, reason) {
+  try {
+    logger.info(`Recalling product on blockchain. Product ID: ${productId}, Severity: ${severity}`);
+
+    const formattedProductId = convertToBytes32(productId);
+    const txObject = contract.methods.recallProduct(formattedProductId, severity, reason);
+    const receipt = await sendTransaction(txObject);
+
+    if (!decodeEventFromReceipt(receipt, 'ProductRecalled')) {
+      throw new Error('ProductRecalled event not found in transaction receipt');
+    }
+
+    logger.info('Product recalled successfully on blockchain. Transaction hash:', receipt.transactionHash);
+    return {
+      success: true,
+      txHash: receipt.transactionHash,
+      message: 'Product recalled successfully on the blockchain.'
+    };
+  } catch (error) {
+    logger.error('Error recalling product on blockchain:', error);
+    return {
+      success: false,
+      error: error.message || 'An error occurred during the blockchain transaction'
+    };
+  }
+}
+
+/**
+ * Get the quality checks recorded for a product on the blockchain
+ * @param {string} productId - The blockchain ID of the product
+ * @returns {Promise<Object>} - Resolves with the quality checks, oldest first
+ */
+async function getQualityChecksFromBlockchain(productId) {
+  try {
+    const formattedProductId = convertToBytes32(productId);
+    const checks = await contract.methods.getQualityChecks(formattedProductId).call();
+
+    return {
+      success: true,
+      qualityChecks: checks.map((check, index) => ({
+        checkIndex: index,
+        checker: check.checker,
+        result: parseInt(check.result),
+        parametersHash: check.parametersHash,
+        timestamp: new Date(parseInt(check.timestamp) * 1000).toISOString()
+      }))
+    };
+  } catch (error) {
+    logger.error(`Error getting quality checks for product ${productId}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Anchor the Merkle root of a batch of sensor readings of a product on the blockchain
+ * @param {string} productId - The blockchain ID of the product
+ * @param {string} merkleRoot - Root of the Merkle tree of the reading hashes
+ * @param {Date} windowStart - Start of the time window of the readings
+ * @param {Date} windowEnd - End of the time window of the readings
+ * @param {number} readingCount - Number of readings in the batch
+ * @returns {Promise<Object>} A promise that resolves with the transaction result and the anchor index
+ */
+async function anchorSensorDataOnBlockchain(productId, merkleRoot, windowStart, windowEnd, readingCount) {
+  try {
+    logger.info(`Anchoring sensor data on blockchain. Product ID: ${productId}, Readings: ${readingCount}`);
+
+    const formattedProductId = convertToBytes32(productId);
+    const txObject = contract.methods.anchorSensorData(
+      formattedProductId,
+      merkleRoot,
+      Math.floor(windowStart.getTime() / 1000),
+      Math.floor(windowEnd.getTime() / 1000),
+      readingCount
+    );
+    const receipt = await sendTransaction(txObject);
+
+    const event = decodeEventFromReceipt(receipt, 'SensorDataAnchored');
+    if (!event) {
+      throw new Error('SensorDataAnchored event not found in transaction receipt');
+    }
+
+    logger.info('Sensor data anchored successfully on blockchain. Transaction hash:', receipt.transactionHash);
+    return {
+      success: true,
+      txHash: receipt.transactionHash,
+      anchorIndex: parseInt(event.anchorIndex),
+      message: 'Sensor data anchored successfully on the blockchain.'
+    };
+  } catch (error) {
+    logger.error('Error anchoring sensor data on blockchain:', error);
+    return {
+      success: false,
+      error: error.message || 'An error occurred during the blockchain transaction'
+    };
+  }
+}
+
+/**
+ * Get a batch of sensor readings anchored for a product on the blockchain
+ * @param {string} productId - The blockchain ID of the product
+ * @param {number} anchorIndex - Index of the batch
+ * @returns {Promise<Object>} { success, anchor: { merkleRoot, windowStart, windowEnd, readingCount, timestamp } }
+ */
+async function getSensorAnchorFromBlockchain(productId, anchorIndex) {
+  try {
+    const formattedProductId = convertToBytes32(productId);
+    const anchor = await contract.methods.sensorAnchors(formattedProductId, anchorIndex).call();
+
+    return {
+      success: true,
+      anchor: {
+        merkleRoot: anchor.merkleRoot.toLowerCase(),
+        windowStart: new Date(parseInt(anchor.windowStart) * 1000).toISOString(),
+        windowEnd: new Date(parseInt(anchor.windowEnd) * 1000).toISOString(),
+        readingCount: parseInt(anchor.readingCount),
+        timestamp: new Date(parseInt(anchor.timestamp) * 1000).toISOString()
+      }
+    };
+  } catch (error) {
+    logger.error(`Error getting sensor anchor ${anchorIndex} of product ${productId}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the payment a buyer has to deposit in escrow to accept a pending transfer
+ * @param {string} transferId - The blockchain ID of the pending transfer
+ * @returns {Promise<string>} The price of the transferred quantity in wei
+ */
+async function getEscrowPaymentAmount(transferId) {
+  const pendingTransfer = await contract.methods.pendingTransfers(transferId).call();
+  const product = await contract.methods.products(pendingTransfer.productId).call();
+  return web3.utils.toBN(product.price).mul(web3.utils.toBN(pendingTransfer.quantity)).toString();
+}
+
+/**
+ * Extract the escrow deposit from the receipt of an acceptTransfer transaction
+ * @param {Object} receipt - The transaction receipt
+ * @returns {Object|null} { escrowId, amountWei, deadline, txHash, blockNumber }, or null if no payment was deposited
+ */
+function getEscrowDepositFromReceipt(receipt) {
+  const deposit = decodeEventFromReceipt(receipt, 'EscrowDeposited');
+  if (!deposit) {
+    return null;
+  }
+  return {
+    escrowId: deposit.escrowId,
+    amountWei: deposit.amount,
+    deadline: new Date(parseInt(deposit.deadline) * 1000),
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber
+  };
+}
+
+/**
+ * Get an escrowed payment from the blockchain
+ * @param {string} escrowId - Blockchain ID of the transfer paid through the escrow
+ * @returns {Promise<Object>} { productId, buyer, seller, amountWei, quantity, deadline, state }
+ */
+async function getEscrowFromBlockchain(escrowId) {
+  const escrow = await contract.methods.escrows(escrowId).call();
+  return {
+    productId: escrow.productId,
+    buyer: escrow.buyer,
+    seller: escrow.seller,
+    amountWei: escrow.amount,
+    quantity: parseInt(escrow.quantity),
+    deadline: new Date(parseInt(escrow.deadline) * 1000),
+    state: parseInt(escrow.state)
+  };
+}
+
+/**
+ * Check that a mined transaction settled an escrow, used to confirm settlements
+ * sent from the user's wallet
+ * @param {string} txHash - Hash of the settlement transaction
+ * @param {string} escrowId - Blockchain ID of the transfer paid through the escrow
+ * @param {string} eventName - EscrowReleased or EscrowRefunded
+ * @returns {Promise<Object|null>} The decoded event values and the blockNumber of the transaction,
+ *   or null if the transaction did not settle the escrow
+ */
+async function verifyEscrowSettlement(txHash, escrowId, eventName) {
+  const receipt = await web3.eth.getTransactionReceipt(txHash);
+  if (!receipt || !receipt.status || !receipt.to || receipt.to.toLowerCase() !== contract.options.address.toLowerCase()) {
+    return null;
+  }
+  const settlement = decodeEventFromReceipt(receipt, eventName);
+  if (!settlement || settlement.escrowId.toLowerCase() !== escrowId.toLowerCase()) {
+    return null;
+  }
+  return { ...settlement, blockNumber: receipt.blockNumber };
+}
+
 /**
  * Get the transaction history for a user (farmer or distributor)
  * @param {string} userAddress - The Ethereum address of the user
@@ -896,9 +1427,14 @@ async function initiateTransferToRetailer(productId, retailerId, quantity) {
     });
 
     logger.info('Transfer initiated successfully. Transaction receipt:', receipt);
+    const initiated = getInitiatedTransferFromReceipt(receipt);
+    if (initiated.error) {
+      return { success: false, error: initiated.error };
+    }
     return {
       success: true,
       txHash: receipt.transactionHash,
+      transferId: initiated.transferId,
       message: 'Transfer initiated successfully on the blockchain.'
     };
   } catch (error) {
@@ -943,7 +1479,11 @@ async function initiateDistributorTransferOnBlockchain(productId, retailerIdenti
     });
 
     console.log('Transaction hash:', result.transactionHash);
-    return { success: true, txHash: result.transactionHash };
+    const initiated = getInitiatedTransferFromReceipt(result);
+    if (initiated.error) {
+      return { success: false, error: initiated.error };
+    }
+    return { success: true, txHash: result.transactionHash, transferId: initiated.transferId };
   } catch (error) {
     console.error('Blockchain transaction error:', error);
     return { success: false, error: error.message };
@@ -971,7 +1511,7 @@ async function acceptTransferAsRetailer(transferId, retailerAddress) {
     logger.info(`Formatted Transfer ID: ${formattedTransferId}`);
 
     const transferExists = await contract.methods.pendingTransfers(formattedTransferId).call();
-    if (!transferExists || transferExists.quantity === '0') {
+    if (!transferExists || TRANSFER_STATES[transferExists.state] !== 'pending') {
       logger.warn(`No pending transfer found for ID: ${formattedTransferId}`);
       return {
         success: false,
@@ -979,11 +1519,15 @@ async function acceptTransferAsRetailer(transferId, retailerAddress) {
       };
     }
 
-    const gasEstimate = await contract.methods.acceptTransfer(formattedTransferId).estimateGas({ from: retailerAddress });
+    // The payment for the transferred quantity is held in escrow until delivery is confirmed
+    const value = await getEscrowPaymentAmount(formattedTransferId);
+
+    const gasEstimate = await contract.methods.acceptTransfer(formattedTransferId).estimateGas({ from: retailerAddress, value });
     logger.info(`Estimated gas for retailer transfer acceptance: ${gasEstimate}`);
 
     const result = await contract.methods.acceptTransfer(formattedTransferId).send({
       from: retailerAddress,
+      value,
       gas: Math.floor(gasEstimate * 1.2) // Add 20% buffer
     });
 
@@ -991,6 +1535,8 @@ async function acceptTransferAsRetailer(transferId, retailerAddress) {
     return {
       success: true,
       txHash: result.transactionHash,
+      escrow: getEscrowDepositFromReceipt(result),
+      receivedProductId: getReceivedProductIdFromReceipt(result),
       message: 'Transfer accepted successfully by retailer on the blockchain.'
     };
   } catch (error) {
@@ -1066,25 +1612,16 @@ async function initiateRetailerToConsumerTransfer(productId, consumerId, quantit
     const receipt = await sendTransaction(txObject, 0, Math.floor(gasEstimate * 1.2));
 
     logger.info('Transfer to consumer initiated successfully by retailer. Transaction receipt:', receipt);
-    
-    // Create a new transfer record in the database
-    const transfer = await Transfer.createTransfer({
-      product: productId,
-      fromUser: account.address, // Assuming the account is the retailer
-      toUser: consumerId,
-      quantity: quantity,
-      fromUserType: 'retailer',
-      toUserType: 'consumer',
-      status: 'pending',
-      blockchainTx: receipt.transactionHash,
-      blockchainStatus: 'confirmed',
-      transferDetails: `Initiated transfer of ${quantity} units to consumer`
-    });
+    const initiated = getInitiatedTransferFromReceipt(receipt);
+    if (initiated.error) {
+      return { success: false, error: initiated.error };
+    }
+
 
     return { 
       success: true, 
       txHash: receipt.transactionHash,
-      transferId: transfer._id,
+      transferId: initiated.transferId,
       message: 'Transfer to consumer initiated successfully by retailer on the blockchain.'
     };
   } catch (error) {
@@ -1199,16 +1736,21 @@ async function getRetailerProductQualityMetrics(productId) {
   try {
     logger.info(`Getting quality metrics for product: ${productId}`);
 
-    const formattedProductId = convertToBytes32(productId);
-    const qualityData = await contract.methods.getProductQualityData(formattedProductId).call();
+    const result = await getQualityChecksFromBlockchain(productId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
 
+    const qualityChecks = result.qualityChecks;
     const metrics = {
-      averageRating: parseFloat(qualityData.averageRating),
-      totalRatings: parseInt(qualityData.totalRatings),
-      qualityChecks: qualityData.qualityChecks.map(check => ({
-        date: new Date(parseInt(check.date) * 1000),
-        passed: check.passed,
-        details: check.details
+      totalChecks: qualityChecks.length,
+      passedChecks: qualityChecks.filter(check => check.result === 1).length,
+      failedChecks: qualityChecks.filter(check => check.result === 2).length,
+      qualityChecks: qualityChecks.map(check => ({
+        date: new Date(check.timestamp),
+        passed: check.result === 1,
+        checker: check.checker,
+        parametersHash: check.parametersHash
       }))
     };
 
@@ -1249,11 +1791,11 @@ async function checkTransferStatus(txHash) {
     if (receipt.status) {
       // You might want to emit an event in your smart contract for transfers and check for that event here
       const transferEvent = receipt.logs.find(log => 
-        log.topics[0] === web3.utils.sha3("TransferInitiated(bytes32,address,address,uint256)") ||
-        log.topics[0] === web3.utils.sha3("TransferAccepted(bytes32,address,address,uint256)")
+        log.topics[0] === web3.utils.sha3("TransferInitiated(bytes32,bytes32,address,address,uint256)") ||
+        log.topics[0] === web3.utils.sha3("TransferAccepted(bytes32,bytes32,address,address,uint256,bytes32)")
       );
       if (transferEvent) {
-        const eventName = web3.utils.sha3("TransferAccepted(bytes32,address,address,uint256)");
+        const eventName = web3.utils.sha3("TransferAccepted(bytes32,bytes32,address,address,uint256,bytes32)");
         return transferEvent.topics[0] === eventName ? 'completed' : 'pending_acceptance';
       }
       return 'completed'; // The transaction was successful, but no transfer event was found
@@ -1325,8 +1867,8 @@ async function checkTransferExistsOnBlockchain(transferId) {
   try {
     const formattedTransferId = web3.utils.padLeft(web3.utils.toHex(transferId), 64);
     const transferData = await contract.methods.pendingTransfers(formattedTransferId).call();
-    // Check if the transfer exists (you may need to adjust this condition based on your smart contract implementation)
-    return transferData.quantity !== '0';
+    // Accepted and cancelled transfers are kept in the contract, only pending ones can be acted upon
+    return TRANSFER_STATES[transferData.state] === 'pending';
   } catch (error) {
     console.error('Error checking transfer on blockchain:', error);
     return false;
@@ -1353,12 +1895,15 @@ async function acceptTransferAsConsumer(transferId, consumerAddress) {
       return { success: false, error: 'No pending transfer found on the blockchain', notFound: true };
     }
 
-    // If transfer exists, proceed with acceptance
-    const gasEstimate = await contract.methods.acceptTransfer(formattedTransferId).estimateGas({ from: consumerAddress });
+    // If transfer exists, proceed with acceptance, holding the payment in escrow until delivery is confirmed
+    const value = await getEscrowPaymentAmount(formattedTransferId);
+
+    const gasEstimate = await contract.methods.acceptTransfer(formattedTransferId).estimateGas({ from: consumerAddress, value });
     console.log(`Estimated gas for consumer transfer acceptance: ${gasEstimate}`);
 
     const result = await contract.methods.acceptTransfer(formattedTransferId).send({
       from: consumerAddress,
+      value,
       gas: Math.floor(gasEstimate * 1.2) // Add 20% buffer
     });
 
@@ -1366,6 +1911,8 @@ async function acceptTransferAsConsumer(transferId, consumerAddress) {
     return {
       success: true,
       txHash: result.transactionHash,
+      escrow: getEscrowDepositFromReceipt(result),
+      receivedProductId: getReceivedProductIdFromReceipt(result),
       message: 'Transfer accepted successfully by consumer on the blockchain.'
     };
   } catch (error) {
@@ -1584,23 +2131,44 @@ web3.eth.net.isListening()
   .catch(e => logger.error('Failed to connect to blockchain node:', { error: e }));
 
   module.exports = {
+    web3,
+    contract,
     registerProductOnBlockchain,
     updateProductStatusOnBlockchain,
+    getStatusUpdateTransaction,
+    getStatusUpdateFromTransaction,
     convertToBytes32,
     initWeb3,
     initiateTransferOnBlockchain,
     cancelTransferOnBlockchain,
+    getTransferFromBlockchain,
+    getTransferIdFromTransaction,
+    getMergeFromTransaction,
+    recallProductOnBlockchain,
     getProductFromBlockchain,
     getTransactionReceipt,
     getBalance,
     registerUserOnBlockchain,
     isUserRegistered,
     productExists,
+    getRoleId,
+    getPlatformAddress,
+    hasRoleOnBlockchain,
+    grantRoleOnBlockchain,
+    revokeRoleOnBlockchain,
+    syncUserRoleOnBlockchain,
     // Distributors functions
     checkTransferStatus,
     acceptTransferOnBlockchain,          // New function for distributors
     syncProductWithBlockchain,
     updateProductInfoOnBlockchain,       // New function for distributors
+    getQualityCheckFromTransaction,
+    getQualityChecksFromBlockchain,
+    anchorSensorDataOnBlockchain,
+    getSensorAnchorFromBlockchain,
+    getEscrowPaymentAmount,
+    getEscrowFromBlockchain,
+    verifyEscrowSettlement,
     acceptTransfer,
     getTransactionHistory,
     getPendingTransfersFromBlockchain,
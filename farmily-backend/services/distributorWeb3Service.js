@@ -27,6 +27,13 @@ const statusEnum = {
   "delivered": 7
 };
 
+// Quality check result enum, in the order of QualityResult in the contract
+const qualityResultEnum = {
+  "pending": 0,
+  "passed": 1,
+  "failed": 2
+};
+
 // Handle nonces
 let nonce = null;
 
@@ -189,33 +196,36 @@ async function transferOwnershipOnBlockchain(productId, recipientUsername, quant
 }
 /**
  * Record a quality check for a product on the blockchain.
- * @param {string} productId - The ID of the product to check.
- * @param {string} status - The status of the quality check.
- * @param {string} notes - Additional notes for the quality check.
- * @returns {Promise<Object>} - Resolves with the transaction result.
+ * @param {string} productId - The blockchain ID of the product to check.
+ * @param {string} status - The result of the quality check ('Pending', 'Passed' or 'Failed').
+ * @param {string} parametersHash - The keccak256 hash of the quality check data stored off-chain.
+ * @returns {Promise<Object>} - Resolves with the transaction result and the index of the check.
  */
-async function recordQualityCheckOnBlockchain(productId, status, notes) {
+async function recordQualityCheckOnBlockchain(productId, status, parametersHash) {
   try {
     const pendingTxCount = await checkPendingTransactions();
     if (pendingTxCount > 0) {
       console.log(`There are ${pendingTxCount} pending transactions. Waiting for them to clear...`);
     }
 
-    const hashedProductId = hashProductId(productId);
-    const statusIndex = statusEnum[status.toLowerCase()] || 0;
+    const result = qualityResultEnum[status.toLowerCase()];
+    if (result === undefined) {
+      throw new Error(`Invalid quality check status: ${status}`);
+    }
 
-    const gasEstimate = await contract.methods.recordQualityCheck(hashedProductId, statusIndex, notes)
+    const gasEstimate = await contract.methods.recordQualityCheck(productId, result, parametersHash)
       .estimateGas({ from: account.address });
 
-    const result = await contract.methods.recordQualityCheck(hashedProductId, statusIndex, notes)
+    const receipt = await contract.methods.recordQualityCheck(productId, result, parametersHash)
       .send({
         from: account.address,
         gas: Math.floor(gasEstimate * 1.5),
         nonce: await getNonce()
       });
 
-    console.log('Quality check recorded successfully on blockchain. Transaction hash:', result.transactionHash);
-    return { success: true, txHash: result.transactionHash };
+    const checkIndex = parseInt(receipt.events.QualityCheckRecorded.returnValues.checkIndex);
+    console.log('Quality check recorded successfully on blockchain. Transaction hash:', receipt.transactionHash);
+    return { success: true, txHash: receipt.transactionHash, checkIndex };
   } catch (error) {
     console.error('Error recording quality check on blockchain:', error);
     return { success: false, error: error.message };
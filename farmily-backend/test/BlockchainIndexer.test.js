@@ -0,0 +1,150 @@
+const assert = require('assert');
+const BlockchainIndexer = require('../services/BlockchainIndexer');
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const Transaction = require('../models/Transaction');
+const User = require('../models/user.js');
+const memoryDatabase = require('./support/memoryDatabase');
+const chain = require('./support/contract');
+
+memoryDatabase.install();
+
+describe('BlockchainIndexer', function() {
+  // Compiling the contract takes a while on the first deployment
+  this.timeout(120000);
+
+  let contract;
+  let farmer;
+  let distributor;
+  let product;
+  let indexer;
+
+  /**
+   * Create a user linked to an account registered on the contract
+   */
+  async function createUser(web3, account, userType, role) {
+    await contract.methods.grantRole(await contract.methods[role]().call(), account).send({ from: (await web3.eth.getAccounts())[0] });
+    await contract.methods.registerUser(`${userType}-id`).send({ from: account, gas: 500000 });
+    return User.create({
+      userType,
+      firstName: userType,
+      lastName: 'Test',
+      username: userType,
+      email: `${userType}@example.com`,
+      password: 'secret',
+      uniqueIdentifier: `${userType}-id`,
+      ethereumAddress: account
+    });
+  }
+
+  async function initiateTransfer(quantity) {
+    const receipt = await contract.methods.initiateTransfer(product.blockchainId, 'distributor-id', quantity)
+      .send({ from: farmer.ethereumAddress, gas: 500000 });
+    return receipt.events.TransferInitiated.returnValues.transferId;
+  }
+
+  const reload = () => Product.findById(product._id);
+
+  beforeEach(async function() {
+    memoryDatabase.clear();
+    const deployment = await chain.deploy();
+    contract = deployment.contract;
+    const { web3, accounts } = deployment;
+    const startBlock = await web3.eth.getBlockNumber();
+
+    farmer = await createUser(web3, accounts[1], 'farmer', 'FARMER_ROLE');
+    distributor = await createUser(web3, accounts[2], 'distributor', 'DISTRIBUTOR_ROLE');
+
+    product = await Product.create({
+      type: 'Apples',
+      origin: 'Test farm',
+      productionDate: new Date('2024-01-01'),
+      batchNumber: 'BATCH-1',
+      quantity: 100,
+      price: 1,
+      currentOwner: farmer._id,
+      originalOwner: farmer._id
+    });
+    await contract.methods.createProduct('BATCH-1', 'Apples', 'Test farm', 1, 100, 1)
+      .send({ from: farmer.ethereumAddress, gas: 500000 });
+
+    indexer = new BlockchainIndexer({ web3, contract, startBlock });
+    await indexer.pollOnce();
+    product = await reload();
+    assert.ok(product.blockchainId, 'ProductCreated links the product');
+  });
+
+  it('replays the transfers of the canonical chain once after a reorganisation', async function() {
+    const fork = await chain.snapshot();
+    await initiateTransfer(30);
+    await indexer.pollOnce();
+    assert.strictEqual((await reload()).quantity, 70);
+
+    // The canonical chain reuses the transfer ID of the orphaned transfer for another quantity
+    await chain.revert(fork);
+    const firstId = await initiateTransfer(10);
+    await initiateTransfer(5);
+    await indexer.pollOnce();
+
+    assert.strictEqual((await reload()).quantity, 85);
+    const transfers = await Transfer.find({}).sort({ quantity: 1 });
+    assert.deepStrictEqual(transfers.map(transfer => transfer.quantity), [5, 10]);
+    assert.strictEqual((await Transfer.findOne({ blockchainTransferId: firstId.toLowerCase() })).quantity, 10);
+  });
+
+  it('deletes the transfers initiated by orphaned transactions', async function() {
+    const fork = await chain.snapshot();
+    await initiateTransfer(30);
+    await indexer.pollOnce();
+    assert.strictEqual((await Transfer.find({})).length, 1);
+
+    await chain.revert(fork);
+    await chain.mine(3);
+    await indexer.pollOnce();
+
+    assert.strictEqual((await reload()).quantity, 100);
+    assert.strictEqual((await Transfer.find({})).length, 0);
+  });
+
+  it('reopens a transfer whose cancellation was orphaned', async function() {
+    const transferId = await initiateTransfer(20);
+    await indexer.pollOnce();
+
+    const fork = await chain.snapshot();
+    await contract.methods.cancelTransfer(transferId).send({ from: farmer.ethereumAddress, gas: 500000 });
+    await indexer.pollOnce();
+    assert.strictEqual((await reload()).quantity, 100);
+
+    await chain.revert(fork);
+    await chain.mine(3);
+    await indexer.pollOnce();
+
+    const transfer = await Transfer.findOne({ blockchainTransferId: transferId.toLowerCase() });
+    assert.strictEqual(transfer.status, 'pending');
+    assert.strictEqual((await reload()).quantity, 80);
+  });
+
+  it('deletes the product split off by an orphaned acceptance', async function() {
+    const transferId = await initiateTransfer(40);
+    await indexer.pollOnce();
+
+    const fork = await chain.snapshot();
+    // The distributor pays the price of the quantity, 1 wei per unit
+    await contract.methods.acceptTransfer(transferId).send({ from: distributor.ethereumAddress, value: 40, gas: 1000000 });
+    await indexer.pollOnce();
+    const transfer = await Transfer.findOne({ blockchainTransferId: transferId.toLowerCase() });
+    assert.strictEqual(transfer.status, 'completed');
+    assert.strictEqual((await Product.find({ parents: product._id })).length, 1);
+
+    await chain.revert(fork);
+    await chain.mine(3);
+    await indexer.pollOnce();
+
+    const reopened = await Transfer.findById(transfer._id);
+    assert.strictEqual(reopened.status, 'pending');
+    assert.strictEqual(reopened.receivedProduct, undefined);
+    assert.strictEqual((await Product.find({ parents: product._id })).length, 0);
+    assert.strictEqual((await reload()).children.length, 0);
+    assert.strictEqual((await Transaction.find({ transferId: transfer._id })).length, 0);
+  });
+});
@@ -0,0 +1,227 @@
+// Loaded first, as it sets the platform account Web3Service loads
+const web3Service = require('./support/web3Service');
+const assert = require('assert');
+const EscrowService = require('../services/EscrowService');
+const Web3Service = require('../services/Web3Service');
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const Transaction = require('../models/Transaction');
+const User = require('../models/user.js');
+const memoryDatabase = require('./support/memoryDatabase');
+const chain = require('./support/contract');
+
+memoryDatabase.install();
+
+describe('Escrow', function() {
+  // Compiling the contract takes a while on the first deployment
+  this.timeout(120000);
+
+  let web3;
+  let contract;
+  let farmer;
+  let distributor;
+  let transferId;
+  let transfer;
+
+  /**
+   * Create a user linked to an account registered on the contract
+   */
+  async function createUser(account, userType, role) {
+    await contract.methods.grantRole(await contract.methods[role]().call(), account).send({ from: (await web3.eth.getAccounts())[0] });
+    await contract.methods.registerUser(`${userType}-id`).send({ from: account, gas: 500000 });
+    return User.create({
+      userType,
+      firstName: userType,
+      lastName: 'Test',
+      username: userType,
+      email: `${userType}@example.com`,
+      password: 'secret',
+      uniqueIdentifier: `${userType}-id`,
+      ethereumAddress: account
+    });
+  }
+
+  /**
+   * Accept the transfer, depositing its price in escrow, and record the deposit like the accept routes do
+   */
+  async function acceptTransfer() {
+    const receipt = await contract.methods.acceptTransfer(transferId)
+      .send({ from: distributor.ethereumAddress, value: 40, gas: 1000000 });
+    const deposit = receipt.events.EscrowDeposited.returnValues;
+
+    const receivedProduct = await Product.create({
+      type: 'Apples',
+      origin: 'Test farm',
+      productionDate: new Date('2024-01-01'),
+      batchNumber: 'BATCH-1',
+      quantity: 40,
+      price: 1,
+      blockchainId: receipt.events.TransferAccepted.returnValues.receivedProductId,
+      currentOwner: distributor._id,
+      originalOwner: farmer._id
+    });
+    transfer.status = 'completed';
+    transfer.receivedProduct = receivedProduct._id;
+    await Transaction.create({
+      productId: receivedProduct._id,
+      fromId: farmer._id,
+      toId: distributor._id,
+      quantity: 40,
+      transactionType: 'Transfer Accepted',
+      transferId: transfer._id
+    });
+    return EscrowService.recordDeposit(transfer, {
+      escrowId: deposit.escrowId,
+      amountWei: deposit.amount,
+      deadline: new Date(parseInt(deposit.deadline) * 1000),
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    });
+  }
+
+  /**
+   * Check a settlement transaction and record it like the escrow routes do
+   */
+  async function settle(receipt, eventName) {
+    const settlement = await Web3Service.verifyEscrowSettlement(receipt.transactionHash, transfer.escrow.escrowId, eventName);
+    assert.ok(settlement, `${eventName} settles the escrow`);
+    assert.ok(await EscrowService.canSettle(transfer, receipt.transactionHash, settlement.blockNumber));
+    return eventName === 'EscrowReleased'
+      ? EscrowService.recordRelease(transfer, receipt.transactionHash)
+      : EscrowService.recordRefund(transfer, receipt.transactionHash);
+  }
+
+  const escrowState = async () => EscrowService.ESCROW_STATES[Number((await contract.methods.escrows(transferId).call()).state)];
+
+  const balanceOf = async (user) => web3.utils.toBN(await web3.eth.getBalance(user.ethereumAddress));
+
+  beforeEach(async function() {
+    memoryDatabase.clear();
+    const deployment = await chain.deploy();
+    ({ web3, contract } = deployment);
+    const { accounts } = deployment;
+    web3Service.useContract(contract);
+
+    farmer = await createUser(accounts[1], 'farmer', 'FARMER_ROLE');
+    distributor = await createUser(accounts[2], 'distributor', 'DISTRIBUTOR_ROLE');
+
+    // 1 wei per unit, so the distributor deposits 40 wei for 40 units
+    const created = await contract.methods.createProduct('BATCH-1', 'Apples', 'Test farm', 1, 100, 1)
+      .send({ from: farmer.ethereumAddress, gas: 500000 });
+    const { productId } = created.events.ProductCreated.returnValues;
+    const initiated = await contract.methods.initiateTransfer(productId, 'distributor-id', 40)
+      .send({ from: farmer.ethereumAddress, gas: 500000 });
+    transferId = initiated.events.TransferInitiated.returnValues.transferId;
+
+    const product = await Product.create({
+      type: 'Apples',
+      origin: 'Test farm',
+      productionDate: new Date('2024-01-01'),
+      batchNumber: 'BATCH-1',
+      quantity: 60,
+      price: 1,
+      blockchainId: productId,
+      currentOwner: farmer._id,
+      originalOwner: farmer._id
+    });
+    transfer = await Transfer.create({
+      product: product._id,
+      fromUser: farmer._id,
+      toUser: distributor._id,
+      fromUserType: 'farmer',
+      toUserType: 'distributor',
+      quantity: 40,
+      blockchainTx: initiated.transactionHash,
+      blockchainTransferId: transferId
+    });
+  });
+
+  it('holds the deposit until the buyer confirms delivery, then pays the seller', async function() {
+    await acceptTransfer();
+    assert.strictEqual(await escrowState(), 'held');
+    assert.strictEqual(transfer.escrow.status, 'held');
+    assert.strictEqual(transfer.escrow.amountWei, '40');
+    assert.strictEqual((await Transaction.findOne({ transferId: transfer._id })).paymentStatus, 'Held');
+
+    const sellerBalance = await balanceOf(farmer);
+    const receipt = await contract.methods.confirmDelivery(transferId).send({ from: distributor.ethereumAddress, gas: 500000 });
+    assert.strictEqual(await escrowState(), 'released');
+    assert.strictEqual((await balanceOf(farmer)).sub(sellerBalance).toString(), '40');
+
+    await settle(receipt, 'EscrowReleased');
+    const settled = await Transfer.findById(transfer._id);
+    assert.strictEqual(settled.escrow.status, 'released');
+    assert.strictEqual(settled.escrow.settlementTxHash, receipt.transactionHash);
+    assert.strictEqual((await Transaction.findOne({ transferId: transfer._id })).paymentStatus, 'Settled');
+  });
+
+  it('refunds the buyer and gives the product back to the seller when the seller cancels', async function() {
+    await acceptTransfer();
+    const receivedProductId = (await Product.findById(transfer.receivedProduct)).blockchainId;
+
+    const receipt = await contract.methods.cancelEscrow(transferId).send({ from: farmer.ethereumAddress, gas: 500000 });
+    assert.strictEqual(await escrowState(), 'refunded');
+    assert.strictEqual((await contract.methods.products(receivedProductId).call()).currentOwner, farmer.ethereumAddress);
+
+    await settle(receipt, 'EscrowRefunded');
+    const refunded = await Transfer.findById(transfer._id);
+    assert.strictEqual(refunded.escrow.status, 'refunded');
+    assert.strictEqual(refunded.status, 'cancelled');
+    assert.strictEqual(String((await Product.findById(transfer.receivedProduct)).currentOwner), String(farmer._id));
+    assert.strictEqual((await Transaction.findOne({ transferId: transfer._id })).paymentStatus, 'Refunded');
+  });
+
+  it('lets the buyer claim a refund once the deadline has passed', async function() {
+    await acceptTransfer();
+    await assert.rejects(
+      contract.methods.claimEscrowRefund(transferId).send({ from: distributor.ethereumAddress, gas: 500000 }),
+      /Escrow deadline has not passed/
+    );
+
+    await chain.increaseTime(15 * 24 * 60 * 60);
+    const receipt = await contract.methods.claimEscrowRefund(transferId).send({ from: distributor.ethereumAddress, gas: 500000 });
+    assert.strictEqual(receipt.events.EscrowRefunded.returnValues.amount, '40');
+    assert.strictEqual(await escrowState(), 'refunded');
+
+    await settle(receipt, 'EscrowRefunded');
+    assert.strictEqual((await Transfer.findById(transfer._id)).escrow.status, 'refunded');
+  });
+
+  it('reverts a second settlement of the same escrow', async function() {
+    await acceptTransfer();
+    const receipt = await contract.methods.confirmDelivery(transferId).send({ from: distributor.ethereumAddress, gas: 500000 });
+    await settle(receipt, 'EscrowReleased');
+
+    await assert.rejects(
+      contract.methods.confirmDelivery(transferId).send({ from: distributor.ethereumAddress, gas: 500000 }),
+      /No payment held in this escrow/
+    );
+    await assert.rejects(
+      contract.methods.cancelEscrow(transferId).send({ from: farmer.ethereumAddress, gas: 500000 }),
+      /No payment held in this escrow/
+    );
+    // Recording the settlement again changes nothing
+    assert.strictEqual(await EscrowService.canSettle(transfer, receipt.transactionHash, receipt.blockNumber), false);
+    await EscrowService.recordRelease(transfer, receipt.transactionHash);
+    assert.strictEqual((await Transfer.findById(transfer._id)).escrow.settlementTxHash, receipt.transactionHash);
+  });
+
+  it('reverts a settlement with another transfer ID', async function() {
+    await acceptTransfer();
+    const otherTransferId = web3.utils.padLeft('0x1', 64);
+
+    await assert.rejects(
+      contract.methods.confirmDelivery(otherTransferId).send({ from: distributor.ethereumAddress, gas: 500000 }),
+      /No payment held in this escrow/
+    );
+    await assert.rejects(
+      contract.methods.cancelEscrow(otherTransferId).send({ from: farmer.ethereumAddress, gas: 500000 }),
+      /No payment held in this escrow/
+    );
+    assert.strictEqual(await escrowState(), 'held');
+
+    // A settlement of the right escrow is not accepted for another one
+    const receipt = await contract.methods.confirmDelivery(transferId).send({ from: distributor.ethereumAddress, gas: 500000 });
+    assert.strictEqual(await Web3Service.verifyEscrowSettlement(receipt.transactionHash, otherTransferId, 'EscrowReleased'), null);
+  });
+});
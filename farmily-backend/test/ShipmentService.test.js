@@ -0,0 +1,131 @@
+// Loaded first, as it sets the platform account Web3Service loads
+const web3Service = require('./support/web3Service');
+const assert = require('assert');
+const ShipmentService = require('../services/ShipmentService');
+const Product = require('../models/Product');
+const User = require('../models/user.js');
+const memoryDatabase = require('./support/memoryDatabase');
+const chain = require('./support/contract');
+
+memoryDatabase.install();
+
+describe('ShipmentService', function() {
+  // Compiling the contract takes a while on the first deployment
+  this.timeout(120000);
+
+  let web3;
+  let contract;
+  let distributor;
+  let product;
+  let shipment;
+
+  /**
+   * Create a user linked to an account registered on the contract
+   */
+  async function createUser(account, userType, role) {
+    await contract.methods.grantRole(await contract.methods[role]().call(), account).send({ from: (await web3.eth.getAccounts())[0] });
+    await contract.methods.registerUser(`${userType}-id`).send({ from: account, gas: 500000 });
+    return User.create({
+      userType,
+      firstName: userType,
+      lastName: 'Test',
+      username: userType,
+      email: `${userType}@example.com`,
+      password: 'secret',
+      uniqueIdentifier: `${userType}-id`,
+      ethereumAddress: account
+    });
+  }
+
+  /**
+   * Send the status update of the product from the distributor's wallet, as the shipments page does
+   */
+  async function signStatusUpdate(productUpdates) {
+    const [update] = productUpdates;
+    const receipt = await web3.eth.sendTransaction({ from: distributor.ethereumAddress, ...update.transaction, gas: 500000 });
+    return receipt.transactionHash.toLowerCase();
+  }
+
+  const senders = () => [distributor.ethereumAddress.toLowerCase()];
+
+  const onChainStatus = async () => Number((await contract.methods.products(product.blockchainId).call()).status);
+
+  beforeEach(async function() {
+    memoryDatabase.clear();
+    const deployment = await chain.deploy();
+    ({ web3, contract } = deployment);
+    const { accounts } = deployment;
+    web3Service.useContract(contract);
+
+    const farmer = await createUser(accounts[1], 'farmer', 'FARMER_ROLE');
+    distributor = await createUser(accounts[2], 'distributor', 'DISTRIBUTOR_ROLE');
+
+    // The farmer packages the batch and hands all of it over to the distributor
+    const created = await contract.methods.createProduct('BATCH-1', 'Apples', 'Test farm', 1, 100, 1)
+      .send({ from: farmer.ethereumAddress, gas: 500000 });
+    const { productId } = created.events.ProductCreated.returnValues;
+    for (let status = 1; status <= 5; status++) {
+      await contract.methods.updateProductStatus(productId, status).send({ from: farmer.ethereumAddress, gas: 500000 });
+    }
+    const initiated = await contract.methods.initiateTransfer(productId, 'distributor-id', 100)
+      .send({ from: farmer.ethereumAddress, gas: 500000 });
+    await contract.methods.acceptTransfer(initiated.events.TransferInitiated.returnValues.transferId)
+      .send({ from: distributor.ethereumAddress, value: 100, gas: 1000000 });
+
+    product = await Product.create({
+      type: 'Apples',
+      origin: 'Test farm',
+      productionDate: new Date('2024-01-01'),
+      batchNumber: 'BATCH-1',
+      quantity: 100,
+      price: 1,
+      status: 'Packaged',
+      blockchainId: productId,
+      currentOwner: distributor._id,
+      originalOwner: farmer._id
+    });
+    shipment = await ShipmentService.createShipment({
+      distributorId: distributor._id,
+      products: [product],
+      legs: [
+        { carrier: 'Carrier A', mode: 'Truck', origin: 'Test farm', destination: 'Hub' },
+        { carrier: 'Carrier B', mode: 'Train', origin: 'Hub', destination: 'Store' }
+      ]
+    });
+  });
+
+  it('moves the products with the shipment legs from the owner\'s wallet', async function() {
+    let result = await ShipmentService.departLeg(shipment, 0);
+    assert.strictEqual(result.productUpdates[0].nextStatus, 'InTransit');
+    assert.strictEqual(result.productUpdates[0].transaction.to, contract.options.address);
+
+    let txHash = await signStatusUpdate(result.productUpdates);
+    result = await ShipmentService.recordProductStatus(shipment, product._id, txHash, senders());
+    assert.strictEqual(result.productUpdates[0].nextStatus, null);
+    product = await Product.findById(product._id);
+    assert.strictEqual(product.status, 'InTransit');
+    assert.strictEqual(product.blockchainTxHash, txHash);
+    assert.strictEqual(await onChainStatus(), 6);
+
+    await ShipmentService.arriveLeg(shipment, 0);
+    await ShipmentService.departLeg(shipment, 1);
+    result = await ShipmentService.deliverShipment(shipment, { receivedBy: 'Store manager', userId: distributor._id });
+    assert.strictEqual(result.productUpdates[0].nextStatus, 'Delivered');
+
+    txHash = await signStatusUpdate(result.productUpdates);
+    await ShipmentService.recordProductStatus(shipment, product._id, txHash, senders());
+    assert.strictEqual((await Product.findById(product._id)).status, 'Delivered');
+    assert.strictEqual(await onChainStatus(), 7);
+  });
+
+  it('rejects status updates sent from another address', async function() {
+    const { productUpdates } = await ShipmentService.departLeg(shipment, 0);
+    const txHash = await signStatusUpdate(productUpdates);
+
+    await assert.rejects(
+      ShipmentService.recordProductStatus(shipment, product._id, txHash, ['0x0000000000000000000000000000000000000001']),
+      { statusCode: 400 }
+    );
+    assert.strictEqual((await Product.findById(product._id)).status, 'Packaged');
+  });
+});
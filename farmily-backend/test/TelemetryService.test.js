@@ -0,0 +1,69 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const TelemetryService = require('../services/TelemetryService');
+const Product = require('../models/Product');
+const Shipment = require('../models/Shipment');
+const TelemetryReading = require('../models/TelemetryReading');
+const ColdChainExcursion = require('../models/ColdChainExcursion');
+const memoryDatabase = require('./support/memoryDatabase');
+
+memoryDatabase.install();
+
+describe('TelemetryService', function() {
+  let products;
+  let shipment;
+
+  const createProduct = (batchNumber, storageConditions) => Product.create({
+    type: 'Apples',
+    origin: 'Test farm',
+    productionDate: new Date('2024-01-01'),
+    batchNumber,
+    quantity: 100,
+    price: 1,
+    status: 'InTransit',
+    storageConditions,
+    currentOwner: new mongoose.Types.ObjectId()
+  });
+
+  beforeEach(async function() {
+    memoryDatabase.clear();
+    products = [await createProduct('BATCH-1', 'Chilled'), await createProduct('BATCH-2', 'Ambient')];
+    shipment = await Shipment.create({
+      shipmentNumber: 'SHP-TEST',
+      distributor: new mongoose.Types.ObjectId(),
+      products: products.map(product => product._id),
+      legs: [{ carrier: 'Carrier A', mode: 'Truck', origin: 'Test farm', destination: 'Store' }],
+      status: 'InTransit'
+    });
+  });
+
+  it('records the readings of a shipment for each of its products', async function() {
+    const result = await TelemetryService.recordReadings({
+      shipmentId: shipment._id,
+      device: 'logger-1',
+      readings: [{ recordedAt: '2024-05-01T10:00:00Z', temperature: 12 }],
+      source: 'http'
+    });
+
+    assert.strictEqual(result.recorded, 2);
+    const readings = await TelemetryReading.find({ shipment: shipment._id });
+    assert.deepStrictEqual(readings.map(reading => String(reading.product)).sort(), products.map(product => String(product._id)).sort());
+
+    // 12 °C is too warm for the chilled batch only
+    const excursions = await ColdChainExcursion.find({ shipment: shipment._id });
+    assert.strictEqual(excursions.length, 1);
+    assert.strictEqual(String(excursions[0].product), String(products[0]._id));
+  });
+
+  it('needs a product or a shipment, not both', async function() {
+    const readings = [{ recordedAt: '2024-05-01T10:00:00Z', temperature: 3 }];
+    await assert.rejects(
+      TelemetryService.recordReadings({ device: 'logger-1', readings, source: 'http' }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      TelemetryService.recordReadings({ productId: products[0]._id, shipmentId: shipment._id, device: 'logger-1', readings, source: 'http' }),
+      { statusCode: 400 }
+    );
+  });
+});
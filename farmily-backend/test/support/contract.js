@@ -0,0 +1,104 @@
+/**
+ * ProductManagement contract on the in-process Hardhat network
+ *
+ * Compiles the contract from ethereum/contracts with solc-js and deploys it,
+ * so the tests run against the same contract as the platform. The network can
+ * be snapshotted and reverted to, which replaces the blocks mined since the
+ * snapshot like a chain reorganisation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const Web3 = require('web3');
+const hre = require('hardhat');
+
+const CONTRACTS_DIR = path.join(__dirname, '../../../ethereum/contracts');
+
+let compiled = null;
+
+/**
+ * Compile ProductManagement.sol, once per test run
+ * @returns {Object} { abi, bytecode }
+ */
+function compile() {
+  if (compiled) {
+    return compiled;
+  }
+
+  const input = {
+    language: 'Solidity',
+    sources: {
+      'ProductManagement.sol': { content: fs.readFileSync(path.join(CONTRACTS_DIR, 'ProductManagement.sol'), 'utf8') }
+    },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+  const findImports = (importPath) => ({ contents: fs.readFileSync(path.join(CONTRACTS_DIR, importPath), 'utf8') });
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  }
+  const contract = output.contracts['ProductManagement.sol'].ProductManagement;
+  compiled = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+  return compiled;
+}
+
+/**
+ * Deploy a new ProductManagement contract from the first account
+ * @returns {Promise<Object>} { web3, contract, accounts }
+ */
+async function deploy() {
+  const { abi, bytecode } = compile();
+  const web3 = new Web3(hre.network.provider);
+  const accounts = await web3.eth.getAccounts();
+  const contract = await new web3.eth.Contract(abi)
+    .deploy({ data: bytecode })
+    .send({ from: accounts[0], gas: 15000000 });
+  return { web3, contract, accounts };
+}
+
+/**
+ * Take a snapshot of the chain
+ * @returns {Promise<String>} ID of the snapshot
+ */
+function snapshot() {
+  return hre.network.provider.send('evm_snapshot', []);
+}
+
+/**
+ * Drop the blocks mined since a snapshot; the blocks mined next replace them
+ * @param {String} snapshotId - ID returned by snapshot()
+ */
+async function revert(snapshotId) {
+  await hre.network.provider.send('evm_revert', [snapshotId]);
+}
+
+/**
+ * Mine empty blocks
+ * @param {Number} count - Number of blocks
+ */
+async function mine(count) {
+  await hre.network.provider.send('hardhat_mine', [`0x${count.toString(16)}`]);
+}
+
+/**
+ * Move the time of the chain forward and mine a block at the new time
+ * @param {Number} seconds - Number of seconds
+ */
+async function increaseTime(seconds) {
+  await hre.network.provider.send('evm_increaseTime', [seconds]);
+  await mine(1);
+}
+
+module.exports = {
+  deploy,
+  snapshot,
+  revert,
+  mine,
+  increaseTime
+};
@@ -0,0 +1,240 @@
+/**
+ * In-memory database for the tests
+ *
+ * Replaces the persistence methods of the mongoose models with an in-memory
+ * store, so the services can be tested without a MongoDB server. Documents are
+ * validated and stored as plain objects; queries support the operators the
+ * services use ($in, $ne, $gt, $exists, $or and regular expressions) and updates
+ * support $set, $unset, $addToSet and $pull. Middleware does not run.
+ */
+
+const mongoose = require('mongoose');
+
+const collections = new Map();
+
+/**
+ * Get the stored objects of a model
+ * @param {Model} model - The mongoose model
+ * @returns {Object[]}
+ */
+function collectionOf(model) {
+  if (!collections.has(model.modelName)) {
+    collections.set(model.modelName, []);
+  }
+  return collections.get(model.modelName);
+}
+
+const getPath = (object, path) => path.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((current, key) => {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    return current[key];
+  }, object);
+  if (value === undefined) {
+    delete parent[keys[keys.length - 1]];
+  } else {
+    parent[keys[keys.length - 1]] = value;
+  }
+}
+
+// Missing values match null like in MongoDB; ObjectIds match their string form
+const sameValue = (a, b) => (a === null || a === undefined || b === null || b === undefined
+  ? (a === null || a === undefined) && (b === null || b === undefined)
+  : String(a) === String(b));
+
+const isOperatorObject = (condition) => condition !== null && typeof condition === 'object' &&
+  !Array.isArray(condition) && !(condition instanceof RegExp) && !(condition instanceof Date) &&
+  Object.keys(condition).some(key => key.startsWith('$'));
+
+function matchesValue(value, condition) {
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$in': return operand.some(candidate => matchesValue(value, candidate));
+        case '$ne': return !matchesValue(value, operand);
+        case '$gt': return value > operand;
+        case '$exists': return (value !== undefined) === operand;
+        default: throw new Error(`Unsupported query operator ${operator}`);
+      }
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.some(element => matchesValue(element, condition));
+  }
+  if (condition instanceof RegExp) {
+    return typeof value === 'string' && condition.test(value);
+  }
+  return sameValue(value, condition);
+}
+
+const matches = (object, query = {}) => Object.entries(query).every(([path, condition]) => (path === '$or'
+  ? condition.some(alternative => matches(object, alternative))
+  : matchesValue(getPath(object, path), condition)));
+
+function applyUpdate(object, update) {
+  Object.entries(update).forEach(([key, value]) => {
+    switch (key) {
+      case '$set':
+        Object.entries(value).forEach(([path, fieldValue]) => setPath(object, path, fieldValue));
+        break;
+      case '$unset':
+        Object.keys(value).forEach(path => setPath(object, path, undefined));
+        break;
+      case '$addToSet':
+        Object.entries(value).forEach(([path, element]) => {
+          const array = getPath(object, path) || [];
+          if (!array.some(existing => sameValue(existing, element))) {
+            setPath(object, path, [...array, element]);
+          }
+        });
+        break;
+      case '$pull':
+        Object.entries(value).forEach(([path, element]) => {
+          setPath(object, path, (getPath(object, path) || []).filter(existing => !matchesValue(existing, element)));
+        });
+        break;
+      default:
+        if (key.startsWith('$')) {
+          throw new Error(`Unsupported update operator ${key}`);
+        }
+        setPath(object, key, value);
+    }
+  });
+}
+
+/**
+ * Chainable stand-in for a mongoose query; select and populate are ignored
+ */
+class Query {
+  constructor(run) {
+    this.run = run;
+    this.order = null;
+  }
+
+  sort(order) {
+    this.order = order;
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.order));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+function sortObjects(objects, order) {
+  if (!order) {
+    return objects;
+  }
+  return [...objects].sort((a, b) => {
+    for (const [path, direction] of Object.entries(order)) {
+      const [left, right] = [getPath(a, path), getPath(b, path)];
+      if (left < right) return -direction;
+      if (left > right) return direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Store the models' documents in memory instead of MongoDB
+ * @param {Model[]} [models] - The models, by default every registered model
+ */
+function install(models = Object.values(mongoose.models)) {
+  models.forEach(model => {
+    const stored = () => collectionOf(model);
+    const findObjects = (query, order) => sortObjects(stored().filter(object => matches(object, query)), order);
+
+    model.find = (query) => new Query(order => findObjects(query, order).map(object => model.hydrate(object)));
+    model.findOne = (query) => new Query(order => {
+      const [object] = findObjects(query, order);
+      return object ? model.hydrate(object) : null;
+    });
+    model.findById = (id) => model.findOne({ _id: id });
+    model.exists = (query) => new Query(() => {
+      const [object] = findObjects(query);
+      return object ? { _id: object._id } : null;
+    });
+    model.create = (fields) => new model(fields).save();
+    model.updateMany = (query, update) => new Query(() => {
+      const objects = findObjects(query);
+      objects.forEach(object => applyUpdate(object, update));
+      return { matchedCount: objects.length, modifiedCount: objects.length };
+    });
+    model.updateOne = (query, update) => new Query(() => {
+      const [object] = findObjects(query);
+      if (object) {
+        applyUpdate(object, update);
+      }
+      return { matchedCount: object ? 1 : 0, modifiedCount: object ? 1 : 0 };
+    });
+    model.deleteMany = (query) => new Query(() => {
+      const objects = findObjects(query);
+      collections.set(model.modelName, stored().filter(object => !objects.includes(object)));
+      return { deletedCount: objects.length };
+    });
+    model.findOneAndUpdate = (query, update, options = {}) => new Query(async () => {
+      let [object] = findObjects(query);
+      if (!object) {
+        if (!options.upsert) {
+          return null;
+        }
+        const fields = {};
+        Object.entries(query).filter(([, value]) => !isOperatorObject(value))
+          .forEach(([path, value]) => setPath(fields, path, value));
+        applyUpdate(fields, update);
+        const document = await new model(fields).save();
+        [object] = findObjects({ _id: document._id });
+      } else {
+        applyUpdate(object, update);
+      }
+      return model.hydrate(object);
+    });
+
+    model.prototype.save = async function() {
+      await this.validate();
+      const object = this.toObject({ depopulate: true });
+      const objects = stored();
+      const index = objects.findIndex(existing => sameValue(existing._id, object._id));
+      if (index === -1) {
+        objects.push(object);
+      } else {
+        objects[index] = object;
+      }
+      this.isNew = false;
+      return this;
+    };
+    model.prototype.deleteOne = async function() {
+      await model.deleteMany({ _id: this._id });
+      return this;
+    };
+  });
+}
+
+/**
+ * Remove every stored document
+ */
+function clear() {
+  collections.clear();
+}
+
+module.exports = {
+  install,
+  clear
+};
@@ -0,0 +1,26 @@
+/**
+ * Web3Service on the in-process Hardhat network
+ *
+ * Web3Service loads the platform account from PRIVATE_KEY when it is first
+ * required, so this module sets a Hardhat account and must be required before
+ * the services using Web3Service. The service is then pointed at the contract
+ * deployed by each test.
+ */
+
+process.env.PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const hre = require('hardhat');
+const Web3Service = require('../../services/Web3Service');
+
+/**
+ * Send the calls of Web3Service to a contract deployed on the in-process network
+ * @param {Contract} contract - The contract returned by deploy()
+ */
+function useContract(contract) {
+  Web3Service.web3.setProvider(hre.network.provider);
+  Web3Service.contract.options.address = contract.options.address;
+}
+
+module.exports = {
+  useContract
+};
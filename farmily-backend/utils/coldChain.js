@@ -0,0 +1,56 @@
+/**
+ * Cold Chain Thresholds
+ *
+ * Declares the acceptable temperature (°C) and relative humidity (%) ranges for
+ * each storage condition of the Product schema. A sensor reading outside the
+ * range of the product's storage condition starts a cold chain excursion.
+ */
+
+// Parameters measured by the sensors
+const PARAMETERS = ['temperature', 'humidity'];
+
+// Storage condition => parameter => { min, max }, a missing bound meaning no limit
+const THRESHOLDS = {
+  Frozen: { temperature: { max: -18 } },
+  Chilled: { temperature: { min: 0, max: 4 } },
+  Refrigerated: { temperature: { min: 2, max: 8 } },
+  ControlledAtmosphere: { temperature: { min: 0, max: 4 }, humidity: { min: 85, max: 95 } },
+  TemperatureControlled: { temperature: { min: 15, max: 25 } },
+  Dry: { temperature: { min: 10, max: 25 }, humidity: { max: 60 } },
+  Ambient: { temperature: { min: 5, max: 30 } }
+};
+
+/**
+ * Get the acceptable ranges of a storage condition
+ * @param {String} storageConditions - The storage condition of the product
+ * @returns {Object|null} - parameter => { min, max }, or null for unknown or unset conditions
+ */
+const getThresholds = (storageConditions) => THRESHOLDS[storageConditions] || null;
+
+/**
+ * Check a value against the range of a parameter
+ * @param {Object} thresholds - The ranges returned by getThresholds
+ * @param {String} parameter - 'temperature' or 'humidity'
+ * @param {Number} value - The measured value
+ * @returns {Object|null} - null when the value is in range, otherwise { direction: 'above'|'below', limit }
+ */
+const checkValue = (thresholds, parameter, value) => {
+  const range = thresholds && thresholds[parameter];
+  if (!range || typeof value !== 'number') {
+    return null;
+  }
+  if (range.max !== undefined && value > range.max) {
+    return { direction: 'above', limit: range.max };
+  }
+  if (range.min !== undefined && value < range.min) {
+    return { direction: 'below', limit: range.min };
+  }
+  return null;
+};
+
+module.exports = {
+  PARAMETERS,
+  THRESHOLDS,
+  getThresholds,
+  checkValue
+};
@@ -0,0 +1,135 @@
+/**
+ * GS1 Identifiers
+ *
+ * Helpers for the GS1 identifiers shared with retail partners: GTINs (Global
+ * Trade Item Numbers), and GS1 Digital Link URIs identifying a batch/lot of a
+ * trade item as /01/<GTIN-14>/10/<lot>. Products without a GTIN are identified
+ * by a private URN built from their batch number.
+ */
+
+// Canonical GS1 resolver, used for the identifiers in EPCIS documents
+const GS1_RESOLVER = 'https://id.gs1.org';
+
+// Prefix of the private identifiers of products without a GTIN
+const LOT_URN_PREFIX = 'urn:farmily:lot:';
+
+// Prefix of the private identifiers of supply chain members
+const PARTY_URN_PREFIX = 'urn:farmily:party:';
+
+/**
+ * Compute the GS1 check digit of a GTIN without its check digit
+ * @param {String} digits - The GTIN digits, check digit excluded
+ * @returns {Number} The check digit
+ */
+const computeCheckDigit = (digits) => {
+  const sum = digits.split('').reverse()
+    .reduce((total, digit, index) => total + parseInt(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check a GTIN-8, GTIN-12, GTIN-13 or GTIN-14, check digit included
+ * @param {String} gtin - The GTIN
+ * @returns {Boolean}
+ */
+const isValidGtin = (gtin) => {
+  if (typeof gtin !== 'string' || !/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(gtin)) {
+    return false;
+  }
+  return computeCheckDigit(gtin.slice(0, -1)) === parseInt(gtin.slice(-1));
+};
+
+/**
+ * Normalize a GTIN to the 14 digits used in GS1 Digital Link URIs
+ * @param {String} gtin - A valid GTIN
+ * @returns {String} The GTIN-14
+ */
+const toGtin14 = gtin => gtin.padStart(14, '0');
+
+/**
+ * Build the GS1 Digital Link path of a batch/lot of a trade item
+ * @param {String} gtin - The GTIN-14
+ * @param {String} lot - The batch/lot number
+ * @returns {String} The path, e.g. /01/09506000134352/10/ABC123
+ */
+const buildDigitalLinkPath = (gtin, lot) => `/01/${gtin}/10/${encodeURIComponent(lot)}`;
+
+/**
+ * Parse the GS1 Digital Link path of a batch/lot of a trade item
+ * @param {String} pathname - The URL path
+ * @returns {Object|null} { gtin, lot }, or null if the path is not a valid GTIN + lot Digital Link
+ */
+const parseDigitalLinkPath = (pathname) => {
+  const match = /\/01\/(\d{14})\/10\/([^/]+)$/.exec(pathname);
+  if (!match || !isValidGtin(match[1])) {
+    return null;
+  }
+  try {
+    return { gtin: match[1], lot: decodeURIComponent(match[2]) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the identifier of a product used as EPC class in EPCIS documents
+ * @param {Product} product - The product
+ * @returns {String} Its GS1 Digital Link URI, or a private URN when it has no GTIN
+ */
+const getProductClassUri = product => (product.gtin
+  ? GS1_RESOLVER + buildDigitalLinkPath(product.gtin, product.batchNumber)
+  : LOT_URN_PREFIX + encodeURIComponent(product.batchNumber));
+
+/**
+ * Parse the identifier of a product used as EPC class in EPCIS documents
+ * @param {String} uri - A GS1 Digital Link URI with GTIN and lot, or a private lot URN
+ * @returns {Object|null} { gtin, lot }, gtin being null for private URNs, or null if the URI is not recognized
+ */
+const parseProductClassUri = (uri) => {
+  if (typeof uri !== 'string') {
+    return null;
+  }
+  if (uri.startsWith(LOT_URN_PREFIX)) {
+    try {
+      return { gtin: null, lot: decodeURIComponent(uri.slice(LOT_URN_PREFIX.length)) };
+    } catch (error) {
+      return null;
+    }
+  }
+  try {
+    return parseDigitalLinkPath(new URL(uri).pathname);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the identifier of a supply chain member used in EPCIS documents
+ * @param {ObjectId} userId - The user ID
+ * @returns {String} The private party URN
+ */
+const getPartyUri = userId => PARTY_URN_PREFIX + userId.toString();
+
+/**
+ * Parse the identifier of a supply chain member used in EPCIS documents
+ * @param {String} uri - The party URN
+ * @returns {String|null} The user ID, or null for parties of other systems
+ */
+const parsePartyUri = (uri) => {
+  if (typeof uri !== 'string' || !uri.startsWith(PARTY_URN_PREFIX)) {
+    return null;
+  }
+  const userId = uri.slice(PARTY_URN_PREFIX.length);
+  return /^[0-9a-fA-F]{24}$/.test(userId) ? userId : null;
+};
+
+module.exports = {
+  isValidGtin,
+  toGtin14,
+  buildDigitalLinkPath,
+  parseDigitalLinkPath,
+  getProductClassUri,
+  parseProductClassUri,
+  getPartyUri,
+  parsePartyUri
+};
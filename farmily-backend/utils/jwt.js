@@ -1,5 +1,10 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// Lifetime of access tokens, in seconds. They are short-lived: sessions are kept
+// alive with refresh tokens, which can be revoked (see services/SessionService.js).
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+
 const generateToken = (payload) => {
   const token = jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: '1h',
@@ -17,4 +22,70 @@ const verifyToken = (token) => {
   }
 };
 
-module.exports = { generateToken, verifyToken };
\ No newline at end of file
+/**
+ * Sign the access token of a session
+ * @param {User} user - The logged-in user
+ * @param {ObjectId} sessionId - The session ID
+ * @returns {String} The access token
+ */
+const generateAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user._id,
+    username: user.username,
+    userType: user.userType,
+    sid: sessionId.toString()
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+/**
+ * Generate a random refresh token secret
+ * @returns {String} The secret, base64url encoded
+ */
+const generateRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Hash a refresh token secret; only the hash is stored
+ * @param {String} secret - The secret
+ * @returns {String} The SHA-256 hash, hex encoded
+ */
+const hashToken = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Sign the token of a login waiting for its two-factor code. It proves the
+ * password or wallet signature was right, and cannot be used as an access token.
+ * @param {User} user - The user
+ * @param {String} [method='password'] - How the user authenticated: 'password' or 'wallet'
+ * @returns {String}
+ */
+const generateTwoFactorToken = (user, method = 'password') => jwt.sign(
+  { userId: user._id, method, purpose: 'two_factor_login' },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+/**
+ * Verify the token of a login waiting for its two-factor code
+ * @param {String} token - The token
+ * @returns {Object|null} { userId, method }, or null if the token is invalid or expired
+ */
+const verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor_login' ? { userId: decoded.userId, method: decoded.method || 'password' } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  generateToken,
+  verifyToken,
+  generateAccessToken,
+  generateRefreshSecret,
+  hashToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken
+};
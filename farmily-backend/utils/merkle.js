@@ -0,0 +1,90 @@
+/**
+ * Merkle Trees
+ *
+ * Builds the Merkle trees of the sensor readings anchored on the blockchain.
+ * Leaves and nodes are keccak256 hashes as 0x-prefixed hex strings. Each pair of
+ * nodes is hashed in sorted order, so a proof is just the list of sibling hashes
+ * from the leaf up to the root, and the last node of a level with an odd number
+ * of nodes moves up to the next level unchanged.
+ */
+
+const Web3 = require('web3');
+
+/**
+ * Hash a pair of nodes in sorted order
+ * @param {String} a - A node hash
+ * @param {String} b - The other node hash
+ * @returns {String} The parent node hash
+ */
+const hashPair = (a, b) => {
+  const [first, second] = a.toLowerCase() <= b.toLowerCase() ? [a, b] : [b, a];
+  return Web3.utils.keccak256('0x' + first.slice(2) + second.slice(2)).toLowerCase();
+};
+
+/**
+ * Build the levels of a Merkle tree, from the leaves up to the root
+ * @param {String[]} leaves - The leaf hashes, in the order of the batch
+ * @returns {String[][]} The levels, the last one holding only the root
+ */
+const buildLevels = (leaves) => {
+  if (leaves.length === 0) {
+    throw new Error('A Merkle tree needs at least one leaf');
+  }
+  const levels = [leaves.map(leaf => leaf.toLowerCase())];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+/**
+ * Compute the root of a Merkle tree
+ * @param {String[]} leaves - The leaf hashes
+ * @returns {String} The root hash
+ */
+const getRoot = (leaves) => {
+  const levels = buildLevels(leaves);
+  return levels[levels.length - 1][0];
+};
+
+/**
+ * Get the proof that a leaf belongs to a Merkle tree
+ * @param {String[]} leaves - The leaf hashes
+ * @param {Number} index - Index of the leaf
+ * @returns {String[]} The sibling hashes from the leaf up to the root
+ */
+const getProof = (leaves, index) => {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error(`Leaf ${index} is not in the tree`);
+  }
+  const proof = [];
+  for (const level of buildLevels(leaves).slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) {
+      proof.push(level[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+/**
+ * Check that a proof leads from a leaf to a root
+ * @param {String} leaf - The leaf hash
+ * @param {String[]} proof - The sibling hashes from the leaf up to the root
+ * @param {String} root - The expected root hash
+ * @returns {Boolean}
+ */
+const verifyProof = (leaf, proof, root) =>
+  proof.reduce((node, sibling) => hashPair(node, sibling), leaf.toLowerCase()) === root.toLowerCase();
+
+module.exports = {
+  getRoot,
+  getProof,
+  verifyProof
+};
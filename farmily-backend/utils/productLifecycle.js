@@ -0,0 +1,86 @@
+/**
+ * Product Lifecycle
+ *
+ * Declares the allowed product status transitions and which user types may
+ * perform each of them. This table must stay identical to the one set up in the
+ * constructor of the ProductManagement contract.
+ */
+
+// Product statuses in lifecycle order, matching the Status enum of the contract
+const STATUSES = [
+  'Registered', 'Planted', 'Growing', 'Harvested',
+  'Processed', 'Packaged', 'InTransit', 'Delivered'
+];
+
+// Allowed transitions: current status => { next status => user types allowed to perform it }
+const TRANSITIONS = {
+  Registered: { Planted: ['farmer'] },
+  Planted: { Growing: ['farmer'] },
+  Growing: { Harvested: ['farmer'] },
+  Harvested: { Processed: ['farmer', 'distributor'] },
+  Processed: { Packaged: ['farmer', 'distributor'] },
+  Packaged: { InTransit: ['farmer', 'distributor'] },
+  InTransit: { Delivered: ['distributor', 'retailer'] },
+  Delivered: {}
+};
+
+/**
+ * Get the statuses a product can move to next
+ * @param {String} currentStatus - The current status of the product
+ * @param {String} [userType] - Only return transitions this user type may perform
+ * @returns {String[]} - The allowed next statuses
+ */
+const getAllowedNextStatuses = (currentStatus, userType) => {
+  const transitions = TRANSITIONS[currentStatus] || {};
+  return Object.keys(transitions)
+    .filter(status => !userType || transitions[status].includes(userType));
+};
+
+/**
+ * Check whether a user type may move a product from one status to another
+ * @param {String} fromStatus - The current status
+ * @param {String} toStatus - The requested status
+ * @param {String} userType - The user type performing the update
+ * @returns {Boolean}
+ */
+const canTransition = (fromStatus, toStatus, userType) => {
+  return getAllowedNextStatuses(fromStatus, userType).includes(toStatus);
+};
+
+/**
+ * Validate a requested status update
+ * @param {String} fromStatus - The current status
+ * @param {String} toStatus - The requested status
+ * @param {String} userType - The user type performing the update
+ * @returns {Object|null} - null when the transition is allowed, otherwise the body of a 409 response
+ */
+const validateTransition = (fromStatus, toStatus, userType) => {
+  if (canTransition(fromStatus, toStatus, userType)) {
+    return null;
+  }
+
+  const allowedNextStatuses = getAllowedNextStatuses(fromStatus, userType);
+  let message;
+  if (!STATUSES.includes(toStatus)) {
+    message = `Unknown status ${toStatus}`;
+  } else if (getAllowedNextStatuses(fromStatus).includes(toStatus)) {
+    message = `A ${userType} cannot move a product from ${fromStatus} to ${toStatus}`;
+  } else {
+    message = `Invalid status transition from ${fromStatus} to ${toStatus}`;
+  }
+
+  return {
+    message,
+    currentStatus: fromStatus,
+    requestedStatus: toStatus,
+    allowedNextStatuses
+  };
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  getAllowedNextStatuses,
+  canTransition,
+  validateTransition
+};
@@ -0,0 +1,174 @@
+/**
+ * QR Code Payloads
+ *
+ * Product labels carry a short URL to the public product verification page:
+ *
+ *   <PUBLIC_APP_URL>/verify-product.html?v=1&p=<productId>&b=<blockchainId>&s=<signature>
+ *
+ * The signature is an Ethereum signed message (EIP-191) over the product ID and
+ * blockchain ID, made with the platform key or with the key of the farmer who
+ * registered the product. A label with a real product ID but a forged or missing
+ * signature, or with a blockchain ID that is not the product's, is therefore
+ * detected when it is scanned. Blockchain ID and signature are base64url encoded
+ * to keep the QR code small.
+ *
+ * Labels of products with a GTIN point to the GS1 Digital Link URI of their
+ * batch instead, so the retail point-of-sale systems of our partners can read
+ * them too, with the same query parameters:
+ *
+ *   <PUBLIC_APP_URL>/01/<GTIN-14>/10/<batchNumber>?v=1&p=<productId>&b=<blockchainId>&s=<signature>
+ *
+ * GTIN and batch number are not signed, but must match the product the label
+ * refers to. Plain GS1 Digital Link URIs of partner labels, without any query
+ * parameter, are read as unsigned labels of the batch.
+ */
+
+const Web3 = require('web3');
+const gs1 = require('./gs1');
+const { PUBLIC_APP_URL } = require('../config');
+
+// Version of the payload format, bumped whenever the signed message changes
+const QR_PAYLOAD_VERSION = '1';
+
+// Page the labels point to
+const VERIFY_PAGE_PATH = '/verify-product.html';
+
+// Signing and recovering messages needs no blockchain node
+const web3 = new Web3();
+
+/**
+ * Get the message signed for a product label
+ * @param {String} productId - The product ID
+ * @param {String} blockchainId - The blockchain ID of the product
+ * @returns {String} The message
+ */
+const getSigningMessage = (productId, blockchainId) =>
+  `Farmily product label v${QR_PAYLOAD_VERSION}\nProduct: ${productId}\nBlockchain ID: ${blockchainId.toLowerCase()}`;
+
+/**
+ * Get the address of the platform key labels are signed with
+ * @returns {String|null} The address, or null when no platform key is configured
+ */
+const getPlatformAddress = () => {
+  if (!process.env.PRIVATE_KEY) {
+    return null;
+  }
+  return web3.eth.accounts.privateKeyToAccount(process.env.PRIVATE_KEY).address;
+};
+
+/**
+ * Sign a product label with the platform key
+ * @param {String} productId - The product ID
+ * @param {String} blockchainId - The blockchain ID of the product
+ * @returns {String|null} The signature, or null when no platform key is configured
+ */
+const signWithPlatformKey = (productId, blockchainId) => {
+  if (!process.env.PRIVATE_KEY) {
+    return null;
+  }
+  return web3.eth.accounts.sign(getSigningMessage(productId, blockchainId), process.env.PRIVATE_KEY).signature;
+};
+
+const hexToBase64Url = hex => Buffer.from(hex.replace(/^0x/, ''), 'hex').toString('base64url');
+const base64UrlToHex = value => '0x' + Buffer.from(value, 'base64url').toString('hex');
+
+/**
+ * Encode a product label
+ * @param {String} productId - The product ID
+ * @param {String} blockchainId - The blockchain ID of the product
+ * @param {String} [signature] - The signature of the label, left out for unsigned labels
+ * @param {Object} [digitalLink] - { gtin, lot } of the product, for a GS1 Digital Link label
+ * @returns {String} The label URL
+ */
+const encodeQRPayload = (productId, blockchainId, signature, digitalLink) => {
+  const params = new URLSearchParams({ v: QR_PAYLOAD_VERSION, p: productId.toString() });
+  if (blockchainId) {
+    params.set('b', hexToBase64Url(blockchainId));
+  }
+  if (signature) {
+    params.set('s', hexToBase64Url(signature));
+  }
+  const path = digitalLink ? gs1.buildDigitalLinkPath(digitalLink.gtin, digitalLink.lot) : VERIFY_PAGE_PATH;
+  return `${PUBLIC_APP_URL}${path}?${params.toString()}`;
+};
+
+/**
+ * Decode the content of a scanned QR code. Besides label URLs, the JSON labels
+ * printed before labels were signed are still read, as unsigned labels.
+ * @param {String} qrData - The scanned QR code content
+ * @returns {Object|null} { productId, blockchainId, signature, gtin, lot, legacy }, or null if it is not
+ * a product label. The product ID is null for plain GS1 Digital Link URIs, and gtin and lot are null for
+ * labels that are not GS1 Digital Link URIs.
+ */
+const parseQRPayload = (qrData) => {
+  if (typeof qrData !== 'string') {
+    return null;
+  }
+  const data = qrData.trim();
+
+  if (data.startsWith('{')) {
+    try {
+      const legacy = JSON.parse(data);
+      const productId = legacy && (legacy.productId || legacy.id);
+      return typeof productId === 'string' && /^[0-9a-fA-F]{24}$/.test(productId)
+        ? { productId, blockchainId: null, signature: null, gtin: null, lot: null, legacy: true }
+        : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  let url;
+  try {
+    url = new URL(data);
+  } catch (error) {
+    return null;
+  }
+  const digitalLink = gs1.parseDigitalLinkPath(url.pathname);
+  if (digitalLink && !url.searchParams.has('v')) {
+    return { productId: null, blockchainId: null, signature: null, ...digitalLink, legacy: false };
+  }
+  if ((!digitalLink && !url.pathname.endsWith(VERIFY_PAGE_PATH)) || url.searchParams.get('v') !== QR_PAYLOAD_VERSION) {
+    return null;
+  }
+
+  const productId = url.searchParams.get('p');
+  if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+    return null;
+  }
+  const blockchainId = url.searchParams.get('b');
+  const signature = url.searchParams.get('s');
+  return {
+    productId,
+    blockchainId: blockchainId ? base64UrlToHex(blockchainId) : null,
+    signature: signature ? base64UrlToHex(signature) : null,
+    gtin: digitalLink ? digitalLink.gtin : null,
+    lot: digitalLink ? digitalLink.lot : null,
+    legacy: false
+  };
+};
+
+/**
+ * Recover the address that signed a product label
+ * @param {Object} payload - The label, as returned by parseQRPayload
+ * @returns {String|null} The signer address, or null if the label is unsigned or the signature is malformed
+ */
+const recoverSigner = (payload) => {
+  if (!payload.signature || !payload.blockchainId || !payload.productId) {
+    return null;
+  }
+  try {
+    return web3.eth.accounts.recover(getSigningMessage(payload.productId, payload.blockchainId), payload.signature);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  getSigningMessage,
+  getPlatformAddress,
+  signWithPlatformKey,
+  encodeQRPayload,
+  parseQRPayload,
+  recoverSigner
+};
@@ -16,8 +16,24 @@ angular.module('foodTraceabilityApp')
     
     const contractAddress = '0x09b116fd1414c95a9264035b9c55af074b9ca587'; // Update as needed
     const contractABI = [{
+      "inputs": [],
+      "stateMutability": "nonpayable",
+      "type": "constructor"
+    },
+    {
+      "inputs": [],
+      "name": "ReentrancyGuardReentrantCall",
+      "type": "error"
+    },
+    {
       "anonymous": false,
       "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "escrowId",
+          "type": "bytes32"
+        },
         {
           "indexed": true,
           "internalType": "bytes32",
@@ -27,23 +43,79 @@ angular.module('foodTraceabilityApp')
         {
           "indexed": true,
           "internalType": "address",
-          "name": "previousOwner",
+          "name": "buyer",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "address",
+          "name": "seller",
           "type": "address"
         },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "deadline",
+          "type": "uint256"
+        }
+      ],
+      "name": "EscrowDeposited",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "escrowId",
+          "type": "bytes32"
+        },
         {
           "indexed": true,
           "internalType": "address",
-          "name": "newOwner",
+          "name": "buyer",
           "type": "address"
         },
         {
           "indexed": false,
           "internalType": "uint256",
-          "name": "quantity",
+          "name": "amount",
           "type": "uint256"
         }
       ],
-      "name": "OwnershipTransferred",
+      "name": "EscrowRefunded",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "escrowId",
+          "type": "bytes32"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "seller",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "amount",
+          "type": "uint256"
+        }
+      ],
+      "name": "EscrowReleased",
       "type": "event"
     },
     {
@@ -58,23 +130,23 @@ angular.module('foodTraceabilityApp')
         {
           "indexed": true,
           "internalType": "address",
-          "name": "payer",
+          "name": "previousOwner",
           "type": "address"
         },
         {
           "indexed": true,
           "internalType": "address",
-          "name": "receiver",
+          "name": "newOwner",
           "type": "address"
         },
         {
           "indexed": false,
           "internalType": "uint256",
-          "name": "amount",
+          "name": "quantity",
           "type": "uint256"
         }
       ],
-      "name": "PaymentTriggered",
+      "name": "OwnershipTransferred",
       "type": "event"
     },
     {
@@ -121,6 +193,198 @@ angular.module('foodTraceabilityApp')
       "name": "ProductInfoUpdated",
       "type": "event"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "productId",
+          "type": "bytes32"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "issuer",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "enum ProductManagement.RecallSeverity",
+          "name": "severity",
+          "type": "uint8"
+        },
+        {
+          "indexed": false,
+          "internalType": "string",
+          "name": "reason",
+          "type": "string"
+        }
+      ],
+      "name": "ProductRecalled",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "lotId",
+          "type": "bytes32"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "owner",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32[]",
+          "name": "sourceIds",
+          "type": "bytes32[]"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "quantity",
+          "type": "uint256"
+        }
+      ],
+      "name": "ProductsMerged",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "productId",
+          "type": "bytes32"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "checkIndex",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "checker",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "enum ProductManagement.QualityResult",
+          "name": "result",
+          "type": "uint8"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "parametersHash",
+          "type": "bytes32"
+        }
+      ],
+      "name": "QualityCheckRecorded",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "role",
+          "type": "bytes32"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "sender",
+          "type": "address"
+        }
+      ],
+      "name": "RoleGranted",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "role",
+          "type": "bytes32"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "sender",
+          "type": "address"
+        }
+      ],
+      "name": "RoleRevoked",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "productId",
+          "type": "bytes32"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "anchorIndex",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "merkleRoot",
+          "type": "bytes32"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint64",
+          "name": "windowStart",
+          "type": "uint64"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint64",
+          "name": "windowEnd",
+          "type": "uint64"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint32",
+          "name": "readingCount",
+          "type": "uint32"
+        }
+      ],
+      "name": "SensorDataAnchored",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -149,6 +413,12 @@ angular.module('foodTraceabilityApp')
     {
       "anonymous": false,
       "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "transferId",
+          "type": "bytes32"
+        },
         {
           "indexed": true,
           "internalType": "bytes32",
@@ -162,7 +432,7 @@ angular.module('foodTraceabilityApp')
           "type": "address"
         },
         {
-          "indexed": true,
+          "indexed": false,
           "internalType": "address",
           "name": "to",
           "type": "address"
@@ -172,6 +442,12 @@ angular.module('foodTraceabilityApp')
           "internalType": "uint256",
           "name": "quantity",
           "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "receivedProductId",
+          "type": "bytes32"
         }
       ],
       "name": "TransferAccepted",
@@ -180,6 +456,12 @@ angular.module('foodTraceabilityApp')
     {
       "anonymous": false,
       "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "transferId",
+          "type": "bytes32"
+        },
         {
           "indexed": true,
           "internalType": "bytes32",
@@ -212,6 +494,12 @@ angular.module('foodTraceabilityApp')
     {
       "anonymous": false,
       "inputs": [
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "transferId",
+          "type": "bytes32"
+        },
         {
           "indexed": true,
           "internalType": "bytes32",
@@ -225,7 +513,7 @@ angular.module('foodTraceabilityApp')
           "type": "address"
         },
         {
-          "indexed": true,
+          "indexed": false,
           "internalType": "address",
           "name": "to",
           "type": "address"
@@ -260,32 +548,91 @@ angular.module('foodTraceabilityApp')
       "type": "event"
     },
     {
-      "inputs": [
+      "inputs": [],
+      "name": "ADMIN_ROLE",
+      "outputs": [
         {
           "internalType": "bytes32",
-          "name": "_transferId",
+          "name": "",
           "type": "bytes32"
         }
       ],
-      "name": "acceptTransfer",
-      "outputs": [],
-      "stateMutability": "nonpayable",
+      "stateMutability": "view",
       "type": "function"
     },
     {
-      "inputs": [
+      "inputs": [],
+      "name": "CONSUMER_ROLE",
+      "outputs": [
         {
-          "internalType": "address",
+          "internalType": "bytes32",
           "name": "",
-          "type": "address"
+          "type": "bytes32"
         }
       ],
-      "name": "addressToIdentifier",
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "DISTRIBUTOR_ROLE",
       "outputs": [
         {
-          "internalType": "string",
+          "internalType": "bytes32",
           "name": "",
-          "type": "string"
+          "type": "bytes32"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "FARMER_ROLE",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "",
+          "type": "bytes32"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "INSPECTOR_ROLE",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "",
+          "type": "bytes32"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "MAX_RECALL_DEPTH",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "RETAILER_ROLE",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "",
+          "type": "bytes32"
         }
       ],
       "stateMutability": "view",
@@ -295,67 +642,97 @@ angular.module('foodTraceabilityApp')
       "inputs": [
         {
           "internalType": "bytes32",
-          "name": "_productId",
+          "name": "_transferId",
           "type": "bytes32"
         }
       ],
-      "name": "cancelTransfer",
+      "name": "acceptTransfer",
       "outputs": [],
-      "stateMutability": "nonpayable",
+      "stateMutability": "payable",
       "type": "function"
     },
     {
       "inputs": [
         {
-          "internalType": "string",
-          "name": "_batchNumber",
-          "type": "string"
-        },
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        }
+      ],
+      "name": "addressToIdentifier",
+      "outputs": [
         {
           "internalType": "string",
-          "name": "_productType",
+          "name": "",
           "type": "string"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
         },
         {
-          "internalType": "string",
-          "name": "_origin",
-          "type": "string"
+          "internalType": "bytes32",
+          "name": "_merkleRoot",
+          "type": "bytes32"
         },
         {
-          "internalType": "uint256",
-          "name": "_productionDate",
-          "type": "uint256"
+          "internalType": "uint64",
+          "name": "_windowStart",
+          "type": "uint64"
         },
         {
-          "internalType": "uint256",
-          "name": "_quantity",
-          "type": "uint256"
+          "internalType": "uint64",
+          "name": "_windowEnd",
+          "type": "uint64"
         },
+        {
+          "internalType": "uint32",
+          "name": "_readingCount",
+          "type": "uint32"
+        }
+      ],
+      "name": "anchorSensorData",
+      "outputs": [
         {
           "internalType": "uint256",
-          "name": "_price",
+          "name": "anchorIndex",
           "type": "uint256"
         }
       ],
-      "name": "createProduct",
-      "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
-          "internalType": "string",
-          "name": "_identifier",
-          "type": "string"
+          "internalType": "enum ProductManagement.Status",
+          "name": "_from",
+          "type": "uint8"
+        },
+        {
+          "internalType": "enum ProductManagement.Status",
+          "name": "_to",
+          "type": "uint8"
+        },
+        {
+          "internalType": "address",
+          "name": "_account",
+          "type": "address"
         }
       ],
-      "name": "getAddressFromIdentifier",
+      "name": "canTransition",
       "outputs": [
         {
-          "internalType": "address",
+          "internalType": "bool",
           "name": "",
-          "type": "address"
+          "type": "bool"
         }
       ],
       "stateMutability": "view",
@@ -364,67 +741,97 @@ angular.module('foodTraceabilityApp')
     {
       "inputs": [
         {
-          "internalType": "address",
-          "name": "_address",
-          "type": "address"
+          "internalType": "bytes32",
+          "name": "_escrowId",
+          "type": "bytes32"
         }
       ],
-      "name": "getIdentifierFromAddress",
-      "outputs": [
+      "name": "cancelEscrow",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
-          "internalType": "string",
-          "name": "",
-          "type": "string"
+          "internalType": "bytes32",
+          "name": "_transferId",
+          "type": "bytes32"
         }
       ],
-      "stateMutability": "view",
+      "name": "cancelTransfer",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
           "internalType": "bytes32",
-          "name": "_productId",
+          "name": "_escrowId",
           "type": "bytes32"
         }
       ],
-      "name": "getProduct",
-      "outputs": [
+      "name": "claimEscrowRefund",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_escrowId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "confirmDelivery",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "string",
-          "name": "",
+          "name": "_batchNumber",
           "type": "string"
         },
         {
           "internalType": "string",
-          "name": "",
+          "name": "_productType",
           "type": "string"
         },
         {
           "internalType": "string",
-          "name": "",
+          "name": "_origin",
           "type": "string"
         },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "_productionDate",
           "type": "uint256"
         },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "_quantity",
           "type": "uint256"
         },
         {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
-        },
-        {
-          "internalType": "enum ProductManagement.Status",
-          "name": "",
-          "type": "uint8"
-        },
+          "internalType": "uint256",
+          "name": "_price",
+          "type": "uint256"
+        }
+      ],
+      "name": "createProduct",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "escrowTimeout",
+      "outputs": [
         {
           "internalType": "uint256",
           "name": "",
@@ -438,64 +845,645 @@ angular.module('foodTraceabilityApp')
       "inputs": [
         {
           "internalType": "bytes32",
-          "name": "_blockchainId",
+          "name": "",
           "type": "bytes32"
         }
       ],
-      "name": "getProductByBlockchainId",
+      "name": "escrows",
       "outputs": [
         {
-          "internalType": "string",
-          "name": "",
-          "type": "string"
+          "internalType": "bytes32",
+          "name": "productId",
+          "type": "bytes32"
         },
         {
-          "internalType": "string",
-          "name": "",
-          "type": "string"
+          "internalType": "address",
+          "name": "buyer",
+          "type": "address"
         },
         {
-          "internalType": "string",
-          "name": "",
-          "type": "string"
+          "internalType": "address",
+          "name": "seller",
+          "type": "address"
         },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "amount",
           "type": "uint256"
         },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "quantity",
           "type": "uint256"
         },
         {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "deadline",
+          "type": "uint256"
         },
         {
-          "internalType": "enum ProductManagement.Status",
-          "name": "",
+          "internalType": "enum ProductManagement.EscrowState",
+          "name": "state",
           "type": "uint8"
-        },
-        {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
         }
       ],
       "stateMutability": "view",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "getProductCount",
+      "inputs": [
+        {
+          "internalType": "string",
+          "name": "_identifier",
+          "type": "string"
+        }
+      ],
+      "name": "getAddressFromIdentifier",
       "outputs": [
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "getAvailableQuantity",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "getChildProducts",
+      "outputs": [
+        {
+          "internalType": "bytes32[]",
+          "name": "",
+          "type": "bytes32[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "_address",
+          "type": "address"
+        }
+      ],
+      "name": "getIdentifierFromAddress",
+      "outputs": [
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "getParentProducts",
+      "outputs": [
+        {
+          "internalType": "bytes32[]",
+          "name": "",
+          "type": "bytes32[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "getProduct",
+      "outputs": [
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        },
+        {
+          "internalType": "enum ProductManagement.Status",
+          "name": "",
+          "type": "uint8"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_blockchainId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "getProductByBlockchainId",
+      "outputs": [
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        },
+        {
+          "internalType": "enum ProductManagement.Status",
+          "name": "",
+          "type": "uint8"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "getProductCount",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "_index",
+          "type": "uint256"
+        }
+      ],
+      "name": "getProductIdByIndex",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "",
+          "type": "bytes32"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "getProductState",
+      "outputs": [
+        {
+          "internalType": "string",
+          "name": "batchNumber",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "productType",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "origin",
+          "type": "string"
+        },
+        {
+          "internalType": "uint256",
+          "name": "productionDate",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "quantity",
+          "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "currentOwner",
+          "type": "address"
+        },
+        {
+          "internalType": "enum ProductManagement.Status",
+          "name": "status",
+          "type": "uint8"
+        },
+        {
+          "internalType": "uint256",
+          "name": "price",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bool",
+          "name": "hasPendingTransfer",
+          "type": "bool"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "uint256",
+          "name": "_index",
+          "type": "uint256"
+        }
+      ],
+      "name": "getQualityCheck",
+      "outputs": [
+        {
+          "internalType": "address",
+          "name": "checker",
+          "type": "address"
+        },
+        {
+          "internalType": "enum ProductManagement.QualityResult",
+          "name": "result",
+          "type": "uint8"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "parametersHash",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "getQualityCheckCount",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        }
+      ],
+      "name": "getQualityChecks",
+      "outputs": [
+        {
+          "components": [
+            {
+              "internalType": "address",
+              "name": "checker",
+              "type": "address"
+            },
+            {
+              "internalType": "enum ProductManagement.QualityResult",
+              "name": "result",
+              "type": "uint8"
+            },
+            {
+              "internalType": "bytes32",
+              "name": "parametersHash",
+              "type": "bytes32"
+            },
+            {
+              "internalType": "uint256",
+              "name": "timestamp",
+              "type": "uint256"
+            }
+          ],
+          "internalType": "struct ProductManagement.QualityCheck[]",
+          "name": "",
+          "type": "tuple[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_role",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "address",
+          "name": "_account",
+          "type": "address"
+        }
+      ],
+      "name": "grantRole",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_role",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "address",
+          "name": "_account",
+          "type": "address"
+        }
+      ],
+      "name": "hasRole",
+      "outputs": [
+        {
+          "internalType": "bool",
+          "name": "",
+          "type": "bool"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "",
+          "type": "bytes32"
+        }
+      ],
+      "name": "heldEscrows",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "",
+          "type": "bytes32"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        }
+      ],
+      "name": "identifierToAddress",
+      "outputs": [
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "string",
+          "name": "_toIdentifier",
+          "type": "string"
+        },
+        {
+          "internalType": "uint256",
+          "name": "_quantity",
+          "type": "uint256"
+        }
+      ],
+      "name": "initiateTransfer",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "transferId",
+          "type": "bytes32"
+        }
+      ],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "enum ProductManagement.Status",
+          "name": "_from",
+          "type": "uint8"
+        },
+        {
+          "internalType": "enum ProductManagement.Status",
+          "name": "_to",
+          "type": "uint8"
+        }
+      ],
+      "name": "isValidTransition",
+      "outputs": [
+        {
+          "internalType": "bool",
+          "name": "",
+          "type": "bool"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32[]",
+          "name": "_sourceIds",
+          "type": "bytes32[]"
+        },
+        {
+          "internalType": "string",
+          "name": "_batchNumber",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "_productType",
+          "type": "string"
+        },
         {
           "internalType": "uint256",
+          "name": "_price",
+          "type": "uint256"
+        }
+      ],
+      "name": "mergeProducts",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "lotId",
+          "type": "bytes32"
+        }
+      ],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
           "name": "",
+          "type": "bytes32"
+        }
+      ],
+      "name": "pendingTransfers",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "productId",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "address",
+          "name": "from",
+          "type": "address"
+        },
+        {
+          "internalType": "address",
+          "name": "to",
+          "type": "address"
+        },
+        {
+          "internalType": "uint256",
+          "name": "quantity",
           "type": "uint256"
+        },
+        {
+          "internalType": "enum ProductManagement.TransferState",
+          "name": "state",
+          "type": "uint8"
         }
       ],
       "stateMutability": "view",
@@ -504,17 +1492,17 @@ angular.module('foodTraceabilityApp')
     {
       "inputs": [
         {
-          "internalType": "uint256",
-          "name": "_index",
-          "type": "uint256"
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
         }
       ],
-      "name": "getProductIdByIndex",
+      "name": "productExists",
       "outputs": [
         {
-          "internalType": "bytes32",
+          "internalType": "bool",
           "name": "",
-          "type": "bytes32"
+          "type": "bool"
         }
       ],
       "stateMutability": "view",
@@ -524,11 +1512,11 @@ angular.module('foodTraceabilityApp')
       "inputs": [
         {
           "internalType": "bytes32",
-          "name": "_productId",
+          "name": "",
           "type": "bytes32"
         }
       ],
-      "name": "getProductState",
+      "name": "products",
       "outputs": [
         {
           "internalType": "string",
@@ -569,11 +1557,6 @@ angular.module('foodTraceabilityApp')
           "internalType": "uint256",
           "name": "price",
           "type": "uint256"
-        },
-        {
-          "internalType": "bool",
-          "name": "hasPendingTransfer",
-          "type": "bool"
         }
       ],
       "stateMutability": "view",
@@ -581,18 +1564,41 @@ angular.module('foodTraceabilityApp')
     },
     {
       "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "_productId",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "enum ProductManagement.RecallSeverity",
+          "name": "_severity",
+          "type": "uint8"
+        },
         {
           "internalType": "string",
-          "name": "",
+          "name": "_reason",
           "type": "string"
         }
       ],
-      "name": "identifierToAddress",
+      "name": "recallProduct",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "bytes32",
+          "name": "",
+          "type": "bytes32"
+        }
+      ],
+      "name": "recalled",
       "outputs": [
         {
-          "internalType": "address",
+          "internalType": "bool",
           "name": "",
-          "type": "address"
+          "type": "bool"
         }
       ],
       "stateMutability": "view",
@@ -606,17 +1612,36 @@ angular.module('foodTraceabilityApp')
           "type": "bytes32"
         },
         {
-          "internalType": "string",
-          "name": "_toIdentifier",
-          "type": "string"
+          "internalType": "enum ProductManagement.QualityResult",
+          "name": "_result",
+          "type": "uint8"
         },
+        {
+          "internalType": "bytes32",
+          "name": "_parametersHash",
+          "type": "bytes32"
+        }
+      ],
+      "name": "recordQualityCheck",
+      "outputs": [
         {
           "internalType": "uint256",
-          "name": "_quantity",
+          "name": "checkIndex",
           "type": "uint256"
         }
       ],
-      "name": "initiateTransfer",
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "string",
+          "name": "_identifier",
+          "type": "string"
+        }
+      ],
+      "name": "registerUser",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -629,21 +1654,11 @@ angular.module('foodTraceabilityApp')
           "type": "bytes32"
         }
       ],
-      "name": "pendingTransfers",
+      "name": "reservedQuantity",
       "outputs": [
-        {
-          "internalType": "address",
-          "name": "from",
-          "type": "address"
-        },
-        {
-          "internalType": "address",
-          "name": "to",
-          "type": "address"
-        },
         {
           "internalType": "uint256",
-          "name": "quantity",
+          "name": "",
           "type": "uint256"
         }
       ],
@@ -654,19 +1669,18 @@ angular.module('foodTraceabilityApp')
       "inputs": [
         {
           "internalType": "bytes32",
-          "name": "_productId",
+          "name": "_role",
           "type": "bytes32"
-        }
-      ],
-      "name": "productExists",
-      "outputs": [
+        },
         {
-          "internalType": "bool",
-          "name": "",
-          "type": "bool"
+          "internalType": "address",
+          "name": "_account",
+          "type": "address"
         }
       ],
-      "stateMutability": "view",
+      "name": "revokeRole",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
@@ -675,48 +1689,38 @@ angular.module('foodTraceabilityApp')
           "internalType": "bytes32",
           "name": "",
           "type": "bytes32"
-        }
-      ],
-      "name": "products",
-      "outputs": [
-        {
-          "internalType": "string",
-          "name": "batchNumber",
-          "type": "string"
-        },
-        {
-          "internalType": "string",
-          "name": "productType",
-          "type": "string"
-        },
-        {
-          "internalType": "string",
-          "name": "origin",
-          "type": "string"
         },
         {
           "internalType": "uint256",
-          "name": "productionDate",
+          "name": "",
           "type": "uint256"
+        }
+      ],
+      "name": "sensorAnchors",
+      "outputs": [
+        {
+          "internalType": "bytes32",
+          "name": "merkleRoot",
+          "type": "bytes32"
         },
         {
-          "internalType": "uint256",
-          "name": "quantity",
-          "type": "uint256"
+          "internalType": "uint64",
+          "name": "windowStart",
+          "type": "uint64"
         },
         {
-          "internalType": "address",
-          "name": "currentOwner",
-          "type": "address"
+          "internalType": "uint64",
+          "name": "windowEnd",
+          "type": "uint64"
         },
         {
-          "internalType": "enum ProductManagement.Status",
-          "name": "status",
-          "type": "uint8"
+          "internalType": "uint32",
+          "name": "readingCount",
+          "type": "uint32"
         },
         {
           "internalType": "uint256",
-          "name": "price",
+          "name": "timestamp",
           "type": "uint256"
         }
       ],
@@ -726,29 +1730,16 @@ angular.module('foodTraceabilityApp')
     {
       "inputs": [
         {
-          "internalType": "string",
-          "name": "_identifier",
-          "type": "string"
+          "internalType": "uint256",
+          "name": "_timeout",
+          "type": "uint256"
         }
       ],
-      "name": "registerUser",
+      "name": "setEscrowTimeout",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
     },
-    {
-      "inputs": [
-        {
-          "internalType": "bytes32",
-          "name": "_productId",
-          "type": "bytes32"
-        }
-      ],
-      "name": "triggerPayment",
-      "outputs": [],
-      "stateMutability": "payable",
-      "type": "function"
-    },
     {
       "inputs": [
         {
@@ -1254,9 +2245,18 @@ function initiateTransferOnBlockchain(productId, newOwnerUsername, quantity) {
       .send({ from: currentAccount })
       .on('transactionHash', function(hash) {
         console.log('Transaction hash:', hash);
+      })
+      .on('receipt', function(receipt) {
+        // Wait for the receipt to learn the ID the contract gave the transfer
+        const initiated = getInitiatedTransfer(receipt);
+        if (initiated.error) {
+          reject({ success: false, error: initiated.error });
+          return;
+        }
         resolve({ 
           success: true, 
-          txHash: hash, 
+          txHash: receipt.transactionHash, 
+          transferId: initiated.transferId,
           message: 'Transfer initiated successfully on the blockchain.' 
         });
       })
@@ -1392,18 +2392,85 @@ function cancelTransferOnBlockchain(productId) {
  * @param {string} amount - The amount to pay in wei
  * @returns {Promise<Object>} - A promise that resolves with the transaction hash
  */
-function triggerPaymentOnBlockchain(productId, amount) {
+/**
+ * Get the payment that has to be deposited in escrow to accept a pending transfer
+ * @param {string} transferId - The blockchain ID of the pending transfer
+ * @returns {Promise<string>} - Resolves with the price of the transferred quantity in wei
+ */
+function getEscrowPaymentAmount(transferId) {
+  return $q.when(contract.methods.pendingTransfers(transferId).call())
+    .then(function(pendingTransfer) {
+      return $q.when(contract.methods.products(pendingTransfer.productId).call())
+        .then(function(product) {
+          return web3.utils.toBN(product.price).mul(web3.utils.toBN(pendingTransfer.quantity)).toString();
+        });
+    });
+}
+
+/**
+ * Read the transfer initiated by a transaction from its receipt. The contract does
+ * not revert a rejected transfer but emits TransferError with the reason.
+ * @param {Object} receipt - The transaction receipt
+ * @returns {Object} - { transferId }, or { error } if no transfer was initiated
+ */
+function getInitiatedTransfer(receipt) {
+  const events = receipt.events || {};
+  if (events.TransferInitiated) {
+    return { transferId: events.TransferInitiated.returnValues.transferId };
+  }
+  return { error: events.TransferError ? events.TransferError.returnValues.reason : 'The transaction did not initiate a transfer' };
+}
+
+/**
+ * Send an escrow settlement from the connected account
+ * @param {string} method - confirmDelivery, cancelEscrow or claimEscrowRefund
+ * @param {string} escrowId - Blockchain ID of the transfer paid through the escrow
+ * @returns {Promise<Object>} - Resolves with the transaction result
+ */
+function settleEscrowOnBlockchain(method, escrowId) {
   return $q(function(resolve, reject) {
     if (!contract || !currentAccount) {
-      reject('Web3 not initialized or no account connected');
+      reject({ success: false, error: 'Web3 not initialized or no account connected' });
       return;
     }
 
-    contract.methods.triggerPayment(productId)
-      .send({ from: currentAccount, value: amount })
-      .on('transactionHash', resolve)
-      .on('error', reject);
-  }).catch(handleError);
+    contract.methods[method](escrowId).send({ from: currentAccount })
+      .then(function(receipt) {
+        console.log(`Escrow ${method} receipt:`, receipt);
+        resolve({ success: true, txHash: receipt.transactionHash });
+      })
+      .catch(function(error) {
+        console.error(`Error in escrow ${method}:`, error);
+        reject({ success: false, error: error.message });
+      });
+  });
+}
+
+/**
+ * Confirm delivery of a received product, releasing the escrowed payment to the seller
+ * @param {string} escrowId - Blockchain ID of the transfer paid through the escrow
+ * @returns {Promise<Object>} - Resolves with the transaction result
+ */
+function confirmDeliveryOnBlockchain(escrowId) {
+  return settleEscrowOnBlockchain('confirmDelivery', escrowId);
+}
+
+/**
+ * Cancel a sale whose payment is held in escrow, refunding the buyer
+ * @param {string} escrowId - Blockchain ID of the transfer paid through the escrow
+ * @returns {Promise<Object>} - Resolves with the transaction result
+ */
+function cancelEscrowOnBlockchain(escrowId) {
+  return settleEscrowOnBlockchain('cancelEscrow', escrowId);
+}
+
+/**
+ * Claim back an escrowed payment once the delivery deadline has passed
+ * @param {string} escrowId - Blockchain ID of the transfer paid through the escrow
+ * @returns {Promise<Object>} - Resolves with the transaction result
+ */
+function claimEscrowRefundOnBlockchain(escrowId) {
+  return settleEscrowOnBlockchain('claimEscrowRefund', escrowId);
 }
 
 function getCurrentAccount() {
@@ -1424,6 +2491,21 @@ function getCurrentAccount() {
   });
 }
 
+/**
+ * Sign a message with the connected wallet (EIP-191 personal_sign)
+ * @param {string} message - The message to sign
+ * @returns {Promise<string>} - Resolves with the signature
+ */
+function signMessage(message) {
+  return getCurrentAccount()
+    .then(function(account) {
+      return window.ethereum.request({
+        method: 'personal_sign',
+        params: [Web3.utils.utf8ToHex(message), account]
+      });
+    });
+}
+
 
 /**
  * Web3 Service - Distributor Functions
@@ -1457,9 +2539,15 @@ function acceptTransferOnBlockchain(transferId, distributorAddress) {
     console.log(`Accepting transfer on blockchain. Transfer ID: ${transferId}, Distributor Address: ${distributorAddress}`);
 
     const formattedTransferId = convertToBytes32(transferId);
-
-    // Estimate gas first
-    contract.methods.acceptTransfer(formattedTransferId).estimateGas({ from: distributorAddress })
+    let value;
+
+    // The payment is held in escrow until delivery is confirmed
+    getEscrowPaymentAmount(formattedTransferId)
+      .then(function(amount) {
+        value = amount;
+        // Estimate gas first
+        return contract.methods.acceptTransfer(formattedTransferId).estimateGas({ from: distributorAddress, value: value });
+      })
       .then(function(gasEstimate) {
         console.log('Estimated gas for acceptTransfer:', gasEstimate);
         
@@ -1469,6 +2557,7 @@ function acceptTransferOnBlockchain(transferId, distributorAddress) {
         // Send the transaction
         return contract.methods.acceptTransfer(formattedTransferId).send({ 
           from: distributorAddress,
+          value: value,
           gas: gas
         });
       })
@@ -1559,9 +2648,14 @@ function initiateDistributorTransferOnBlockchain(productId, retailerIdentifier,
         });
       })
       .then(function(receipt) {
+        const initiated = getInitiatedTransfer(receipt);
+        if (initiated.error) {
+          throw new Error(initiated.error);
+        }
         resolve({ 
           success: true, 
           txHash: receipt.transactionHash,
+          transferId: initiated.transferId,
           message: 'Transfer initiated successfully on the blockchain.'
         });
       })
@@ -1572,6 +2666,88 @@ function initiateDistributorTransferOnBlockchain(productId, retailerIdentifier,
   });
 }
 
+/**
+ * Merge products owned by the connected account into one processed lot
+ * @param {Array<string>} productIds - The blockchain IDs of the products to merge
+ * @param {string} batchNumber - Batch number of the lot
+ * @param {string} productType - Product type of the lot
+ * @param {number} price - Price per unit of the lot in ETH
+ * @returns {Promise<Object>} - Resolves with the transaction hash and the blockchain ID of the lot
+ */
+function mergeProductsOnBlockchain(productIds, batchNumber, productType, price) {
+  return $q(function(resolve, reject) {
+    if (!contract || !currentAccount) {
+      reject({ success: false, error: 'Web3 not initialized or no account connected' });
+      return;
+    }
+
+    const method = contract.methods.mergeProducts(
+      productIds.map(convertToBytes32),
+      batchNumber,
+      productType,
+      web3.utils.toWei(price.toString(), 'ether')
+    );
+
+    method.estimateGas({ from: currentAccount })
+      .then(function(gasEstimate) {
+        return method.send({ from: currentAccount, gas: Math.round(gasEstimate * 1.2) });
+      })
+      .then(function(receipt) {
+        const merged = receipt.events && receipt.events.ProductsMerged;
+        if (!merged) {
+          throw new Error('The transaction did not merge the products');
+        }
+        resolve({
+          success: true,
+          txHash: receipt.transactionHash,
+          lotId: merged.returnValues.lotId,
+          message: 'Products merged successfully on the blockchain.'
+        });
+      })
+      .catch(function(error) {
+        console.error('Error merging products:', error);
+        reject({ success: false, error: error.message || 'An error occurred during the blockchain transaction' });
+      });
+  });
+}
+
+/**
+ * Anchor a quality check of a product owned by the connected account; the
+ * contract records the account as the checker
+ * @param {Object} blockchainCheck - { productId, result, parametersHash } returned by the API for the stored check
+ * @returns {Promise<Object>} - Resolves with the transaction hash
+ */
+function recordQualityCheckOnBlockchain(blockchainCheck) {
+  return $q(function(resolve, reject) {
+    if (!contract || !currentAccount) {
+      reject({ success: false, error: 'Web3 not initialized or no account connected' });
+      return;
+    }
+
+    const method = contract.methods.recordQualityCheck(
+      convertToBytes32(blockchainCheck.productId),
+      blockchainCheck.result,
+      blockchainCheck.parametersHash
+    );
+
+    method.estimateGas({ from: currentAccount })
+      .then(function(gasEstimate) {
+        return method.send({ from: currentAccount, gas: Math.round(gasEstimate * 1.2) });
+      })
+      .then(function(receipt) {
+        resolve({
+          success: true,
+          txHash: receipt.transactionHash,
+          message: 'Quality check anchored on the blockchain.'
+        });
+      })
+      .catch(function(error) {
+        console.error('Error recording quality check:', error);
+        reject({ success: false, error: error.message || 'An error occurred during the blockchain transaction' });
+      });
+  });
+}
+
 /**
  * Get pending transfers for a user (distributor)
  * @param {string} userAddress - The Ethereum address of the user
@@ -1667,7 +2843,11 @@ function acceptTransferAsRetailer(transferId) {
     console.log(`Retailer accepting transfer: ${transferId}`);
     const formattedTransferId = convertToBytes32(transferId);
 
-    contract.methods.acceptTransfer(formattedTransferId).send({ from: currentAccount })
+    // The payment is held in escrow until delivery is confirmed
+    getEscrowPaymentAmount(formattedTransferId)
+      .then(function(value) {
+        return contract.methods.acceptTransfer(formattedTransferId).send({ from: currentAccount, value: value });
+      })
       .then(function(receipt) {
         console.log('Transfer accepted by retailer:', receipt);
         resolve({ success: true, txHash: receipt.transactionHash });
@@ -2003,7 +3183,7 @@ function getStatusString(statusCode) {
 
 /**
  * Check if a transfer exists on the blockchain
- * @param {string} transferId - The blockchain transaction hash of the transfer
+ * @param {string} transferId - The blockchain ID of the transfer
  * @returns {Promise<boolean>} - Resolves with true if the transfer exists, false otherwise
  */
 function checkTransferExistsOnBlockchain(transferId) {
@@ -2016,7 +3196,8 @@ function checkTransferExistsOnBlockchain(transferId) {
     console.log('Checking transfer existence on blockchain:', transferId);
     contract.methods.pendingTransfers(transferId).call({ from: currentAccount })
       .then(function(transferData) {
-        const exists = transferData.quantity !== '0';
+        // Accepted and cancelled transfers are kept in the contract, state 1 is TransferState.Pending
+        const exists = transferData.state === '1';
         console.log('Transfer exists on blockchain:', exists);
         resolve({ exists: exists });
       })
@@ -2067,7 +3248,11 @@ function acceptTransferAsConsumer(transferId) {
 
     console.log(`Consumer accepting transfer: ${transferId}`);
 
-    contract.methods.acceptTransfer(transferId).send({ from: currentAccount })
+    // The payment is held in escrow until delivery is confirmed
+    getEscrowPaymentAmount(transferId)
+      .then(function(value) {
+        return contract.methods.acceptTransfer(transferId).send({ from: currentAccount, value: value });
+      })
       .then(function(receipt) {
         console.log('Transfer accepted by consumer:', receipt);
         resolve({ success: true, txHash: receipt.transactionHash });
@@ -2081,7 +3266,7 @@ function acceptTransferAsConsumer(transferId) {
 
 /**
  * Cancel a transfer on the blockchain
- * @param {string} transferId - The blockchain transaction hash of the transfer to cancel
+ * @param {string} transferId - The blockchain ID of the transfer to cancel
  * @returns {Promise<Object>} - Resolves with the transaction result
  */
 function cancelTransferOnBlockchain(transferId) {
@@ -2302,11 +3487,16 @@ return {
   getProductFromBlockchain,
   getTransactionReceipt,
   cancelTransferOnBlockchain,
-  triggerPaymentOnBlockchain,
+  confirmDeliveryOnBlockchain,
+  cancelEscrowOnBlockchain,
+  claimEscrowRefundOnBlockchain,
   getCurrentAccount,
+  signMessage,
   // New functions for distributor integration
   acceptTransferOnBlockchain,
   initiateDistributorTransferOnBlockchain,
+  mergeProductsOnBlockchain,
+  recordQualityCheckOnBlockchain,
   updateProductInfoOnBlockchain,
   getPendingTransfersFromBlockchain,
   initiateTransferToRetailer,
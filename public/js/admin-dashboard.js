@@ -0,0 +1,289 @@
+// Admin-dashboard.js
+
+// Times the two-factor code is asked before a sensitive action is given up
+const MAX_TWO_FACTOR_PROMPTS = 3;
+
+const app = Vue.createApp({
+  data() {
+    return {
+      tabs: [
+        { id: 'users', label: 'Users' },
+        { id: 'products', label: 'Products' },
+        { id: 'recalls', label: 'Recalls' },
+        { id: 'disputes', label: 'Disputes' },
+        { id: 'partners', label: 'Partners' }
+      ],
+      currentTab: 'users',
+      isLoading: false,
+      message: '',
+      hasError: false,
+
+      userTypes: ['farmer', 'distributor', 'retailer', 'consumer', 'admin'],
+      userFilters: { search: '', userType: '', accountStatus: '' },
+      users: [],
+      userPage: 1,
+      userPages: 0,
+      userTotal: 0,
+
+      productId: '',
+      productHistory: null,
+      replayFromBlock: null,
+
+      recalls: [],
+      recallReport: null,
+
+      disputeStatus: 'open',
+      disputes: [],
+
+      partnerStatus: 'submitted',
+      partners: [],
+      partnerReview: null
+    };
+  },
+
+  mounted() {
+    if (localStorage.getItem('userType') !== 'admin') {
+      window.location.href = 'login.html';
+      return;
+    }
+    this.loadUsers(1);
+  },
+
+  methods: {
+    /**
+     * Send an API request. Actions needing a fresh two-factor code are sent
+     * again with a code entered by the admin.
+     * @param {string} url - The URL
+     * @param {Object} [options] - authFetch options
+     * @returns {Promise<Object>} The response body
+     */
+    async send(url, options = {}) {
+      let response = await authFetch(url, options);
+      let data = await response.json().catch(() => ({}));
+
+      for (let attempt = 0; attempt < MAX_TWO_FACTOR_PROMPTS && response.status === 403 && data.twoFactorRequired; attempt++) {
+        const code = window.prompt(`${data.message}\nEnter the code from your authenticator app or a recovery code:`);
+        if (!code) {
+          break;
+        }
+        response = await authFetch(url, { ...options, headers: { ...options.headers, 'X-Two-Factor-Code': code.trim() } });
+        data = await response.json().catch(() => ({}));
+      }
+
+      if (!response.ok) {
+        const validationError = data.errors && data.errors[0] && data.errors[0].msg;
+        throw new Error(data.message || validationError || `HTTP error! status: ${response.status}`);
+      }
+      return data;
+    },
+
+    /**
+     * Run a request, showing a spinner meanwhile and the error if it fails
+     * @param {Function} task - Async function doing the request, resolving with the message to show if any
+     */
+    async run(task) {
+      this.isLoading = true;
+      this.message = '';
+      try {
+        const successMessage = await task();
+        if (successMessage) {
+          this.message = successMessage;
+          this.hasError = false;
+        }
+      } catch (error) {
+        console.error('Admin error:', error);
+        this.message = error.message;
+        this.hasError = true;
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    selectTab(tab) {
+      this.currentTab = tab;
+      this.message = '';
+      if (tab === 'users') {
+        this.loadUsers(this.userPage);
+      } else if (tab === 'recalls') {
+        this.loadRecalls();
+      } else if (tab === 'disputes') {
+        this.loadDisputes();
+      } else if (tab === 'partners') {
+        this.loadPartners();
+      }
+    },
+
+    loadUsers(page) {
+      return this.run(async () => {
+        const params = new URLSearchParams({ page, limit: 20 });
+        Object.entries(this.userFilters).forEach(([key, value]) => {
+          if (value) {
+            params.set(key, value);
+          }
+        });
+        const data = await this.send(`/api/admin/users?${params}`);
+        this.users = data.users;
+        this.userPage = data.page;
+        this.userPages = data.pages;
+        this.userTotal = data.total;
+      });
+    },
+
+    approveUser(user) {
+      return this.run(async () => {
+        const data = await this.send(`/api/admin/users/${user._id}/approve`, { method: 'POST', body: {} });
+        Object.assign(user, data.user);
+        return `${user.username} can now log in.`;
+      });
+    },
+
+    suspendUser(user) {
+      const reason = window.prompt(`Why suspend ${user.username}? The reason is emailed to them.`);
+      if (!reason) {
+        return;
+      }
+      return this.run(async () => {
+        const data = await this.send(`/api/admin/users/${user._id}/suspend`, { method: 'POST', body: { reason } });
+        Object.assign(user, data.user);
+        return `${user.username} has been suspended and signed out.`;
+      });
+    },
+
+    showProduct(productId) {
+      this.currentTab = 'products';
+      this.productId = productId;
+      return this.loadProductHistory();
+    },
+
+    loadProductHistory() {
+      return this.run(async () => {
+        this.productHistory = null;
+        this.productHistory = await this.send(`/api/admin/products/${encodeURIComponent(this.productId.trim())}/history`);
+      });
+    },
+
+    resyncProduct() {
+      return this.run(async () => {
+        const data = await this.send(`/api/admin/products/${this.productHistory.product._id}/resync`, { method: 'POST', body: {} });
+        this.productHistory = await this.send(`/api/admin/products/${data.product._id}/history`);
+        return data.message;
+      });
+    },
+
+    replayIndexer() {
+      if (!window.confirm(`Make the indexer process the blocks again from block ${this.replayFromBlock}?`)) {
+        return;
+      }
+      return this.run(async () => {
+        const data = await this.send('/api/admin/indexer/replay', { method: 'POST', body: { fromBlock: this.replayFromBlock } });
+        return data.message;
+      });
+    },
+
+    loadRecalls() {
+      return this.run(async () => {
+        this.recallReport = null;
+        this.recalls = await this.send('/api/admin/recalls');
+      });
+    },
+
+    loadRecallReport(recall) {
+      return this.run(async () => {
+        this.recallReport = await this.send(`/api/admin/recalls/${recall._id}/report`);
+      });
+    },
+
+    async fetchDisputes() {
+      const query = this.disputeStatus ? `?status=${this.disputeStatus}` : '';
+      this.disputes = await this.send(`/api/admin/disputes${query}`);
+    },
+
+    loadDisputes() {
+      return this.run(() => this.fetchDisputes());
+    },
+
+    closeDispute(dispute, status) {
+      const resolution = window.prompt(`Decision (${status === 'resolved' ? 'resolve' : 'reject'} the dispute). It is emailed to both parties.`);
+      if (!resolution) {
+        return;
+      }
+      return this.run(async () => {
+        const data = await this.send(`/api/admin/disputes/${dispute._id}/close`, { method: 'POST', body: { status, resolution } });
+        await this.fetchDisputes();
+        return data.message;
+      });
+    },
+
+    async fetchPartners() {
+      const query = this.partnerStatus ? `?status=${this.partnerStatus}` : '';
+      this.partners = await this.send(`/api/admin/partners${query}`);
+    },
+
+    loadPartners() {
+      return this.run(async () => {
+        this.partnerReview = null;
+        await this.fetchPartners();
+      });
+    },
+
+    loadPartnerReview(profile) {
+      return this.run(async () => {
+        this.partnerReview = await this.send(`/api/admin/partners/${profile._id}`);
+      });
+    },
+
+    openPartnerDocument(document) {
+      return this.run(async () => {
+        const response = await authFetch(`/api/admin/partners/${this.partnerReview.profile._id}/documents/${document._id}`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+      });
+    },
+
+    reviewPartner(decision) {
+      const notes = window.prompt(decision === 'verified'
+        ? 'Notes for the partner (optional). They are emailed to them.'
+        : 'Why is the profile rejected? It is emailed to the partner.');
+      if (notes === null || (decision === 'rejected' && !notes.trim())) {
+        return;
+      }
+      return this.run(async () => {
+        const profile = this.partnerReview.profile;
+        const data = await this.send(`/api/admin/partners/${profile._id}/review`, { method: 'POST', body: { decision, notes: notes.trim() || undefined } });
+        this.partnerReview = null;
+        await this.fetchPartners();
+        return `${profile.legalName}: ${data.message.toLowerCase()}`;
+      });
+    },
+
+    isExpired(license) {
+      return Boolean(license.expiresAt) && new Date(license.expiresAt) <= new Date();
+    },
+
+    async logout() {
+      try {
+        await fetch('/api/logout', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+        });
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('userType');
+      window.location.href = 'login.html';
+    },
+
+    formatDate(date) {
+      return date ? new Date(date).toLocaleString() : '';
+    }
+  }
+});
+
+app.mount('#app');
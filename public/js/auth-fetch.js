@@ -0,0 +1,55 @@
+/**
+ * auth-fetch.js
+ *
+ * fetch for the account pages outside the dashboards: sends the access token,
+ * renews it with the refresh token on 401 as the dashboards' AuthInterceptor
+ * does, and sends the user back to the login page when the session is over.
+ */
+
+// Renew the access token with the refresh token
+async function refreshAccessToken() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    return false;
+  }
+  const response = await fetch('/api/login/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  if (!response.ok) {
+    return false;
+  }
+  const data = await response.json();
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  return true;
+}
+
+/**
+ * Send an authenticated API request
+ * @param {string} url - The URL
+ * @param {Object} [options] - fetch options; a body object is sent as JSON
+ * @returns {Promise<Response>} The response
+ */
+async function authFetch(url, options = {}) {
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...options.headers,
+      'Authorization': 'Bearer ' + localStorage.getItem('token')
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  let response = await send();
+  if (response.status === 401) {
+    if (!(await refreshAccessToken())) {
+      window.location.href = 'login.html';
+      throw new Error('Session expired');
+    }
+    response = await send();
+  }
+  return response;
+}
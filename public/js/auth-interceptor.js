@@ -0,0 +1,167 @@
+/**
+ * auth-interceptor.js
+ *
+ * Keeps the dashboards logged in with short-lived access tokens. When an API
+ * request fails with 401, the refresh token is exchanged for a new access token
+ * (and a new refresh token) and the request is sent again; concurrent failures
+ * share one refresh. When the session cannot be refreshed, the user is sent
+ * back to the login page. Sensitive actions answered with 403 and twoFactorRequired
+ * are sent again with a code from the user's authenticator app. Also provides the
+ * logout calls and the wallet ownership proof used by the dashboards.
+ */
+
+angular.module('foodTraceabilityApp')
+  .factory('AuthService', ['$injector', '$q', function($injector, $q) {
+    const AUTH_API_URL = 'http://localhost:3000/api';
+
+    // Refresh in progress, shared by the requests failing meanwhile
+    let refreshPromise = null;
+
+    function storeTokens(data) {
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+    }
+
+    function clearTokens() {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('userType');
+    }
+
+    /**
+     * Exchange the refresh token for a new access token
+     * @returns {Promise<string>} A promise that resolves with the new access token
+     */
+    function refreshAccessToken() {
+      if (refreshPromise) {
+        return refreshPromise;
+      }
+
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        return $q.reject(new Error('No refresh token'));
+      }
+
+      // $http is looked up lazily, as it depends on the interceptor using this service
+      const $http = $injector.get('$http');
+      refreshPromise = $http.post(`${AUTH_API_URL}/login/refresh`, { refreshToken }, { skipAuthRefresh: true })
+        .then(response => {
+          storeTokens(response.data);
+          return response.data.token;
+        })
+        .catch(error => {
+          // Another tab refreshed first with the same token: use the tokens it stored
+          const storedRefreshToken = localStorage.getItem('refreshToken');
+          if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+            return localStorage.getItem('token');
+          }
+          return $q.reject(error);
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+      return refreshPromise;
+    }
+
+    /**
+     * Log out of this device, or of all devices, and forget the tokens
+     * @param {boolean} [allDevices=false] - Whether to sign out of all devices
+     * @returns {Promise} A promise that resolves once the session is revoked
+     */
+    function logout(allDevices) {
+      const $http = $injector.get('$http');
+      const request = allDevices
+        ? $http.post(`${AUTH_API_URL}/logout/all`, {}, {
+          headers: { 'Authorization': 'Bearer ' + localStorage.getItem('token') }
+        })
+        : $http.post(`${AUTH_API_URL}/logout`, { refreshToken: localStorage.getItem('refreshToken') }, { skipAuthRefresh: true });
+      return request
+        .catch(error => console.error('Error logging out:', error))
+        .finally(clearTokens);
+    }
+
+    /**
+     * Prove that the user owns a wallet before linking its address: the wallet
+     * signs the message issued by the server for this address
+     * @param {string} ethereumAddress - The address to link, which must be the connected account
+     * @returns {Promise<Object>} A promise that resolves with { ethereumAddress, message, signature }
+     */
+    function proveWalletOwnership(ethereumAddress) {
+      const $http = $injector.get('$http');
+      const Web3Service = $injector.get('Web3Service');
+      return $http.post(`${AUTH_API_URL}/wallet/challenge`, { ethereumAddress }, {
+        headers: { 'Authorization': 'Bearer ' + localStorage.getItem('token') }
+      })
+        .then(response => {
+          const message = response.data.message;
+          return $q.when(Web3Service.signMessage(message))
+            .then(signature => ({ ethereumAddress, message, signature }));
+        });
+    }
+
+    return {
+      refreshAccessToken,
+      clearTokens,
+      logout,
+      proveWalletOwnership
+    };
+  }])
+
+  .factory('AuthInterceptor', ['$injector', '$q', function($injector, $q) {
+    // Number of times a two-factor code is asked for one request
+    const MAX_TWO_FACTOR_PROMPTS = 3;
+
+    /**
+     * Ask for a two-factor code and send the request again with it
+     * @param {Object} rejection - The 403 response asking for the code
+     * @returns {Promise} The response of the request sent again
+     */
+    function retryWithTwoFactorCode(rejection) {
+      const config = rejection.config;
+      config.twoFactorPrompts = (config.twoFactorPrompts || 0) + 1;
+      if (config.twoFactorPrompts > MAX_TWO_FACTOR_PROMPTS) {
+        return $q.reject(rejection);
+      }
+
+      const message = config.twoFactorPrompts > 1
+        ? 'Invalid code. Enter the code from your authenticator app, or a recovery code:'
+        : 'This action needs two-factor verification. Enter the code from your authenticator app, or a recovery code:';
+      const code = window.prompt(message);
+      if (!code) {
+        return $q.reject(rejection);
+      }
+
+      config.headers = Object.assign({}, config.headers, { 'X-Two-Factor-Code': code.trim() });
+      return $injector.get('$http')(config);
+    }
+
+    return {
+      responseError: function(rejection) {
+        const config = rejection.config || {};
+        const isApiRequest = typeof config.url === 'string' && config.url.indexOf('/api/') !== -1;
+        if (rejection.status === 403 && isApiRequest && rejection.data && rejection.data.twoFactorRequired) {
+          return retryWithTwoFactorCode(rejection);
+        }
+        if (rejection.status !== 401 || !isApiRequest || config.skipAuthRefresh || config.authRetried) {
+          return $q.reject(rejection);
+        }
+
+        const AuthService = $injector.get('AuthService');
+        return AuthService.refreshAccessToken().then(token => {
+          // Send the request again with the new access token
+          config.authRetried = true;
+          config.headers = Object.assign({}, config.headers, { 'Authorization': 'Bearer ' + token });
+          return $injector.get('$http')(config);
+        }, () => {
+          // The session expired or was revoked
+          AuthService.clearTokens();
+          window.location.href = 'login.html';
+          return $q.reject(rejection);
+        });
+      }
+    };
+  }])
+
+  .config(['$httpProvider', function($httpProvider) {
+    $httpProvider.interceptors.push('AuthInterceptor');
+  }]);
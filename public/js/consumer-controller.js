@@ -5,8 +5,8 @@
  * It handles product viewing, transfer acceptance, QR code scanning, and real-time tracking.
  */
 angular.module('foodTraceabilityApp')
-  .controller('ConsumerController', ['$scope', '$location', '$q', '$timeout', '$interval', 'ConsumerService', 'Web3Service', '$window',
-  function($scope, $location, $q, $timeout, $interval, ConsumerService, Web3Service, $window) {
+  .controller('ConsumerController', ['$scope', '$location', '$q', '$timeout', '$interval', 'ConsumerService', 'Web3Service', 'RealtimeService', '$window',
+  function($scope, $location, $q, $timeout, $interval, ConsumerService, Web3Service, RealtimeService, $window) {
 
     // Initialize scope variables
     $scope.products = [];
@@ -21,6 +21,9 @@ angular.module('foodTraceabilityApp')
     $scope.selectedProduct = null;
     $scope.scannedProduct = null;
     $scope.productHistory = [];
+    $scope.productLineage = null;
+    $scope.purchaseHistory = [];
+    $scope.verificationResult = null;
     $scope.notifications = [];
     $scope.manualProductId = '';
     $scope.feedback = {
@@ -35,6 +38,55 @@ angular.module('foodTraceabilityApp')
       $scope.$applyAsync();
     }
 
+    /**
+     * Load the payments held in escrow for the consumer's transfers
+     */
+    $scope.loadEscrowPayments = function() {
+      ConsumerService.getEscrowPayments()
+        .then(function(escrowPayments) {
+          $scope.escrowPayments = escrowPayments;
+        })
+        .catch(function(error) {
+          handleError(error, 'loading escrowed payments');
+        });
+    };
+
+    /**
+     * Confirm delivery of a received product, releasing its escrowed payment to the seller
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     */
+    $scope.confirmDelivery = function(escrowTransfer) {
+      settleEscrow(escrowTransfer, ConsumerService.confirmDelivery, 'Delivery confirmed, payment released to the seller', 'confirming delivery');
+    };
+
+    /**
+     * Refund the escrowed payment of a transfer to the buyer
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     */
+    $scope.refundEscrow = function(escrowTransfer) {
+      settleEscrow(escrowTransfer, ConsumerService.refundEscrow, 'Payment refunded to the buyer', 'refunding payment');
+    };
+
+    // Send an escrow settlement and refresh the escrowed payments once it is recorded
+    function settleEscrow(escrowTransfer, settle, successMessage, action) {
+      escrowTransfer.isSettling = true;
+      settle(escrowTransfer)
+        .then(function(result) {
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          $scope.successMessage = successMessage;
+          $scope.loadEscrowPayments();
+        })
+        .catch(function(error) {
+          handleError(error, action);
+        })
+        .finally(function() {
+          escrowTransfer.isSettling = false;
+          $scope.$applyAsync();
+        });
+    }
+
     /**
      * Set active tab and load relevant data
      * @param {string} tab - The tab to activate
@@ -46,9 +98,11 @@ angular.module('foodTraceabilityApp')
       switch(tab) {
         case 'my-products':
           $scope.loadProducts();
+          $scope.loadPurchaseHistory();
           break;
         case 'transfers':
           $scope.loadPendingTransfers();
+          $scope.loadEscrowPayments();
           break;
         case 'scan-product':
           // Prepare for QR code scanning
@@ -415,6 +469,75 @@ $scope.openRealTimeTracking = function() {
         });
     };
 
+    /**
+     * Load the purchase history and warn about purchased products covered by a recall
+     */
+    $scope.loadPurchaseHistory = function() {
+      ConsumerService.getPurchaseHistory()
+        .then(function(purchases) {
+          $scope.purchaseHistory = purchases;
+          $scope.hasRecalledPurchases = purchases.some(function(purchase) {
+            return purchase.recallWarnings.length > 0;
+          });
+        })
+        .catch(function(error) {
+          handleError(error, 'loading purchase history');
+        });
+    };
+
+    /**
+     * Verify a product on the blockchain and show its recall warnings
+     * @param {string} productId - The ID of the product
+     */
+    $scope.verifyProductAuthenticity = function(productId) {
+      $scope.verificationResult = null;
+      ConsumerService.verifyProductAuthenticity(productId)
+        .then(function(result) {
+          if (result.error) {
+            throw new Error(result.error);
+          }
+          $scope.verificationResult = result;
+        })
+        .catch(function(error) {
+          handleError(error, 'verifying product');
+        })
+        .finally(function() {
+          $scope.$applyAsync();
+        });
+    };
+
+    /**
+     * Load the lineage of a product back to the farms it originates from
+     * @param {string} productId - The ID of the product
+     */
+    $scope.loadProductLineage = function(productId) {
+      $scope.productLineage = null;
+      if (!productId) {
+        return;
+      }
+
+      $scope.isLoading = true;
+      ConsumerService.getProductLineage(productId)
+        .then(function(lineage) {
+          const batchNumbers = {};
+          lineage.nodes.forEach(function(node) {
+            batchNumbers[node._id] = node.batchNumber;
+          });
+          // Show the edges with batch numbers rather than product IDs
+          lineage.links = lineage.edges.map(function(edge) {
+            return { from: batchNumbers[edge.from], to: batchNumbers[edge.to] };
+          });
+          $scope.productLineage = lineage;
+        })
+        .catch(function(error) {
+          handleError(error, 'loading product lineage');
+        })
+        .finally(function() {
+          $scope.isLoading = false;
+          $scope.$applyAsync();
+        });
+    };
+
     /**
      * Add a notification
      * @param {string} message - The notification message
@@ -484,17 +607,37 @@ $scope.openRealTimeTracking = function() {
       }
     });
 
-    // Set up an interval to check for new transfers
-    var transferCheckInterval = $interval(function() {
+    /**
+     * Reload the products and the transfers offered to the consumer, while the wallet is connected
+     */
+    function reloadTransfers() {
       if ($scope.isWalletConnected) {
         $scope.loadPendingTransfers();
+        $scope.loadProducts();
+        $scope.loadPurchaseHistory();
       }
-    }, 30000); // Check every 30 seconds
+    }
 
-    // Cleanup on scope destruction
-    $scope.$on('$destroy', function() {
-      if (angular.isDefined(transferCheckInterval)) {
-        $interval.cancel(transferCheckInterval);
-      }
-    });
+    // Live updates for the transfers offered to the consumer and the products they bought
+    RealtimeService.on('transfer:initiated', function(update) {
+      $scope.addNotification(RealtimeService.describeProduct(update.product) + ' is waiting for you to accept it');
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('transfer:accepted', function(update) {
+      $scope.addNotification('You received ' + update.transfer.quantity + ' units of ' + RealtimeService.describeProduct(update.product));
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('transfer:cancelled', function(update) {
+      $scope.addNotification('The transfer of ' + RealtimeService.describeProduct(update.product) + ' was cancelled');
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('qualityCheck:recorded', function(update) {
+      $scope.addNotification('Quality check of ' + RealtimeService.describeProduct(update.product) + ': ' + update.qualityCheck.status);
+    }, $scope);
+
+    // Updates sent while the connection was lost are not replayed
+    RealtimeService.onReconnect(reloadTransfers, $scope);
   }]);
\ No newline at end of file
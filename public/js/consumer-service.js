@@ -7,10 +7,11 @@
  */
 
 angular.module('foodTraceabilityApp')
-  .factory('ConsumerService', ['$http', 'Web3Service', '$q', '$timeout', '$window', '$rootScope',
-  function($http, Web3Service, $q, $timeout, $window, $rootScope) {
+  .factory('ConsumerService', ['$http', 'Web3Service', '$q', '$timeout', '$window', '$rootScope', 'AuthService',
+  function($http, Web3Service, $q, $timeout, $window, $rootScope, AuthService) {
     // Base API URL for backend communication
     const API_URL = 'http://localhost:3000/api/consumer';
+    const ESCROW_API_URL = 'http://localhost:3000/api/escrow';
     
     /**
      * Helper function to get authorization headers with the JWT token
@@ -130,6 +131,21 @@ angular.module('foodTraceabilityApp')
         })
         .catch(handleError);
     }
+
+    /**
+     * Get the lineage of a product: the batches it was split off or merged from, back to the originating farms
+     * @param {string} productId - The ID of the product
+     * @returns {Promise<Object>} A promise that resolves with the lineage nodes, edges and origins
+     */
+    function getProductLineage(productId) {
+      console.log(`Fetching lineage for product: ${productId}`);
+      return $http.get(`${API_URL}/products/${productId}/lineage`, getAuthHeaders())
+        .then(response => {
+          console.log('Product lineage fetched:', response.data);
+          return response.data;
+        })
+        .catch(handleError);
+    }
      /**
      * Get product from QR code data
      * @param {string} qrData - The data from the scanned QR code
@@ -259,13 +275,14 @@ function processProductInfo(data) {
       });
     }
     /**
-     * Update the Ethereum address for the consumer
+     * Update the Ethereum address for the consumer, once the wallet signed the proof that it belongs to the user
      * @param {string} address - The new Ethereum address
      * @returns {Promise<Object>} A promise that resolves with the update result
      */
     function updateEthereumAddress(address) {
       console.log(`Updating Ethereum address to: ${address}`);
-      return $http.put(`${API_URL}/updateEthereumAddress`, { ethereumAddress: address }, getAuthHeaders())
+      return AuthService.proveWalletOwnership(address)
+        .then(proof => $http.put(`${API_URL}/updateEthereumAddress`, proof, getAuthHeaders()))
         .then(response => {
           console.log('Ethereum address updated successfully:', response.data);
           return response.data;
@@ -287,6 +304,19 @@ function processProductInfo(data) {
         .catch(handleError);
     }
 
+    /**
+     * Get the purchase history of the consumer, with the recall warnings of the purchased products
+     * @returns {Promise<Array>} A promise that resolves with the purchases
+     */
+    function getPurchaseHistory() {
+      return $http.get(`${API_URL}/purchaseHistory`, getAuthHeaders())
+        .then(response => {
+          console.log('Purchase history fetched:', response.data);
+          return response.data;
+        })
+        .catch(handleError);
+    }
+
     /**
      * Verify product authenticity on the blockchain
      * @param {string} productId - The ID of the product to verify
@@ -294,10 +324,10 @@ function processProductInfo(data) {
      */
     function verifyProductAuthenticity(productId) {
       console.log(`Verifying authenticity for product: ${productId}`);
-      return Web3Service.verifyProductOnBlockchain(productId)
-        .then(result => {
-          console.log('Product authenticity verification result:', result);
-          return result;
+      return $http.get(`${API_URL}/verifyProduct/${productId}`, getAuthHeaders())
+        .then(response => {
+          console.log('Product authenticity verification result:', response.data);
+          return response.data;
         })
         .catch(error => {
           console.error('Error verifying product authenticity:', error);
@@ -305,6 +335,61 @@ function processProductInfo(data) {
         });
     }
 
+    /**
+     * Fetch the payments held in escrow for the consumer's transfers
+     * @returns {Promise} A promise that resolves with the escrowed payments
+     */
+    function getEscrowPayments() {
+      console.log('Fetching escrowed payments');
+      return $http.get(ESCROW_API_URL, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Settle an escrowed payment from the connected wallet and record the settlement in the backend
+     * @param {Promise} settlement - The pending blockchain settlement
+     * @param {string} url - The backend route recording the settlement
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function recordEscrowSettlement(settlement, url) {
+      return settlement
+        .then(result => $http.post(url, { txHash: result.txHash }, getAuthHeaders()))
+        .then(response => ({ success: true, message: response.data.message, transfer: response.data.transfer }))
+        .catch(error => {
+          console.error('Error settling escrowed payment:', error);
+          return {
+            success: false,
+            error: error.error || error.data?.message || error.message || 'An error occurred while settling the payment'
+          };
+        });
+    }
+
+    /**
+     * Confirm delivery of a received product, releasing the escrowed payment to the seller
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function confirmDelivery(escrowTransfer) {
+      return recordEscrowSettlement(
+        Web3Service.confirmDeliveryOnBlockchain(escrowTransfer.escrow.escrowId),
+        `${ESCROW_API_URL}/${escrowTransfer._id}/confirmDelivery`
+      );
+    }
+
+    /**
+     * Refund an escrowed payment to the buyer: the seller cancels the sale, or the
+     * buyer claims the refund once the delivery deadline has passed
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function refundEscrow(escrowTransfer) {
+      const settlement = escrowTransfer.role === 'seller'
+        ? Web3Service.cancelEscrowOnBlockchain(escrowTransfer.escrow.escrowId)
+        : Web3Service.claimEscrowRefundOnBlockchain(escrowTransfer.escrow.escrowId);
+      return recordEscrowSettlement(settlement, `${ESCROW_API_URL}/${escrowTransfer._id}/refund`);
+    }
+
     // Expose service methods
     return {
       getProducts: getProducts,
@@ -312,6 +397,8 @@ function processProductInfo(data) {
       acceptTransfer: acceptTransfer,
       getProductDetails: getProductDetails,
       getProductHistory: getProductHistory,
+      getProductLineage: getProductLineage,
+      getPurchaseHistory: getPurchaseHistory,
       getProductFromQR: getProductFromQR,
       getProductInfoManually:getProductInfoManually,
       submitFeedback: submitFeedback,
@@ -319,6 +406,9 @@ function processProductInfo(data) {
       generateQRCode: generateQRCode,
       updateEthereumAddress: updateEthereumAddress,
       getTransactionHistory: getTransactionHistory,
-      verifyProductAuthenticity: verifyProductAuthenticity
+      verifyProductAuthenticity: verifyProductAuthenticity,
+      getEscrowPayments: getEscrowPayments,
+      confirmDelivery: confirmDelivery,
+      refundEscrow: refundEscrow
     };
   }]);
\ No newline at end of file
@@ -5,8 +5,8 @@
  * It handles product management, blockchain interactions, transfers, and various dashboard views.
  */
 angular.module('foodTraceabilityApp')
-  .controller('DistributorController', ['$scope', '$location', '$q', '$timeout', '$interval', 'DistributorService', 'Web3Service', '$window',
-  function($scope, $location, $q, $timeout, $interval, DistributorService, Web3Service, $window) {
+  .controller('DistributorController', ['$scope', '$location', '$q', '$timeout', '$interval', 'DistributorService', 'Web3Service', 'RealtimeService', '$window',
+  function($scope, $location, $q, $timeout, $interval, DistributorService, Web3Service, RealtimeService, $window) {
 
     // Initialize scope variables
     $scope.products = [];
@@ -32,6 +32,12 @@ angular.module('foodTraceabilityApp')
     $scope.qrCodeUrl = null;
     $scope.isGeneratingQR = false;
     $scope.qrCodeError = null;
+    $scope.mergeSelection = [];
+    $scope.mergeData = {};
+    $scope.recalls = [];
+    $scope.recallData = {};
+    $scope.recallProduct = null;
+    $scope.recallReport = null;
 
     // Helper function to handle errors
     function handleError(error, action) {
@@ -51,6 +57,7 @@ angular.module('foodTraceabilityApp')
       switch(tab) {
         case 'products':
           $scope.loadProducts();
+          $scope.loadRecalls();
           break;
         case 'transfers':
           $scope.loadPendingTransfers();
@@ -60,6 +67,7 @@ angular.module('foodTraceabilityApp')
           break;
         case 'history':
           $scope.loadTransactionHistory();
+          $scope.loadEscrowPayments();
           break;
       }
     };
@@ -311,7 +319,20 @@ $scope.updateProductInfo = function() {
       }
     
       $scope.isLoading = true;
-      DistributorService.initiateTransferToRetailer($scope.transferData)
+      // Check the policy for unverified partners before the transfer is made on the blockchain
+      DistributorService.checkTransferPolicy({ userId: $scope.transferData.retailerId })
+        .then(function(check) {
+          if (!check.allowed && !check.confirmationRequired) {
+            throw new Error(check.message);
+          }
+          if (check.confirmationRequired && !$window.confirm(check.message)) {
+            return $q.reject({ cancelled: true });
+          }
+          return DistributorService.initiateTransferToRetailer({
+            ...$scope.transferData,
+            confirmUnverifiedPartner: check.confirmationRequired
+          });
+        })
         .then(function(result) {
           console.log('Transfer initiation result:', result);
           if (result.success) {
@@ -325,6 +346,9 @@ $scope.updateProductInfo = function() {
           }
         })
         .catch(function(error) {
+          if (error.cancelled) {
+            return;
+          }
           console.error('Error initiating transfer:', error);
           $scope.errorMessage = 'Failed to initiate transfer: ' + error.message;
         })
@@ -334,6 +358,128 @@ $scope.updateProductInfo = function() {
         });
     };
 
+    /**
+     * Select or unselect a product to merge into a lot
+     * @param {Object} product - The product
+     */
+    $scope.toggleMergeSelection = function(product) {
+      const index = $scope.mergeSelection.indexOf(product);
+      if (index === -1) {
+        $scope.mergeSelection.push(product);
+      } else {
+        $scope.mergeSelection.splice(index, 1);
+      }
+    };
+
+    /**
+     * Merge the selected products into one processed lot
+     */
+    $scope.mergeProducts = function() {
+      if ($scope.mergeSelection.length < 2) {
+        $scope.errorMessage = 'Select at least two products to merge';
+        return;
+      }
+      if (!$scope.mergeData.batchNumber || !$scope.mergeData.type || $scope.mergeData.price === undefined) {
+        $scope.errorMessage = 'Please fill in all lot details';
+        return;
+      }
+
+      $scope.isLoading = true;
+      DistributorService.mergeProducts($scope.mergeSelection, $scope.mergeData)
+        .then(function(result) {
+          if (result.success) {
+            $scope.successMessage = 'Products merged into lot ' + result.product.batchNumber;
+            $scope.addNotification('Lot ' + result.product.batchNumber + ' merged from ' + $scope.mergeSelection.length + ' products');
+            $scope.mergeSelection = [];
+            $scope.mergeData = {};
+            $scope.loadProducts();
+          } else {
+            throw new Error(result.error || 'Failed to merge products');
+          }
+        })
+        .catch(function(error) {
+          handleError(error, 'merging products');
+        })
+        .finally(function() {
+          $scope.isLoading = false;
+          $scope.$applyAsync();
+        });
+    };
+
+    /**
+     * Load the recalls opened by the user or covering products they hold
+     */
+    $scope.loadRecalls = function() {
+      DistributorService.getRecalls()
+        .then(function(recalls) {
+          $scope.recalls = recalls;
+        })
+        .catch(function(error) {
+          console.error('Error loading recalls:', error);
+          $scope.errorMessage = 'Failed to load recalls: ' + (error.message || 'An unexpected error occurred');
+        });
+    };
+
+    /**
+     * Select the product whose batch to recall
+     * @param {Object} product - The product
+     */
+    $scope.selectRecallProduct = function(product) {
+      $scope.recallProduct = product;
+      $scope.recallData = {};
+    };
+
+    /**
+     * Open a recall on a batch
+     * @param {Object} product - The product whose batch is recalled
+     */
+    $scope.openRecall = function(product) {
+      if (!$scope.recallData.reason || !$scope.recallData.severity) {
+        $scope.errorMessage = 'Please give the reason and severity of the recall';
+        return;
+      }
+
+      $scope.isRecalling = true;
+      DistributorService.openRecall({
+        batchNumber: product.batchNumber,
+        reason: $scope.recallData.reason,
+        severity: $scope.recallData.severity
+      })
+        .then(function(result) {
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          $scope.successMessage = 'Recall opened for batch ' + product.batchNumber;
+          $scope.recallData = {};
+          $scope.recallProduct = null;
+          $scope.loadProducts();
+          $scope.loadRecalls();
+        })
+        .catch(function(error) {
+          console.error('Error opening recall:', error);
+          $scope.errorMessage = 'Failed to open recall: ' + (error.message || 'An unexpected error occurred');
+        })
+        .finally(function() {
+          $scope.isRecalling = false;
+          $scope.$applyAsync();
+        });
+    };
+
+    /**
+     * Show the holders of the products affected by a recall
+     * @param {Object} recall - The recall
+     */
+    $scope.showRecallReport = function(recall) {
+      DistributorService.getRecallReport(recall._id)
+        .then(function(report) {
+          $scope.recallReport = report;
+        })
+        .catch(function(error) {
+          console.error('Error loading recall report:', error);
+          $scope.errorMessage = 'Failed to load recall report: ' + (error.message || 'An unexpected error occurred');
+        });
+    };
+
     /**
      * Load pending transfers
      */
@@ -478,6 +624,8 @@ $scope.showProductDetails = function(productId) {
       console.log('Selected product:', $scope.selectedProduct);
       $scope.showProductModal = true;
       $scope.isLoading = false;
+      $scope.newQualityCheck = { status: 'Passed' };
+      $scope.loadQualityChecks(productId);
     })
     .catch(function(error) {
       console.error('Error fetching product details:', error);
@@ -488,34 +636,107 @@ $scope.showProductDetails = function(productId) {
     });
 };
 
+    /**
+     * Load the payments held in escrow for the distributor's transfers
+     */
+    $scope.loadEscrowPayments = function() {
+      DistributorService.getEscrowPayments()
+        .then(function(escrowPayments) {
+          $scope.escrowPayments = escrowPayments;
+        })
+        .catch(function(error) {
+          handleError(error, 'loading escrowed payments');
+        });
+    };
+
+    /**
+     * Confirm delivery of a received product, releasing its escrowed payment to the seller
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     */
+    $scope.confirmDelivery = function(escrowTransfer) {
+      settleEscrow(escrowTransfer, DistributorService.confirmDelivery, 'Delivery confirmed, payment released to the seller', 'confirming delivery');
+    };
+
+    /**
+     * Refund the escrowed payment of a transfer to the buyer
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     */
+    $scope.refundEscrow = function(escrowTransfer) {
+      settleEscrow(escrowTransfer, DistributorService.refundEscrow, 'Payment refunded to the buyer', 'refunding payment');
+    };
+
+    // Send an escrow settlement and refresh the escrowed payments once it is recorded
+    function settleEscrow(escrowTransfer, settle, successMessage, action) {
+      escrowTransfer.isSettling = true;
+      settle(escrowTransfer)
+        .then(function(result) {
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          $scope.successMessage = successMessage;
+          $scope.loadEscrowPayments();
+        })
+        .catch(function(error) {
+          handleError(error, action);
+        })
+        .finally(function() {
+          escrowTransfer.isSettling = false;
+          $scope.$applyAsync();
+        });
+    }
+
+    /**
+     * Load the quality checks of the selected product
+     * @param {string} productId - The ID of the product
+     */
+    $scope.loadQualityChecks = function(productId) {
+      $scope.qualityChecks = [];
+      DistributorService.getQualityChecks(productId)
+        .then(function(qualityChecks) {
+          $scope.qualityChecks = qualityChecks;
+        })
+        .catch(function(error) {
+          handleError(error, 'fetching quality checks');
+        });
+    };
+
+    /**
+     * Record a quality check for the selected product
+     */
+    $scope.recordQualityCheck = function() {
+      if (!$scope.selectedProduct) {
+        $scope.errorMessage = 'No product selected';
+        return;
+      }
+
+      $scope.isRecordingQualityCheck = true;
+      DistributorService.recordQualityCheck($scope.selectedProduct._id, $scope.newQualityCheck)
+        .then(function(result) {
+          if (result.success) {
+            $scope.successMessage = 'Quality check recorded on the blockchain';
+            $scope.addNotification('Quality check recorded for ' + $scope.selectedProduct.batchNumber);
+            $scope.newQualityCheck = { status: 'Passed' };
+            $scope.loadQualityChecks($scope.selectedProduct._id);
+          } else {
+            throw new Error(result.error || 'Failed to record quality check');
+          }
+        })
+        .catch(function(error) {
+          handleError(error, 'recording quality check');
+        })
+        .finally(function() {
+          $scope.isRecordingQualityCheck = false;
+          $scope.$applyAsync();
+        });
+    };
+
 /**
  * Generate QR code for a product
  * @param {Object} product - The product to generate a QR code for
  */
 $scope.generateQRCode = function(product) {
-  var qrData = {
-    productId: product._id,
-    type: product.type,
-    batchNumber: product.batchNumber,
-    origin: product.origin,
-    productionDate: product.productionDate,
-    status: product.status,
-    quantity: product.quantity,
-    farmer: {
-      name: product.originalOwner.username,
-      location: product.originalOwner.location
-    },
-    distributor: {
-      name: product.currentOwner.username,
-      location: product.currentOwner.location
-    },
-    storageConditions: product.storageConditions,
-    transportationMode: product.transportationMode,
-    transportationDetails: product.transportationDetails,
-    estimatedDeliveryDate: product.estimatedDeliveryDate
-  };
-
-  DistributorService.generateQRCode(JSON.stringify(qrData))
+  // The QR code encodes the label URL signed by the platform
+  DistributorService.generateQRCode(product)
     .then(function(url) {
       $scope.qrCodeUrl = url;
       $scope.showQRCode = true;
@@ -724,6 +945,7 @@ $scope.showTraceability = function() {
           });
         });
       $scope.loadRetailers();
+      $scope.loadRecalls();
       if ($scope.isWalletConnected) {
         $scope.loadPendingTransfers();
         $scope.loadTransactionHistory();
@@ -733,6 +955,81 @@ $scope.showTraceability = function() {
     // Call initialize function
     initializeDashboard();
 
+    /**
+     * Format a duration for display, e.g. 1h 05m
+     * @param {number} seconds - The duration in seconds
+     * @returns {string} The formatted duration
+     */
+    $scope.formatDuration = function(seconds) {
+      if (seconds < 60) {
+        return seconds + 's';
+      }
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      return hours > 0 ? hours + 'h ' + String(minutes).padStart(2, '0') + 'm' : minutes + 'm';
+    };
+
+    /**
+     * Describe a cold chain alert sent by the server when an excursion starts or ends
+     * @param {Object} alert - { product, excursion }
+     * @returns {string} The notification message
+     */
+    function describeColdChainAlert(alert) {
+      const excursion = alert.excursion;
+      const product = alert.product.type + ' (batch ' + alert.product.batchNumber + ')';
+      if (excursion.ongoing) {
+        return 'Cold chain alert: ' + product + ' ' + excursion.parameter + ' at ' + excursion.peakValue + ' is ' +
+          excursion.direction + ' the ' + excursion.storageConditions + ' limit of ' + excursion.limit;
+      }
+      return 'Cold chain: ' + product + ' ' + excursion.parameter + ' back in range after ' + $scope.formatDuration(excursion.durationSeconds);
+    }
+
+    /**
+     * Reload the transfers and the products they move, while the wallet is connected
+     */
+    function reloadTransfers() {
+      if ($scope.isWalletConnected) {
+        $scope.loadPendingTransfers();
+        $scope.loadTransactionHistory();
+        $scope.loadProducts();
+      }
+    }
+
+    // Live updates for the products and transfers of the user
+    RealtimeService.on('coldChain:excursion', function(alert) {
+      $scope.addNotification(describeColdChainAlert(alert));
+    }, $scope);
+
+    RealtimeService.on('transfer:initiated', function(update) {
+      $scope.addNotification('Transfer of ' + update.transfer.quantity + ' units of ' + RealtimeService.describeProduct(update.product) + ' initiated');
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('transfer:accepted', function(update) {
+      $scope.addNotification('Transfer of ' + update.transfer.quantity + ' units of ' + RealtimeService.describeProduct(update.product) + ' accepted');
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('transfer:cancelled', function(update) {
+      $scope.addNotification('Transfer of ' + update.transfer.quantity + ' units of ' + RealtimeService.describeProduct(update.product) + ' cancelled');
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('product:status', function(update) {
+      $scope.addNotification(RealtimeService.describeProduct(update.product) + ' is now ' + update.product.status);
+      $scope.loadProducts();
+    }, $scope);
+
+    RealtimeService.on('qualityCheck:recorded', function(update) {
+      $scope.addNotification('Quality check of ' + RealtimeService.describeProduct(update.product) + ': ' + update.qualityCheck.status);
+      if ($scope.selectedProduct && $scope.selectedProduct._id === update.product._id) {
+        $scope.loadQualityChecks(update.product._id);
+      }
+    }, $scope);
+
+    // Updates sent while the connection was lost are not replayed
+    RealtimeService.onReconnect(reloadTransfers, $scope);
+
     // Watch for changes in wallet connection status
     $scope.$watch('isWalletConnected', function(newValue, oldValue) {
       if (newValue !== oldValue) {
@@ -748,17 +1045,4 @@ $scope.showTraceability = function() {
       }
     });
 
-    // Set up an interval to check for new transfers
-    var transferCheckInterval = $interval(function() {
-      if ($scope.isWalletConnected) {
-        $scope.loadPendingTransfers();
-      }
-    }, 30000); // Check every 30 seconds
-
-    // Cleanup on scope destruction
-    $scope.$on('$destroy', function() {
-      if (angular.isDefined(transferCheckInterval)) {
-        $interval.cancel(transferCheckInterval);
-      }
-    });
   }]);
\ No newline at end of file
@@ -7,10 +7,13 @@
  */
 
 angular.module('foodTraceabilityApp')
-  .factory('DistributorService', ['$http', 'Web3Service', '$q', '$timeout', '$window', 
-  function($http, Web3Service, $q, $timeout, $window) {
+  .factory('DistributorService', ['$http', 'Web3Service', '$q', '$timeout', '$window', 'AuthService',
+  function($http, Web3Service, $q, $timeout, $window, AuthService) {
     // Base API URL for backend communication
     const API_URL = 'http://localhost:3000/api/distributor';
+    const ESCROW_API_URL = 'http://localhost:3000/api/escrow';
+    const RECALL_API_URL = 'http://localhost:3000/api/recalls';
+    const PARTNERS_API_URL = 'http://localhost:3000/api/partners';
     
     /**
      * Helper function to get authorization headers with the JWT token
@@ -299,31 +302,31 @@ function initiateTransferToRetailer(transferData) {
     }
 
     /**
-     * Generate a QR code for a product
-     * @param {string} productInfo - JSON string of product information
+     * Generate a QR code for a product. The QR code encodes the signed label URL issued by the backend.
+     * @param {Object} product - The product to generate a QR code for
      * @returns {Promise<string>} A promise that resolves with the QR code data URL
      */
-    function generateQRCode(productInfo) {
-      return $q(function(resolve, reject) {
-        if (typeof QRCode === 'undefined') {
-          console.error('QRCode library not found');
-          reject('QRCode library not found');
-          return;
-        }
-    
-        // Limit the amount of data or use a higher version QR code
-        var qr = new QRCode(document.createElement('div'), {
-          text: JSON.stringify(productInfo),
-          width: 256,
-          height: 256,
-          correctLevel: QRCode.CorrectLevel.H,
-          version: 40  // Use the highest version for maximum data capacity
-        });
-    
-        // Convert to data URL
-        var dataURL = qr._el.querySelector('canvas').toDataURL();
-        resolve(dataURL);
-      });
+    function generateQRCode(product) {
+      return $http.get(`${API_URL}/products/${product._id}/qrCode`, getAuthHeaders())
+        .then(response => $q(function(resolve, reject) {
+          if (typeof QRCode === 'undefined') {
+            console.error('QRCode library not found');
+            reject('QRCode library not found');
+            return;
+          }
+
+          var qr = new QRCode(document.createElement('div'), {
+            text: response.data.qrCodeData,
+            width: 256,
+            height: 256,
+            correctLevel: QRCode.CorrectLevel.H
+          });
+
+          // Convert to data URL
+          var dataURL = qr._el.querySelector('canvas').toDataURL();
+          resolve(dataURL);
+        }))
+        .catch(handleError);
     }
 
 /**
@@ -390,13 +393,14 @@ function getProductWithFullInfo(productId) {
     }
 
     /**
-     * Update the Ethereum address for the distributor
+     * Update the Ethereum address for the distributor, once the wallet signed the proof that it belongs to the user
      * @param {string} address - The new Ethereum address
      * @returns {Promise} A promise that resolves with the update result
      */
     function updateEthereumAddress(address) {
       console.log(`Updating Ethereum address to: ${address}`);
-      return $http.put(`${API_URL}/updateEthereumAddress`, { ethereumAddress: address }, getAuthHeaders())
+      return AuthService.proveWalletOwnership(address)
+        .then(proof => $http.post(`${API_URL}/setEthereumAddress`, proof, getAuthHeaders()))
         .then(response => {
           console.log('Ethereum address updated successfully:', response.data);
           return response.data;
@@ -404,10 +408,194 @@ function getProductWithFullInfo(productId) {
         .catch(handleError);
     }
 
+    /**
+     * Record a quality check for a product and anchor it on the blockchain from the
+     * distributor's wallet, which the contract records as the checker
+     * @param {string} productId - The ID of the product
+     * @param {Object} checkData - The check result (status, notes, parameters)
+     * @returns {Promise} A promise that resolves with the recording result
+     */
+    function recordQualityCheck(productId, checkData) {
+      console.log(`Recording quality check for product: ${productId}`, checkData);
+      let qualityCheck;
+      return $http.post(`${API_URL}/products/${productId}/qualityChecks`, checkData, getAuthHeaders())
+        .then(response => {
+          qualityCheck = response.data.qualityCheck;
+          return Web3Service.recordQualityCheckOnBlockchain(response.data.blockchainCheck);
+        })
+        .then(result => $http.post(
+          `${API_URL}/products/${productId}/qualityChecks/${qualityCheck._id}/anchor`,
+          { txHash: result.txHash },
+          getAuthHeaders()
+        ))
+        .then(response => {
+          console.log('Quality check recorded successfully:', response.data);
+          return {
+            success: true,
+            message: response.data.message,
+            qualityCheck: response.data.qualityCheck,
+            txHash: response.data.qualityCheck.blockchainTxHash
+          };
+        })
+        .catch(error => {
+          console.error('Error recording quality check:', error);
+          return {
+            success: false,
+            error: error.error || error.data?.message || error.message || 'An error occurred while recording the quality check'
+          };
+        });
+    }
+
+    /**
+     * Get the quality checks of a product with their blockchain verification result
+     * @param {string} productId - The ID of the product
+     * @returns {Promise} A promise that resolves with the list of quality checks
+     */
+    function getQualityChecks(productId) {
+      console.log(`Fetching quality checks for product: ${productId}`);
+      return $http.get(`${API_URL}/products/${productId}/qualityChecks`, getAuthHeaders())
+        .then(response => {
+          console.log('Quality checks fetched:', response.data);
+          return response.data.qualityChecks;
+        })
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch the payments held in escrow for the distributor's transfers
+     * @returns {Promise} A promise that resolves with the escrowed payments
+     */
+    function getEscrowPayments() {
+      console.log('Fetching escrowed payments');
+      return $http.get(ESCROW_API_URL, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Settle an escrowed payment from the connected wallet and record the settlement in the backend
+     * @param {Promise} settlement - The pending blockchain settlement
+     * @param {string} url - The backend route recording the settlement
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function recordEscrowSettlement(settlement, url) {
+      return settlement
+        .then(result => $http.post(url, { txHash: result.txHash }, getAuthHeaders()))
+        .then(response => ({ success: true, message: response.data.message, transfer: response.data.transfer }))
+        .catch(error => {
+          console.error('Error settling escrowed payment:', error);
+          return {
+            success: false,
+            error: error.error || error.data?.message || error.message || 'An error occurred while settling the payment'
+          };
+        });
+    }
+
+    /**
+     * Confirm delivery of a received product, releasing the escrowed payment to the seller
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function confirmDelivery(escrowTransfer) {
+      return recordEscrowSettlement(
+        Web3Service.confirmDeliveryOnBlockchain(escrowTransfer.escrow.escrowId),
+        `${ESCROW_API_URL}/${escrowTransfer._id}/confirmDelivery`
+      );
+    }
+
+    /**
+     * Refund an escrowed payment to the buyer: the seller cancels the sale, or the
+     * buyer claims the refund once the delivery deadline has passed
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function refundEscrow(escrowTransfer) {
+      const settlement = escrowTransfer.role === 'seller'
+        ? Web3Service.cancelEscrowOnBlockchain(escrowTransfer.escrow.escrowId)
+        : Web3Service.claimEscrowRefundOnBlockchain(escrowTransfer.escrow.escrowId);
+      return recordEscrowSettlement(settlement, `${ESCROW_API_URL}/${escrowTransfer._id}/refund`);
+    }
+
+    /**
+     * Merge several products into one processed lot, e.g. apples from several farms packaged together
+     * @param {Array<Object>} products - The products to merge
+     * @param {Object} lot - The batch number, product type and price per unit (ETH) of the lot
+     * @returns {Promise} A promise that resolves with the merge result
+     */
+    function mergeProducts(products, lot) {
+      console.log('Merging products:', products.map(product => product._id));
+      return Web3Service.mergeProductsOnBlockchain(
+        products.map(product => product.blockchainId),
+        lot.batchNumber,
+        lot.type,
+        lot.price
+      )
+        .then(result => $http.post(`${API_URL}/mergeProducts`, { blockchainTxHash: result.txHash }, getAuthHeaders()))
+        .then(response => ({ success: true, message: response.data.message, product: response.data.product }))
+        .catch(error => {
+          console.error('Error merging products:', error);
+          return {
+            success: false,
+            error: error.error || error.data?.message || error.message || 'An error occurred while merging the products'
+          };
+        });
+    }
+
+    /**
+     * Open a recall on a batch. The recall covers every batch split off or merged from it
+     * @param {Object} recallData - The batch number, reason and severity of the recall
+     * @returns {Promise} A promise that resolves with the recall result, with one recall per product of the batch
+     */
+    function openRecall(recallData) {
+      console.log('Opening recall:', recallData);
+      return $http.post(RECALL_API_URL, recallData, getAuthHeaders())
+        .then(response => ({ success: true, message: response.data.message, recalls: response.data.recalls }))
+        .catch(error => {
+          console.error('Error opening recall:', error);
+          return {
+            success: false,
+            error: error.data?.message || error.message || 'An error occurred while opening the recall'
+          };
+        });
+    }
+
+    /**
+     * Fetch the recalls opened by the user or covering products they hold
+     * @returns {Promise} A promise that resolves with the recalls
+     */
+    function getRecalls() {
+      return $http.get(RECALL_API_URL, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch the report of a recall opened by the user
+     * @param {string} recallId - The ID of the recall
+     * @returns {Promise} A promise that resolves with the holders of the affected products and their quantities
+     */
+    function getRecallReport(recallId) {
+      return $http.get(`${RECALL_API_URL}/${recallId}/report`, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Check whether goods can be sent to a retailer, before the transfer is made on the blockchain
+     * @param {Object} recipient - { username } or { userId } of the recipient
+     * @returns {Promise} A promise that resolves with { allowed, verifiedPartner, confirmationRequired, message }
+     */
+    function checkTransferPolicy(recipient) {
+      return $http.get(`${PARTNERS_API_URL}/transferCheck`, { ...getAuthHeaders(), params: recipient })
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
     // Expose service methods
     return {
       getProducts: getProducts,
       acceptTransfer: acceptTransfer,
+      checkTransferPolicy: checkTransferPolicy,
       initiateTransferToRetailer: initiateTransferToRetailer,
       getPendingTransfers: getPendingTransfers,
       getRetailers: getRetailers,
@@ -421,6 +609,15 @@ function getProductWithFullInfo(productId) {
       getProductTraceability: getProductTraceability,
       getProductDetails: getProductDetails,
       updateProductStatus: updateProductStatus,
-      updateEthereumAddress: updateEthereumAddress
+      updateEthereumAddress: updateEthereumAddress,
+      recordQualityCheck: recordQualityCheck,
+      getQualityChecks: getQualityChecks,
+      getEscrowPayments: getEscrowPayments,
+      confirmDelivery: confirmDelivery,
+      refundEscrow: refundEscrow,
+      mergeProducts: mergeProducts,
+      openRecall: openRecall,
+      getRecalls: getRecalls,
+      getRecallReport: getRecallReport
     };
   }]);
\ No newline at end of file
@@ -5,23 +5,20 @@
  * It handles product management, blockchain interactions, transfers, and various dashboard views.
  */
 angular.module('foodTraceabilityApp')
-  .controller('FarmerController', ['$scope', '$location', '$q', '$timeout', '$interval', 'FarmerService', 'Web3Service', '$window', '$filter',
-  function($scope, $location, $q, $timeout, $interval, FarmerService, Web3Service, $window, $filter) {
+  .controller('FarmerController', ['$scope', '$location', '$q', '$timeout', '$interval', 'FarmerService', 'Web3Service', 'RealtimeService', '$window', '$filter',
+  function($scope, $location, $q, $timeout, $interval, FarmerService, Web3Service, RealtimeService, $window, $filter) {
     // Utility function to apply scope changes using $timeout, ensuring proper digest cycle
     function applyScope(fn) {
       $timeout(fn, 0);
     }
 
-    // Declare stopTime to track the interval for transfer updates
-    let stopTime;
-
     // Initialize scope variables
     $scope.products = [];
     $scope.newProduct = {};
     $scope.isRegistering = false;
     $scope.selectedProductId = null;
     $scope.newStatus = null;
-    $scope.statusOptions = ['Planted', 'Growing', 'Harvested', 'Processed', 'Packaged', 'In Transit', 'Delivered'];
+    $scope.statusOptions = [];
     $scope.successMessage = '';
     $scope.errorMessage = '';
     $scope.isLoading = false;
@@ -47,6 +44,13 @@ angular.module('foodTraceabilityApp')
     // Added for tab management
     $scope.activeTab = 'products';
     $scope.activeProductTab = 'register';
+    $scope.recalls = [];
+    $scope.recallData = {};
+    $scope.recallReport = null;
+    $scope.labelSizes = [];
+    $scope.labelData = { size: null, copies: 1 };
+    $scope.labelSelection = {};
+    $scope.registeredProduct = null;
 
     // Set active tab and update URL
     $scope.setActiveTab = function(tab) {
@@ -138,6 +142,7 @@ $scope.registerProduct = function() {
     .then(function(result) {
       $scope.successMessage = 'Product registered successfully on the blockchain!';
       $scope.newProduct = {}; // Reset the form
+      $scope.registeredProduct = result.product; // Offered for label printing
       return $scope.loadProducts(); // Reload the product list
     })
     .catch(function(error) {
@@ -229,23 +234,6 @@ $scope.openRealTimeTracking = function(product) {
   }
 };
 
-/**
- * Generate QR code for a product
- * @param {Object} product - The product to generate a QR code for
- */
-$scope.generateQRCode = function(product) {
-  console.log('Generating QR code for product:', product);
-  FarmerService.generateQRCode(product)
-    .then(function(qrCodeUrl) {
-      $scope.qrCodeUrl = qrCodeUrl;
-      $scope.showQRCode = true;
-    })
-    .catch(function(error) {
-      console.error('Error generating QR code:', error);
-      $scope.errorMessage = 'Failed to generate QR code: ' + error.message;
-    });
-};
-
 /**
  * Check if update status button should be enabled
  * @returns {boolean} True if the button should be enabled, false otherwise
@@ -275,6 +263,10 @@ $scope.onProductSelect = function(productId) {
   console.log('Product selected:', productId);
   $scope.selectedProductId = productId;
   $scope.newStatus = null; // Reset status when a new product is selected
+
+  // Only offer the statuses the product lifecycle allows next
+  const product = $scope.products.find(p => p._id === productId);
+  $scope.statusOptions = product ? product.allowedNextStatuses || [] : [];
 };
 
 /**
@@ -310,6 +302,8 @@ $scope.updateProductStatus = function() {
       console.log('Update status response:', response);
       if (response.success) {
         $scope.successMessage = 'Product status updated successfully!';
+        $scope.selectedProductId = null;
+        $scope.statusOptions = [];
         $scope.loadProducts(); // Reload products to reflect the updated status
       } else {
         throw new Error(response.error || 'Failed to update product status');
@@ -407,12 +401,26 @@ $scope.initiateTransfer = function() {
   $scope.isTransferring = true;
   $scope.errorMessage = '';
   $scope.successMessage = '';
+  let confirmUnverifiedPartner = false;
 
-  Web3Service.initiateTransferOnBlockchain(
-    $scope.transferData.productId,
-    $scope.transferData.newOwnerUsername,
-    $scope.transferData.quantity
-  )
+  // Check the policy for unverified partners before the transfer is made on the blockchain
+  FarmerService.checkTransferPolicy({ username: $scope.transferData.newOwnerUsername })
+    .then(function(check) {
+      if (!check.allowed && !check.confirmationRequired) {
+        throw new Error(check.message);
+      }
+      if (check.confirmationRequired) {
+        if (!$window.confirm(check.message)) {
+          return $q.reject({ cancelled: true });
+        }
+        confirmUnverifiedPartner = true;
+      }
+      return Web3Service.initiateTransferOnBlockchain(
+        $scope.transferData.productId,
+        $scope.transferData.newOwnerUsername,
+        $scope.transferData.quantity
+      );
+    })
     .then(function(blockchainResult) {
       console.log('Blockchain transfer result:', blockchainResult);
       if (blockchainResult.success) {
@@ -420,7 +428,8 @@ $scope.initiateTransfer = function() {
           productId: $scope.transferData.productId,
           newOwnerUsername: $scope.transferData.newOwnerUsername,
           quantity: parseInt($scope.transferData.quantity, 10),
-          blockchainTx: blockchainResult.txHash
+          blockchainTx: blockchainResult.txHash,
+          confirmUnverifiedPartner: confirmUnverifiedPartner
         });
       } else {
         throw new Error(blockchainResult.error || 'Blockchain transfer failed.');
@@ -443,6 +452,9 @@ $scope.initiateTransfer = function() {
       }
     })
     .catch(function(error) {
+      if (error.cancelled) {
+        return;
+      }
       console.error('Transfer failed:', error);
       $scope.errorMessage = 'Error initiating transfer: ' + (error.error || error.message || 'An unexpected error occurred');
     })
@@ -677,6 +689,8 @@ $scope.updateProductStatus = function() {
       console.log('Update status response:', response);
       if (response.success) {
         $scope.successMessage = 'Product status updated successfully!';
+        $scope.selectedProductId = null;
+        $scope.statusOptions = [];
         $scope.loadProducts(); // Reload products to reflect the updated status
       } else {
         throw new Error(response.error || 'Failed to update product status');
@@ -736,33 +750,36 @@ $scope.syncProducts = function() {
     });
 };
 
-    // Make sure to cancel the interval when the controller is destroyed
-    $scope.$on('$destroy', function() {
-      if (angular.isDefined(stopTime)) {
-        $interval.cancel(stopTime);
-        stopTime = undefined;
-      }
-    });
-
     /**
-     * Check for transfer updates
+     * Reload the products and the transfers of the farmer
      */
-    function checkTransferUpdates() {
-      FarmerService.getPendingTransfers()
-        .then(function(transfers) {
-          $scope.pendingTransfers = transfers;
-          transfers.forEach(function(transfer) {
-            if (transfer.status === 'accepted') {
-              $scope.successMessage = 'Transfer for product ' + transfer.productId + ' has been accepted by the distributor.';
-              $scope.loadProducts();
-            }
-          });
-        })
-        .catch(function(error) {
-          console.error('Error checking transfer updates:', error);
-        });
+    function reloadTransfers() {
+      $scope.loadProducts();
+      $scope.loadPendingTransfers();
+      $scope.loadEscrowPayments();
     }
 
+    // Live updates for the products and transfers of the farmer
+    RealtimeService.on('transfer:initiated', reloadTransfers, $scope);
+
+    RealtimeService.on('transfer:accepted', function(update) {
+      $scope.successMessage = 'Transfer of ' + update.transfer.quantity + ' units of ' + RealtimeService.describeProduct(update.product) + ' has been accepted by the distributor.';
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('transfer:cancelled', reloadTransfers, $scope);
+
+    RealtimeService.on('product:status', function() {
+      $scope.loadProducts();
+    }, $scope);
+
+    RealtimeService.on('qualityCheck:recorded', function(update) {
+      $scope.successMessage = 'Quality check of ' + RealtimeService.describeProduct(update.product) + ': ' + update.qualityCheck.status;
+    }, $scope);
+
+    // Updates sent while the connection was lost are not replayed
+    RealtimeService.onReconnect(reloadTransfers, $scope);
+
 
 /**
  * Cancel a pending transfer
@@ -781,7 +798,7 @@ $scope.cancelTransfer = function(transferId) {
   // Set the isCancelling flag for this specific transfer
   transfer.isCancelling = true;
 
-  FarmerService.cancelTransfer(transferId)
+  FarmerService.cancelTransfer(transfer)
     .then(function(response) {
       if (response.success) {
         $scope.successMessage = 'Transfer cancelled successfully';
@@ -814,7 +831,7 @@ function proceedWithCancelTransfer(transferId) {
         throw new Error('Only the transfer initiator can cancel this transfer.');
       }
 
-      return FarmerService.cancelTransfer(transferId);  // Proceed with the cancellation
+      return FarmerService.cancelTransfer(transfer);  // Proceed with the cancellation
     })
     .then(function(response) {
       if (response.success) {
@@ -865,26 +882,39 @@ $scope.generateQRCode = function(product) {
   $scope.isGeneratingQR = true;
   $scope.qrCodeError = null;
 
-  // Create a JSON string with product information
-  const productInfo = JSON.stringify({
-    id: product._id,
-    type: product.type,
-    batchNumber: product.batchNumber,
-    origin: product.origin,
-    productionDate: product.productionDate,
-    status: product.status
-  });
-
-  console.log('Product info for QR code:', productInfo);
-
-  FarmerService.generateQRCode(productInfo)
+  // The QR code encodes the label URL signed by the platform
+  FarmerService.generateQRCode(product)
     .then(function(url) {
       console.log('QR code generated successfully');
       $scope.qrCodeUrl = url;
+      $scope.showQRCodeModal = true;
     })
     .catch(function(error) {
       console.error('Error generating QR code:', error);
-      $scope.qrCodeError = 'Failed to generate QR code: ' + error.message;
+      $scope.qrCodeError = 'Failed to generate QR code: ' + (error.message || error);
+    })
+    .finally(function() {
+      $scope.isGeneratingQR = false;
+      $scope.$applyAsync();
+    });
+};
+
+/**
+ * Sign the label of a product with the farmer's wallet instead of the platform key
+ * @param {Object} product - The product to sign the label of
+ */
+$scope.signQRCode = function(product) {
+  $scope.isGeneratingQR = true;
+  $scope.qrCodeError = null;
+
+  FarmerService.signQRCode(product)
+    .then(function(url) {
+      $scope.qrCodeUrl = url;
+      $scope.successMessage = 'Label signed with your wallet';
+    })
+    .catch(function(error) {
+      console.error('Error signing QR code:', error);
+      $scope.qrCodeError = 'Failed to sign the label: ' + (error.message || error);
     })
     .finally(function() {
       $scope.isGeneratingQR = false;
@@ -892,6 +922,13 @@ $scope.generateQRCode = function(product) {
     });
 };
 
+/**
+ * Close the QR code modal
+ */
+$scope.closeQRCodeModal = function() {
+  $scope.showQRCodeModal = false;
+};
+
     /**
      * Refresh wallet balance
      */
@@ -1019,19 +1056,207 @@ $scope.showProductDetails = function(productId) {
       }
     });
 
-    // Cleanup interval on scope destruction
-    $scope.$on('$destroy', function() {
-      if (angular.isDefined(stopTime)) {
-        $interval.cancel(stopTime);
-        stopTime = undefined;
+    /**
+     * Load the payments held in escrow for the farmer's transfers
+     */
+    $scope.loadEscrowPayments = function() {
+      FarmerService.getEscrowPayments()
+        .then(function(escrowPayments) {
+          $scope.escrowPayments = escrowPayments;
+        })
+        .catch(function(error) {
+          console.error('Error loading escrowed payments:', error);
+        });
+    };
+
+    /**
+     * Cancel a sale whose payment is held in escrow, refunding the buyer
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     */
+    $scope.refundEscrow = function(escrowTransfer) {
+      escrowTransfer.isSettling = true;
+      FarmerService.refundEscrow(escrowTransfer)
+        .then(function(result) {
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          $scope.successMessage = 'Sale cancelled, payment refunded to the buyer';
+          $scope.loadEscrowPayments();
+        })
+        .catch(function(error) {
+          console.error('Error cancelling sale:', error);
+          $scope.errorMessage = 'Failed to cancel sale: ' + (error.message || 'An unexpected error occurred');
+        })
+        .finally(function() {
+          escrowTransfer.isSettling = false;
+          $scope.$applyAsync();
+        });
+    };
+
+    /**
+     * Load the recalls opened by the user or covering products they hold
+     */
+    $scope.loadRecalls = function() {
+      FarmerService.getRecalls()
+        .then(function(recalls) {
+          $scope.recalls = recalls;
+        })
+        .catch(function(error) {
+          console.error('Error loading recalls:', error);
+          $scope.errorMessage = 'Failed to load recalls: ' + (error.message || 'An unexpected error occurred');
+        });
+    };
+
+    /**
+     * Open a recall on a batch
+     * @param {Object} product - The product whose batch is recalled
+     */
+    $scope.openRecall = function(product) {
+      if (!$scope.recallData.reason || !$scope.recallData.severity) {
+        $scope.errorMessage = 'Please give the reason and severity of the recall';
+        return;
       }
-    });
+
+      $scope.isRecalling = true;
+      FarmerService.openRecall({
+        batchNumber: product.batchNumber,
+        reason: $scope.recallData.reason,
+        severity: $scope.recallData.severity
+      })
+        .then(function(result) {
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          $scope.successMessage = 'Recall opened for batch ' + product.batchNumber;
+          $scope.recallData = {};
+          $scope.loadProducts();
+          $scope.loadRecalls();
+        })
+        .catch(function(error) {
+          console.error('Error opening recall:', error);
+          $scope.errorMessage = 'Failed to open recall: ' + (error.message || 'An unexpected error occurred');
+        })
+        .finally(function() {
+          $scope.isRecalling = false;
+          $scope.$applyAsync();
+        });
+    };
+
+    /**
+     * Show the holders of the products affected by a recall
+     * @param {Object} recall - The recall
+     */
+    $scope.showRecallReport = function(recall) {
+      FarmerService.getRecallReport(recall._id)
+        .then(function(report) {
+          $scope.recallReport = report;
+        })
+        .catch(function(error) {
+          console.error('Error loading recall report:', error);
+          $scope.errorMessage = 'Failed to load recall report: ' + (error.message || 'An unexpected error occurred');
+        });
+    };
+
+    /**
+     * Load the supported label sizes
+     */
+    $scope.loadLabelSizes = function() {
+      FarmerService.getLabelSizes()
+        .then(function(result) {
+          $scope.labelSizes = result.sizes;
+          $scope.labelData.size = $scope.labelData.size || result.defaultSize;
+        })
+        .catch(function(error) {
+          console.error('Error loading label sizes:', error);
+        });
+    };
+
+    /**
+     * Print the labels of products on a label sheet opened in a new window
+     * @param {string[]} productIds - The IDs of the products to print labels for
+     */
+    $scope.printLabels = function(productIds) {
+      if (!productIds || productIds.length === 0) {
+        $scope.errorMessage = 'Please select the products to print labels for';
+        return;
+      }
+
+      // Open the window right away so the popup is not blocked
+      var printWindow = $window.open('', '_blank');
+      $scope.isPrintingLabels = true;
+      FarmerService.getLabelSheet(productIds, $scope.labelData.size, $scope.labelData.copies)
+        .then(function(html) {
+          printWindow.document.open();
+          printWindow.document.write(html);
+          printWindow.document.close();
+        })
+        .catch(function(error) {
+          console.error('Error printing labels:', error);
+          printWindow.close();
+          $scope.errorMessage = 'Failed to print labels: ' + (error.message || 'An unexpected error occurred');
+        })
+        .finally(function() {
+          $scope.isPrintingLabels = false;
+          $scope.$applyAsync();
+        });
+    };
+
+    /**
+     * Print the labels of the products selected in the label list
+     */
+    $scope.printSelectedLabels = function() {
+      $scope.printLabels(Object.keys($scope.labelSelection).filter(function(productId) {
+        return $scope.labelSelection[productId];
+      }));
+    };
+
+    /**
+     * Download the QR code of a product as an image
+     * @param {Object} product - The product
+     * @param {string} format - 'png' or 'svg'
+     */
+    $scope.downloadQRCode = function(product, format) {
+      FarmerService.getQRCodeImage(product, format)
+        .then(function(image) {
+          var link = document.createElement('a');
+          link.href = URL.createObjectURL(image);
+          link.download = 'label-' + product.batchNumber + '.' + format;
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          URL.revokeObjectURL(link.href);
+        })
+        .catch(function(error) {
+          console.error('Error downloading QR code:', error);
+          $scope.errorMessage = 'Failed to download QR code: ' + (error.message || 'An unexpected error occurred');
+        });
+    };
+
+    $scope.exportEpcisEvents = function(product) {
+      FarmerService.getEpcisEvents(product)
+        .then(function(epcisDocument) {
+          var link = document.createElement('a');
+          link.href = URL.createObjectURL(epcisDocument);
+          link.download = 'epcis-' + product.batchNumber + '.jsonld';
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          URL.revokeObjectURL(link.href);
+        })
+        .catch(function(error) {
+          console.error('Error exporting EPCIS events:', error);
+          $scope.errorMessage = 'Failed to export EPCIS events: ' + (error.message || 'An unexpected error occurred');
+        });
+    };
 
     // Load initial data on controller initialization
     function initializeDashboard() {
       $scope.loadProducts();
       $scope.loadDistributors();
       $scope.loadPendingTransfers(); 
+      $scope.loadEscrowPayments();
+      $scope.loadRecalls();
+      $scope.loadLabelSizes();
     }
     
     initializeDashboard();
@@ -7,9 +7,14 @@
  */
 
 angular.module('foodTraceabilityApp')
-  .factory('FarmerService', ['$http', 'Web3Service', '$q', function($http, Web3Service, $q) {
+  .factory('FarmerService', ['$http', 'Web3Service', '$q', 'AuthService', function($http, Web3Service, $q, AuthService) {
     // Base API URL for backend communication
     const API_URL = 'http://localhost:3000/api/farmer';
+    const ESCROW_API_URL = 'http://localhost:3000/api/escrow';
+    const RECALL_API_URL = 'http://localhost:3000/api/recalls';
+    const LABELS_API_URL = 'http://localhost:3000/api/labels';
+    const EPCIS_API_URL = 'http://localhost:3000/api/epcis';
+    const PARTNERS_API_URL = 'http://localhost:3000/api/partners';
 
     /**
      * Helper function to get authorization headers with the JWT token
@@ -245,9 +250,10 @@ function syncProductsWithBlockchain() {
     })
     .catch(error => {
       console.error('Error in updateProductStatus:', error);
+      // Rejected lifecycle transitions come back as 409 { message, currentStatus, requestedStatus, allowedNextStatuses }
       return { 
         success: false, 
-        error: error.message || 'An unexpected error occurred',
+        error: (error.data && error.data.message) || error.message || 'An unexpected error occurred',
         details: error.response ? error.response.data : error
       };
     });
@@ -309,6 +315,17 @@ function getDistributors() {
     });
 }
 
+/**
+ * Check whether goods can be sent to a distributor, before the transfer is made on the blockchain
+ * @param {Object} recipient - { username } or { userId } of the recipient
+ * @returns {Promise} A promise that resolves with { allowed, verifiedPartner, confirmationRequired, message }
+ */
+function checkTransferPolicy(recipient) {
+  return $http.get(`${PARTNERS_API_URL}/transferCheck`, { ...getAuthHeaders(), params: recipient })
+    .then(response => response.data)
+    .catch(handleError);
+}
+
 
 /**
  * Initiate transfer of product ownership to a distributor
@@ -362,12 +379,13 @@ function getProduct(productId) {
 }
 
 /**
- * Update the current user's Ethereum address
+ * Update the current user's Ethereum address, once the wallet signed the proof that it belongs to the user
  * @param {string} ethereumAddress - The Ethereum address to set
  * @returns {Promise<Object>} - A promise that resolves with the update result
  */
 function updateEthereumAddress(ethereumAddress) {
-  return $http.put(`${API_URL}/updateEthereumAddress`, { ethereumAddress }, getAuthHeaders())
+  return AuthService.proveWalletOwnership(ethereumAddress)
+    .then(proof => $http.put(`${API_URL}/updateEthereumAddress`, proof, getAuthHeaders()))
     .then(response => response.data)
     .catch(handleError);
 }
@@ -389,19 +407,23 @@ function updateEthereumAddress(ethereumAddress) {
 }
 
 /**
- * Cancel a pending transfer
- * @param {string} transferId - The ID of the transfer to cancel
+ * Cancel a pending transfer on the blockchain, releasing the quantity it reserves, and in the backend
+ * @param {Object} transfer - The transfer to cancel
  * @returns {Promise<Object>} A promise that resolves with the cancellation result
  */
-function cancelTransfer(transferId) {
-  console.log('FarmerService: Initiating cancellation for transfer:', transferId);
+function cancelTransfer(transfer) {
+  console.log('FarmerService: Initiating cancellation for transfer:', transfer._id);
   
   return Web3Service.getCurrentAccount()
     .then(currentAccount => {
       if (!currentAccount) {
         throw new Error('No Ethereum account connected');
       }
-      return $http.post(`${API_URL}/cancelTransfer/${transferId}`, { initiatorAddress: currentAccount }, getAuthHeaders());
+      // Transfers not confirmed on the blockchain yet only exist in the backend
+      return transfer.blockchainTransferId ? Web3Service.cancelTransferOnBlockchain(transfer.blockchainTransferId) : {};
+    })
+    .then(result => {
+      return $http.post(`${API_URL}/cancelTransfer/${transfer._id}`, { txHash: result.txHash }, getAuthHeaders());
     })
     .then(response => {
       console.log('FarmerService: Transfer cancelled successfully:', response.data);
@@ -415,49 +437,66 @@ function cancelTransfer(transferId) {
       console.error('FarmerService: Error cancelling transfer:', error);
       return {
         success: false,
-        error: error.response?.data?.error || error.message || 'Failed to cancel transfer'
+        error: error.data?.error || error.error || error.message || 'Failed to cancel transfer'
       };
     });
 }
 
  /**
-     * Generate a QR code for a product
+     * Generate a QR code for a product. The QR code encodes the signed label URL issued by the backend.
      * @param {Object} product - The product object
      * @returns {Promise<string>} A promise that resolves with the QR code data URL
      */
  function generateQRCode(product) {
-  // Create a JSON string with product information
-  const productInfo = JSON.stringify({
-    id: product._id,
-    type: product.type,
-    batchNumber: product.batchNumber,
-    origin: product.origin,
-    productionDate: product.productionDate,
-    status: product.status
-  });
-  
-  console.log('Product info for QR code:', productInfo);
-
-  return $q((resolve, reject) => {
-    // Using qrcode.js library to generate QR code
-    QRCode.toDataURL(productInfo, { 
-      width: 200, 
-      height: 200,
-      color: {
-        dark: '#000000',  // QR code color
-        light: '#ffffff'  // Background color
-      }
-    }, (err, url) => {
-      if (err) {
-        console.error('Error generating QR code:', err);
-        reject(err);
-      } else {
-        console.log('QR code generated successfully');
-        resolve(url);
-      }
-    });
-  });
+  return $http.get(`${API_URL}/products/${product._id}/qrCode`, getAuthHeaders())
+    .then(response => renderQRCode(response.data.qrCodeData))
+    .catch(handleError);
 }
+
+    /**
+     * Sign the label of a product with the farmer's wallet and generate its QR code
+     * @param {Object} product - The product object
+     * @returns {Promise<string>} A promise that resolves with the QR code data URL
+     */
+    function signQRCode(product) {
+      return $http.get(`${API_URL}/products/${product._id}/qrCode`, getAuthHeaders())
+        .then(response => {
+          if (!response.data.signingMessage) {
+            return $q.reject('The product must be registered on the blockchain before its label can be signed');
+          }
+          return Web3Service.signMessage(response.data.signingMessage);
+        })
+        .then(signature => $http.post(`${API_URL}/products/${product._id}/qrCode`, { signature }, getAuthHeaders()))
+        .then(response => renderQRCode(response.data.qrCodeData))
+        .catch(handleError);
+    }
+
+    /**
+     * Render QR code content as an image
+     * @param {string} text - The QR code content
+     * @returns {Promise<string>} A promise that resolves with the QR code data URL
+     */
+    function renderQRCode(text) {
+      return $q((resolve, reject) => {
+        // Using qrcode.js library to generate QR code
+        QRCode.toDataURL(text, { 
+          width: 200, 
+          height: 200,
+          color: {
+            dark: '#000000',  // QR code color
+            light: '#ffffff'  // Background color
+          }
+        }, (err, url) => {
+          if (err) {
+            console.error('Error generating QR code:', err);
+            reject(err);
+          } else {
+            console.log('QR code generated successfully');
+            resolve(url);
+          }
+        });
+      });
+    }
   
     // Add the following function to fetch transfer details
     function getTransferDetails(transferId) {
@@ -472,7 +511,138 @@ function cancelTransfer(transferId) {
     }
 
     function updateEthereumAddress(address) {
-      return $http.put(`${API_URL}/updateEthereumAddress`, { ethereumAddress: address }, getAuthHeaders())
+      return AuthService.proveWalletOwnership(address)
+        .then(proof => $http.put(`${API_URL}/updateEthereumAddress`, proof, getAuthHeaders()))
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch the payments held in escrow for the farmer's transfers
+     * @returns {Promise} A promise that resolves with the escrowed payments
+     */
+    function getEscrowPayments() {
+      console.log('Fetching escrowed payments');
+      return $http.get(ESCROW_API_URL, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Settle an escrowed payment from the connected wallet and record the settlement in the backend
+     * @param {Promise} settlement - The pending blockchain settlement
+     * @param {string} url - The backend route recording the settlement
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function recordEscrowSettlement(settlement, url) {
+      return settlement
+        .then(result => $http.post(url, { txHash: result.txHash }, getAuthHeaders()))
+        .then(response => ({ success: true, message: response.data.message, transfer: response.data.transfer }))
+        .catch(error => {
+          console.error('Error settling escrowed payment:', error);
+          return {
+            success: false,
+            error: error.error || error.data?.message || error.message || 'An error occurred while settling the payment'
+          };
+        });
+    }
+
+    /**
+     * Cancel a sale whose payment is held in escrow, refunding the buyer
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function refundEscrow(escrowTransfer) {
+      return recordEscrowSettlement(
+        Web3Service.cancelEscrowOnBlockchain(escrowTransfer.escrow.escrowId),
+        `${ESCROW_API_URL}/${escrowTransfer._id}/refund`
+      );
+    }
+
+    /**
+     * Open a recall on a batch. The recall covers every batch split off or merged from it
+     * @param {Object} recallData - The batch number, reason and severity of the recall
+     * @returns {Promise} A promise that resolves with the recall result, with one recall per product of the batch
+     */
+    function openRecall(recallData) {
+      console.log('Opening recall:', recallData);
+      return $http.post(RECALL_API_URL, recallData, getAuthHeaders())
+        .then(response => ({ success: true, message: response.data.message, recalls: response.data.recalls }))
+        .catch(error => {
+          console.error('Error opening recall:', error);
+          return {
+            success: false,
+            error: error.data?.message || error.message || 'An error occurred while opening the recall'
+          };
+        });
+    }
+
+    /**
+     * Fetch the recalls opened by the user or covering products they hold
+     * @returns {Promise} A promise that resolves with the recalls
+     */
+    function getRecalls() {
+      return $http.get(RECALL_API_URL, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch the report of a recall opened by the user
+     * @param {string} recallId - The ID of the recall
+     * @returns {Promise} A promise that resolves with the holders of the affected products and their quantities
+     */
+    function getRecallReport(recallId) {
+      return $http.get(`${RECALL_API_URL}/${recallId}/report`, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch the supported label sizes
+     * @returns {Promise} A promise that resolves with { sizes, defaultSize }
+     */
+    function getLabelSizes() {
+      return $http.get(`${LABELS_API_URL}/sizes`, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch a printable label sheet for products
+     * @param {string[]} productIds - The IDs of the products to print labels for
+     * @param {string} size - The label size key
+     * @param {number} copies - Number of copies of each label
+     * @returns {Promise<string>} A promise that resolves with the label sheet HTML
+     */
+    function getLabelSheet(productIds, size, copies) {
+      return $http.post(`${LABELS_API_URL}/sheet`, { productIds, size, copies },
+        Object.assign(getAuthHeaders(), { responseType: 'text' }))
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch the QR code of a product as an image file
+     * @param {Object} product - The product
+     * @param {string} format - 'png' or 'svg'
+     * @returns {Promise<Blob>} A promise that resolves with the image
+     */
+    function getQRCodeImage(product, format) {
+      return $http.get(`${LABELS_API_URL}/products/${product._id}/qrCode?format=${format}`,
+        Object.assign(getAuthHeaders(), { responseType: 'blob' }))
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch the supply chain events of a product as an EPCIS 2.0 JSON-LD document
+     * @param {Object} product - The product
+     * @returns {Promise<Blob>} A promise that resolves with the document
+     */
+    function getEpcisEvents(product) {
+      return $http.get(`${EPCIS_API_URL}/products/${product._id}/events`,
+        Object.assign(getAuthHeaders(), { responseType: 'blob' }))
         .then(response => response.data)
         .catch(handleError);
     }
@@ -488,12 +658,23 @@ function cancelTransfer(transferId) {
     updateProductStatus,
     updateProductWithBlockchain,
     getDistributors,
+    checkTransferPolicy,
     initiateTransfer,
     getPendingTransfers,
     getTransferDetails,
     cancelTransfer,
     generateQRCode: generateQRCode,
+    signQRCode,
+    getLabelSizes,
+    getLabelSheet,
+    getQRCodeImage,
+    getEpcisEvents,
     getProduct, // Add getProduct here
-    updateEthereumAddress
+    updateEthereumAddress,
+    getEscrowPayments,
+    refundEscrow,
+    openRecall,
+    getRecalls,
+    getRecallReport
   };
 }]);
\ No newline at end of file
@@ -52,19 +52,32 @@ angular.module('foodTraceabilityApp', ['ngRoute'])
           <button ng-click="logout()" class="logout-button">
             <i class="fas fa-sign-out-alt"></i> Logout
           </button>
+          <a href="login-history.html" class="theme-toggle" title="See the recent logins to your account">
+            <i class="fas fa-history"></i> Login History
+          </a>
+          <a href="two-factor.html" class="theme-toggle" title="Set up two-factor authentication">
+            <i class="fas fa-shield-alt"></i> Two-Factor Auth
+          </a>
+          <a href="organization.html" class="theme-toggle" title="Manage the staff of your company">
+            <i class="fas fa-users"></i> Organization
+          </a>
+          <button ng-click="logout(true)" class="logout-button" title="End the sessions on all your devices">
+            <i class="fas fa-user-lock"></i> Sign Out Everywhere
+          </button>
         </div>
       `,
-      controller: ['$scope', '$rootScope', 'Web3Service', function($scope, $rootScope, Web3Service) {
+      controller: ['$scope', '$rootScope', 'Web3Service', 'AuthService', function($scope, $rootScope, Web3Service, AuthService) {
         $scope.toggleTheme = function() {
           $rootScope.theme = $rootScope.theme === 'light' ? 'dark' : 'light';
           localStorage.setItem('theme', $rootScope.theme);
           document.documentElement.setAttribute('data-theme', $rootScope.theme);
         };
 
-        $scope.logout = function() {
-          localStorage.removeItem('token');
+        $scope.logout = function(allDevices) {
           Web3Service.disconnectWallet();
-          window.location.href = 'login.html';
+          AuthService.logout(allDevices).finally(function() {
+            window.location.href = 'login.html';
+          });
         };
       }]
     };
@@ -225,6 +225,7 @@ angular.module('foodTraceabilityApp', ['ngRoute', 'ui.bootstrap'])
     $scope.currentOwner = null;
     $scope.ownershipHistory = [];
     $scope.blockchainData = null;
+    $scope.trail = [];
     $scope.isLoading = true;
     $scope.errorMessage = null;
 
@@ -279,11 +280,28 @@ angular.module('foodTraceabilityApp', ['ngRoute', 'ui.bootstrap'])
         });
     }
 
+    /**
+     * Function to load the geolocation trail of the product
+     */
+    function loadTrail() {
+      if (!productId) {
+        return;
+      }
+      $http.get('/api/telemetry/products/' + productId + '/trail')
+        .then(function(response) {
+          $scope.trail = response.data;
+        })
+        .catch(function(error) {
+          console.error('Error loading location trail:', error);
+        });
+    }
+
     /**
      * Function to refresh data
      */
     $scope.refreshData = function() {
       loadProductInfo();
+      loadTrail();
     };
 
     /**
@@ -296,6 +314,22 @@ angular.module('foodTraceabilityApp', ['ngRoute', 'ui.bootstrap'])
       return new Date(dateString).toLocaleString();
     };
 
+    // Add the new locations of the product to its trail as they arrive
+    var socket = productId && typeof ProductTrailMap !== 'undefined'
+      ? ProductTrailMap.subscribe(productId, function(locations) {
+        $scope.$applyAsync(function() {
+          $scope.trail = $scope.trail.concat(locations);
+        });
+      })
+      : null;
+
+    $scope.$on('$destroy', function() {
+      if (socket) {
+        socket.disconnect();
+      }
+    });
+
     // Load product information when the controller initializes
     loadProductInfo();
+    loadTrail();
   }]);
\ No newline at end of file
@@ -0,0 +1,44 @@
+// Forgot-password.js
+
+const app = Vue.createApp({
+  data() {
+    return {
+      email: '',
+      message: '',
+      hasError: false,
+      isLoading: false,
+      sent: false
+    };
+  },
+
+  methods: {
+    async requestReset() {
+      this.isLoading = true;
+      this.message = '';
+      try {
+        const response = await fetch('/api/password/forgot', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email: this.email })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          throw new Error(data.message || (data.errors && data.errors[0].msg) || 'Could not send the reset link. Please try again.');
+        }
+
+        this.message = data.message;
+        this.hasError = false;
+        this.sent = true;
+      } catch (error) {
+        console.error('Password reset request error:', error);
+        this.message = error.message;
+        this.hasError = true;
+      } finally {
+        this.isLoading = false;
+      }
+    }
+  }
+});
+
+app.mount('#app');
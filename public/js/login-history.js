@@ -0,0 +1,52 @@
+// Login-history.js
+
+const FAILURE_DESCRIPTIONS = {
+  invalid_password: 'Failed: wrong password',
+  invalid_two_factor_code: 'Failed: wrong two-factor code',
+  account_locked: 'Refused: account locked',
+  ip_locked: 'Refused: too many attempts from this IP',
+  unknown_user: 'Failed: unknown user'
+};
+
+const app = Vue.createApp({
+  data() {
+    return {
+      history: [],
+      errorMessage: '',
+      isLoading: true,
+      dashboardUrl: `/${localStorage.getItem('userType') || 'consumer'}-dashboard.html`
+    };
+  },
+
+  mounted() {
+    this.loadHistory();
+  },
+
+  methods: {
+    async loadHistory() {
+      try {
+        const response = await authFetch('/api/login/history?limit=50');
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        this.history = await response.json();
+      } catch (error) {
+        console.error('Login history error:', error);
+        this.errorMessage = 'Failed to load your login history. Please try again.';
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    describeResult(attempt) {
+      const result = attempt.success ? 'Successful login' : (FAILURE_DESCRIPTIONS[attempt.failureReason] || 'Failed');
+      return attempt.method === 'wallet' ? `${result} with wallet` : result;
+    },
+
+    formatDate(date) {
+      return new Date(date).toLocaleString();
+    }
+  }
+});
+
+app.mount('#app');
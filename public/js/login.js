@@ -6,6 +6,9 @@ const app = Vue.createApp({
       rememberMe: false,
       errorMessage: '',
       isLoading: false,
+      // Set when the password was right and a two-factor code is needed
+      twoFactorToken: null,
+      twoFactorCode: '',
     };
   },
 
@@ -23,20 +26,25 @@ const app = Vue.createApp({
           }),
         });
 
+        if (response.status === 429) {
+          // Locked out after too many failed attempts
+          const data = await response.json().catch(() => ({}));
+          this.errorMessage = data.message || 'Too many failed login attempts. Please try again later.';
+          return;
+        }
+
         if (!response.ok) {
           throw new Error(`HTTP error! status: ${response.status}`);
         }
 
         const data = await response.json();
 
-        // Store the token in localStorage
-        localStorage.setItem('token', data.token);
-
-        // Store user type
-        localStorage.setItem('userType', data.userType);
+        if (data.twoFactorRequired) {
+          this.twoFactorToken = data.twoFactorToken;
+          return;
+        }
 
-        // Redirect based on user type
-        this.redirectUser(data.userType);
+        this.completeLogin(data);
       } catch (error) {
         console.error('Login error:', error);
         this.errorMessage = 'Failed to login. Please check your credentials and try again.';
@@ -45,6 +53,103 @@ const app = Vue.createApp({
       }
     },
 
+    async submitTwoFactorCode() {
+      this.isLoading = true;
+      this.errorMessage = '';
+      try {
+        const response = await fetch('/api/login/2fa', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            twoFactorToken: this.twoFactorToken,
+            code: this.twoFactorCode,
+          }),
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          this.errorMessage = data.message || 'Verification failed. Please try again.';
+          this.twoFactorCode = '';
+          return;
+        }
+
+        this.completeLogin(data);
+      } catch (error) {
+        console.error('Two-factor login error:', error);
+        this.errorMessage = 'Verification failed. Please try again.';
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    async loginWithWallet() {
+      if (typeof window.ethereum === 'undefined') {
+        this.errorMessage = 'No Ethereum wallet found. Install MetaMask to log in with your wallet.';
+        return;
+      }
+
+      this.isLoading = true;
+      this.errorMessage = '';
+      try {
+        const [address] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+
+        // Get the login message for this address, and have the wallet sign it
+        const challengeResponse = await fetch('/api/login/wallet/challenge', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ethereumAddress: address }),
+        });
+        const challenge = await challengeResponse.json().catch(() => ({}));
+        if (!challengeResponse.ok) {
+          throw new Error(challenge.message || 'Failed to get the login message.');
+        }
+
+        const signature = await window.ethereum.request({
+          method: 'personal_sign',
+          params: [this.toHex(challenge.message), address],
+        });
+
+        const response = await fetch('/api/login/wallet', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: challenge.message, signature }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.message || 'Wallet login failed.');
+        }
+
+        if (data.twoFactorRequired) {
+          this.twoFactorToken = data.twoFactorToken;
+          return;
+        }
+
+        this.completeLogin(data);
+      } catch (error) {
+        console.error('Wallet login error:', error);
+        this.errorMessage = error.message || 'Wallet login failed. Please try again.';
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    // Hex encode a UTF-8 message, as personal_sign expects
+    toHex(message) {
+      return '0x' + Array.from(new TextEncoder().encode(message), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    completeLogin(data) {
+      // Store the access token and the refresh token that renews it in localStorage
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+
+      // Store user type
+      localStorage.setItem('userType', data.userType);
+
+      // Redirect based on user type
+      this.redirectUser(data.userType);
+    },
+
     redirectUser(userType) {
       switch(userType.toLowerCase()) {
         case 'farmer':
@@ -59,6 +164,9 @@ const app = Vue.createApp({
         case 'consumer':
           window.location.href = '/consumer-dashboard.html';
           break;
+        case 'admin':
+          window.location.href = '/admin-dashboard.html';
+          break;
         default:
           window.location.href = '/dashboard.html';
       }
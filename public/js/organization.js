@@ -0,0 +1,228 @@
+// Organization.js
+
+// Times the two-factor code is asked before a sensitive action is given up
+const MAX_TWO_FACTOR_PROMPTS = 3;
+
+// Roles from the most to the least powerful
+const ORGANIZATION_ROLES = ['owner', 'manager', 'operator', 'viewer'];
+
+const app = Vue.createApp({
+  data() {
+    return {
+      organization: null,
+      role: '',
+      userId: '',
+      invitations: [],
+      activity: [],
+      invitationToken: '',
+      newOrganizationName: '',
+      invite: { email: '', role: 'operator' },
+      isLoading: true,
+      message: '',
+      hasError: false,
+      isLoggedIn: Boolean(localStorage.getItem('token')),
+      userType: localStorage.getItem('userType'),
+      dashboardUrl: `/${localStorage.getItem('userType') || 'consumer'}-dashboard.html`
+    };
+  },
+
+  computed: {
+    canManage() {
+      return this.role === 'owner' || this.role === 'manager';
+    },
+
+    // Roles the user can give: owners give every role, managers operators and viewers
+    assignableRoles() {
+      return this.role === 'owner' ? ORGANIZATION_ROLES : ORGANIZATION_ROLES.slice(2);
+    },
+
+    canCreate() {
+      return ['farmer', 'distributor', 'retailer'].includes(this.userType);
+    }
+  },
+
+  mounted() {
+    // Keep the invitation while the user logs in or registers
+    const token = new URLSearchParams(window.location.search).get('invitation');
+    if (token) {
+      sessionStorage.setItem('organizationInvitation', token);
+    }
+    this.invitationToken = sessionStorage.getItem('organizationInvitation') || '';
+
+    if (!this.isLoggedIn) {
+      this.isLoading = false;
+      this.showMessage('Log in or register with the email address the invitation was sent to, then come back to this page.', false);
+      return;
+    }
+    this.run(() => this.loadOrganization());
+  },
+
+  methods: {
+    /**
+     * Send an API request. Actions needing a fresh two-factor code are sent
+     * again with a code entered by the user.
+     * @param {string} url - The URL
+     * @param {Object} [options] - authFetch options
+     * @returns {Promise<Object>} The response body
+     */
+    async send(url, options = {}) {
+      let response = await authFetch(url, options);
+      let data = await response.json().catch(() => ({}));
+
+      for (let attempt = 0; attempt < MAX_TWO_FACTOR_PROMPTS && response.status === 403 && data.twoFactorRequired; attempt++) {
+        const code = window.prompt(`${data.message}\nEnter the code from your authenticator app or a recovery code:`);
+        if (!code) {
+          break;
+        }
+        response = await authFetch(url, { ...options, headers: { ...options.headers, 'X-Two-Factor-Code': code.trim() } });
+        data = await response.json().catch(() => ({}));
+      }
+
+      if (!response.ok) {
+        const validationError = data.errors && data.errors[0] && data.errors[0].msg;
+        throw new Error(data.message || validationError || `HTTP error! status: ${response.status}`);
+      }
+      return data;
+    },
+
+    /**
+     * Run a request, showing a spinner meanwhile and the error if it fails
+     * @param {Function} task - Async function doing the request, resolving with the message to show if any
+     */
+    async run(task) {
+      this.isLoading = true;
+      this.message = '';
+      try {
+        const successMessage = await task();
+        if (successMessage) {
+          this.showMessage(successMessage, false);
+        }
+      } catch (error) {
+        console.error('Organization error:', error);
+        this.showMessage(error.message, true);
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    showMessage(message, isError) {
+      this.message = message;
+      this.hasError = isError;
+    },
+
+    async loadOrganization() {
+      const data = await this.send('/api/organizations/mine');
+      this.organization = data.organization;
+      this.role = data.role || '';
+      this.userId = data.userId || '';
+      this.invitations = data.invitations || [];
+      this.activity = this.organization ? await this.send('/api/organizations/activity') : [];
+    },
+
+    createOrganization() {
+      return this.run(async () => {
+        const data = await this.send('/api/organizations', { method: 'POST', body: { name: this.newOrganizationName } });
+        await this.loadOrganization();
+        return data.message;
+      });
+    },
+
+    acceptInvitation() {
+      return this.run(async () => {
+        const data = await this.send('/api/organizations/invitations/accept', { method: 'POST', body: { token: this.invitationToken } });
+        this.discardInvitation();
+        await this.loadOrganization();
+        return data.message;
+      });
+    },
+
+    discardInvitation() {
+      sessionStorage.removeItem('organizationInvitation');
+      this.invitationToken = '';
+    },
+
+    inviteMember() {
+      return this.run(async () => {
+        const data = await this.send('/api/organizations/invitations', { method: 'POST', body: this.invite });
+        this.invite.email = '';
+        await this.loadOrganization();
+        return data.message;
+      });
+    },
+
+    cancelInvitation(invitation) {
+      return this.run(async () => {
+        const data = await this.send(`/api/organizations/invitations/${invitation._id}`, { method: 'DELETE' });
+        await this.loadOrganization();
+        return data.message;
+      });
+    },
+
+    changeRole(member, role) {
+      return this.run(async () => {
+        const data = await this.send(`/api/organizations/members/${member.user._id}`, { method: 'PUT', body: { role } });
+        await this.loadOrganization();
+        return data.message;
+      });
+    },
+
+    removeMember(member) {
+      if (!window.confirm(`Remove ${member.user.username}? The products they hold are handed over to an owner.`)) {
+        return;
+      }
+      return this.run(async () => {
+        const data = await this.send(`/api/organizations/members/${member.user._id}`, { method: 'DELETE' });
+        await this.loadOrganization();
+        return data.message;
+      });
+    },
+
+    leave(member) {
+      if (!window.confirm(`Leave ${this.organization.name}? The products you hold are handed over to an owner.`)) {
+        return;
+      }
+      return this.run(async () => {
+        const data = await this.send(`/api/organizations/members/${member.user._id}`, { method: 'DELETE' });
+        await this.loadOrganization();
+        return data.message;
+      });
+    },
+
+    // Link the wallet connected in the browser as the organization's address
+    linkWallet() {
+      if (!window.ethereum) {
+        this.showMessage('Install MetaMask or another Ethereum wallet to link an address.', true);
+        return;
+      }
+      return this.run(async () => {
+        const [address] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        const challenge = await this.send('/api/wallet/challenge', { method: 'POST', body: { ethereumAddress: address } });
+        const signature = await window.ethereum.request({
+          method: 'personal_sign',
+          params: [this.toHex(challenge.message), address]
+        });
+        const data = await this.send('/api/organizations/ethereumAddress', {
+          method: 'PUT',
+          body: { ethereumAddress: address, message: challenge.message, signature }
+        });
+        await this.loadOrganization();
+        return data.blockchainRoleGranted ? data.message : `${data.message}, but its blockchain role could not be granted yet.`;
+      });
+    },
+
+    // Hex encode a UTF-8 message, as personal_sign expects
+    toHex(message) {
+      return '0x' + Array.from(new TextEncoder().encode(message), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    isSelf(member) {
+      return member.user._id === this.userId;
+    },
+
+    formatDate(date) {
+      return date ? new Date(date).toLocaleString() : '';
+    }
+  }
+});
+
+app.mount('#app');
@@ -0,0 +1,209 @@
+// Partner-profile.js
+
+// Largest document accepted by the server
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+
+const STATUS_LABELS = {
+  draft: 'Draft - not submitted',
+  submitted: 'Submitted - waiting for review',
+  verified: 'Verified',
+  rejected: 'Rejected'
+};
+
+const emptyProfile = () => ({
+  legalName: '',
+  registrationNumber: '',
+  address: { street: '', city: '', postalCode: '', country: '' },
+  licenses: []
+});
+
+const app = Vue.createApp({
+  data() {
+    return {
+      form: emptyProfile(),
+      status: 'draft',
+      reviewNotes: '',
+      verifiedPartner: false,
+      documents: [],
+      upload: { kind: 'registration', file: null },
+      isLoading: true,
+      message: '',
+      hasError: false,
+      dashboardUrl: `/${localStorage.getItem('userType') || 'consumer'}-dashboard.html`
+    };
+  },
+
+  computed: {
+    statusLabel() {
+      return STATUS_LABELS[this.status];
+    },
+
+    canSubmit() {
+      return this.status === 'draft' || this.status === 'rejected';
+    }
+  },
+
+  mounted() {
+    this.run(() => this.loadProfile());
+  },
+
+  methods: {
+    /**
+     * Send an API request
+     * @param {string} url - The URL
+     * @param {Object} [options] - authFetch options
+     * @returns {Promise<Object>} The response body
+     */
+    async send(url, options = {}) {
+      const response = await authFetch(url, options);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const validationError = data.errors && data.errors[0] && data.errors[0].msg;
+        throw new Error(data.message || validationError || `HTTP error! status: ${response.status}`);
+      }
+      return data;
+    },
+
+    /**
+     * Run a request, showing a spinner meanwhile and the error if it fails
+     * @param {Function} task - Async function doing the request, resolving with the message to show if any
+     */
+    async run(task) {
+      this.isLoading = true;
+      this.message = '';
+      try {
+        const successMessage = await task();
+        if (successMessage) {
+          this.showMessage(successMessage, false);
+        }
+      } catch (error) {
+        console.error('Business profile error:', error);
+        this.showMessage(error.message, true);
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    showMessage(message, isError) {
+      this.message = message;
+      this.hasError = isError;
+    },
+
+    async loadProfile() {
+      const data = await this.send('/api/partners/profile');
+      this.showProfile(data.profile);
+      this.documents = data.documents;
+      this.verifiedPartner = data.verifiedPartner;
+    },
+
+    showProfile(profile) {
+      if (!profile) {
+        return;
+      }
+      this.status = profile.status;
+      this.reviewNotes = profile.reviewNotes || '';
+      this.form = {
+        legalName: profile.legalName || '',
+        registrationNumber: profile.registrationNumber || '',
+        address: { ...emptyProfile().address, ...profile.address },
+        licenses: profile.licenses.map(license => ({
+          type: license.type,
+          number: license.number,
+          issuedBy: license.issuedBy || '',
+          expiresAt: license.expiresAt ? license.expiresAt.slice(0, 10) : ''
+        }))
+      };
+    },
+
+    addLicense() {
+      this.form.licenses.push({ type: '', number: '', issuedBy: '', expiresAt: '' });
+    },
+
+    removeLicense(index) {
+      this.form.licenses.splice(index, 1);
+    },
+
+    saveProfile() {
+      return this.run(async () => {
+        const data = await this.send('/api/partners/profile', { method: 'PUT', body: this.form });
+        await this.loadProfile();
+        return data.message;
+      });
+    },
+
+    selectFile(event) {
+      this.upload.file = event.target.files[0] || null;
+    },
+
+    // Read a file as base64, without the data URL prefix
+    readFile(file) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = () => reject(new Error('The file could not be read'));
+        reader.readAsDataURL(file);
+      });
+    },
+
+    uploadDocument() {
+      return this.run(async () => {
+        const file = this.upload.file;
+        if (!file) {
+          throw new Error('Choose a file to upload');
+        }
+        if (file.size > MAX_DOCUMENT_SIZE) {
+          throw new Error('Documents must be at most 5 MB');
+        }
+        const data = await this.send('/api/partners/profile/documents', {
+          method: 'POST',
+          body: { kind: this.upload.kind, fileName: file.name, mimeType: file.type, content: await this.readFile(file) }
+        });
+        this.upload.file = null;
+        this.$refs.fileInput.value = '';
+        await this.loadProfile();
+        return data.message;
+      });
+    },
+
+    openDocument(document) {
+      return this.run(async () => {
+        const response = await authFetch(`/api/partners/profile/documents/${document._id}`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+      });
+    },
+
+    removeDocument(document) {
+      if (!window.confirm(`Delete ${document.fileName}?`)) {
+        return;
+      }
+      return this.run(async () => {
+        const data = await this.send(`/api/partners/profile/documents/${document._id}`, { method: 'DELETE' });
+        await this.loadProfile();
+        return data.message;
+      });
+    },
+
+    submitProfile() {
+      return this.run(async () => {
+        const data = await this.send('/api/partners/profile/submit', { method: 'POST' });
+        await this.loadProfile();
+        return data.message;
+      });
+    },
+
+    formatSize(size) {
+      return size < 1024 * 1024 ? `${Math.ceil(size / 1024)} KB` : `${(size / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    formatDate(date) {
+      return date ? new Date(date).toLocaleString() : '';
+    }
+  }
+});
+
+app.mount('#app');
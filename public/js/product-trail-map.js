@@ -0,0 +1,217 @@
+/**
+ * product-trail-map.js
+ *
+ * Map of the geolocation trail of a product for the tracking pages, drawn with
+ * Leaflet. The basemap works offline: the land outlines come with the server
+ * (public/vendor/world-atlas) and the tiles, when a tile set is installed, are served
+ * from /tiles. The trail is listed as a timeline next to the map, and new
+ * locations are added live from the product:location Socket.IO events of the
+ * room of the product.
+ *
+ * Needs Leaflet and topojson-client, and the Socket.IO client for the live updates.
+ */
+var ProductTrailMap = (function() {
+  // Transparent image shown where no tile is installed, so that the land outlines show through
+  var EMPTY_TILE = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+  var SOURCE_LABELS = {
+    device: 'GPS tracker',
+    shipment: 'Shipment check-in',
+    manual: 'Recorded by hand'
+  };
+
+  function escapeHtml(value) {
+    var element = document.createElement('div');
+    element.textContent = value === undefined || value === null ? '' : String(value);
+    return element.innerHTML;
+  }
+
+  function formatTime(date) {
+    return new Date(date).toLocaleString();
+  }
+
+  function describeLocation(location) {
+    return escapeHtml(location.placeName || location.latitude.toFixed(4) + ', ' + location.longitude.toFixed(4));
+  }
+
+  // Draw the land outlines shipped with the server below the tiles
+  function addOfflineBasemap(map) {
+    fetch('/vendor/world-atlas/land-110m.json')
+      .then(function(response) {
+        return response.json();
+      })
+      .then(function(topology) {
+        L.geoJSON(topojson.feature(topology, topology.objects.land), {
+          interactive: false,
+          style: { color: '#7a8f6a', weight: 1, fillColor: '#dfe8d3', fillOpacity: 1 }
+        }).addTo(map).bringToBack();
+      })
+      .catch(function(error) {
+        console.error('Error loading the offline basemap:', error);
+      });
+  }
+
+  /**
+   * Create the map
+   * @param {HTMLElement|string} mapElement - Element (or its ID) to draw the map in
+   * @param {HTMLElement|string} [timelineElement] - Element (or its ID) to list the locations in
+   * @returns {Object} The map, with setTrail(locations), addLocations(locations) and focus(index)
+   */
+  function create(mapElement, timelineElement) {
+    var map = L.map(mapElement, { worldCopyJump: true }).setView([20, 0], 2);
+    map.getContainer().style.background = '#b9d3e6';
+    addOfflineBasemap(map);
+    L.tileLayer('/tiles/{z}/{x}/{y}.png', { maxZoom: 18, errorTileUrl: EMPTY_TILE }).addTo(map);
+
+    var timeline = typeof timelineElement === 'string' ? document.getElementById(timelineElement) : timelineElement;
+    var trailLayer = L.layerGroup().addTo(map);
+    var locations = [];
+    var markers = [];
+
+    function renderTimeline() {
+      if (!timeline) {
+        return;
+      }
+      if (locations.length === 0) {
+        timeline.innerHTML = '<p class="text-muted">No locations recorded for this product yet.</p>';
+        return;
+      }
+      timeline.innerHTML = '<ol class="list-group">' + locations.map(function(location, index) {
+        return '<li class="list-group-item list-group-item-action" data-index="' + index + '" style="cursor: pointer">' +
+          '<strong>' + describeLocation(location) + '</strong><br>' +
+          '<small>' + formatTime(location.recordedAt) + ' &middot; ' + escapeHtml(SOURCE_LABELS[location.source] || location.source) + '</small>' +
+          '</li>';
+      }).join('') + '</ol>';
+      Array.prototype.forEach.call(timeline.querySelectorAll('li[data-index]'), function(item) {
+        item.addEventListener('click', function() {
+          focus(Number(item.getAttribute('data-index')));
+        });
+      });
+    }
+
+    function draw(fit) {
+      trailLayer.clearLayers();
+      var points = locations.map(function(location) {
+        return [location.latitude, location.longitude];
+      });
+      if (points.length > 1) {
+        L.polyline(points, { color: '#2e7d32', weight: 3 }).addTo(trailLayer);
+      }
+      markers = locations.map(function(location, index) {
+        var last = index === locations.length - 1;
+        return L.circleMarker(points[index], {
+          radius: last ? 8 : 5,
+          color: last ? '#c62828' : '#2e7d32',
+          fillOpacity: 0.9
+        }).bindPopup('<strong>' + describeLocation(location) + '</strong><br>' + formatTime(location.recordedAt))
+          .addTo(trailLayer);
+      });
+      if (fit && points.length > 0) {
+        map.fitBounds(L.latLngBounds(points), { maxZoom: 10, padding: [20, 20] });
+      }
+      renderTimeline();
+    }
+
+    function focus(index) {
+      var marker = markers[index];
+      if (marker) {
+        map.setView(marker.getLatLng(), Math.max(map.getZoom(), 6));
+        marker.openPopup();
+      }
+    }
+
+    return {
+      setTrail: function(trail) {
+        locations = trail.slice();
+        draw(true);
+      },
+      addLocations: function(newLocations) {
+        var known = {};
+        locations.forEach(function(location) {
+          known[location._id] = true;
+        });
+        locations = locations.concat(newLocations.filter(function(location) {
+          return !known[location._id];
+        })).sort(function(a, b) {
+          return new Date(a.recordedAt) - new Date(b.recordedAt);
+        });
+        draw(false);
+        focus(locations.length - 1);
+      },
+      focus: focus
+    };
+  }
+
+  /**
+   * Fetch the trail of a product
+   * @param {string} productId - The product ID
+   * @returns {Promise<Object[]>} The locations, the oldest first
+   */
+  function loadTrail(productId) {
+    return fetch('/api/telemetry/products/' + productId + '/trail', {
+      headers: { 'Authorization': 'Bearer ' + localStorage.getItem('token') }
+    }).then(function(response) {
+      if (!response.ok) {
+        throw new Error('HTTP error! status: ' + response.status);
+      }
+      return response.json();
+    });
+  }
+
+  /**
+   * Listen for the new locations of a product
+   * @param {string} productId - The product ID
+   * @param {Function} onLocations - Called with the new locations
+   * @returns {Object|null} The socket, to disconnect, or null without the Socket.IO client
+   */
+  function subscribe(productId, onLocations) {
+    if (typeof io === 'undefined') {
+      return null;
+    }
+    var socket = io('http://localhost:3000', {
+      auth: function(callback) {
+        callback({ token: localStorage.getItem('token') });
+      }
+    });
+    // The rooms are left on disconnection, so the product is followed again on each connection
+    socket.on('connect', function() {
+      socket.emit('product:subscribe', productId, function(result) {
+        if (!result.success) {
+          console.error('Error following the product:', result.error);
+        }
+      });
+    });
+    socket.on('product:location', function(update) {
+      if (update.product._id === productId) {
+        onLocations(update.locations);
+      }
+    });
+    return socket;
+  }
+
+  /**
+   * Show the trail of a product on a new map, and keep it up to date
+   * @param {string} productId - The product ID
+   * @param {HTMLElement|string} mapElement - Element (or its ID) to draw the map in
+   * @param {HTMLElement|string} [timelineElement] - Element (or its ID) to list the locations in
+   * @returns {Object} The map, with its socket
+   */
+  function track(productId, mapElement, timelineElement) {
+    var trailMap = create(mapElement, timelineElement);
+    loadTrail(productId)
+      .then(trailMap.setTrail)
+      .catch(function(error) {
+        console.error('Error fetching the location trail:', error);
+        trailMap.setTrail([]);
+      });
+    trailMap.socket = subscribe(productId, trailMap.addLocations);
+    return trailMap;
+  }
+
+  return {
+    create: create,
+    loadTrail: loadTrail,
+    subscribe: subscribe,
+    track: track
+  };
+})();
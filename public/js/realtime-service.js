@@ -0,0 +1,136 @@
+/**
+ * realtime-service.js
+ *
+ * Live updates for the dashboards over Socket.IO, instead of polling the API.
+ * The page shares one socket, authenticated with the access token. When the
+ * token has expired, it is refreshed as for API requests and the socket
+ * connects again. After the connection was lost, the handlers registered with
+ * onReconnect reload what may have changed meanwhile. Needs the Socket.IO client
+ * and auth-interceptor.js.
+ */
+
+angular.module('foodTraceabilityApp')
+  .factory('RealtimeService', ['$rootScope', 'AuthService', function($rootScope, AuthService) {
+    const SOCKET_URL = 'http://localhost:3000';
+
+    let socket = null;
+    let hasConnected = false;
+    const reconnectHandlers = [];
+
+    /**
+     * Remove a handler when a scope is destroyed
+     * @param {Object} [scope] - The scope
+     * @param {Function} remove - Removes the handler
+     * @returns {Function} remove
+     */
+    function removeOnDestroy(scope, remove) {
+      if (scope) {
+        scope.$on('$destroy', remove);
+      }
+      return remove;
+    }
+
+    /**
+     * Get the socket of the page, connecting it on first use
+     * @returns {Object|null} The socket, or null without the Socket.IO client
+     */
+    function getSocket() {
+      if (socket || typeof io === 'undefined') {
+        return socket;
+      }
+
+      // The token is read on each connection attempt, so reconnections use the latest one
+      socket = io(SOCKET_URL, {
+        auth: function(callback) {
+          callback({ token: localStorage.getItem('token') });
+        }
+      });
+
+      socket.on('connect', function() {
+        if (hasConnected) {
+          $rootScope.$applyAsync(function() {
+            reconnectHandlers.forEach(function(handler) {
+              handler();
+            });
+          });
+        }
+        hasConnected = true;
+      });
+
+      // Connections refused by the server are not retried by Socket.IO
+      socket.on('connect_error', function(error) {
+        if (error.message !== 'Token expired') {
+          console.error('Live updates unavailable:', error.message);
+          return;
+        }
+        AuthService.refreshAccessToken()
+          .then(function() {
+            socket.connect();
+          })
+          .catch(function() {
+            // The session expired or was revoked
+            AuthService.clearTokens();
+            window.location.href = 'login.html';
+          });
+      });
+
+      return socket;
+    }
+
+    /**
+     * Listen for an event, calling the handler in a digest
+     * @param {string} event - The event name
+     * @param {Function} handler - Called with the event data
+     * @param {Object} [scope] - Scope whose destruction removes the handler
+     * @returns {Function} Removes the handler
+     */
+    function on(event, handler, scope) {
+      const liveSocket = getSocket();
+      if (!liveSocket) {
+        return angular.noop;
+      }
+
+      const listener = function(data) {
+        $rootScope.$applyAsync(function() {
+          handler(data);
+        });
+      };
+      liveSocket.on(event, listener);
+      return removeOnDestroy(scope, function() {
+        liveSocket.off(event, listener);
+      });
+    }
+
+    /**
+     * Call a handler each time the socket connects again after losing the
+     * connection, to reload the data whose updates may have been missed
+     * @param {Function} handler - Called in a digest
+     * @param {Object} [scope] - Scope whose destruction removes the handler
+     * @returns {Function} Removes the handler
+     */
+    function onReconnect(handler, scope) {
+      getSocket();
+      reconnectHandlers.push(handler);
+      return removeOnDestroy(scope, function() {
+        const index = reconnectHandlers.indexOf(handler);
+        if (index !== -1) {
+          reconnectHandlers.splice(index, 1);
+        }
+      });
+    }
+
+    /**
+     * Describe the product of a transfer or product event for a notification
+     * @param {Object} product - { type, batchNumber }
+     * @returns {string}
+     */
+    function describeProduct(product) {
+      return product ? product.type + ' (batch ' + product.batchNumber + ')' : 'a product';
+    }
+
+    return {
+      on,
+      onReconnect,
+      describeProduct
+    };
+  }]);
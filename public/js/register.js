@@ -52,11 +52,14 @@ const app = Vue.createApp({
       })
       .then(data => {
         if (data.message === 'Registration successful!') {
-          this.message = 'Registration successful! Redirecting to login page...';
+          this.message = 'Registration successful! ' +
+            (data.verificationEmailSent ? 'Please check your email to verify your address. ' : '') +
+            (data.approvalRequired ? 'You can log in once an administrator has approved your account. ' : '') +
+            'Redirecting to login page...';
           this.hasError = false;
           setTimeout(() => {
             window.location.href = 'login.html';
-          }, 2000);
+          }, 4000);
         } else {
           throw new Error(data.message || 'Registration failed. Please try again.');
         }
@@ -0,0 +1,70 @@
+// Reset-password.js
+
+const app = Vue.createApp({
+  data() {
+    return {
+      // Token of the emailed reset link
+      token: new URLSearchParams(window.location.search).get('token') || '',
+      password: '',
+      confirmPassword: '',
+      message: '',
+      hasError: false,
+      isLoading: false,
+      done: false
+    };
+  },
+
+  mounted() {
+    if (!this.token) {
+      this.message = 'This reset link is incomplete. Please use the link from the email, or request a new one.';
+      this.hasError = true;
+    }
+  },
+
+  methods: {
+    async resetPassword() {
+      if (this.password.length < 8) {
+        this.message = 'Password must be at least 8 characters long.';
+        this.hasError = true;
+        return;
+      }
+      if (this.password !== this.confirmPassword) {
+        this.message = 'Passwords do not match.';
+        this.hasError = true;
+        return;
+      }
+
+      this.isLoading = true;
+      this.message = '';
+      try {
+        const response = await fetch('/api/password/reset', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: this.token, password: this.password })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          throw new Error(data.message || (data.errors && data.errors[0].msg) || 'Could not reset the password. Please try again.');
+        }
+
+        // Sessions were revoked on the server: forget this browser's tokens too
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('userType');
+
+        this.message = data.message;
+        this.hasError = false;
+        this.done = true;
+      } catch (error) {
+        console.error('Password reset error:', error);
+        this.message = error.message;
+        this.hasError = true;
+      } finally {
+        this.isLoading = false;
+      }
+    }
+  }
+});
+
+app.mount('#app');
@@ -5,8 +5,8 @@
  * It handles product management, blockchain interactions, transfers to consumers, and various dashboard views.
  */
 angular.module('foodTraceabilityApp')
-  .controller('RetailerController', ['$scope', '$location', '$q', '$timeout', '$interval', 'RetailerService', 'Web3Service', '$window',
-  function($scope, $location, $q, $timeout, $interval, RetailerService, Web3Service, $window) {
+  .controller('RetailerController', ['$scope', '$location', '$q', '$timeout', '$interval', 'RetailerService', 'Web3Service', 'RealtimeService', '$window',
+  function($scope, $location, $q, $timeout, $interval, RetailerService, Web3Service, RealtimeService, $window) {
 
     // Initialize scope variables
     $scope.products = [];
@@ -64,6 +64,7 @@ angular.module('foodTraceabilityApp')
           break;
         case 'history':
           $scope.loadTransactionHistory();
+          $scope.loadEscrowPayments();
           break;
         case 'consumers':
           $scope.loadConsumers();
@@ -731,6 +732,8 @@ $scope.openRealTimeTracking = function() {
               $scope.selectedProduct.retailer = fullProductInfo.currentOwner;
               $scope.showProductModal = true;
               $scope.isLoading = false;
+              $scope.newQualityCheck = { status: 'Passed' };
+              $scope.loadQualityChecks(productId);
           })
           .catch(function(error) {
               handleError(error, 'fetching product details');
@@ -740,6 +743,100 @@ $scope.openRealTimeTracking = function() {
           });
   };
 
+    /**
+     * Load the payments held in escrow for the retailer's transfers
+     */
+    $scope.loadEscrowPayments = function() {
+      RetailerService.getEscrowPayments()
+        .then(function(escrowPayments) {
+          $scope.escrowPayments = escrowPayments;
+        })
+        .catch(function(error) {
+          handleError(error, 'loading escrowed payments');
+        });
+    };
+
+    /**
+     * Confirm delivery of a received product, releasing its escrowed payment to the seller
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     */
+    $scope.confirmDelivery = function(escrowTransfer) {
+      settleEscrow(escrowTransfer, RetailerService.confirmDelivery, 'Delivery confirmed, payment released to the seller', 'confirming delivery');
+    };
+
+    /**
+     * Refund the escrowed payment of a transfer to the buyer
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     */
+    $scope.refundEscrow = function(escrowTransfer) {
+      settleEscrow(escrowTransfer, RetailerService.refundEscrow, 'Payment refunded to the buyer', 'refunding payment');
+    };
+
+    // Send an escrow settlement and refresh the escrowed payments once it is recorded
+    function settleEscrow(escrowTransfer, settle, successMessage, action) {
+      escrowTransfer.isSettling = true;
+      settle(escrowTransfer)
+        .then(function(result) {
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          $scope.successMessage = successMessage;
+          $scope.loadEscrowPayments();
+        })
+        .catch(function(error) {
+          handleError(error, action);
+        })
+        .finally(function() {
+          escrowTransfer.isSettling = false;
+          $scope.$applyAsync();
+        });
+    }
+
+    /**
+     * Load the quality checks of the selected product
+     * @param {string} productId - The ID of the product
+     */
+    $scope.loadQualityChecks = function(productId) {
+      $scope.qualityChecks = [];
+      RetailerService.getQualityChecks(productId)
+        .then(function(qualityChecks) {
+          $scope.qualityChecks = qualityChecks;
+        })
+        .catch(function(error) {
+          handleError(error, 'fetching quality checks');
+        });
+    };
+
+    /**
+     * Record a quality check for the selected product
+     */
+    $scope.recordQualityCheck = function() {
+      if (!$scope.selectedProduct) {
+        $scope.errorMessage = 'No product selected';
+        return;
+      }
+
+      $scope.isRecordingQualityCheck = true;
+      RetailerService.recordQualityCheck($scope.selectedProduct._id, $scope.newQualityCheck)
+        .then(function(result) {
+          if (result.success) {
+            $scope.successMessage = 'Quality check recorded on the blockchain';
+            $scope.addNotification('Quality check recorded for ' + $scope.selectedProduct.batchNumber);
+            $scope.newQualityCheck = { status: 'Passed' };
+            $scope.loadQualityChecks($scope.selectedProduct._id);
+          } else {
+            throw new Error(result.error || 'Failed to record quality check');
+          }
+        })
+        .catch(function(error) {
+          handleError(error, 'recording quality check');
+        })
+        .finally(function() {
+          $scope.isRecordingQualityCheck = false;
+          $scope.$applyAsync();
+        });
+    };
+
     /**
      * Sync product with blockchain
      * @param {string} productId - The ID of the product to sync
@@ -789,6 +886,81 @@ $scope.openRealTimeTracking = function() {
     // Call initialize function
     initializeDashboard();
 
+    /**
+     * Format a duration for display, e.g. 1h 05m
+     * @param {number} seconds - The duration in seconds
+     * @returns {string} The formatted duration
+     */
+    $scope.formatDuration = function(seconds) {
+      if (seconds < 60) {
+        return seconds + 's';
+      }
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      return hours > 0 ? hours + 'h ' + String(minutes).padStart(2, '0') + 'm' : minutes + 'm';
+    };
+
+    /**
+     * Describe a cold chain alert sent by the server when an excursion starts or ends
+     * @param {Object} alert - { product, excursion }
+     * @returns {string} The notification message
+     */
+    function describeColdChainAlert(alert) {
+      const excursion = alert.excursion;
+      const product = alert.product.type + ' (batch ' + alert.product.batchNumber + ')';
+      if (excursion.ongoing) {
+        return 'Cold chain alert: ' + product + ' ' + excursion.parameter + ' at ' + excursion.peakValue + ' is ' +
+          excursion.direction + ' the ' + excursion.storageConditions + ' limit of ' + excursion.limit;
+      }
+      return 'Cold chain: ' + product + ' ' + excursion.parameter + ' back in range after ' + $scope.formatDuration(excursion.durationSeconds);
+    }
+
+    /**
+     * Reload the transfers and the products they move, while the wallet is connected
+     */
+    function reloadTransfers() {
+      if ($scope.isWalletConnected) {
+        $scope.loadPendingTransfers();
+        $scope.loadTransactionHistory();
+        $scope.loadProducts();
+      }
+    }
+
+    // Live updates for the products and transfers of the user
+    RealtimeService.on('coldChain:excursion', function(alert) {
+      $scope.addNotification(describeColdChainAlert(alert));
+    }, $scope);
+
+    RealtimeService.on('transfer:initiated', function(update) {
+      $scope.addNotification('Transfer of ' + update.transfer.quantity + ' units of ' + RealtimeService.describeProduct(update.product) + ' initiated');
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('transfer:accepted', function(update) {
+      $scope.addNotification('Transfer of ' + update.transfer.quantity + ' units of ' + RealtimeService.describeProduct(update.product) + ' accepted');
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('transfer:cancelled', function(update) {
+      $scope.addNotification('Transfer of ' + update.transfer.quantity + ' units of ' + RealtimeService.describeProduct(update.product) + ' cancelled');
+      reloadTransfers();
+    }, $scope);
+
+    RealtimeService.on('product:status', function(update) {
+      $scope.addNotification(RealtimeService.describeProduct(update.product) + ' is now ' + update.product.status);
+      $scope.loadProducts();
+    }, $scope);
+
+    RealtimeService.on('qualityCheck:recorded', function(update) {
+      $scope.addNotification('Quality check of ' + RealtimeService.describeProduct(update.product) + ': ' + update.qualityCheck.status);
+      if ($scope.selectedProduct && $scope.selectedProduct._id === update.product._id) {
+        $scope.loadQualityChecks(update.product._id);
+      }
+    }, $scope);
+
+    // Updates sent while the connection was lost are not replayed
+    RealtimeService.onReconnect(reloadTransfers, $scope);
+
     // Watch for changes in wallet connection status
     $scope.$watch('isWalletConnected', function(newValue, oldValue) {
       if (newValue !== oldValue) {
@@ -804,17 +976,4 @@ $scope.openRealTimeTracking = function() {
       }
     });
 
-    // Set up an interval to check for new transfers
-    var transferCheckInterval = $interval(function() {
-      if ($scope.isWalletConnected) {
-        $scope.loadPendingTransfers();
-      }
-    }, 30000); // Check every 30 seconds
-
-    // Cleanup on scope destruction
-    $scope.$on('$destroy', function() {
-      if (angular.isDefined(transferCheckInterval)) {
-        $interval.cancel(transferCheckInterval);
-      }
-    });
   }]);
\ No newline at end of file
@@ -7,10 +7,11 @@
  */
 
 angular.module('foodTraceabilityApp')
-  .factory('RetailerService', ['$http', 'Web3Service', '$q', '$timeout', '$window', '$rootScope',
-  function($http, Web3Service, $q, $timeout, $window, $rootScope) {
+  .factory('RetailerService', ['$http', 'Web3Service', '$q', '$timeout', '$window', '$rootScope', 'AuthService',
+  function($http, Web3Service, $q, $timeout, $window, $rootScope, AuthService) {
     // Base API URL for backend communication
     const API_URL = 'http://localhost:3000/api/retailer';
+    const ESCROW_API_URL = 'http://localhost:3000/api/escrow';
     
     /**
      * Helper function to get authorization headers with the JWT token
@@ -227,45 +228,30 @@ function syncProductWithBlockchain(productId) {
 }
 
     /**
-     * Generate a QR code for a product
+     * Generate a QR code for a product. The QR code encodes the signed label URL issued by the backend.
      * @param {Object} product - The product object to generate QR code for
      * @returns {Promise<string>} A promise that resolves with the QR code data URL
      */
     function generateQRCode(product) {
-      return $q(function(resolve, reject) {
-        if (typeof QRCode === 'undefined') {
-          console.error('QRCode library not found');
-          reject('QRCode library not found');
-          return;
-        }
-    
-        var qrData = {
-          productId: product._id,
-          type: product.type,
-          batchNumber: product.batchNumber,
-          origin: product.origin,
-          productionDate: product.productionDate,
-          status: product.status,
-          quantity: product.quantity,
-          farmer: product.originalOwner ? product.originalOwner.username : 'Unknown',
-          distributor: product.distributor ? product.distributor.username : 'Unknown',
-          retailer: product.currentOwner ? product.currentOwner.username : 'Unknown',
-          storageConditions: product.storageConditions,
-          shelfLife: product.shelfLife,
-          price: product.price
-        };
-    
-        var qr = new QRCode(document.createElement('div'), {
-          text: JSON.stringify(qrData),
-          width: 256,
-          height: 256,
-          correctLevel: QRCode.CorrectLevel.H,
-          version: 40
-        });
-    
-        var dataURL = qr._el.querySelector('canvas').toDataURL();
-        resolve(dataURL);
-      });
+      return $http.get(`${API_URL}/products/${product._id}/qrCode`, getAuthHeaders())
+        .then(response => $q(function(resolve, reject) {
+          if (typeof QRCode === 'undefined') {
+            console.error('QRCode library not found');
+            reject('QRCode library not found');
+            return;
+          }
+
+          var qr = new QRCode(document.createElement('div'), {
+            text: response.data.qrCodeData,
+            width: 256,
+            height: 256,
+            correctLevel: QRCode.CorrectLevel.H
+          });
+
+          var dataURL = qr._el.querySelector('canvas').toDataURL();
+          resolve(dataURL);
+        }))
+        .catch(handleError);
     }
 
 /**
@@ -449,13 +435,14 @@ function getProductDetails(productId) {
     }
 
     /**
-     * Update the Ethereum address for the retailer
+     * Update the Ethereum address for the retailer, once the wallet signed the proof that it belongs to the user
      * @param {string} address - The new Ethereum address
      * @returns {Promise} A promise that resolves with the update result
      */
     function updateEthereumAddress(address) {
       console.log(`Updating Ethereum address to: ${address}`);
-      return $http.put(`${API_URL}/updateEthereumAddress`, { ethereumAddress: address }, getAuthHeaders())
+      return AuthService.proveWalletOwnership(address)
+        .then(proof => $http.post(`${API_URL}/setEthereumAddress`, proof, getAuthHeaders()))
         .then(response => {
           console.log('Ethereum address updated successfully:', response.data);
           return response.data;
@@ -508,6 +495,114 @@ function getProductDetails(productId) {
         .catch(handleError);
     }
 
+    /**
+     * Record a quality check for a product and anchor it on the blockchain from the
+     * retailer's wallet, which the contract records as the checker
+     * @param {string} productId - The ID of the product
+     * @param {Object} checkData - The check result (status, notes, parameters)
+     * @returns {Promise} A promise that resolves with the recording result
+     */
+    function recordQualityCheck(productId, checkData) {
+      console.log(`Recording quality check for product: ${productId}`, checkData);
+      let qualityCheck;
+      return $http.post(`${API_URL}/products/${productId}/qualityChecks`, checkData, getAuthHeaders())
+        .then(response => {
+          qualityCheck = response.data.qualityCheck;
+          return Web3Service.recordQualityCheckOnBlockchain(response.data.blockchainCheck);
+        })
+        .then(result => $http.post(
+          `${API_URL}/products/${productId}/qualityChecks/${qualityCheck._id}/anchor`,
+          { txHash: result.txHash },
+          getAuthHeaders()
+        ))
+        .then(response => {
+          console.log('Quality check recorded successfully:', response.data);
+          return {
+            success: true,
+            message: response.data.message,
+            qualityCheck: response.data.qualityCheck,
+            txHash: response.data.qualityCheck.blockchainTxHash
+          };
+        })
+        .catch(error => {
+          console.error('Error recording quality check:', error);
+          return {
+            success: false,
+            error: error.error || error.data?.message || error.message || 'An error occurred while recording the quality check'
+          };
+        });
+    }
+
+    /**
+     * Get the quality checks of a product with their blockchain verification result
+     * @param {string} productId - The ID of the product
+     * @returns {Promise} A promise that resolves with the list of quality checks
+     */
+    function getQualityChecks(productId) {
+      console.log(`Fetching quality checks for product: ${productId}`);
+      return $http.get(`${API_URL}/products/${productId}/qualityChecks`, getAuthHeaders())
+        .then(response => {
+          console.log('Quality checks fetched:', response.data);
+          return response.data.qualityChecks;
+        })
+        .catch(handleError);
+    }
+
+    /**
+     * Fetch the payments held in escrow for the retailer's transfers
+     * @returns {Promise} A promise that resolves with the escrowed payments
+     */
+    function getEscrowPayments() {
+      console.log('Fetching escrowed payments');
+      return $http.get(ESCROW_API_URL, getAuthHeaders())
+        .then(response => response.data)
+        .catch(handleError);
+    }
+
+    /**
+     * Settle an escrowed payment from the connected wallet and record the settlement in the backend
+     * @param {Promise} settlement - The pending blockchain settlement
+     * @param {string} url - The backend route recording the settlement
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function recordEscrowSettlement(settlement, url) {
+      return settlement
+        .then(result => $http.post(url, { txHash: result.txHash }, getAuthHeaders()))
+        .then(response => ({ success: true, message: response.data.message, transfer: response.data.transfer }))
+        .catch(error => {
+          console.error('Error settling escrowed payment:', error);
+          return {
+            success: false,
+            error: error.error || error.data?.message || error.message || 'An error occurred while settling the payment'
+          };
+        });
+    }
+
+    /**
+     * Confirm delivery of a received product, releasing the escrowed payment to the seller
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function confirmDelivery(escrowTransfer) {
+      return recordEscrowSettlement(
+        Web3Service.confirmDeliveryOnBlockchain(escrowTransfer.escrow.escrowId),
+        `${ESCROW_API_URL}/${escrowTransfer._id}/confirmDelivery`
+      );
+    }
+
+    /**
+     * Refund an escrowed payment to the buyer: the seller cancels the sale, or the
+     * buyer claims the refund once the delivery deadline has passed
+     * @param {Object} escrowTransfer - The transfer paid through the escrow
+     * @returns {Promise} A promise that resolves with the settlement result
+     */
+    function refundEscrow(escrowTransfer) {
+      const settlement = escrowTransfer.role === 'seller'
+        ? Web3Service.cancelEscrowOnBlockchain(escrowTransfer.escrow.escrowId)
+        : Web3Service.claimEscrowRefundOnBlockchain(escrowTransfer.escrow.escrowId);
+      return recordEscrowSettlement(settlement, `${ESCROW_API_URL}/${escrowTransfer._id}/refund`);
+    }
+
     // Expose service methods
     return {
       getProducts: getProducts,
@@ -526,6 +621,11 @@ function getProductDetails(productId) {
       updateProductStatus: updateProductStatus,
       updateEthereumAddress: updateEthereumAddress,
       recordConsumerFeedback: recordConsumerFeedback,
-      getConsumers: getConsumers
+      getConsumers: getConsumers,
+      recordQualityCheck: recordQualityCheck,
+      getQualityChecks: getQualityChecks,
+      getEscrowPayments: getEscrowPayments,
+      confirmDelivery: confirmDelivery,
+      refundEscrow: refundEscrow
     };
   }]);
\ No newline at end of file
@@ -66,9 +66,24 @@ angular.module('foodTraceabilityApp', ['ngRoute'])
           <button ng-click="logout()" class="logout-button">
             <i class="fas fa-sign-out-alt"></i> Logout
           </button>
+          <a href="login-history.html" class="theme-toggle" title="See the recent logins to your account">
+            <i class="fas fa-history"></i> Login History
+          </a>
+          <a href="two-factor.html" class="theme-toggle" title="Set up two-factor authentication">
+            <i class="fas fa-shield-alt"></i> Two-Factor Auth
+          </a>
+          <a href="organization.html" class="theme-toggle" title="Manage the staff of your company">
+            <i class="fas fa-users"></i> Organization
+          </a>
+          <a href="partner-profile.html" class="theme-toggle" title="Get your business verified">
+            <i class="fas fa-id-card"></i> Business Profile
+          </a>
+          <button ng-click="logout(true)" class="logout-button" title="End the sessions on all your devices">
+            <i class="fas fa-user-lock"></i> Sign Out Everywhere
+          </button>
         </div>
       `,
-      controller: ['$scope', '$rootScope', 'Web3Service', function($scope, $rootScope, Web3Service) {
+      controller: ['$scope', '$rootScope', 'Web3Service', 'AuthService', function($scope, $rootScope, Web3Service, AuthService) {
         /**
          * Toggle between light and dark themes
          * Updates the theme in localStorage and applies it to the document
@@ -81,12 +96,14 @@ angular.module('foodTraceabilityApp', ['ngRoute'])
 
         /**
          * Logout function
-         * Removes the auth token, disconnects the wallet, and redirects to the login page
+         * Revokes the session (or, with allDevices, every session of the user), disconnects the wallet,
+         * and redirects to the login page
          */
-        $scope.logout = function() {
-          localStorage.removeItem('token');
+        $scope.logout = function(allDevices) {
           Web3Service.disconnectWallet();
-          window.location.href = 'login.html';
+          AuthService.logout(allDevices).finally(function() {
+            window.location.href = 'login.html';
+          });
         };
       }]
     };
@@ -0,0 +1,342 @@
+// Shipments.js
+
+// Largest signature or photo accepted by the server
+const MAX_DELIVERY_FILE_SIZE = 2 * 1024 * 1024;
+
+const MODES = ['Truck', 'Train', 'Ship', 'Airplane', 'Intermodal'];
+
+const emptyLeg = () => ({
+  origin: '',
+  destination: '',
+  carrier: '',
+  mode: 'Truck',
+  trackingNumber: '',
+  plannedDeparture: '',
+  plannedArrival: ''
+});
+
+// The coordinates of the hub are optional, and add the check-in to the location trail of the products
+const emptyCheckIn = () => ({ hub: '', notes: '', latitude: '', longitude: '' });
+
+const emptyShipment = () => ({
+  productIds: [],
+  recipientId: '',
+  legs: [emptyLeg()],
+  notes: ''
+});
+
+const app = Vue.createApp({
+  data() {
+    return {
+      shipments: [],
+      selected: null,
+      statusFilter: '',
+      products: [],
+      retailers: [],
+      modes: MODES,
+      form: emptyShipment(),
+      checkIn: emptyCheckIn(),
+      delivery: { receivedBy: '', notes: '', signature: null, photo: null },
+      isLoading: true,
+      message: '',
+      hasError: false
+    };
+  },
+
+  computed: {
+    packagedProducts() {
+      return this.products.filter(product => product.status === 'Packaged');
+    },
+
+    hasPendingStatusUpdates() {
+      return Boolean(this.selected && (this.selected.productUpdates || []).some(update => update.transaction));
+    },
+
+    canDeliver() {
+      const shipment = this.selected;
+      return shipment && shipment.status === 'InTransit' && Boolean(shipment.legs[shipment.legs.length - 1].departedAt);
+    }
+  },
+
+  mounted() {
+    this.run(() => Promise.all([this.loadShipments(), this.loadProducts(), this.loadRetailers()]));
+  },
+
+  methods: {
+    /**
+     * Send an API request
+     * @param {string} url - The URL
+     * @param {Object} [options] - authFetch options
+     * @returns {Promise<Object>} The response body
+     */
+    async send(url, options = {}) {
+      const response = await authFetch(url, options);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const validationError = data.errors && data.errors[0] && data.errors[0].msg;
+        throw new Error(data.message || validationError || `HTTP error! status: ${response.status}`);
+      }
+      return data;
+    },
+
+    /**
+     * Run a request, showing a spinner meanwhile and the error if it fails
+     * @param {Function} task - Async function doing the request, resolving with the message to show if any
+     */
+    async run(task) {
+      this.isLoading = true;
+      this.message = '';
+      try {
+        const successMessage = await task();
+        if (typeof successMessage === 'string') {
+          this.showMessage(successMessage, false);
+        }
+      } catch (error) {
+        console.error('Shipments error:', error);
+        this.showMessage(error.message, true);
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    showMessage(message, isError) {
+      this.message = message;
+      this.hasError = isError;
+    },
+
+    async loadShipments() {
+      const query = this.statusFilter ? `?status=${this.statusFilter}` : '';
+      this.shipments = await this.send(`/api/distributor/shipments${query}`);
+    },
+
+    async loadProducts() {
+      this.products = await this.send('/api/distributor/products');
+    },
+
+    async loadRetailers() {
+      this.retailers = await this.send('/api/distributor/retailers');
+    },
+
+    selectShipment(shipment) {
+      return this.run(async () => {
+        this.selected = await this.send(`/api/distributor/shipments/${shipment._id}`);
+        this.checkIn = emptyCheckIn();
+        this.delivery = { receivedBy: '', notes: '', signature: null, photo: null };
+      });
+    },
+
+    /**
+     * Wait until a transaction is mined
+     * @param {string} txHash - The transaction hash
+     * @returns {Promise<void>}
+     */
+    async waitForReceipt(txHash) {
+      for (;;) {
+        const receipt = await window.ethereum.request({ method: 'eth_getTransactionReceipt', params: [txHash] });
+        if (receipt) {
+          if (receipt.status === '0x0') {
+            throw new Error('The status update transaction failed');
+          }
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    },
+
+    /**
+     * Send the status updates of the products of a shipment from the connected
+     * wallet, one at a time, as the contract only accepts them from the owner
+     * @param {string} shipmentId - The shipment ID
+     * @param {Object[]} productUpdates - The status updates returned by the server
+     * @returns {Promise<Object[]>} The status updates after the last one recorded
+     */
+    async signStatusUpdates(shipmentId, productUpdates) {
+      let updates = productUpdates;
+      let next = updates.find(update => update.transaction);
+      if (next && !window.ethereum) {
+        throw new Error('Connect an Ethereum wallet to update the status of the products on the blockchain');
+      }
+      while (next) {
+        const [from] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        const txHash = await window.ethereum.request({ method: 'eth_sendTransaction', params: [{ from, ...next.transaction }] });
+        await this.waitForReceipt(txHash);
+        const data = await this.send(`/api/distributor/shipments/${shipmentId}/products/${next.product}/status`, {
+          method: 'POST',
+          body: { txHash }
+        });
+        updates = data.productUpdates;
+        next = updates.find(update => update.transaction);
+      }
+      return updates;
+    },
+
+    /**
+     * Show the shipment returned by an action, and reload the lists it changed.
+     * The status updates of its products are sent from the wallet first.
+     * @param {Object} data - The response of the action
+     * @param {string} message - The message to show when all the products were updated
+     * @returns {Promise<string>} The message to show
+     */
+    async showUpdate(data, message) {
+      let updates = data.productUpdates || [];
+      try {
+        updates = await this.signStatusUpdates(data.shipment._id, updates);
+      } finally {
+        await Promise.all([this.loadShipments(), this.loadProducts()]);
+        this.selected = await this.send(`/api/distributor/shipments/${data.shipment._id}`);
+      }
+      const failed = updates.filter(update => update.error);
+      if (failed.length) {
+        throw new Error(`${message}, but ${failed.length} product(s) could not be updated: ${failed[0].error}`);
+      }
+      return message;
+    },
+
+    // Send the status updates left when the wallet did not send them with the shipment update
+    updateProductStatuses() {
+      return this.run(() => this.showUpdate({ shipment: this.selected, productUpdates: this.selected.productUpdates }, 'Product statuses updated'));
+    },
+
+    addLeg() {
+      this.form.legs.push(emptyLeg());
+    },
+
+    removeLeg(index) {
+      this.form.legs.splice(index, 1);
+    },
+
+    createShipment() {
+      return this.run(async () => {
+        const legs = this.form.legs.map(leg => ({
+          ...leg,
+          plannedDeparture: leg.plannedDeparture ? new Date(leg.plannedDeparture).toISOString() : undefined,
+          plannedArrival: leg.plannedArrival ? new Date(leg.plannedArrival).toISOString() : undefined
+        }));
+        const data = await this.send('/api/distributor/shipments', {
+          method: 'POST',
+          body: { ...this.form, legs }
+        });
+        this.form = emptyShipment();
+        return this.showUpdate(data, data.message);
+      });
+    },
+
+    canDepart(index) {
+      const shipment = this.selected;
+      return ['Planned', 'InTransit'].includes(shipment.status) && !shipment.legs[index].departedAt &&
+        (index === 0 || Boolean(shipment.legs[index - 1].arrivedAt));
+    },
+
+    canArrive(index) {
+      const leg = this.selected.legs[index];
+      return this.selected.status === 'InTransit' && Boolean(leg.departedAt) && !leg.arrivedAt;
+    },
+
+    recordLeg(index, event) {
+      return this.run(async () => {
+        const data = await this.send(`/api/distributor/shipments/${this.selected._id}/legs/${index}/${event}`, { method: 'POST' });
+        return this.showUpdate(data, event === 'depart' ? `Leg ${index + 1} departed` : `Leg ${index + 1} arrived`);
+      });
+    },
+
+    addCheckIn() {
+      return this.run(async () => {
+        const data = await this.send(`/api/distributor/shipments/${this.selected._id}/checkIns`, {
+          method: 'POST',
+          body: {
+            hub: this.checkIn.hub,
+            notes: this.checkIn.notes,
+            latitude: this.checkIn.latitude === '' ? undefined : Number(this.checkIn.latitude),
+            longitude: this.checkIn.longitude === '' ? undefined : Number(this.checkIn.longitude)
+          }
+        });
+        this.checkIn = emptyCheckIn();
+        return this.showUpdate(data, 'Check-in recorded');
+      });
+    },
+
+    selectFile(kind, event) {
+      this.delivery[kind] = event.target.files[0] || null;
+    },
+
+    // Read a file as base64, without the data URL prefix
+    readFile(file) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = () => reject(new Error('The file could not be read'));
+        reader.readAsDataURL(file);
+      });
+    },
+
+    async encodeFile(file) {
+      if (!file) {
+        return undefined;
+      }
+      if (file.size > MAX_DELIVERY_FILE_SIZE) {
+        throw new Error('Signatures and photos must be at most 2 MB');
+      }
+      return { mimeType: file.type, content: await this.readFile(file) };
+    },
+
+    deliver() {
+      return this.run(async () => {
+        const data = await this.send(`/api/distributor/shipments/${this.selected._id}/deliver`, {
+          method: 'POST',
+          body: {
+            receivedBy: this.delivery.receivedBy,
+            notes: this.delivery.notes,
+            signature: await this.encodeFile(this.delivery.signature),
+            photo: await this.encodeFile(this.delivery.photo)
+          }
+        });
+        return this.showUpdate(data, 'Shipment delivered');
+      });
+    },
+
+    openProofFile(kind) {
+      return this.run(async () => {
+        const response = await authFetch(`/api/distributor/shipments/${this.selected._id}/proofOfDelivery/${kind}`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+      });
+    },
+
+    cancelShipment() {
+      if (!window.confirm(`Cancel shipment ${this.selected.shipmentNumber}?`)) {
+        return;
+      }
+      return this.run(async () => {
+        const data = await this.send(`/api/distributor/shipments/${this.selected._id}/cancel`, { method: 'POST' });
+        return this.showUpdate(data, data.message);
+      });
+    },
+
+    formatDate(date) {
+      return date ? new Date(date).toLocaleString() : '';
+    },
+
+    formatReading(reading) {
+      const values = [];
+      if (typeof reading.temperature === 'number') {
+        values.push(`${reading.temperature} °C`);
+      }
+      if (typeof reading.humidity === 'number') {
+        values.push(`${reading.humidity} % humidity`);
+      }
+      return `${values.join(', ')} on ${this.formatDate(reading.recordedAt)} (${reading.device})`;
+    },
+
+    // Batch number of a product of the selected shipment
+    productLabel(productId) {
+      const product = this.selected.products.find(candidate => candidate._id === productId);
+      return product ? product.batchNumber : productId;
+    }
+  }
+});
+
+app.mount('#app');
@@ -10,6 +10,7 @@ angular.module('foodTraceabilityApp')
     $scope.currentOwner = null;
     $scope.ownershipHistory = [];
     $scope.blockchainData = null;
+    $scope.trail = [];
     $scope.isLoading = true;
     $scope.errorMessage = null;
 
@@ -54,8 +55,23 @@ angular.module('foodTraceabilityApp')
     }
     
 
+    // Fetch the geolocation trail of the product, the oldest location first
+    function loadTrail() {
+      if (!productId) {
+        return;
+      }
+      $http.get('/api/telemetry/products/' + productId + '/trail')
+      .then(function(response) {
+        $scope.trail = response.data;
+      })
+      .catch(function(error) {
+        console.error('Error fetching location trail:', error);
+      });
+    }
+
     $scope.refreshData = function() {
       loadProductInfo();
+      loadTrail();
     };
 
     $scope.formatDate = function(dateString) {
@@ -63,5 +79,21 @@ angular.module('foodTraceabilityApp')
       return new Date(dateString).toLocaleString();
     };
 
+    // Add the new locations of the product to its trail as they arrive
+    var socket = productId && typeof ProductTrailMap !== 'undefined'
+      ? ProductTrailMap.subscribe(productId, function(locations) {
+        $scope.$applyAsync(function() {
+          $scope.trail = $scope.trail.concat(locations);
+        });
+      })
+      : null;
+
+    $scope.$on('$destroy', function() {
+      if (socket) {
+        socket.disconnect();
+      }
+    });
+
     loadProductInfo();
+    loadTrail();
   }]);
\ No newline at end of file
@@ -0,0 +1,111 @@
+// Two-factor.js
+
+const app = Vue.createApp({
+  data() {
+    return {
+      status: null,
+      enrollment: null,
+      recoveryCodes: [],
+      code: '',
+      message: '',
+      hasError: false,
+      isLoading: true,
+      isSaving: false,
+      dashboardUrl: `/${localStorage.getItem('userType') || 'consumer'}-dashboard.html`
+    };
+  },
+
+  mounted() {
+    this.loadStatus();
+  },
+
+  methods: {
+    async loadStatus() {
+      try {
+        const response = await authFetch('/api/2fa/status');
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        this.status = await response.json();
+      } catch (error) {
+        console.error('Two-factor status error:', error);
+        this.showMessage('Failed to load your two-factor settings. Please try again.', true);
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    /**
+     * Send a request changing the two-factor settings
+     * @param {string} url - The API URL
+     * @param {Object} [options] - authFetch options
+     * @returns {Promise<Object|null>} The response data, or null if the request failed
+     */
+    async send(url, options = {}) {
+      this.isSaving = true;
+      this.message = '';
+      try {
+        const response = await authFetch(url, { method: 'POST', ...options });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          this.showMessage(data.message || (data.errors && data.errors[0].msg) || 'The request failed. Please try again.', true);
+          return null;
+        }
+        return data;
+      } catch (error) {
+        console.error('Two-factor request error:', error);
+        this.showMessage('The request failed. Please try again.', true);
+        return null;
+      } finally {
+        this.isSaving = false;
+      }
+    },
+
+    async startSetup() {
+      this.enrollment = await this.send('/api/2fa/setup');
+    },
+
+    async enable() {
+      const data = await this.send('/api/2fa/enable', { body: { code: this.code } });
+      if (data) {
+        this.afterChange(data);
+        this.enrollment = null;
+      }
+    },
+
+    async regenerateRecoveryCodes() {
+      const data = await this.send('/api/2fa/recovery-codes', { headers: { 'X-Two-Factor-Code': this.code } });
+      if (data) {
+        this.afterChange(data);
+      }
+    },
+
+    async disable() {
+      if (!window.confirm('Disable two-factor authentication? Your account will only be protected by your password.')) {
+        return;
+      }
+      const data = await this.send('/api/2fa/disable', { headers: { 'X-Two-Factor-Code': this.code } });
+      if (data) {
+        this.afterChange(data);
+      }
+    },
+
+    afterChange(data) {
+      this.code = '';
+      this.recoveryCodes = data.recoveryCodes || [];
+      this.showMessage(data.message, false);
+      this.loadStatus();
+    },
+
+    showMessage(message, hasError) {
+      this.message = message;
+      this.hasError = hasError;
+    },
+
+    formatDate(date) {
+      return new Date(date).toLocaleDateString();
+    }
+  }
+});
+
+app.mount('#app');
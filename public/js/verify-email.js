@@ -0,0 +1,76 @@
+// Verify-email.js
+
+const app = Vue.createApp({
+  data() {
+    return {
+      email: '',
+      message: '',
+      hasError: false,
+      isLoading: true,
+      isResending: false,
+      verified: false
+    };
+  },
+
+  mounted() {
+    this.verifyEmail(new URLSearchParams(window.location.search).get('token'));
+  },
+
+  methods: {
+    async verifyEmail(token) {
+      try {
+        if (!token) {
+          throw new Error('This verification link is incomplete. Please use the link from the email, or request a new one.');
+        }
+
+        const response = await fetch('/api/register/verify-email', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Email verification failed. Please try again.');
+        }
+
+        this.message = data.message;
+        this.hasError = false;
+        this.verified = true;
+      } catch (error) {
+        console.error('Email verification error:', error);
+        this.message = `${error.message} You can request a new verification link below.`;
+        this.hasError = true;
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    async resendVerification() {
+      this.isResending = true;
+      try {
+        const response = await fetch('/api/register/resend-verification', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email: this.email })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Could not send the verification email. Please try again.');
+        }
+
+        this.message = data.message;
+        this.hasError = false;
+      } catch (error) {
+        console.error('Resend verification error:', error);
+        this.message = error.message;
+        this.hasError = true;
+      } finally {
+        this.isResending = false;
+      }
+    }
+  }
+});
+
+app.mount('#app');